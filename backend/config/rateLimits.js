@@ -0,0 +1,52 @@
+import { rateLimit, loginLockout, byIp, byAccount } from "../middleware/rateLimit.js";
+import { REFRESH_COOKIE } from "../utils/tokens.js";
+
+/**
+ * Rate limit configuration
+ * Limits per route group; auth routes are strict, reads are generous.
+ */
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Session id of the refresh cookie, else the IP
+const byRefreshSession = (req) => {
+  const sessionId = req.cookies?.[REFRESH_COOKIE]?.split(".")[0];
+  return sessionId ? `session:${sessionId}` : byIp(req);
+};
+
+export const limiters = {
+  // Every API request, per IP
+  api: rateLimit({ name: "api", windowMs: MINUTE, max: 300 }),
+
+  login: [
+    rateLimit({ name: "login-ip", windowMs: 15 * MINUTE, max: 20, keyGenerator: byIp, message: "Too many login attempts" }),
+    rateLimit({ name: "login-account", windowMs: 15 * MINUTE, max: 10, keyGenerator: byAccount, message: "Too many login attempts" }),
+    loginLockout({ threshold: 5, baseLockMs: MINUTE, maxLockMs: HOUR })
+  ],
+
+  register: rateLimit({ name: "register", windowMs: HOUR, max: 10, message: "Too many accounts created from this IP" }),
+
+  // Password reset and verification emails
+  accountEmail: [
+    rateLimit({ name: "account-email-ip", windowMs: 15 * MINUTE, max: 10 }),
+    rateLimit({ name: "account-email", windowMs: HOUR, max: 3, keyGenerator: byAccount })
+  ],
+
+  // Token links (reset-password, verify-email)
+  authToken: rateLimit({ name: "auth-token", windowMs: 15 * MINUTE, max: 30 }),
+
+  // Per session, as users behind one address each refresh every few minutes;
+  // the per-IP cap only stops cycling through made-up session ids
+  refresh: [
+    rateLimit({ name: "refresh-session", windowMs: 15 * MINUTE, max: 30, keyGenerator: byRefreshSession }),
+    rateLimit({ name: "refresh-ip", windowMs: 15 * MINUTE, max: 600 })
+  ],
+
+  search: rateLimit({ name: "search", windowMs: MINUTE, max: 60, message: "Too many searches" }),
+
+  // Event stream connections; browsers reconnect on their own after a drop
+  events: rateLimit({ name: "events", windowMs: MINUTE, max: 20, message: "Too many stream connections" }),
+
+  // Typeahead fires on every keystroke, so it gets more headroom than full search
+  suggest: rateLimit({ name: "suggest", windowMs: MINUTE, max: 120, message: "Too many searches" })
+};
@@ -0,0 +1,67 @@
+import AuditLog from "../model/AuditLog.js";
+import { asyncHandler } from "../utils/errorHandler.js";
+import { revertToEntry } from "../utils/auditLog.js";
+import { publishMovieChange } from "../utils/movieEvents.js";
+
+/**
+ * @desc    List audit log entries, newest first, filtered by movie, user,
+ *          action and date range
+ * @route   GET /api/audit
+ * @access  Private/Admin
+ */
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { movie, user, action, from, to, page, limit } = req.query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (movie) filter.movie = movie;
+  if (user) filter.user = user;
+  if (action) filter.action = action;
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .select("-snapshot")
+      .populate("user", "username")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    data: entries
+  });
+});
+
+/**
+ * @desc    Revert a movie to the version recorded by an audit entry
+ * @route   POST /api/audit/:id/revert
+ * @access  Private/Admin
+ */
+export const revertMovie = asyncHandler(async (req, res) => {
+  const { movie, entry, skipped } = await revertToEntry(req.params.id, req.user.id);
+  publishMovieChange("movie.updated", movie);
+
+  res.json({
+    success: true,
+    message:
+      `Reverted "${movie.title}" to the version of ${entry.createdAt.toISOString()}` +
+      (skipped.length > 0 ? " (the replaced poster upload could not be restored)" : ""),
+    skipped,
+    data: movie
+  });
+});
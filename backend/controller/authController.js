@@ -1,13 +1,90 @@
+import mongoose from "mongoose";
 import User from "../model/User.js";
+import Session from "../model/Session.js";
 import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+import { REFRESH_COOKIE, hashToken, randomToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
 import jwt from "jsonwebtoken";
 
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// How long the refresh token replaced by a rotation is still accepted
+const REFRESH_GRACE_MS = 30 * 1000;
+
 /**
- * Generate JWT Token
+ * Generate a short-lived JWT access token bound to a session
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d"
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m"
+  });
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>"; only their hash is stored
+ */
+const generateRefreshToken = (sessionId) => `${sessionId}.${randomToken(40)}`;
+
+const cookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    // The SPA is served from another site in production, so the cookie must be cross-site there
+    sameSite: isProduction ? "none" : "lax",
+    path: "/api/auth"
+  };
+};
+
+const setRefreshCookie = (res, token, expires) => {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), expires });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+/**
+ * Start a new session for the user and set its refresh cookie
+ */
+const startSession = async (req, res, userId) => {
+  const session = new Session({
+    user: userId,
+    expiresAt: refreshExpiry(),
+    userAgent: req.get("user-agent"),
+    ip: req.ip
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  return generateToken(userId, session._id);
+};
+
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified
+});
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || "http://localhost:5173"}${path}`;
+
+/**
+ * Email the user a link to verify their address
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const link = frontendUrl(`/verify-email/${token}`);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
   });
 };
 
@@ -17,12 +94,7 @@ const generateToken = (id) => {
  * @access  Public
  */
 export const register = asyncHandler(async (req, res) => {
-  const { username, email, password, role } = req.body;
-
-  // Validation
-  if (!username || !email || !password) {
-    throw new ApiError(400, "Please provide username, email, and password");
-  }
+  const { username, email, password } = req.body;
 
   // Check if user exists
   const userExists = await User.findOne({
@@ -33,25 +105,27 @@ export const register = asyncHandler(async (req, res) => {
     throw new ApiError(400, "User already exists");
   }
 
-  // Create user (only allow admin role if specified, default to user)
+  // Self-registration always creates a regular user; admins are promoted
+  // by another admin or bootstrapped with `npm run create-admin`
   const user = await User.create({
     username,
     email,
-    password,
-    role: role === "admin" ? "admin" : "user"
+    password
   });
 
-  const token = generateToken(user._id);
+  // Registration succeeds even if the mail cannot be sent; the user can ask for a new link
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`Failed to send verification email to ${user.email}:`, error.message);
+  }
+
+  const token = await startSession(req, res, user._id);
 
   res.status(201).json({
     success: true,
     token,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role
-    }
+    user: toAuthUser(user)
   });
 });
 
@@ -63,11 +137,6 @@ export const register = asyncHandler(async (req, res) => {
 export const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Validation
-  if (!email || !password) {
-    throw new ApiError(400, "Please provide email and password");
-  }
-
   // Check for user
   const user = await User.findOne({ email }).select("+password");
 
@@ -75,17 +144,16 @@ export const login = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid credentials");
   }
 
-  const token = generateToken(user._id);
+  if (user.isDisabled) {
+    throw new ApiError(403, "This account has been disabled");
+  }
+
+  const token = await startSession(req, res, user._id);
 
   res.json({
     success: true,
     token,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role
-    }
+    user: toAuthUser(user)
   });
 });
 
@@ -99,11 +167,246 @@ export const getMe = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role
+    user: toAuthUser(user)
+  });
+});
+
+/**
+ * @desc    Exchange the refresh cookie for a new access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh cookie)
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  const sessionId = presented?.split(".")[0];
+
+  if (!presented || !mongoose.isValidObjectId(sessionId)) {
+    clearRefreshCookie(res);
+    throw new ApiError(401, "No refresh token provided");
+  }
+
+  const presentedHash = hashToken(presented);
+  const refreshToken = generateRefreshToken(sessionId);
+  const expiresAt = refreshExpiry();
+  const now = new Date();
+  const live = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+
+  // Rotate only if the presented token is the session's current one
+  let session = await Session.findOneAndUpdate(
+    { ...live, tokenHash: presentedHash },
+    {
+      tokenHash: hashToken(refreshToken),
+      previousTokenHash: presentedHash,
+      rotatedAt: now,
+      expiresAt,
+      lastUsedAt: now
+    },
+    { new: true }
+  );
+  const rotated = Boolean(session);
+
+  if (!session) {
+    // Another tab just rotated the shared cookie, whose new value the browser
+    // already holds: issue an access token and leave the cookie alone
+    session = await Session.findOneAndUpdate(
+      { ...live, previousTokenHash: presentedHash, rotatedAt: { $gt: new Date(now - REFRESH_GRACE_MS) } },
+      { lastUsedAt: now },
+      { new: true }
+    );
+  }
+
+  if (!session) {
+    // The replaced token presented after the grace period was replayed:
+    // revoke the session so neither party can continue. Any other token
+    // (e.g. a forged one for a known session id) is only rejected.
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null, previousTokenHash: presentedHash },
+      { revokedAt: now, revokedReason: "reuse" }
+    );
+
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${sessionId}; session revoked`);
     }
+
+    clearRefreshCookie(res);
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || user.isDisabled) {
+    clearRefreshCookie(res);
+    throw new ApiError(401, "User not found");
+  }
+
+  if (rotated) {
+    setRefreshCookie(res, refreshToken, expiresAt);
+  }
+
+  res.json({
+    success: true,
+    token: generateToken(user._id, session._id),
+    user: toAuthUser(user)
+  });
+});
+
+/**
+ * @desc    Log out: revoke the current session and clear the refresh cookie
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh cookie)
+ */
+export const logout = asyncHandler(async (req, res) => {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+
+  if (presented) {
+    const presentedHash = hashToken(presented);
+    // A tab whose cookie was just rotated by another one still logs out
+    await Session.updateOne(
+      { $or: [{ tokenHash: presentedHash }, { previousTokenHash: presentedHash }], revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
+    );
+  }
+
+  clearRefreshCookie(res);
+
+  res.json({
+    success: true,
+    message: "Logged out successfully"
+  });
+});
+
+/**
+ * @desc    Log out everywhere: revoke all of the user's sessions
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  const result = await Session.updateMany(
+    { user: req.user.id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "logout-all" }
+  );
+
+  clearRefreshCookie(res);
+
+  res.json({
+    success: true,
+    message: `Revoked ${result.modifiedCount} session(s)`
+  });
+});
+
+/**
+ * @desc    Send a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && !user.isDisabled) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const link = frontendUrl(`/reset-password/${token}`);
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for a reset, you can ignore this email.`
+    });
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  res.json({
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent"
+  });
+});
+
+/**
+ * @desc    Set a new password using a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  // The password was validated before this point, so a rejected password never burns the link
+  const { password } = req.body;
+
+  // Consume the token atomically so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = password;
+  // Receiving the link proves ownership of the address
+  user.isEmailVerified = true;
+  await user.save();
+
+  // Sign out every existing session
+  await Session.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "password-reset" }
+  );
+
+  res.json({
+    success: true,
+    message: "Password has been reset. Please sign in with your new password"
+  });
+});
+
+/**
+ * @desc    Verify an email address
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  res.json({
+    success: true,
+    message: "Email verified successfully"
+  });
+});
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: "Verification email sent"
   });
 });
@@ -0,0 +1,52 @@
+import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+import { eventsSince, subscribe } from "../utils/eventStream.js";
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long browsers wait before reconnecting
+const RECONNECT_DELAY_MS = 3000;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @desc    Stream live events of the requested topics (Server-Sent Events).
+ *          A client sending Last-Event-ID first gets the events it missed,
+ *          or a `stream.reset` event when they are gone and it should reload.
+ * @route   GET /api/events
+ * @access  Public (`jobs` topic is Admin only)
+ */
+export const streamEvents = asyncHandler(async (req, res) => {
+  const { topics, lastEventId = req.get("Last-Event-ID") } = req.query;
+
+  if (topics.includes("jobs") && req.user?.role !== "admin") {
+    throw new ApiError(403, "Only admins can follow jobs");
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event) => res.write(formatEvent(event));
+  const unsubscribe = subscribe(topics, send);
+
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId, topics);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(`event: stream.reset\ndata: {}\n\n`);
+    }
+  }
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
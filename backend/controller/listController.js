@@ -0,0 +1,300 @@
+import Movie from "../model/Movie.js";
+import MovieList from "../model/MovieList.js";
+import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+
+const WATCHLIST_NAME = "Watchlist";
+const MAX_ENTRIES = 1000;
+const ENTRY_MOVIE_FIELDS = "title posterUrl releaseDate duration rating genre director";
+
+/**
+ * Get the user's watchlist, creating it on first access
+ */
+const ensureWatchlist = (userId) =>
+  MovieList.findOneAndUpdate(
+    { owner: userId, isWatchlist: true },
+    { $setOnInsert: { owner: userId, isWatchlist: true, name: WATCHLIST_NAME } },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Load a list owned by the current user, or throw
+ */
+const findOwnList = async (req) => {
+  const list = await MovieList.findById(req.params.id);
+
+  if (!list) {
+    throw new ApiError(404, "List not found");
+  }
+  if (list.owner.toString() !== req.user.id) {
+    throw new ApiError(403, "Not authorized to modify this list");
+  }
+
+  return list;
+};
+
+/**
+ * Find the index of a movie in a list's entries
+ */
+const findEntryIndex = (list, movieId) =>
+  list.entries.findIndex(entry => entry.movie.toString() === movieId);
+
+/**
+ * Ids of the movies in the lists that are in the catalog. Entries of trashed
+ * movies are kept, so restoring a movie puts it back in its lists, and like
+ * those of missing movies they are hidden: left out of counts and reorders,
+ * and kept at the end of the list.
+ * @returns {Promise<Set<string>>}
+ */
+const availableMovieIds = async (lists) => {
+  const ids = [...new Set(lists.flatMap(list => list.entries.map(entry => entry.movie.toString())))];
+  if (ids.length === 0) return new Set();
+
+  // Trashed movies are left out by the query
+  const movies = await Movie.find({ _id: { $in: ids } }).select("_id").lean();
+  return new Set(movies.map(movie => movie._id.toString()));
+};
+
+/**
+ * Summary shape for list overviews: entry movie ids only, no populated movies
+ * @param {Set<string>} available - See availableMovieIds
+ */
+const toSummary = (list, available) => {
+  const entries = list.entries.filter(entry => available.has(entry.movie.toString()));
+
+  return {
+    _id: list._id,
+    name: list.name,
+    description: list.description,
+    isPublic: list.isPublic,
+    isWatchlist: list.isWatchlist,
+    count: entries.length,
+    movieIds: entries.map(entry => entry.movie),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+};
+
+const summarize = async (list) => toSummary(list, await availableMovieIds([list]));
+
+/**
+ * @desc    Get current user's lists (watchlist first)
+ * @route   GET /api/lists
+ * @access  Private
+ */
+export const getMyLists = asyncHandler(async (req, res) => {
+  await ensureWatchlist(req.user.id);
+
+  const lists = await MovieList.find({ owner: req.user.id })
+    .sort({ isWatchlist: -1, createdAt: 1 })
+    .lean();
+
+  const available = await availableMovieIds(lists);
+
+  res.json({
+    success: true,
+    count: lists.length,
+    data: lists.map(list => toSummary(list, available))
+  });
+});
+
+/**
+ * @desc    Create a named list
+ * @route   POST /api/lists
+ * @access  Private
+ */
+export const createList = asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+
+  const list = await MovieList.create({
+    owner: req.user.id,
+    name,
+    description,
+    isPublic: !!isPublic
+  });
+
+  res.status(201).json({
+    success: true,
+    data: toSummary(list, new Set())
+  });
+});
+
+/**
+ * @desc    Get a list with its movies (public lists are viewable by anyone)
+ * @route   GET /api/lists/:id
+ * @access  Public/Private
+ */
+export const getList = asyncHandler(async (req, res) => {
+  const list = await MovieList.findById(req.params.id)
+    .populate("owner", "username")
+    .populate("entries.movie", ENTRY_MOVIE_FIELDS)
+    .lean();
+
+  // The owner populates as null once their account is deleted
+  const isOwner = !!req.user && !!list?.owner && list.owner._id.toString() === req.user.id;
+
+  // Private lists are reported as missing so their existence is not leaked
+  if (!list || (!list.isPublic && !isOwner)) {
+    throw new ApiError(404, "List not found");
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...list,
+      // Trashed and purged movies populate as null (see availableMovieIds)
+      entries: list.entries.filter(entry => entry.movie),
+      isOwner
+    }
+  });
+});
+
+/**
+ * @desc    Update list details
+ * @route   PUT /api/lists/:id
+ * @access  Private
+ */
+export const updateList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const { name, description, isPublic } = req.body;
+
+  if (name !== undefined && !list.isWatchlist) list.name = name;
+  if (description !== undefined) list.description = description;
+  if (isPublic !== undefined) list.isPublic = !!isPublic;
+
+  await list.save();
+
+  res.json({
+    success: true,
+    data: await summarize(list)
+  });
+});
+
+/**
+ * @desc    Delete a list (the watchlist cannot be deleted)
+ * @route   DELETE /api/lists/:id
+ * @access  Private
+ */
+export const deleteList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+
+  if (list.isWatchlist) {
+    throw new ApiError(400, "The watchlist cannot be deleted");
+  }
+
+  await list.deleteOne();
+
+  res.json({
+    success: true,
+    message: "List deleted successfully"
+  });
+});
+
+/**
+ * @desc    Add a movie to the end of a list
+ * @route   POST /api/lists/:id/entries
+ * @access  Private
+ */
+export const addListEntry = asyncHandler(async (req, res) => {
+  const { movieId, note } = req.body;
+
+  const list = await findOwnList(req);
+
+  if (findEntryIndex(list, movieId) !== -1) {
+    throw new ApiError(400, "Movie is already in this list");
+  }
+  if (list.entries.length >= MAX_ENTRIES) {
+    throw new ApiError(400, `Lists cannot contain more than ${MAX_ENTRIES} movies`);
+  }
+  if (!(await Movie.exists({ _id: movieId }))) {
+    throw new ApiError(404, "Movie not found");
+  }
+
+  list.entries.push({ movie: movieId, note });
+  await list.save();
+
+  res.status(201).json({
+    success: true,
+    data: await summarize(list)
+  });
+});
+
+/**
+ * @desc    Update the note on a list entry
+ * @route   PUT /api/lists/:id/entries/:movieId
+ * @access  Private
+ */
+export const updateListEntry = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const index = findEntryIndex(list, req.params.movieId);
+
+  if (index === -1) {
+    throw new ApiError(404, "Movie is not in this list");
+  }
+
+  list.entries[index].note = req.body.note || "";
+  await list.save();
+
+  res.json({
+    success: true,
+    data: list.entries[index]
+  });
+});
+
+/**
+ * @desc    Remove a movie from a list
+ * @route   DELETE /api/lists/:id/entries/:movieId
+ * @access  Private
+ */
+export const removeListEntry = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const index = findEntryIndex(list, req.params.movieId);
+
+  if (index === -1) {
+    throw new ApiError(404, "Movie is not in this list");
+  }
+
+  list.entries.splice(index, 1);
+  await list.save();
+
+  res.json({
+    success: true,
+    data: await summarize(list)
+  });
+});
+
+/**
+ * @desc    Reorder list entries
+ * @route   PUT /api/lists/:id/order
+ * @access  Private
+ */
+export const reorderList = asyncHandler(async (req, res) => {
+  const { movieIds } = req.body;
+  const list = await findOwnList(req);
+  const available = await availableMovieIds([list]);
+
+  // Only the entries the owner can see are ordered; hidden ones follow them
+  const shown = [];
+  const hidden = [];
+  for (const entry of list.entries) {
+    (available.has(entry.movie.toString()) ? shown : hidden).push(entry.toObject());
+  }
+
+  const current = new Set(shown.map(entry => entry.movie.toString()));
+  const isPermutation =
+    movieIds.length === current.size &&
+    new Set(movieIds).size === movieIds.length &&
+    movieIds.every(id => current.has(id));
+
+  if (!isPermutation) {
+    throw new ApiError(400, "movieIds must contain every movie in the list exactly once");
+  }
+
+  const entriesById = new Map(shown.map(entry => [entry.movie.toString(), entry]));
+  list.entries = [...movieIds.map(id => entriesById.get(id)), ...hidden];
+  await list.save();
+
+  res.json({
+    success: true,
+    data: toSummary(list, available)
+  });
+});
@@ -1,30 +1,50 @@
 import Movie from "../model/Movie.js";
 import User from "../model/User.js";
 import UserInteraction from "../model/UserInteraction.js";
+import Job from "../model/Job.js";
 import { ApiError, asyncHandler } from "../utils/errorHandler.js";
-import { movieQueue } from "../utils/queue.js";
+import { enqueue, getQueueStats } from "../utils/jobQueue.js";
+import { MOVIE_BATCH_INSERT, isFailedRow, summarizeRows } from "../jobs/movieJobs.js";
+import { findDuplicateGroups, mergeMovies } from "../utils/movieMerge.js";
+import { deletePosterImages, posterFields, savePosterImages } from "../utils/posterImages.js";
+import { purgeMovies, TRASH_FIELDS } from "../utils/movieTrash.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { publishMovieChange, publishMovieDeleted } from "../utils/movieEvents.js";
+import { buildMovieFilter, mergeFilters } from "../utils/movieFilters.js";
+import { getMovieFacets, wantsFacets } from "../utils/movieFacets.js";
+import { escapeRegex } from "../utils/searchUtils.js";
 import {
-  getPersonalizedFeed,
-  getTrendingMovies
-} from "../utils/recommendationEngine.js";
+  readMovieFile,
+  validateMovieRow,
+  writeMovieExport
+} from "../utils/movieImportExport.js";
+import { MOVIE_IMPORT_FIELDS } from "../../shared/validation/index.js";
+import { getSuggestions } from "../utils/suggestions.js";
+import { getFeedPage, getServedRanking, invalidateFeed } from "../utils/movieFeed.js";
+import { findTrendingMovies, requestRegion } from "../utils/trending.js";
+import { ENGAGED_INTERACTIONS, clearFeedImpression } from "../utils/feedImpressions.js";
+import { recordInteractionStat } from "../utils/movieStats.js";
+import { findSimilarMovies } from "../utils/movieSimilarity.js";
+import { interactionSignal, recordTasteSignal } from "../utils/tasteProfile.js";
 
 /**
- * @desc    Get all movies with pagination
+ * @desc    Get all movies with pagination and optional filters
  * @route   GET /api/movies
  * @access  Public
  */
 export const getMovies = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const { page, limit } = req.query;
   const skip = (page - 1) * limit;
+  const filter = buildMovieFilter(req.query);
 
-  const movies = await Movie.find()
+  const movies = await Movie.find(filter)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
     .lean();
 
-  const total = await Movie.countDocuments();
+  const total = await Movie.countDocuments(filter);
+  const facets = wantsFacets(req.query) ? await getMovieFacets(req.query) : undefined;
 
   res.json({
     success: true,
@@ -34,72 +54,49 @@ export const getMovies = asyncHandler(async (req, res) => {
       pages: Math.ceil(total / limit),
       total
     },
+    ...(facets && { facets }),
     data: movies
   });
 });
 
 /**
- * @desc    Get personalized movie feed (Instagram Reels style)
+ * @desc    Get a page of the personalized movie feed (Instagram Reels style)
  * @route   GET /api/movies/feed
- * @access  Private
+ * @access  Private (`debug` is Admin only)
  */
 export const getMovieFeed = asyncHandler(async (req, res) => {
-  const limit = parseInt(req.query.limit) || 20;
-  const userId = req.user.id;
-
-  // Get user's interaction history
-  const user = await User.findById(userId);
-  const userInteractions = user.interactionHistory || {
-    preferredGenres: [],
-    preferredDirectors: [],
-    viewedMovies: []
-  };
-
-  // Get all user interactions for popularity calculation
-  const allInteractions = await UserInteraction.find({
-    "metadata.timestamp": {
-      $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
-    }
-  }).lean();
+  const { cursor, limit, explain, debug, hideViewed } = req.query;
 
-  // Get all movies
-  const movies = await Movie.find().lean();
+  if (debug && req.user.role !== "admin") {
+    throw new ApiError(403, "Only admins can debug the feed ranking");
+  }
 
-  // Get personalized feed
-  const personalizedMovies = await getPersonalizedFeed(
-    movies,
-    userInteractions,
-    allInteractions,
-    limit
-  );
+  const { data, nextCursor } = await getFeedPage(req.user.id, {
+    cursor,
+    limit,
+    explain,
+    debug,
+    hideViewed
+  });
 
   res.json({
     success: true,
-    count: personalizedMovies.length,
-    data: personalizedMovies
+    count: data.length,
+    nextCursor,
+    data
   });
 });
 
 /**
- * @desc    Get trending movies (Explore page style)
+ * @desc    Get trending movies (Explore page style) over a window (24h, 7d
+ *          or 30d), optionally within a genre and a region (country code)
  * @route   GET /api/movies/trending
  * @access  Public
  */
 export const getTrending = asyncHandler(async (req, res) => {
-  const limit = parseInt(req.query.limit) || 20;
+  const { limit, genre, region, window } = req.query;
 
-  // Get all user interactions for trending calculation
-  const allInteractions = await UserInteraction.find({
-    "metadata.timestamp": {
-      $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
-    }
-  }).lean();
-
-  // Get all movies
-  const movies = await Movie.find().lean();
-
-  // Get trending movies
-  const trendingMovies = await getTrendingMovies(movies, allInteractions, limit);
+  const trendingMovies = await findTrendingMovies({ window, genre, region, limit });
 
   res.json({
     success: true,
@@ -109,33 +106,48 @@ export const getTrending = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get sorted movies
+ * @desc    Get movies similar to a movie ("More like this")
+ * @route   GET /api/movies/:id/similar
+ * @access  Public
+ */
+export const getSimilarMovies = asyncHandler(async (req, res) => {
+  const movie = await Movie.findById(req.params.id).select("genre director").lean();
+
+  if (!movie) {
+    throw new ApiError(404, "Movie not found");
+  }
+
+  const similarMovies = await findSimilarMovies(movie, req.query.limit);
+
+  res.json({
+    success: true,
+    count: similarMovies.length,
+    data: similarMovies
+  });
+});
+
+/**
+ * @desc    Get sorted movies with optional filters
  * @route   GET /api/movies/sorted
  * @access  Public
  */
 export const getSortedMovies = asyncHandler(async (req, res) => {
-  const { sortBy = "rating", order = "desc" } = req.query;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const { sortBy, order, page, limit } = req.query;
   const skip = (page - 1) * limit;
 
-  // Validate sortBy field
-  const validSortFields = ["title", "rating", "releaseDate", "duration"];
-  if (!validSortFields.includes(sortBy)) {
-    throw new ApiError(400, `Invalid sort field. Allowed: ${validSortFields.join(", ")}`);
-  }
-
   // Build sort object
-  const sortOrder = order.toLowerCase() === "asc" ? 1 : -1;
+  const sortOrder = order === "asc" ? 1 : -1;
   const sortObject = { [sortBy]: sortOrder };
+  const filter = buildMovieFilter(req.query);
 
-  const movies = await Movie.find()
+  const movies = await Movie.find(filter)
     .sort(sortObject)
     .skip(skip)
     .limit(limit)
     .lean();
 
-  const total = await Movie.countDocuments();
+  const total = await Movie.countDocuments(filter);
+  const facets = wantsFacets(req.query) ? await getMovieFacets(req.query) : undefined;
 
   res.json({
     success: true,
@@ -147,25 +159,20 @@ export const getSortedMovies = asyncHandler(async (req, res) => {
     },
     sortBy,
     order,
+    ...(facets && { facets }),
     data: movies
   });
 });
 
 /**
- * @desc    Search movies by name or description
+ * @desc    Search movies by name or description, with optional filters and facets
  * @route   GET /api/movies/search
  * @access  Public
  */
 export const searchMovies = asyncHandler(async (req, res) => {
-  const { q } = req.query;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const { q, page, limit } = req.query;
   const skip = (page - 1) * limit;
 
-  if (!q) {
-    throw new ApiError(400, "Please provide a search query");
-  }
-
   // Track search interaction if user is authenticated
   if (req.user) {
     await User.findByIdAndUpdate(req.user.id, {
@@ -178,43 +185,77 @@ export const searchMovies = asyncHandler(async (req, res) => {
     });
   }
 
-  // Text search using MongoDB text index
-  const movies = await Movie.find(
-    { $text: { $search: q } },
-    { score: { $meta: "textScore" } }
-  )
-    .sort({ score: { $meta: "textScore" } })
-    .skip(skip)
-    .limit(limit)
-    .lean();
+  const filter = buildMovieFilter(req.query);
 
-  // Fallback: if text search returns no results, use regex search
-  let fallbackMovies = [];
-  if (movies.length === 0) {
-    const searchRegex = new RegExp(q, "i");
-    fallbackMovies = await Movie.find({
+  // Text search using MongoDB text index
+  let searchFilter = { $text: { $search: q } };
+  let query = mergeFilters(searchFilter, filter);
+  let total = await Movie.countDocuments(query);
+  let results;
+
+  if (total > 0) {
+    results = await Movie.find(query, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" } })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  } else {
+    // Fallback: if text search returns no results, use regex search
+    const searchRegex = new RegExp(escapeRegex(q), "i");
+    searchFilter = {
       $or: [
         { title: searchRegex },
         { description: searchRegex }
       ]
-    })
+    };
+    query = mergeFilters(searchFilter, filter);
+    total = await Movie.countDocuments(query);
+
+    results = await Movie.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
   }
 
-  const results = movies.length > 0 ? movies : fallbackMovies;
-  const total = results.length;
+  const facets = wantsFacets(req.query) ? await getMovieFacets(req.query, searchFilter) : undefined;
 
   res.json({
     success: true,
     count: results.length,
     query: q,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    ...(facets && { facets }),
     data: results
   });
 });
 
+/**
+ * @desc    Typeahead suggestions across titles, directors and cast
+ * @route   GET /api/movies/suggest
+ * @access  Public
+ */
+export const suggestMovies = asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+
+  if (!q) {
+    throw new ApiError(400, "Please provide a search query");
+  }
+
+  const suggestions = await getSuggestions(q, limit);
+
+  res.json({
+    success: true,
+    count: suggestions.length,
+    query: q,
+    data: suggestions
+  });
+});
+
 /**
  * @desc    Get single movie by ID
  * @route   GET /api/movies/:id
@@ -229,26 +270,34 @@ export const getMovieById = asyncHandler(async (req, res) => {
 
   // Track view interaction if user is authenticated
   if (req.user) {
+    const signal = interactionSignal("view");
+
     await UserInteraction.create({
       userId: req.user.id,
       movieId: movie._id,
       interactionType: "view",
       metadata: {
         timestamp: new Date()
-      }
+      },
+      weight: signal,
+      region: requestRegion(req),
+      ranking: await getServedRanking(req.user.id)
     });
 
-    // Update user's viewed movies and preferences
+    // Update user's viewed movies and taste profile
     await User.findByIdAndUpdate(req.user.id, {
       $addToSet: {
         "interactionHistory.viewedMovies": {
           movieId: movie._id,
           viewedAt: new Date()
-        },
-        "interactionHistory.preferredGenres": { $each: movie.genre },
-        "interactionHistory.preferredDirectors": movie.director
+        }
       }
     });
+
+    await recordTasteSignal(req.user.id, movie, signal);
+    await recordInteractionStat(movie._id, "view");
+    await clearFeedImpression(req.user.id, movie._id);
+    await invalidateFeed(req.user.id);
   }
 
   res.json({
@@ -263,14 +312,26 @@ export const getMovieById = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const createMovie = asyncHandler(async (req, res) => {
-  const movieData = {
+  const movie = new Movie({
     ...req.body,
     createdBy: req.user.id
-  };
+  });
+
+  // An uploaded poster is stored under the new movie's id before the movie is saved
+  const posterImages = req.file ? await savePosterImages(movie._id, req.file.buffer) : null;
+  if (posterImages) {
+    movie.set(posterFields(posterImages));
+  }
+
+  try {
+    await movie.save();
+  } catch (error) {
+    if (posterImages) await deletePosterImages(posterImages);
+    throw error;
+  }
 
-  // Use queue for lazy insertion (for batch operations)
-  // For single movie creation, we can insert directly
-  const movie = await Movie.create(movieData);
+  await recordAudit({ action: "create", after: movie, user: req.user.id });
+  publishMovieChange("movie.created", movie);
 
   res.status(201).json({
     success: true,
@@ -279,31 +340,225 @@ export const createMovie = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Create multiple movies using queue (Admin only)
+ * Shape an import job for the batch status endpoints.
+ * Failed rows carry the submitted data so the client can build a failure report.
+ */
+const toBatchStatus = (job) => {
+  const { movies, retryOf, mode = "skip" } = job.payload;
+  const rows = (job.progress?.rows || []).map(row =>
+    isFailedRow(row) ? { ...row, movie: movies[row.index] } : row
+  );
+
+  return {
+    jobId: job._id,
+    status: job.status,
+    mode,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    retryOf: retryOf || null,
+    total: movies.length,
+    processed: rows.length,
+    summary: summarizeRows(rows),
+    rows,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || null
+  };
+};
+
+const findBatchJob = async (jobId) => {
+  const job = await Job.findOne({ _id: jobId, type: MOVIE_BATCH_INSERT }).lean();
+
+  if (!job) {
+    throw new ApiError(404, "Import job not found");
+  }
+
+  return job;
+};
+
+const queueBatch = async (res, { movies, mode, retryOf }, userId) => {
+  const job = await enqueue(
+    MOVIE_BATCH_INSERT,
+    { movies, mode, createdBy: userId, ...(retryOf && { retryOf }) },
+    { createdBy: userId }
+  );
+
+  res.status(202).json({
+    success: true,
+    message: `${movies.length} movies added to queue for processing`,
+    jobId: job._id,
+    queueStatus: await getQueueStats(MOVIE_BATCH_INSERT),
+    data: toBatchStatus(job)
+  });
+};
+
+/**
+ * @desc    Create multiple movies in a background job (Admin only)
  * @route   POST /api/movies/batch
  * @access  Private/Admin
  */
 export const createMoviesBatch = asyncHandler(async (req, res) => {
-  const { movies } = req.body;
+  const { movies, mode } = req.body;
+  await queueBatch(res, { movies, mode }, req.user.id);
+});
+
+/**
+ * @desc    Import movies from a CSV/TSV file sent as the request body.
+ *          With ?dryRun=true nothing is queued; the parsed rows are validated
+ *          and returned as a preview with their errors.
+ * @route   POST /api/movies/import
+ * @access  Private/Admin
+ */
+export const importMovies = asyncHandler(async (req, res) => {
+  const { dryRun, ...options } = req.query;
+  const { headers, columns, movies } = await readMovieFile(req, options);
 
-  if (!Array.isArray(movies) || movies.length === 0) {
-    throw new ApiError(400, "Please provide an array of movies");
+  if (!dryRun) {
+    return queueBatch(res, { movies, mode: options.mode }, req.user.id);
   }
 
-  // Add movies to queue for lazy insertion
-  movies.forEach(movieData => {
-    movieQueue.enqueue(
-      { ...movieData, createdBy: req.user.id },
-      async (data) => {
-        await Movie.create(data);
-      }
-    );
+  const errors = [];
+  const preview = [];
+
+  movies.forEach((movie, index) => {
+    const result = validateMovieRow(movie);
+    if (!result.success) {
+      errors.push({ row: index + 1, message: result.message });
+    } else if (preview.length < 20) {
+      preview.push(result.data);
+    }
   });
 
-  res.status(202).json({
+  res.json({
     success: true,
-    message: `${movies.length} movies added to queue for processing`,
-    queueStatus: movieQueue.getStatus()
+    dryRun: true,
+    data: {
+      headers,
+      // Field -> column header actually used
+      mapping: Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, headers[index]])
+      ),
+      total: movies.length,
+      valid: movies.length - errors.length,
+      invalid: errors.length,
+      errors: errors.slice(0, 100),
+      preview
+    }
+  });
+});
+
+/**
+ * @desc    Export the catalog (optionally filtered) as CSV or JSON
+ * @route   GET /api/movies/export
+ * @access  Private/Admin
+ */
+export const exportMovies = asyncHandler(async (req, res) => {
+  const { format } = req.query;
+  const filter = buildMovieFilter(req.query);
+
+  const cursor = Movie.find(filter)
+    .select(MOVIE_IMPORT_FIELDS.join(" "))
+    .sort({ title: 1 })
+    .lean()
+    .cursor();
+
+  res.attachment(`movies-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.type(format === "csv" ? "text/csv" : "application/json");
+
+  try {
+    await writeMovieExport(res, cursor, format);
+  } catch (error) {
+    // Headers are already sent, so the error can only cut the download short
+    if (!res.headersSent) throw error;
+    console.error("Movie export failed:", error.message);
+    res.destroy(error);
+  }
+});
+
+/**
+ * @desc    Get progress and per-row outcome of a bulk import
+ * @route   GET /api/movies/batch/:jobId
+ * @access  Private/Admin
+ */
+export const getBatchStatus = asyncHandler(async (req, res) => {
+  const job = await findBatchJob(req.params.jobId);
+
+  res.json({
+    success: true,
+    data: toBatchStatus(job)
+  });
+});
+
+/**
+ * @desc    Queue the failed (and never processed) rows of a finished import again
+ * @route   POST /api/movies/batch/:jobId/retry
+ * @access  Private/Admin
+ */
+export const retryBatch = asyncHandler(async (req, res) => {
+  const job = await findBatchJob(req.params.jobId);
+
+  if (!["succeeded", "dead"].includes(job.status)) {
+    throw new ApiError(409, "This import is still running");
+  }
+
+  const { movies, mode } = job.payload;
+  const rows = job.progress?.rows || [];
+  const retryIndexes = [
+    ...rows.filter(isFailedRow).map(row => row.index),
+    // A dead job stopped part way; the rest was never attempted
+    ...movies.map((_, index) => index).slice(rows.length)
+  ];
+
+  if (retryIndexes.length === 0) {
+    throw new ApiError(400, "This import has no failed rows to retry");
+  }
+
+  await queueBatch(
+    res,
+    { movies: retryIndexes.map(index => movies[index]), mode, retryOf: job._id },
+    req.user.id
+  );
+});
+
+/**
+ * @desc    Report groups of movies that share a normalized title and release year
+ * @route   GET /api/movies/duplicates
+ * @access  Private/Admin
+ */
+export const getDuplicates = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const { groups, total } = await findDuplicateGroups({ page, limit });
+
+  res.json({
+    success: true,
+    count: groups.length,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    data: groups
+  });
+});
+
+/**
+ * @desc    Merge duplicate movies into this one, moving their interactions,
+ *          reviews and list entries, then deleting them
+ * @route   POST /api/movies/:id/merge
+ * @access  Private/Admin
+ */
+export const mergeMovie = asyncHandler(async (req, res) => {
+  const { movie, ...moved } = await mergeMovies(req.params.id, req.body.duplicateIds, req.user.id);
+  publishMovieChange("movie.updated", movie);
+  for (const id of new Set(req.body.duplicateIds)) {
+    publishMovieDeleted(id);
+  }
+
+  res.json({
+    success: true,
+    message: `Merged ${moved.merged} duplicate${moved.merged === 1 ? "" : "s"} into "${movie.title}"`,
+    moved,
+    data: movie
   });
 });
 
@@ -313,16 +568,39 @@ export const createMoviesBatch = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const updateMovie = asyncHandler(async (req, res) => {
-  let movie = await Movie.findById(req.params.id);
+  const existing = await Movie.findById(req.params.id);
 
-  if (!movie) {
+  if (!existing) {
     throw new ApiError(404, "Movie not found");
   }
 
-  movie = await Movie.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  const update = { ...req.body };
+  const posterImages = req.file ? await savePosterImages(existing._id, req.file.buffer) : null;
+
+  if (posterImages) {
+    Object.assign(update, posterFields(posterImages));
+  } else if (update.posterUrl && update.posterUrl !== existing.posterUrl) {
+    // A new external poster URL replaces any uploaded poster
+    update.$unset = { posterImages: 1 };
+  }
+
+  let movie;
+  try {
+    movie = await Movie.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true
+    });
+  } catch (error) {
+    if (posterImages) await deletePosterImages(posterImages);
+    throw error;
+  }
+
+  if (posterImages || update.$unset) {
+    await deletePosterImages(existing.posterImages);
+  }
+
+  await recordAudit({ action: "update", before: existing, after: movie, user: req.user.id });
+  publishMovieChange("movie.updated", movie);
 
   res.json({
     success: true,
@@ -331,22 +609,105 @@ export const updateMovie = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete movie (Admin only)
+ * @desc    Move a movie to the trash (Admin only). It disappears from every
+ *          listing but keeps its interactions and reviews until purged.
  * @route   DELETE /api/movies/:id
  * @access  Private/Admin
  */
 export const deleteMovie = asyncHandler(async (req, res) => {
-  const movie = await Movie.findById(req.params.id);
+  const movie = await Movie.findByIdAndUpdate(req.params.id, {
+    deletedAt: new Date(),
+    deletedBy: req.user.id
+  });
 
   if (!movie) {
     throw new ApiError(404, "Movie not found");
   }
 
-  await movie.deleteOne();
+  await recordAudit({ action: "delete", before: movie, user: req.user.id });
+  publishMovieDeleted(movie._id);
 
   res.json({
     success: true,
-    message: "Movie deleted successfully"
+    message: "Movie moved to trash"
+  });
+});
+
+/**
+ * @desc    List trashed movies, most recently deleted first
+ * @route   GET /api/movies/trash
+ * @access  Private/Admin
+ */
+export const getTrash = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const filter = { deletedAt: { $ne: null } };
+
+  const [movies, total] = await Promise.all([
+    Movie.find(filter)
+      .select(TRASH_FIELDS)
+      .populate("deletedBy", "username")
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Movie.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: movies.length,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    data: movies
+  });
+});
+
+/**
+ * @desc    Restore a movie from the trash
+ * @route   POST /api/movies/:id/restore
+ * @access  Private/Admin
+ */
+export const restoreMovie = asyncHandler(async (req, res) => {
+  const movie = await Movie.findOneAndUpdate(
+    { _id: req.params.id, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { new: true }
+  );
+
+  if (!movie) {
+    throw new ApiError(404, "Movie not found in trash");
+  }
+
+  await recordAudit({ action: "restore", after: movie, user: req.user.id });
+  publishMovieChange("movie.created", movie);
+
+  res.json({
+    success: true,
+    message: `Restored "${movie.title}"`,
+    data: movie
+  });
+});
+
+/**
+ * @desc    Permanently delete a trashed movie with its interactions, reviews,
+ *          list entries and user history references
+ * @route   DELETE /api/movies/:id/purge
+ * @access  Private/Admin
+ */
+export const purgeMovie = asyncHandler(async (req, res) => {
+  const { purged, ...removed } = await purgeMovies([req.params.id], req.user.id);
+
+  if (purged === 0) {
+    throw new ApiError(404, "Movie not found in trash");
+  }
+
+  res.json({
+    success: true,
+    message: "Movie permanently deleted",
+    removed
   });
 });
 
@@ -359,16 +720,14 @@ export const trackInteraction = asyncHandler(async (req, res) => {
   const { interactionType, metadata } = req.body;
   const { id } = req.params;
 
-  const validTypes = ["view", "like", "share", "click"];
-  if (!validTypes.includes(interactionType)) {
-    throw new ApiError(400, `Invalid interaction type. Allowed: ${validTypes.join(", ")}`);
-  }
-
   const movie = await Movie.findById(id);
   if (!movie) {
     throw new ApiError(404, "Movie not found");
   }
 
+  // Negative for "not interested" and quick bounces
+  const signal = interactionSignal(interactionType, metadata);
+
   // Create interaction record
   const interaction = await UserInteraction.create({
     userId: req.user.id,
@@ -377,20 +736,32 @@ export const trackInteraction = asyncHandler(async (req, res) => {
     metadata: {
       ...metadata,
       timestamp: new Date()
-    }
+    },
+    weight: signal,
+    region: requestRegion(req),
+    // Attributes the interaction to the experiment variant the user was served
+    ranking: await getServedRanking(req.user.id)
   });
 
-  // Update user preferences based on interaction
   if (interactionType === "like") {
     await User.findByIdAndUpdate(req.user.id, {
-      $addToSet: {
-        "interactionHistory.likedMovies": id,
-        "interactionHistory.preferredGenres": { $each: movie.genre },
-        "interactionHistory.preferredDirectors": movie.director
-      }
+      $addToSet: { "interactionHistory.likedMovies": id }
     });
   }
 
+  // Update user preferences based on interaction
+  await recordTasteSignal(req.user.id, movie, signal);
+
+  // Negative feedback is not popularity
+  if (interactionType !== "not_interested") {
+    await recordInteractionStat(movie._id, interactionType);
+  }
+  // The movie was not ignored in the feed
+  if (ENGAGED_INTERACTIONS.includes(interactionType)) {
+    await clearFeedImpression(req.user.id, movie._id);
+  }
+  await invalidateFeed(req.user.id);
+
   res.status(201).json({
     success: true,
     data: interaction
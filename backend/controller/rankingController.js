@@ -0,0 +1,259 @@
+import Experiment from "../model/Experiment.js";
+import RankingStrategy from "../model/RankingStrategy.js";
+import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+import {
+  BUILT_IN_STRATEGY,
+  DEFAULT_STRATEGY_NAME,
+  clearRankingCache,
+  getExperimentReport,
+  getLatestStrategies
+} from "../utils/rankingStrategy.js";
+
+const findExperiment = async (id) => {
+  const experiment = await Experiment.findById(id);
+
+  if (!experiment) {
+    throw new ApiError(404, "Experiment not found");
+  }
+
+  return experiment;
+};
+
+/**
+ * Refuse variants ranked with strategies that were never saved
+ */
+const checkVariantStrategies = async (variants) => {
+  const names = [...new Set(variants.map(variant => variant.strategy))].filter(
+    name => name !== DEFAULT_STRATEGY_NAME
+  );
+  const saved = await RankingStrategy.distinct("name", { name: { $in: names } });
+  const missing = names.filter(name => !saved.includes(name));
+
+  if (missing.length > 0) {
+    throw new ApiError(400, `Unknown ranking strategy: ${missing.join(", ")}`);
+  }
+};
+
+/**
+ * @desc    List ranking strategies, latest version of each
+ * @route   GET /api/ranking/strategies
+ * @access  Private/Admin
+ */
+export const getStrategies = asyncHandler(async (req, res) => {
+  const strategies = await getLatestStrategies();
+
+  // The built-in weights stand in for a default strategy that was never saved
+  if (!strategies.some(strategy => strategy.name === DEFAULT_STRATEGY_NAME)) {
+    strategies.unshift({ ...BUILT_IN_STRATEGY, versions: 0 });
+  }
+
+  res.json({
+    success: true,
+    count: strategies.length,
+    data: strategies
+  });
+});
+
+/**
+ * @desc    List every version of a ranking strategy, newest first
+ * @route   GET /api/ranking/strategies/:name
+ * @access  Private/Admin
+ */
+export const getStrategyVersions = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  const versions = await RankingStrategy.find({ name })
+    .populate("createdBy", "username")
+    .sort({ version: -1 })
+    .lean();
+
+  if (versions.length === 0 && name !== DEFAULT_STRATEGY_NAME) {
+    throw new ApiError(404, "Ranking strategy not found");
+  }
+
+  res.json({
+    success: true,
+    count: versions.length,
+    data: versions
+  });
+});
+
+/**
+ * @desc    Save a ranking strategy as its next version (version 1 for a new name)
+ * @route   POST /api/ranking/strategies
+ * @access  Private/Admin
+ */
+export const saveStrategy = asyncHandler(async (req, res) => {
+  const { name, description, weights, popularityDays } = req.body;
+
+  const latest = await RankingStrategy.findOne({ name }).sort({ version: -1 }).select("version").lean();
+
+  let strategy;
+  try {
+    strategy = await RankingStrategy.create({
+      name,
+      version: (latest?.version || 0) + 1,
+      description,
+      weights,
+      popularityDays,
+      createdBy: req.user.id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, "This strategy was just saved by someone else, reload it and try again");
+    }
+    throw error;
+  }
+
+  clearRankingCache();
+
+  res.status(201).json({
+    success: true,
+    data: strategy
+  });
+});
+
+/**
+ * @desc    List experiments, newest first
+ * @route   GET /api/ranking/experiments
+ * @access  Private/Admin
+ */
+export const getExperiments = asyncHandler(async (req, res) => {
+  const experiments = await Experiment.find()
+    .populate("createdBy", "username")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    count: experiments.length,
+    data: experiments
+  });
+});
+
+/**
+ * @desc    Create a draft experiment
+ * @route   POST /api/ranking/experiments
+ * @access  Private/Admin
+ */
+export const createExperiment = asyncHandler(async (req, res) => {
+  const { name, description, variants } = req.body;
+
+  await checkVariantStrategies(variants);
+
+  const experiment = await Experiment.create({
+    name,
+    description,
+    variants,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: experiment
+  });
+});
+
+/**
+ * @desc    Update a draft experiment
+ * @route   PUT /api/ranking/experiments/:id
+ * @access  Private/Admin
+ */
+export const updateExperiment = asyncHandler(async (req, res) => {
+  const { name, description, variants } = req.body;
+  const experiment = await findExperiment(req.params.id);
+
+  // Users already bucketed would move between variants
+  if (experiment.status !== "draft") {
+    throw new ApiError(409, "Only draft experiments can be edited");
+  }
+
+  await checkVariantStrategies(variants);
+
+  experiment.set({ name, description, variants });
+  await experiment.save();
+
+  res.json({
+    success: true,
+    data: experiment
+  });
+});
+
+/**
+ * @desc    Start a draft experiment or stop a running one
+ * @route   PUT /api/ranking/experiments/:id/status
+ * @access  Private/Admin
+ */
+export const updateExperimentStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  const experiment = await findExperiment(req.params.id);
+
+  if (status === "running") {
+    if (experiment.status !== "draft") {
+      throw new ApiError(409, "Only draft experiments can be started");
+    }
+    await checkVariantStrategies(experiment.variants);
+    experiment.set({ status, startedAt: new Date() });
+  } else {
+    if (experiment.status !== "running") {
+      throw new ApiError(409, "This experiment is not running");
+    }
+    experiment.set({ status, stoppedAt: new Date() });
+  }
+
+  try {
+    await experiment.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, "Another experiment is already running");
+    }
+    throw error;
+  }
+
+  // Feeds are rebuilt with the new ranking on their next first page
+  clearRankingCache();
+
+  res.json({
+    success: true,
+    data: experiment
+  });
+});
+
+/**
+ * @desc    Delete a draft experiment
+ * @route   DELETE /api/ranking/experiments/:id
+ * @access  Private/Admin
+ */
+export const deleteExperiment = asyncHandler(async (req, res) => {
+  const experiment = await findExperiment(req.params.id);
+
+  // Started experiments are kept for their reports
+  if (experiment.status !== "draft") {
+    throw new ApiError(409, "Only draft experiments can be deleted");
+  }
+
+  await experiment.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Experiment deleted successfully"
+  });
+});
+
+/**
+ * @desc    Compare click and like rates of an experiment's variants
+ * @route   GET /api/ranking/experiments/:id/report
+ * @access  Private/Admin
+ */
+export const getExperimentResults = asyncHandler(async (req, res) => {
+  const experiment = await findExperiment(req.params.id);
+  const variants = await getExperimentReport(experiment);
+
+  res.json({
+    success: true,
+    data: {
+      experiment,
+      variants
+    }
+  });
+});
@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import Review from "../model/Review.js";
+import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+import { refreshMovieRating } from "../utils/movieRatings.js";
+
+/**
+ * Load a review belonging to the movie in the route, or throw a 404
+ */
+const findReview = async (req, options = {}) => {
+  const query = Review.findOne({ _id: req.params.reviewId, movie: req.params.id });
+  if (options.withVotes) query.select("+helpfulVotes");
+
+  const review = await query;
+  if (!review) {
+    throw new ApiError(404, "Review not found");
+  }
+  return review;
+};
+
+/**
+ * Only the author (or an admin) may change a review
+ */
+const assertCanModify = (review, user) => {
+  if (review.user.toString() !== user.id && user.role !== "admin") {
+    throw new ApiError(403, "Not authorized to modify this review");
+  }
+};
+
+/**
+ * @desc    Get reviews for a movie
+ * @route   GET /api/movies/:id/reviews
+ * @access  Public (optional auth marks the user's helpful votes)
+ */
+export const getMovieReviews = asyncHandler(async (req, res) => {
+  const { page, limit, sort } = req.query;
+  const skip = (page - 1) * limit;
+
+  const sortOptions = {
+    newest: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 }
+  };
+
+  const movie = await Movie.findById(req.params.id).select("userRating");
+  if (!movie) {
+    throw new ApiError(404, "Movie not found");
+  }
+
+  const filter = { movie: movie._id };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select("+helpfulVotes")
+      .sort(sortOptions[sort])
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "username")
+      .lean(),
+    Review.countDocuments(filter)
+  ]);
+
+  // Expose only whether the current user voted, not who voted
+  const data = reviews.map(({ helpfulVotes = [], ...review }) => ({
+    ...review,
+    votedHelpful: !!req.user && helpfulVotes.some(voter => voter.toString() === req.user.id)
+  }));
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    userRating: movie.userRating,
+    data
+  });
+});
+
+/**
+ * @desc    Create a review for a movie
+ * @route   POST /api/movies/:id/reviews
+ * @access  Private
+ */
+export const createReview = asyncHandler(async (req, res) => {
+  const { score, text, spoiler } = req.body;
+
+  const movie = await Movie.findById(req.params.id).select("_id");
+  if (!movie) {
+    throw new ApiError(404, "Movie not found");
+  }
+
+  const existing = await Review.exists({ movie: movie._id, user: req.user.id });
+  if (existing) {
+    throw new ApiError(400, "You have already reviewed this movie");
+  }
+
+  let review;
+  await mongoose.connection.transaction(async (session) => {
+    [review] = await Review.create(
+      [{ user: req.user.id, movie: movie._id, score, text, spoiler }],
+      { session }
+    );
+    await refreshMovieRating(movie._id, session);
+  });
+
+  await review.populate("user", "username");
+
+  res.status(201).json({
+    success: true,
+    data: review
+  });
+});
+
+/**
+ * @desc    Update own review
+ * @route   PUT /api/movies/:id/reviews/:reviewId
+ * @access  Private
+ */
+export const updateReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req);
+  assertCanModify(review, req.user);
+
+  ["score", "text", "spoiler"].forEach(field => {
+    if (req.body[field] !== undefined) {
+      review[field] = req.body[field];
+    }
+  });
+
+  await mongoose.connection.transaction(async (session) => {
+    await review.save({ session });
+    await refreshMovieRating(review.movie, session);
+  });
+
+  await review.populate("user", "username");
+
+  res.json({
+    success: true,
+    data: review
+  });
+});
+
+/**
+ * @desc    Delete own review
+ * @route   DELETE /api/movies/:id/reviews/:reviewId
+ * @access  Private
+ */
+export const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req);
+  assertCanModify(review, req.user);
+
+  await mongoose.connection.transaction(async (session) => {
+    await review.deleteOne({ session });
+    await refreshMovieRating(review.movie, session);
+  });
+
+  res.json({
+    success: true,
+    message: "Review deleted successfully"
+  });
+});
+
+/**
+ * @desc    Toggle a "helpful" vote on a review
+ * @route   POST /api/movies/:id/reviews/:reviewId/helpful
+ * @access  Private
+ */
+export const toggleHelpful = asyncHandler(async (req, res) => {
+  const review = await findReview(req, { withVotes: true });
+
+  if (review.user.toString() === req.user.id) {
+    throw new ApiError(400, "You cannot vote on your own review");
+  }
+
+  const hasVoted = review.helpfulVotes.some(voter => voter.toString() === req.user.id);
+
+  // The vote condition in the filter keeps helpfulCount in step with concurrent toggles
+  const updated = hasVoted
+    ? await Review.findOneAndUpdate(
+        { _id: review._id, helpfulVotes: req.user.id },
+        { $pull: { helpfulVotes: req.user.id }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      )
+    : await Review.findOneAndUpdate(
+        { _id: review._id, helpfulVotes: { $ne: req.user.id } },
+        { $push: { helpfulVotes: req.user.id }, $inc: { helpfulCount: 1 } },
+        { new: true }
+      );
+
+  res.json({
+    success: true,
+    data: {
+      helpful: !hasVoted,
+      helpfulCount: (updated || review).helpfulCount
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import User from "../model/User.js";
+import Session from "../model/Session.js";
+import { ApiError, asyncHandler } from "../utils/errorHandler.js";
+import { escapeRegex } from "../utils/searchUtils.js";
+
+const USER_FIELDS = "username email role isDisabled disabledAt createdAt";
+
+/**
+ * Load the target user for an admin action, refusing to act on the caller's own account
+ */
+const findOtherUser = async (req, action) => {
+  if (req.params.id === req.user.id) {
+    throw new ApiError(400, `You cannot ${action} your own account`);
+  }
+
+  const user = await User.findById(req.params.id).select(USER_FIELDS);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+/**
+ * @desc    List users with search and filters
+ * @route   GET /api/users
+ * @access  Private/Admin
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+  const { q, role, status, page, limit } = req.query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (role) filter.role = role;
+  if (status === "disabled") filter.isDisabled = true;
+  if (status === "active") filter.isDisabled = { $ne: true };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: users.length,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    },
+    data: users
+  });
+});
+
+/**
+ * @desc    Promote or demote a user
+ * @route   PUT /api/users/:id/role
+ * @access  Private/Admin
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const user = await findOtherUser(req, "change the role of");
+
+  user.role = role;
+  await user.save();
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc    Disable or re-enable a user account
+ * @route   PUT /api/users/:id/status
+ * @access  Private/Admin
+ */
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const { isDisabled } = req.body;
+  const user = await findOtherUser(req, "disable");
+
+  user.isDisabled = isDisabled;
+  user.disabledAt = isDisabled ? new Date() : null;
+  await user.save();
+
+  // Sign the account out everywhere so the change applies immediately
+  if (isDisabled) {
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "disabled" }
+    );
+  }
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
@@ -0,0 +1,48 @@
+import { registerHandler, scheduleRecurring, startWorker } from "../utils/jobQueue.js";
+import { MOVIE_BATCH_INSERT, insertMovieBatch } from "./movieJobs.js";
+import {
+  MOVIE_SIMILARITY_REBUILD,
+  SIMILARITY_REBUILD_INTERVAL_MS,
+  TRENDING_REFRESH,
+  TRENDING_REFRESH_INTERVAL_MS,
+  rebuildMovieSimilarities,
+  refreshTrending
+} from "./recommendationJobs.js";
+
+/**
+ * Background jobs
+ * The worker runs inside the API process unless WORKER_MODE=separate, in which
+ * case `npm run worker` (worker.js) must be running to process the queue.
+ */
+
+const registerJobHandlers = () => {
+  registerHandler(MOVIE_BATCH_INSERT, insertMovieBatch, { concurrency: 2 });
+  registerHandler(MOVIE_SIMILARITY_REBUILD, rebuildMovieSimilarities);
+  registerHandler(TRENDING_REFRESH, refreshTrending);
+};
+
+const scheduleRecurringJobs = () => {
+  scheduleRecurring(
+    MOVIE_SIMILARITY_REBUILD,
+    Number(process.env.SIMILARITY_REBUILD_INTERVAL_MS) || SIMILARITY_REBUILD_INTERVAL_MS
+  ).catch(error => console.error("Failed to schedule the similarity rebuild:", error.message));
+  scheduleRecurring(
+    TRENDING_REFRESH,
+    Number(process.env.TRENDING_REFRESH_INTERVAL_MS) || TRENDING_REFRESH_INTERVAL_MS
+  ).catch(error => console.error("Failed to schedule the trending refresh:", error.message));
+};
+
+/**
+ * Register every handler and start a worker configured from the environment
+ */
+export const startJobWorker = () => {
+  registerJobHandlers();
+  scheduleRecurringJobs();
+
+  return startWorker({
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 4,
+    pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS) || 2000
+  });
+};
+
+export const runsInlineWorker = () => process.env.WORKER_MODE !== "separate";
@@ -0,0 +1,164 @@
+import Movie, { SERVER_MOVIE_FIELDS, movieMatchKeys } from "../model/Movie.js";
+import { validateMovieRow } from "../utils/movieImportExport.js";
+import { deletePosterImages } from "../utils/posterImages.js";
+import { recordAudit, snapshotMovie } from "../utils/auditLog.js";
+import { publishEvent } from "../utils/eventStream.js";
+
+/**
+ * Movie background jobs
+ */
+
+export const MOVIE_BATCH_INSERT = "movie-batch-insert";
+
+/**
+ * What to do with a row that matches a movie already in the catalog:
+ *   skip     leave the existing movie alone
+ *   update   overwrite the fields present in the row, keep the others
+ *   replace  replace the movie with the row, defaults for the fields it leaves
+ *            out (reviews, interactions and uploaded posters are kept)
+ */
+export const IMPORT_MODES = ["skip", "update", "replace"];
+
+/**
+ * Row outcomes recorded in job.progress.rows:
+ *   inserted  { index, status, movieId }
+ *   updated   { index, status, movieId }
+ *   replaced  { index, status, movieId }
+ *   skipped   { index, status, movieId, message }  matches an existing movie
+ *   duplicate { index, status, message }           imdbId already used by another movie
+ *   trashed   { index, status, movieId, message }  matches a movie in the trash
+ *   invalid   { index, status, message }           failed validation
+ */
+export const ROW_STATUSES = ["inserted", "updated", "replaced", "skipped", "duplicate", "trashed", "invalid"];
+
+// Rows a retry runs again; a trashed match imports once the movie is restored
+export const isFailedRow = (row) => ["duplicate", "trashed", "invalid"].includes(row.status);
+
+const rowError = (index, error) => {
+  if (error.code === 11000) {
+    return { index, status: "duplicate", message: "A movie with this IMDB ID already exists" };
+  }
+  if (error.name === "ValidationError") {
+    const message = Object.values(error.errors).map(err => err.message).join(", ");
+    return { index, status: "invalid", message };
+  }
+  // Anything else (e.g. a lost connection) fails the attempt so the job is retried
+  throw error;
+};
+
+/**
+ * Find the catalog movie a row refers to: same imdbId first, then same
+ * normalized title and release year. A title match only counts when the
+ * existing movie has no imdbId, or the row would merge two distinct films.
+ * Trashed movies are matched too (their imdbId is still taken), after any
+ * movie in the catalog.
+ */
+const findExisting = async (movie) => {
+  if (movie.imdbId) {
+    const byImdb = await Movie.findOne({ imdbId: movie.imdbId }).setOptions({ withDeleted: true });
+    if (byImdb) return byImdb;
+  }
+
+  return Movie.findOne({
+    ...movieMatchKeys(movie),
+    ...(movie.imdbId && { imdbId: null })
+  })
+    .setOptions({ withDeleted: true })
+    .sort({ deletedAt: 1 });
+};
+
+const importRow = async (row, index, { createdBy, mode, jobId }) => {
+  const parsed = validateMovieRow(row);
+
+  if (!parsed.success) {
+    return { index, status: "invalid", message: parsed.message };
+  }
+
+  const data = parsed.data;
+
+  try {
+    const existing = await findExisting(data);
+
+    if (!existing) {
+      const movie = await Movie.create({ ...data, createdBy });
+      await recordAudit({ action: "create", after: movie, user: createdBy, job: jobId });
+      return { index, status: "inserted", movieId: movie._id };
+    }
+
+    if (existing.deletedAt) {
+      return {
+        index,
+        status: "trashed",
+        movieId: existing._id,
+        message: `Matches "${existing.title}", which is in the trash. Restore it to import this row`
+      };
+    }
+
+    if (mode === "skip") {
+      return {
+        index,
+        status: "skipped",
+        movieId: existing._id,
+        message: `Matches existing movie "${existing.title}"`
+      };
+    }
+
+    const before = snapshotMovie(existing);
+    const { posterUrl, posterImages } = existing;
+
+    if (mode === "update") {
+      existing.set(data);
+    } else {
+      // As if inserted, with the server's fields kept. The match keys are not
+      // loaded (and an unchanged title would not recompute them), so set them
+      const { _id, ...replacement } = new Movie(data).toObject();
+      const kept = Object.fromEntries(SERVER_MOVIE_FIELDS.map(field => [field, existing.get(field)]));
+      existing.overwrite({ ...replacement, ...movieMatchKeys(data), ...kept, posterImages });
+    }
+
+    // A different poster URL in the row replaces an uploaded poster
+    const posterReplaced = posterImages && existing.posterUrl !== posterUrl;
+    if (posterReplaced) existing.posterImages = undefined;
+    await existing.save();
+    if (posterReplaced) await deletePosterImages(posterImages);
+    await recordAudit({ action: "update", before, after: existing, user: createdBy, job: jobId });
+
+    return { index, status: mode === "update" ? "updated" : "replaced", movieId: existing._id };
+  } catch (error) {
+    return rowError(index, error);
+  }
+};
+
+/**
+ * Import the movies of a bulk import one by one, recording the outcome of every row.
+ * Progress is saved after each row, so a retried attempt resumes where the
+ * previous one stopped instead of inserting the same movies twice. Clients
+ * are told the catalog changed once, at the end, rather than per movie.
+ */
+export const insertMovieBatch = async (job, { saveProgress }) => {
+  const { movies, createdBy, mode = "skip" } = job.payload;
+  const rows = [...(job.progress?.rows || [])];
+
+  while (rows.length < movies.length) {
+    rows.push(await importRow(movies[rows.length], rows.length, { createdBy, mode, jobId: job._id }));
+    await saveProgress({ rows });
+  }
+
+  const summary = summarizeRows(rows);
+  if (summary.inserted + summary.updated + summary.replaced > 0) {
+    publishEvent("movies", "movies.imported", { jobId: String(job._id), ...summary });
+  }
+
+  return summary;
+};
+
+/**
+ * Count row outcomes by status
+ */
+export const summarizeRows = (rows = []) => {
+  const summary = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+  rows.forEach(({ status }) => {
+    summary[status]++;
+  });
+  return summary;
+};
@@ -0,0 +1,26 @@
+import { rebuildSimilarities } from "../utils/movieSimilarity.js";
+import { refreshTrendingSnapshots } from "../utils/trending.js";
+
+/**
+ * Recommendation background jobs
+ */
+
+export const MOVIE_SIMILARITY_REBUILD = "movie-similarity-rebuild";
+
+// Default delay between the end of one similarity rebuild and the next
+export const SIMILARITY_REBUILD_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Recompute the item-to-item similarity lists from recent interactions
+ */
+export const rebuildMovieSimilarities = async () => rebuildSimilarities();
+
+export const TRENDING_REFRESH = "trending-refresh";
+
+// Default delay between the end of one trending refresh and the next
+export const TRENDING_REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Rebuild the trending snapshots of every window and genre
+ */
+export const refreshTrending = async () => refreshTrendingSnapshots();
@@ -1,7 +1,28 @@
 import jwt from "jsonwebtoken";
 import User from "../model/User.js";
+import Session from "../model/Session.js";
 import { ApiError, asyncHandler } from "../utils/errorHandler.js";
 
+/**
+ * Verify an access token and check that its session has not been revoked.
+ * Returns the user id, or throws.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const active = decoded.sid && await Session.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null
+  });
+
+  if (!active) {
+    throw new ApiError(401, "Session has been revoked");
+  }
+
+  return decoded.id;
+};
+
 /**
  * Protect routes - Verify JWT token
  */
@@ -19,18 +40,24 @@ export const protect = asyncHandler(async (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = await verifyAccessToken(token);
     
     // Get user from token
-    req.user = await User.findById(decoded.id).select("-password");
+    req.user = await User.findById(userId).select("-password");
     
     if (!req.user) {
       return next(new ApiError(401, "User not found"));
     }
 
+    if (req.user.isDisabled) {
+      return next(new ApiError(403, "This account has been disabled"));
+    }
+
     next();
   } catch (error) {
-    return next(new ApiError(401, "Not authorized to access this route"));
+    // Expired tokens get a distinct message so clients know to refresh
+    const message = error.name === "TokenExpiredError" ? "Token expired" : "Not authorized to access this route";
+    return next(new ApiError(401, message));
   }
 });
 
@@ -61,10 +88,15 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
+      const userId = await verifyAccessToken(token);
+      const user = await User.findById(userId).select("-password");
+      req.user = user && !user.isDisabled ? user : null;
     } catch (error) {
-      // Ignore token errors for optional auth
+      // An expired token is reported so the client refreshes and retries;
+      // any other token error falls back to anonymous access
+      if (error.name === "TokenExpiredError") {
+        return next(new ApiError(401, "Token expired"));
+      }
       req.user = null;
     }
   }
@@ -0,0 +1,206 @@
+import { ApiError } from "../utils/errorHandler.js";
+
+/**
+ * Rate Limiting Middleware
+ * Fixed-window request limits and progressive login lockout.
+ *
+ * Counters live in a store with this async interface, so the in-memory
+ * store can be swapped for a shared one (e.g. Redis) without touching routes:
+ *   increment(key, windowMs) -> { count, resetAt }  start a window on first hit
+ *   get(key)                 -> value | undefined
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ */
+
+/**
+ * In-memory store. Per-process only: limits are not shared between instances.
+ */
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired entries periodically; unref so the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref?.();
+  }
+
+  getLive(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async increment(key, windowMs) {
+    const entry = this.getLive(key);
+
+    if (!entry) {
+      const resetAt = Date.now() + windowMs;
+      this.entries.set(key, { value: 1, expiresAt: resetAt });
+      return { count: 1, resetAt };
+    }
+
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    return this.getLive(key)?.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Replace the store used by limiters that do not pass their own
+ * (must be called before the limiters are created)
+ */
+export const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = new MemoryStore();
+  return defaultStore;
+};
+
+/**
+ * Key generators
+ */
+export const byIp = (req) => req.ip;
+
+// Authenticated user, else the account named in the request body (login, forgot-password)
+export const byAccount = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  const email = req.body?.email;
+  return typeof email === "string" && email ? `email:${email.trim().toLowerCase()}` : null;
+};
+
+const secondsUntil = (timestamp) => Math.max(Math.ceil((timestamp - Date.now()) / 1000), 0);
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set("Retry-After", String(retryAfter));
+  return new ApiError(429, `${message}. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}`);
+};
+
+/**
+ * Create a fixed-window rate limiter
+ * @param {Object} options
+ * @param {string} options.name - Bucket name, keeps counters of different limiters apart
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} [options.keyGenerator] - (req) => key; a null key skips the limiter
+ * @param {string} [options.message] - Error message when the limit is hit
+ * @param {Object} [options.store] - Store implementation (defaults to the shared store)
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = "Too many requests",
+  store
+}) => {
+  if (!name || !windowMs || !max) {
+    throw new Error("rateLimit requires name, windowMs and max");
+  }
+
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await (store || getDefaultStore()).increment(`rl:${name}:${key}`, windowMs);
+      const reset = secondsUntil(resetAt);
+
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(max - count, 0)),
+        "RateLimit-Reset": String(reset)
+      });
+
+      if (count > max) {
+        return next(tooManyRequests(res, reset, message));
+      }
+
+      next();
+    } catch (error) {
+      // Never take the API down because the limiter store is unavailable
+      console.error("Rate limiter error:", error.message);
+      next();
+    }
+  };
+};
+
+/**
+ * Progressive lockout for failed logins, keyed by account.
+ * After `threshold` failures within `failureWindowMs` the account is locked for
+ * `baseLockMs`, doubling with every further failure up to `maxLockMs`.
+ * A successful login clears the failures.
+ *
+ * The outcome is read from the response status (401 = failure, 2xx = success),
+ * so the login controller itself does not need to know about the lockout.
+ */
+export const loginLockout = ({
+  threshold = 5,
+  failureWindowMs = 24 * 60 * 60 * 1000,
+  baseLockMs = 60 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  keyGenerator = byAccount,
+  store
+} = {}) => {
+  return async (req, res, next) => {
+    const activeStore = store || getDefaultStore();
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const failuresKey = `lockout:failures:${key}`;
+    const lockedKey = `lockout:until:${key}`;
+
+    try {
+      const lockedUntil = await activeStore.get(lockedKey);
+      if (lockedUntil && lockedUntil > Date.now()) {
+        return next(tooManyRequests(res, secondsUntil(lockedUntil), "Too many failed login attempts"));
+      }
+    } catch (error) {
+      console.error("Login lockout error:", error.message);
+      return next();
+    }
+
+    res.on("finish", () => {
+      const record = async () => {
+        if (res.statusCode === 401) {
+          const { count } = await activeStore.increment(failuresKey, failureWindowMs);
+          if (count >= threshold) {
+            const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+            await activeStore.set(lockedKey, Date.now() + lockMs, lockMs);
+          }
+        } else if (res.statusCode < 300) {
+          await activeStore.delete(failuresKey);
+          await activeStore.delete(lockedKey);
+        }
+      };
+
+      record().catch(error => console.error("Login lockout error:", error.message));
+    });
+
+    next();
+  };
+};
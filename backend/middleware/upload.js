@@ -0,0 +1,52 @@
+import multer from "multer";
+import { POSTER_UPLOAD } from "../../shared/validation/index.js";
+import { ApiError } from "../utils/errorHandler.js";
+
+/**
+ * Upload Middleware
+ * Parses multipart movie forms. Files are kept in memory (they are small and
+ * get resized before storing) and limits are enforced while streaming.
+ */
+
+const posterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: POSTER_UPLOAD.maxBytes, files: 1, fields: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!POSTER_UPLOAD.types.includes(file.mimetype)) {
+      return cb(new ApiError(415, "Poster must be a JPEG, PNG or WebP image"));
+    }
+    cb(null, true);
+  }
+}).single("poster");
+
+const toUploadError = (error) => {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  if (error.code === "LIMIT_FILE_SIZE") {
+    return new ApiError(413, `Poster cannot be larger than ${POSTER_UPLOAD.maxBytes / 1024 / 1024}MB`);
+  }
+  if (error.code === "LIMIT_UNEXPECTED_FILE") {
+    return new ApiError(400, `Unexpected file field "${error.field}", expected "poster"`);
+  }
+  return new ApiError(400, error.message);
+};
+
+/**
+ * Accept a movie either as JSON or as multipart/form-data with the movie JSON
+ * in a "data" field and an optional "poster" file (available as req.file).
+ * The parsed data replaces req.body so validation works the same for both.
+ */
+export const movieForm = (req, res, next) => {
+  if (!req.is("multipart/form-data")) return next();
+
+  posterUpload(req, res, (error) => {
+    if (error) return next(toUploadError(error));
+
+    try {
+      req.body = req.body?.data ? JSON.parse(req.body.data) : {};
+    } catch {
+      return next(new ApiError(400, 'The "data" field must be valid JSON'));
+    }
+    next();
+  });
+};
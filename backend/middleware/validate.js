@@ -0,0 +1,59 @@
+import { z } from "zod";
+import { createSchemas } from "../../shared/validation/index.js";
+import { RequestValidationError } from "../utils/errorHandler.js";
+
+/**
+ * Request Validation Middleware
+ * Schemas are shared with the frontend (see /shared/validation).
+ */
+export const schemas = createSchemas(z);
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validate and normalize request input against zod schemas.
+ * Parsed values replace the originals, so unknown body fields are stripped
+ * and query params arrive coerced (e.g. page/limit as numbers).
+ *
+ * @param {Object} shape - { params?, query?, body? } zod schemas
+ */
+export const validate = (shape) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    const schema = shape[location];
+    if (!schema) continue;
+
+    const result = schema.safeParse(req[location] ?? {});
+
+    if (!result.success) {
+      errors.push(
+        ...result.error.issues.map(issue => ({
+          location,
+          field: issue.path.join("."),
+          message: issue.message
+        }))
+      );
+      continue;
+    }
+
+    if (location === "query") {
+      // req.query is a getter in Express 5; shadow it with the parsed value
+      Object.defineProperty(req, "query", {
+        value: result.data,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    } else {
+      req[location] = result.data;
+    }
+  }
+
+  if (errors.length > 0) {
+    const summary = [...new Set(errors.map(error => error.message))].join(", ");
+    return next(new RequestValidationError(errors, summary));
+  }
+
+  next();
+};
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { AUDIT_ACTIONS } from "../../shared/validation/index.js";
+
+/**
+ * AuditLog Model
+ * One entry per catalog change. `changes` holds the field-level diff and
+ * `snapshot` the audited fields as they were after the change, so a movie can
+ * be reverted to any recorded version (see utils/auditLog.js).
+ */
+
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true
+    },
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    // Kept so entries stay readable after the movie is purged
+    movieTitle: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    // Import job that made the change, if any
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job"
+    },
+    changes: {
+      type: [auditChangeSchema],
+      default: []
+    },
+    snapshot: mongoose.Schema.Types.Mixed,
+    // Action specific details, e.g. the merged movie ids or the reverted entry
+    details: mongoose.Schema.Types.Mixed
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+  }
+);
+
+auditLogSchema.index({ movie: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { EXPERIMENT_STATUSES } from "../../shared/validation/index.js";
+
+/**
+ * Experiment Model
+ * An A/B test of ranking strategies. While it runs, every user is bucketed
+ * into one of its variants by a hash of their id, so they keep seeing the
+ * same one; at most one experiment runs at a time (see utils/rankingStrategy.js).
+ */
+
+const experimentVariantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true
+    },
+    // Ranking strategy name; its latest version is used
+    strategy: {
+      type: String,
+      required: true
+    },
+    // Share of the users, relative to the other variants
+    traffic: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Movies served in feed pages ranked by this variant
+    impressions: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const experimentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    description: String,
+    status: {
+      type: String,
+      enum: EXPERIMENT_STATUSES,
+      default: "draft"
+    },
+    variants: {
+      type: [experimentVariantSchema],
+      default: []
+    },
+    startedAt: Date,
+    stoppedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Only one experiment can run at a time
+experimentSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: "running" } });
+
+const Experiment = mongoose.model("Experiment", experimentSchema);
+
+export default Experiment;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+/**
+ * FeedImpression Model
+ * A movie shown in a user's feed and not engaged with since. `sessions`
+ * counts the feed sessions (visits, from a first page to the end of
+ * scrolling) it was shown in; the feed demotes movies ignored in several
+ * sessions. Engaging with the movie removes the entry (see utils/feedImpressions.js).
+ */
+const feedImpressionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    sessions: {
+      type: Number,
+      default: 0
+    },
+    // Feed session it was last shown in, so a session counts once
+    lastSession: String,
+    lastShownAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+feedImpressionSchema.index({ user: 1, movie: 1 }, { unique: true });
+feedImpressionSchema.index({ movie: 1 });
+// Ignoring a movie a month ago says little about today
+feedImpressionSchema.index({ lastShownAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const FeedImpression = mongoose.model("FeedImpression", feedImpressionSchema);
+
+export default FeedImpression;
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+/**
+ * Job Model
+ * Background work persisted in MongoDB so it survives restarts.
+ *
+ * Lifecycle:
+ *   queued    waiting for a worker (runAt may be in the future)
+ *   running   claimed by a worker until lockedUntil; an expired lock means the
+ *             worker died and the job can be claimed again
+ *   succeeded finished
+ *   failed    last attempt threw; retried at runAt with exponential backoff
+ *   dead      gave up after maxAttempts
+ */
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "dead"];
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued"
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1
+    },
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    // Handler-owned state, saved between attempts so a retry can resume
+    progress: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+// Claiming: due jobs of a type, oldest first
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+// Reclaiming jobs whose worker stopped renewing its lock
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// Finished jobs are kept for a week so their outcome can still be looked up
+jobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: "succeeded" } }
+);
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
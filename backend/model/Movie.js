@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { normalizeTitle } from "../utils/searchUtils.js";
 
 const movieSchema = new mongoose.Schema(
   {
@@ -30,6 +31,18 @@ const movieSchema = new mongoose.Schema(
       default: 0
     },
 
+    // Aggregate of user reviews, maintained by the review controller
+    userRating: {
+      average: {
+        type: Number,
+        default: 0
+      },
+      count: {
+        type: Number,
+        default: 0
+      }
+    },
+
     genre: {
       type: [String],
       required: true
@@ -50,15 +63,46 @@ const movieSchema = new mongoose.Schema(
       required: true
     },
 
+    // Resized copies of an uploaded poster, smallest first (see utils/posterImages.js)
+    posterImages: {
+      type: [
+        {
+          _id: false,
+          width: Number,
+          height: Number,
+          key: String,
+          url: String
+        }
+      ],
+      default: undefined
+    },
+
     imdbId: {
       type: String,
       unique: true,
       sparse: true
     },
 
+    // Derived match keys for import de-duplication (kept in sync by the hooks below)
+    normalizedTitle: {
+      type: String,
+      select: false
+    },
+    releaseYear: Number,
+
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
+    },
+
+    // Set when the movie is in the trash (see the soft delete hooks below)
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
     }
   },
   {
@@ -72,8 +116,76 @@ movieSchema.index({ rating: -1 });
 movieSchema.index({ releaseDate: -1 });
 movieSchema.index({ duration: 1 });
 movieSchema.index({ genre: 1 });
+movieSchema.index({ director: 1 });
+movieSchema.index({ cast: 1 });
 movieSchema.index({ createdAt: -1 });
 movieSchema.index({ title: 1 });
+movieSchema.index({ normalizedTitle: 1, releaseYear: 1 });
+movieSchema.index({ deletedAt: -1 });
+
+/**
+ * Fields the server maintains rather than the catalog data, kept when an
+ * import replaces a movie (see jobs/movieJobs.js)
+ */
+export const SERVER_MOVIE_FIELDS = ["createdBy", "userRating", "createdAt", "deletedAt", "deletedBy"];
+
+/**
+ * Match keys derived from title and release date
+ */
+export const movieMatchKeys = ({ title, releaseDate }) => ({
+  ...(title !== undefined && { normalizedTitle: normalizeTitle(title) }),
+  ...(releaseDate && { releaseYear: new Date(releaseDate).getUTCFullYear() })
+});
+
+movieSchema.pre("validate", function () {
+  if (this.isModified("title") || this.isModified("releaseDate")) {
+    Object.assign(this, movieMatchKeys(this));
+  }
+});
+
+movieSchema.pre(["findOneAndUpdate", "updateOne"], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  const fields = update.$set || update;
+  Object.assign(fields, movieMatchKeys(fields));
+});
+
+/**
+ * Soft delete: trashed movies keep their document with deletedAt set and are
+ * left out of every query (including populate and aggregate) unless the filter
+ * mentions deletedAt or the query sets the withDeleted option:
+ *   Movie.find({ deletedAt: { $ne: null } })          trash only
+ *   Movie.find().setOptions({ withDeleted: true })    everything
+ */
+const includesDeleted = (options, filter) => {
+  const withDeleted = options.withDeleted;
+  // Not a driver option, so never pass it on
+  delete options.withDeleted;
+  return Boolean(withDeleted) || (filter !== undefined && "deletedAt" in filter);
+};
+
+movieSchema.pre(
+  ["find", "findOne", "countDocuments", "distinct", "findOneAndUpdate", "updateOne", "updateMany"],
+  function () {
+    if (!includesDeleted(this.getOptions(), this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+movieSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const match = pipeline[0]?.$match;
+  if (includesDeleted(this.options, match)) return;
+
+  // $text only works in the first stage, so extend a leading $match instead of adding one
+  if (match) {
+    pipeline[0] = { $match: { ...match, deletedAt: null } };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
 
 const Movie = mongoose.model("Movie", movieSchema);
 
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+/**
+ * MovieList Model
+ * Ordered, user-owned lists of movies. Every user has one watchlist created on demand.
+ */
+const listEntrySchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+      default: ""
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const movieListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, "List name is required"],
+      trim: true,
+      maxlength: [100, "List name cannot exceed 100 characters"]
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: ""
+    },
+    isPublic: {
+      type: Boolean,
+      default: false
+    },
+    isWatchlist: {
+      type: Boolean,
+      default: false
+    },
+    // Array order is the list order
+    entries: {
+      type: [listEntrySchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+movieListSchema.index({ owner: 1, createdAt: 1 });
+// At most one watchlist per user
+movieListSchema.index(
+  { owner: 1 },
+  { unique: true, partialFilterExpression: { isWatchlist: true } }
+);
+movieListSchema.index({ "entries.movie": 1 });
+
+const MovieList = mongoose.model("MovieList", movieListSchema);
+
+export default MovieList;
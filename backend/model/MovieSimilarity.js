@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+/**
+ * MovieSimilarity Model
+ * The nearest neighbours of a movie by how often the same users interacted
+ * with both ("users who liked this also liked"). Rebuilt as a whole by a
+ * recurring job (see utils/movieSimilarity.js).
+ */
+const similarMovieSchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    // Cosine similarity of the two movies' weighted interactions, 0-1
+    score: {
+      type: Number,
+      required: true
+    },
+    // Users who interacted with both
+    users: {
+      type: Number,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+const movieSimilaritySchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true,
+      unique: true
+    },
+    // Most similar first
+    similar: {
+      type: [similarMovieSchema],
+      default: []
+    },
+    builtAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+movieSimilaritySchema.index({ builtAt: 1 });
+// Removing a movie from the lists it appears in
+movieSimilaritySchema.index({ "similar.movie": 1 });
+
+const MovieSimilarity = mongoose.model("MovieSimilarity", movieSimilaritySchema);
+
+export default MovieSimilarity;
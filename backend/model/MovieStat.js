@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+/**
+ * MovieStat Model
+ * Interaction counters per movie and UTC day, incremented as interactions are
+ * tracked. Popularity over any recent window is a sum over a few buckets
+ * instead of a scan of the raw interactions (see utils/movieStats.js).
+ */
+const movieStatSchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    // UTC midnight of the day the interactions happened
+    day: {
+      type: Date,
+      required: true
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    counts: {
+      view: { type: Number, default: 0 },
+      like: { type: Number, default: 0 },
+      share: { type: Number, default: 0 },
+      search: { type: Number, default: 0 },
+      click: { type: Number, default: 0 }
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+movieStatSchema.index({ movie: 1, day: 1 }, { unique: true });
+// Buckets older than any popularity window are removed by MongoDB
+movieStatSchema.index({ day: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const MovieStat = mongoose.model("MovieStat", movieStatSchema);
+
+export default MovieStat;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import { RANKING_COMPONENTS } from "../../shared/validation/index.js";
+
+/**
+ * RankingStrategy Model
+ * A named set of feed ranking weights. Versions are never edited: saving a
+ * strategy adds a version, and the latest one is used, so served feeds and
+ * experiment reports can tell which weights they were ranked with
+ * (see utils/rankingStrategy.js).
+ */
+const rankingStrategySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    description: String,
+    // Score component -> weight, 0 to 1
+    weights: Object.fromEntries(
+      RANKING_COMPONENTS.map(component => [component, { type: Number, required: true, min: 0, max: 1 }])
+    ),
+    // Days of interactions the popularity score counts
+    popularityDays: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+rankingStrategySchema.index({ name: 1, version: -1 }, { unique: true });
+
+/**
+ * The strategy version, and the experiment variant if any, a feed was ranked
+ * with; stored on served feeds and on the interactions that follow
+ */
+export const servedRankingSchema = new mongoose.Schema(
+  {
+    strategy: String,
+    version: Number,
+    experiment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Experiment"
+    },
+    variant: String
+  },
+  { _id: false }
+);
+
+const RankingStrategy = mongoose.model("RankingStrategy", rankingStrategySchema);
+
+export default RankingStrategy;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+/**
+ * Review Model
+ * A user's score and optional written review for a movie (one per user per movie)
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    score: {
+      type: Number,
+      required: [true, "Score is required"],
+      min: [1, "Score must be between 1 and 10"],
+      max: [10, "Score must be between 1 and 10"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Score must be a whole number"
+      }
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Review cannot exceed 2000 characters"],
+      default: ""
+    },
+    spoiler: {
+      type: Boolean,
+      default: false
+    },
+    helpfulVotes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        }
+      ],
+      select: false // Only needed when voting
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One review per user per movie
+reviewSchema.index({ movie: 1, user: 1 }, { unique: true });
+// Listing sorted by newest or most helpful
+reviewSchema.index({ movie: 1, createdAt: -1 });
+reviewSchema.index({ movie: 1, helpfulCount: -1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+/**
+ * ServerEvent Model
+ * A batch of events published by one process (an API instance or a job
+ * worker). The other API processes follow the inserts with a change stream
+ * and push the events to their clients (see utils/eventStream.js).
+ */
+const eventSchema = new mongoose.Schema(
+  {
+    topic: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  { _id: false, minimize: false }
+);
+
+const serverEventSchema = new mongoose.Schema(
+  {
+    // Stream id of the publishing process, which delivered the events itself
+    origin: {
+      type: String,
+      required: true
+    },
+    events: [eventSchema]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+// Only read as they are inserted; kept a while for inspection
+serverEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const ServerEvent = mongoose.model("ServerEvent", serverEventSchema);
+
+export default ServerEvent;
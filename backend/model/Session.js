@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+/**
+ * Session Model
+ * One document per login. The session holds the hash of its current refresh
+ * token; every refresh rotates it. The token it replaced is still accepted
+ * for a few seconds, as tabs sharing the cookie may refresh at once; presented
+ * again after that, it was stolen and the whole session is revoked.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // The token replaced by the last rotation, and when it was replaced
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    rotatedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout-all", "reuse", "disabled", "password-reset", null],
+      default: null
+    },
+    userAgent: String,
+    ip: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { TRENDING_WINDOWS } from "../../shared/validation/index.js";
+
+/**
+ * TrendingSnapshot Model
+ * The trending movies of one window, overall (region and genre ""), within
+ * one genre or within one region, best first. Rebuilt by a recurring job so
+ * requests only read them (see utils/trending.js).
+ */
+
+const trendingItemSchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    score: Number,
+    // Recent interaction rate over the earlier rate; above 1 is rising
+    velocity: Number,
+    interactions: Number
+  },
+  { _id: false }
+);
+
+const trendingSnapshotSchema = new mongoose.Schema(
+  {
+    window: {
+      type: String,
+      enum: TRENDING_WINDOWS,
+      required: true
+    },
+    // Country code the interactions were made from, "" for all regions
+    region: {
+      type: String,
+      default: ""
+    },
+    // Lowercase genre name, "" for all movies
+    genre: {
+      type: String,
+      default: ""
+    },
+    items: {
+      type: [trendingItemSchema],
+      default: []
+    },
+    builtAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+trendingSnapshotSchema.index({ window: 1, region: 1, genre: 1 }, { unique: true });
+
+const TrendingSnapshot = mongoose.model("TrendingSnapshot", trendingSnapshotSchema);
+
+export default TrendingSnapshot;
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import { hashToken, randomToken } from "../utils/tokens.js";
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
 
 const userSchema = new mongoose.Schema(
   {
@@ -33,6 +37,36 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user"
     },
+    // Disabled accounts cannot log in or use existing tokens
+    isDisabled: {
+      type: Boolean,
+      default: false
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false
+    },
+    // Single-use tokens: only the hash is stored, cleared once used
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    passwordResetToken: {
+      type: String,
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
     interactionHistory: {
       viewedMovies: [
         {
@@ -64,9 +98,7 @@ const userSchema = new mongoose.Schema(
             default: Date.now
           }
         }
-      ],
-      preferredGenres: [String],
-      preferredDirectors: [String]
+      ]
     }
   },
   {
@@ -95,9 +127,27 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue an email verification token; returns the raw token to send to the user
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = randomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Issue a password reset token; returns the raw token to send to the user
+userSchema.methods.createPasswordResetToken = function () {
+  const token = randomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
 // Indexes for performance
 // Note: email and username are already indexed via unique: true
 userSchema.index({ "interactionHistory.viewedMovies.movieId": 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 const User = mongoose.model("User", userSchema);
 
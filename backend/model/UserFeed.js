@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { servedRankingSchema } from "./RankingStrategy.js";
+
+/**
+ * UserFeed Model
+ * A user's ranked feed, generated from a candidate set and cached so feed
+ * pages are served by slicing instead of re-scoring. New interactions mark
+ * it stale; it is rebuilt on the next first-page request (see utils/movieFeed.js).
+ */
+const feedItemSchema = new mongoose.Schema(
+  {
+    movie: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Movie",
+      required: true
+    },
+    score: Number,
+    // Weighted score components (see scoreRecommendation in utils/recommendationEngine.js)
+    breakdown: mongoose.Schema.Types.Mixed,
+    // { type, label, key } (see explainRecommendation)
+    reason: mongoose.Schema.Types.Mixed,
+    // Already viewed by the user, for hiding viewed movies
+    viewed: Boolean
+  },
+  { _id: false }
+);
+
+const userFeedSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true
+    },
+    // In feed order
+    items: {
+      type: [feedItemSchema],
+      default: []
+    },
+    // Strategy and experiment variant the items were ranked with
+    ranking: servedRankingSchema,
+    generatedAt: {
+      type: Date,
+      required: true
+    },
+    stale: {
+      type: Boolean,
+      default: false
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// Expired feeds are removed by MongoDB
+userFeedSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserFeed = mongoose.model("UserFeed", userFeedSchema);
+
+export default UserFeed;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { servedRankingSchema } from "./RankingStrategy.js";
 
 /**
  * UserInteraction Model
@@ -20,7 +21,7 @@ const userInteractionSchema = new mongoose.Schema(
     },
     interactionType: {
       type: String,
-      enum: ["view", "like", "share", "search", "click"],
+      enum: ["view", "like", "share", "search", "click", "not_interested"],
       required: true
     },
     metadata: {
@@ -32,10 +33,15 @@ const userInteractionSchema = new mongoose.Schema(
         default: Date.now
       }
     },
+    // Signal added to the taste profile; negative for "not interested" and bounces
     weight: {
       type: Number,
-      default: 1 // Used for recommendation algorithm
-    }
+      default: 1
+    },
+    // Country the interaction was made from, for regional trending (see requestRegion in utils/trending.js)
+    region: String,
+    // Ranking of the user's feed when this happened, for experiment reports
+    ranking: servedRankingSchema
   },
   {
     timestamps: true
@@ -47,6 +53,9 @@ userInteractionSchema.index({ userId: 1, interactionType: 1 });
 userInteractionSchema.index({ movieId: 1, interactionType: 1 });
 userInteractionSchema.index({ userId: 1, createdAt: -1 });
 userInteractionSchema.index({ "metadata.timestamp": -1 });
+// Recent interactions across users, for trending and similarity rebuilds
+userInteractionSchema.index({ createdAt: -1 });
+userInteractionSchema.index({ "ranking.experiment": 1, "ranking.variant": 1 }, { sparse: true });
 
 const UserInteraction = mongoose.model("UserInteraction", userInteractionSchema);
 
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+export const TASTE_KINDS = ["genre", "director", "cast"];
+
+/**
+ * UserTaste Model
+ * How much a user likes one genre, director or cast member. Interactions add
+ * to the score by type and it decays over time; a negative score means the
+ * user avoids it. `score` is the value as of `updatedAt` - read it through
+ * utils/tasteProfile.js, which applies the decay since then.
+ */
+const userTasteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: TASTE_KINDS,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+userTasteSchema.index({ user: 1, kind: 1, name: 1 }, { unique: true });
+// Untouched for a year, a score has decayed to nothing and is removed by MongoDB
+userTasteSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const UserTaste = mongoose.model("UserTaste", userTasteSchema);
+
+export default UserTaste;
@@ -0,0 +1,15 @@
+import express from "express";
+import { getAuditLog, revertMovie } from "../controller/auditController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+const router = express.Router();
+const { audit, common } = schemas;
+
+// Admin routes (require authentication and admin role)
+router.use(protect, authorize("admin"));
+
+router.get("/", validate({ query: audit.query }), getAuditLog);
+router.post("/:id/revert", validate({ params: common.idParams }), revertMovie);
+
+export default router;
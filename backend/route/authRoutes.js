@@ -1,11 +1,37 @@
 import express from "express";
-import { register, login, getMe } from "../controller/authController.js";
+import {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} from "../controller/authController.js";
 import { protect } from "../middleware/auth.js";
+import { limiters } from "../config/rateLimits.js";
+import { validate, schemas } from "../middleware/validate.js";
 
 const router = express.Router();
+const { auth } = schemas;
 
-router.post("/register", register);
-router.post("/login", login);
+router.post("/register", limiters.register, validate({ body: auth.register }), register);
+router.post("/login", limiters.login, validate({ body: auth.login }), login);
+router.post("/refresh", limiters.refresh, refresh);
+router.post("/logout", logout);
+router.post("/logout-all", protect, logoutAll);
+router.post("/forgot-password", limiters.accountEmail, validate({ body: auth.forgotPassword }), forgotPassword);
+router.post(
+  "/reset-password/:token",
+  limiters.authToken,
+  validate({ params: auth.tokenParams, body: auth.resetPassword }),
+  resetPassword
+);
+router.post("/verify-email/:token", limiters.authToken, validate({ params: auth.tokenParams }), verifyEmail);
+router.post("/resend-verification", protect, limiters.accountEmail, resendVerification);
 router.get("/me", protect, getMe);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { streamEvents } from "../controller/eventController.js";
+import { optionalAuth } from "../middleware/auth.js";
+import { limiters } from "../config/rateLimits.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+const router = express.Router();
+const { events } = schemas;
+
+router.get("/", limiters.events, optionalAuth, validate({ query: events.stream }), streamEvents);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  getMyLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListEntry,
+  updateListEntry,
+  removeListEntry,
+  reorderList
+} from "../controller/listController.js";
+import { protect, optionalAuth } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+const router = express.Router();
+const { lists, common } = schemas;
+const withId = { params: common.idParams };
+const withEntry = { params: lists.entryParams };
+
+// Public routes (public lists are shareable by URL)
+router.get("/:id", validate(withId), optionalAuth, getList);
+
+// Protected routes (require authentication)
+router.get("/", protect, getMyLists);
+router.post("/", protect, validate({ body: lists.list }), createList);
+router.put("/:id", protect, validate({ ...withId, body: lists.listUpdate }), updateList);
+router.delete("/:id", protect, validate(withId), deleteList);
+router.post("/:id/entries", protect, validate({ ...withId, body: lists.addEntry }), addListEntry);
+router.put("/:id/entries/:movieId", protect, validate({ ...withEntry, body: lists.updateEntry }), updateListEntry);
+router.delete("/:id/entries/:movieId", protect, validate(withEntry), removeListEntry);
+router.put("/:id/order", protect, validate({ ...withId, body: lists.reorder }), reorderList);
+
+export default router;
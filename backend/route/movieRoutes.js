@@ -5,32 +5,70 @@ import {
   getTrending,
   getSortedMovies,
   searchMovies,
+  suggestMovies,
   getMovieById,
+  getSimilarMovies,
   createMovie,
   createMoviesBatch,
+  getBatchStatus,
+  retryBatch,
+  importMovies,
+  exportMovies,
+  getDuplicates,
+  mergeMovie,
   updateMovie,
   deleteMovie,
+  getTrash,
+  restoreMovie,
+  purgeMovie,
   trackInteraction
 } from "../controller/movieController.js";
 import { protect, authorize, optionalAuth } from "../middleware/auth.js";
+import { limiters } from "../config/rateLimits.js";
+import { validate, schemas } from "../middleware/validate.js";
+import { movieForm } from "../middleware/upload.js";
+import reviewRoutes from "./reviewRoutes.js";
 
 const router = express.Router();
+const { movies } = schemas;
+const withId = { params: movies.movieIdParams };
+
+// An uploaded poster stands in for posterUrl on create
+const validateNewMovie = (req, res, next) =>
+  validate({ body: req.file ? movies.movieWithPoster : movies.movie })(req, res, next);
 
 // Public routes
-router.get("/", getMovies);
-router.get("/trending", getTrending);
-router.get("/sorted", getSortedMovies);
-router.get("/search", optionalAuth, searchMovies);
-router.get("/:id", optionalAuth, getMovieById);
+router.get("/", validate({ query: movies.listQuery }), getMovies);
+router.get("/trending", validate({ query: movies.trendingQuery }), getTrending);
+router.get("/sorted", validate({ query: movies.sortedQuery }), getSortedMovies);
+router.get("/search", limiters.search, validate({ query: movies.searchQuery }), optionalAuth, searchMovies);
+router.get("/suggest", limiters.suggest, validate({ query: movies.suggestQuery }), suggestMovies);
 
 // Protected routes (require authentication)
-router.get("/feed", protect, getMovieFeed);
-router.post("/:id/interaction", protect, trackInteraction);
+// Static paths must be registered before "/:id" or they are captured as ids
+router.get("/feed", protect, validate({ query: movies.feedQuery }), getMovieFeed);
+router.get("/duplicates", protect, authorize("admin"), validate({ query: movies.duplicatesQuery }), getDuplicates);
+router.get("/export", protect, authorize("admin"), validate({ query: movies.exportQuery }), exportMovies);
+router.get("/trash", protect, authorize("admin"), validate({ query: movies.trashQuery }), getTrash);
+
+router.get("/:id", validate(withId), optionalAuth, getMovieById);
+router.get("/:id/similar", validate({ ...withId, query: movies.topQuery }), getSimilarMovies);
+
+// Nested resources
+router.use("/:id/reviews", validate(withId), reviewRoutes);
+
+router.post("/:id/interaction", protect, validate({ ...withId, body: movies.interaction }), trackInteraction);
 
 // Admin routes (require authentication and admin role)
-router.post("/", protect, authorize("admin"), createMovie);
-router.post("/batch", protect, authorize("admin"), createMoviesBatch);
-router.put("/:id", protect, authorize("admin"), updateMovie);
-router.delete("/:id", protect, authorize("admin"), deleteMovie);
+router.post("/", protect, authorize("admin"), movieForm, validateNewMovie, createMovie);
+router.post("/batch", protect, authorize("admin"), validate({ body: movies.batch }), createMoviesBatch);
+router.post("/import", protect, authorize("admin"), validate({ query: movies.importQuery }), importMovies);
+router.get("/batch/:jobId", protect, authorize("admin"), validate({ params: movies.batchParams }), getBatchStatus);
+router.post("/batch/:jobId/retry", protect, authorize("admin"), validate({ params: movies.batchParams }), retryBatch);
+router.post("/:id/merge", protect, authorize("admin"), validate({ ...withId, body: movies.merge }), mergeMovie);
+router.put("/:id", protect, authorize("admin"), movieForm, validate({ ...withId, body: movies.movieUpdate }), updateMovie);
+router.delete("/:id", protect, authorize("admin"), validate(withId), deleteMovie);
+router.post("/:id/restore", protect, authorize("admin"), validate(withId), restoreMovie);
+router.delete("/:id/purge", protect, authorize("admin"), validate(withId), purgeMovie);
 
 export default router;
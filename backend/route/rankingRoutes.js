@@ -0,0 +1,41 @@
+import express from "express";
+import {
+  createExperiment,
+  deleteExperiment,
+  getExperimentResults,
+  getExperiments,
+  getStrategies,
+  getStrategyVersions,
+  saveStrategy,
+  updateExperiment,
+  updateExperimentStatus
+} from "../controller/rankingController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+const router = express.Router();
+const { ranking, common } = schemas;
+
+// Admin routes (require authentication and admin role)
+router.use(protect, authorize("admin"));
+
+router.get("/strategies", getStrategies);
+router.post("/strategies", validate({ body: ranking.strategy }), saveStrategy);
+router.get("/strategies/:name", validate({ params: ranking.strategyParams }), getStrategyVersions);
+
+router.get("/experiments", getExperiments);
+router.post("/experiments", validate({ body: ranking.experiment }), createExperiment);
+router.put(
+  "/experiments/:id",
+  validate({ params: common.idParams, body: ranking.experiment }),
+  updateExperiment
+);
+router.delete("/experiments/:id", validate({ params: common.idParams }), deleteExperiment);
+router.put(
+  "/experiments/:id/status",
+  validate({ params: common.idParams, body: ranking.experimentStatus }),
+  updateExperimentStatus
+);
+router.get("/experiments/:id/report", validate({ params: common.idParams }), getExperimentResults);
+
+export default router;
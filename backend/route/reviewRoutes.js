@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getMovieReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  toggleHelpful
+} from "../controller/reviewController.js";
+import { protect, optionalAuth } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+// Mounted under /api/movies/:id/reviews
+const router = express.Router({ mergeParams: true });
+const { reviews } = schemas;
+const withReviewId = { params: reviews.params };
+
+// Public routes
+router.get("/", validate({ query: reviews.query }), optionalAuth, getMovieReviews);
+
+// Protected routes (require authentication)
+router.post("/", protect, validate({ body: reviews.review }), createReview);
+router.put("/:reviewId", protect, validate({ ...withReviewId, body: reviews.reviewUpdate }), updateReview);
+router.delete("/:reviewId", protect, validate(withReviewId), deleteReview);
+router.post("/:reviewId/helpful", protect, validate(withReviewId), toggleHelpful);
+
+export default router;
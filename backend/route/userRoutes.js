@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getUsers,
+  updateUserRole,
+  updateUserStatus
+} from "../controller/userController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { validate, schemas } from "../middleware/validate.js";
+
+const router = express.Router();
+const { users, common } = schemas;
+
+// Admin routes (require authentication and admin role)
+router.use(protect, authorize("admin"));
+
+router.get("/", validate({ query: users.query }), getUsers);
+router.put("/:id/role", validate({ params: common.idParams, body: users.role }), updateUserRole);
+router.put("/:id/status", validate({ params: common.idParams, body: users.status }), updateUserStatus);
+
+export default router;
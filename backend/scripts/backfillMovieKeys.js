@@ -0,0 +1,51 @@
+/**
+ * Fill in normalizedTitle and releaseYear for movies created before they existed
+ *
+ * Import matching and the duplicates report rely on these keys. New and
+ * updated movies get them automatically; run this once for older data.
+ *
+ * Usage: npm run backfill-movie-keys
+ */
+import mongoose from "mongoose";
+import { connectDb } from "../config/db.js";
+import Movie, { movieMatchKeys } from "../model/Movie.js";
+
+const BATCH_SIZE = 500;
+
+const backfill = async () => {
+  await connectDb();
+
+  // Trashed movies too, so a restored movie is matched like any other
+  const cursor = Movie.find({ normalizedTitle: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select("title releaseDate")
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Movie.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const movie of cursor) {
+    operations.push({
+      updateOne: { filter: { _id: movie._id }, update: { $set: movieMatchKeys(movie) } }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`✅ Backfilled match keys for ${updated} movies`);
+};
+
+backfill()
+  .catch(error => {
+    console.error(`❌ Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
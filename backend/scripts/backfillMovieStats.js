@@ -0,0 +1,79 @@
+/**
+ * Rebuild the daily movie interaction counters from recorded interactions
+ *
+ * Feed and trending popularity read these counters. Interactions tracked from
+ * now on are counted as they happen; run this once for older data, or again
+ * to correct the counters. Only the days still kept as buckets are rebuilt.
+ *
+ * Usage: npm run backfill-movie-stats
+ */
+import mongoose from "mongoose";
+import { connectDb } from "../config/db.js";
+import MovieStat from "../model/MovieStat.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { startOfUtcDay } from "../utils/movieStats.js";
+
+const BATCH_SIZE = 500;
+const DAYS = 90;
+
+const backfill = async () => {
+  await connectDb();
+
+  const since = startOfUtcDay(new Date(Date.now() - (DAYS - 1) * 24 * 60 * 60 * 1000));
+  const timestamp = { $ifNull: ["$metadata.timestamp", "$createdAt"] };
+
+  const cursor = UserInteraction.aggregate([
+    { $match: { $expr: { $gte: [timestamp, since] } } },
+    {
+      $group: {
+        _id: {
+          movie: "$movieId",
+          day: { $dateTrunc: { date: timestamp, unit: "day", timezone: "UTC" } },
+          type: "$interactionType"
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: { movie: "$_id.movie", day: "$_id.day" },
+        total: { $sum: "$count" },
+        counts: { $push: { k: "$_id.type", v: "$count" } }
+      }
+    }
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await MovieStat.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const bucket of cursor) {
+    const counts = Object.fromEntries(bucket.counts.map(({ k, v }) => [k, v]));
+    operations.push({
+      updateOne: {
+        filter: { movie: bucket._id.movie, day: bucket._id.day },
+        update: { $set: { total: bucket.total, counts } },
+        upsert: true
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`✅ Rebuilt ${updated} daily movie stat buckets`);
+};
+
+backfill()
+  .catch(error => {
+    console.error(`❌ Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
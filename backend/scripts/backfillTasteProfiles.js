@@ -0,0 +1,90 @@
+/**
+ * Rebuild every user's taste profile from their recorded interactions
+ *
+ * Interactions tracked from now on update the profile as they happen; run this
+ * once for older data, which only had flat genre and director lists, or again
+ * after changing the interaction signals. Each interaction is replayed with
+ * its signal decayed from when it happened.
+ *
+ * Usage: npm run backfill-taste-profiles
+ */
+import mongoose from "mongoose";
+import { connectDb } from "../config/db.js";
+import Movie from "../model/Movie.js";
+import UserInteraction from "../model/UserInteraction.js";
+import UserTaste from "../model/UserTaste.js";
+import { decayFactor, interactionSignal, tasteFeatures } from "../utils/tasteProfile.js";
+
+// Older signals have decayed to nothing
+const DAYS = 365;
+
+const backfill = async () => {
+  await connectDb();
+
+  const now = new Date();
+  const since = new Date(now.getTime() - DAYS * 24 * 60 * 60 * 1000);
+
+  const cursor = UserInteraction.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $sort: { userId: 1 } },
+    {
+      $lookup: {
+        from: Movie.collection.name,
+        localField: "movieId",
+        foreignField: "_id",
+        as: "movie",
+        pipeline: [{ $project: { genre: 1, director: 1, cast: 1 } }]
+      }
+    },
+    { $unwind: "$movie" }
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  let currentUser = null;
+  let scores = new Map(); // "kind\0name" -> score
+  let users = 0;
+
+  const flush = async () => {
+    if (!currentUser) return;
+
+    await UserTaste.deleteMany({ user: currentUser });
+    if (scores.size > 0) {
+      await UserTaste.insertMany(
+        [...scores].map(([key, score]) => {
+          const [kind, name] = key.split("\0");
+          return { user: currentUser, kind, name, score, updatedAt: now };
+        })
+      );
+    }
+    users++;
+    scores = new Map();
+  };
+
+  for await (const interaction of cursor) {
+    if (String(interaction.userId) !== String(currentUser)) {
+      await flush();
+      currentUser = interaction.userId;
+    }
+
+    const at = interaction.metadata?.timestamp || interaction.createdAt;
+    const signal =
+      interactionSignal(interaction.interactionType, interaction.metadata || {}) *
+      decayFactor(now - at);
+
+    for (const [kind, name] of tasteFeatures(interaction.movie)) {
+      const key = `${kind}\0${name}`;
+      scores.set(key, (scores.get(key) || 0) + signal);
+    }
+  }
+  await flush();
+
+  console.log(`✅ Rebuilt the taste profiles of ${users} users`);
+};
+
+backfill()
+  .catch(error => {
+    console.error(`❌ Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,54 @@
+/**
+ * Bootstrap an admin account
+ *
+ * Reads ADMIN_EMAIL, ADMIN_USERNAME and ADMIN_PASSWORD from the environment
+ * (or .env). Creates the user if it does not exist, otherwise promotes and
+ * re-enables the existing account with that email.
+ *
+ * Usage: npm run create-admin
+ */
+import mongoose from "mongoose";
+import { connectDb } from "../config/db.js";
+import User from "../model/User.js";
+
+const { ADMIN_EMAIL, ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+
+const createAdmin = async () => {
+  if (!ADMIN_EMAIL) {
+    console.error("❌ ADMIN_EMAIL is not defined in environment variables");
+    process.exit(1);
+  }
+
+  await connectDb();
+
+  const existing = await User.findOne({ email: ADMIN_EMAIL.toLowerCase() });
+
+  if (existing) {
+    existing.role = "admin";
+    existing.isDisabled = false;
+    existing.disabledAt = null;
+    await existing.save();
+    console.log(`✅ Promoted existing user ${existing.username} <${existing.email}> to admin`);
+    return;
+  }
+
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.error("❌ ADMIN_USERNAME and ADMIN_PASSWORD are required to create a new admin");
+    process.exit(1);
+  }
+
+  const user = await User.create({
+    username: ADMIN_USERNAME,
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: "admin"
+  });
+  console.log(`✅ Created admin ${user.username} <${user.email}>`);
+};
+
+createAdmin()
+  .catch((error) => {
+    console.error(`❌ Failed to create admin: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,11 +1,21 @@
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import { connectDb } from "./config/db.js";
 import { errorHandler } from "./utils/errorHandler.js";
 import { corsOptions } from "./middleware/cors.js";
+import { limiters } from "./config/rateLimits.js";
+import { startJobWorker, runsInlineWorker } from "./jobs/index.js";
+import { startEventRelay } from "./utils/eventStream.js";
+import { getStorage, LocalDiskStorage } from "./utils/storage.js";
 import authRoutes from "./route/authRoutes.js";
 import movieRoutes from "./route/movieRoutes.js";
+import listRoutes from "./route/listRoutes.js";
+import userRoutes from "./route/userRoutes.js";
+import auditRoutes from "./route/auditRoutes.js";
+import rankingRoutes from "./route/rankingRoutes.js";
+import eventRoutes from "./route/eventRoutes.js";
 
 // Load environment variables
 dotenv.config();
@@ -13,10 +23,17 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Request logging middleware (development)
 if (process.env.NODE_ENV === "development") {
@@ -26,6 +43,20 @@ if (process.env.NODE_ENV === "development") {
   });
 }
 
+// Uploaded files (local storage only). Stored files are never overwritten,
+// so browsers and CDNs may cache them for good.
+const storage = getStorage();
+if (storage instanceof LocalDiskStorage) {
+  app.use(
+    storage.baseUrl,
+    express.static(storage.root, {
+      index: false,
+      immutable: true,
+      maxAge: "365d"
+    })
+  );
+}
+
 // Health check route
 app.get("/", (req, res) => {
   res.json({
@@ -34,14 +65,24 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       auth: "/api/auth",
-      movies: "/api/movies"
+      movies: "/api/movies",
+      lists: "/api/lists",
+      users: "/api/users",
+      audit: "/api/audit",
+      events: "/api/events"
     }
   });
 });
 
 // API Routes
+app.use("/api", limiters.api);
 app.use("/api/auth", authRoutes);
 app.use("/api/movies", movieRoutes);
+app.use("/api/lists", listRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/ranking", rankingRoutes);
+app.use("/api/events", eventRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
@@ -57,6 +98,15 @@ app.use(errorHandler);
 // Connect to MongoDB
 connectDb();
 
+// Process background jobs in this process unless a separate worker does it
+if (runsInlineWorker()) {
+  startJobWorker();
+}
+
+// Events of other API instances and workers reach this process's stream clients
+// through a MongoDB change stream (needs a replica set)
+startEventRelay();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { schemas } from "../middleware/validate.js";
+
+const parse = (query) => schemas.audit.query.parse(query);
+
+describe("audit query", () => {
+  it("makes a date-only `to` include the whole day", () => {
+    assert.deepEqual(parse({ to: "2024-05-01" }).to, new Date("2024-05-01T23:59:59.999Z"));
+  });
+
+  it("keeps a `to` with a time as it is", () => {
+    assert.deepEqual(parse({ to: "2024-05-01T10:00:00Z" }).to, new Date("2024-05-01T10:00:00Z"));
+  });
+
+  it("accepts the same day as both bounds", () => {
+    const { from, to } = parse({ from: "2024-05-01", to: "2024-05-01" });
+    assert.ok(from < to);
+  });
+
+  it("leaves missing bounds out", () => {
+    const query = parse({});
+    assert.equal(query.from, undefined);
+    assert.equal(query.to, undefined);
+  });
+
+  it("rejects an inverted range", () => {
+    assert.throws(() => parse({ from: "2024-05-02", to: "2024-05-01" }));
+  });
+});
@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Session from "../model/Session.js";
+import User from "../model/User.js";
+import { refresh } from "../controller/authController.js";
+import { REFRESH_COOKIE, hashToken } from "../utils/tokens.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// One stored session; filters are matched the way the controller uses them
+let stored;
+
+const matches = (filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = stored[field];
+    if (condition && typeof condition === "object" && "$gt" in condition) return value > condition.$gt;
+    return String(value) === String(condition);
+  });
+
+// Resolves once the handler responds or passes an error on
+const callRefresh = (cookie) =>
+  new Promise((resolve) => {
+    const res = {
+      cookies: [],
+      cookie(name, value) {
+        this.cookies.push(value);
+      },
+      clearCookie() {},
+      json(body) {
+        this.body = body;
+        resolve({ res });
+      }
+    };
+    refresh({ cookies: { [REFRESH_COOKIE]: cookie } }, res, (error) => resolve({ res, error }));
+  });
+
+describe("refresh", () => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const original = `${sessionId}.original-secret`;
+
+  beforeEach(() => {
+    stored = {
+      _id: sessionId,
+      user: new mongoose.Types.ObjectId(),
+      tokenHash: hashToken(original),
+      previousTokenHash: null,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+      if (!matches(filter)) return null;
+      Object.assign(stored, update);
+      return { ...stored };
+    });
+    mock.method(User, "findById", async (id) => ({ _id: id, username: "someone", role: "user" }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("rotates the current token", async () => {
+    const { res, error } = await callRefresh(original);
+
+    assert.equal(error, undefined);
+    assert.ok(res.body.token);
+    assert.equal(stored.tokenHash, hashToken(res.cookies[0]));
+    assert.equal(stored.previousTokenHash, hashToken(original));
+  });
+
+  it("accepts the replaced token right after a rotation without rotating again", async () => {
+    const first = await callRefresh(original);
+    const second = await callRefresh(original);
+
+    assert.equal(second.error, undefined);
+    assert.ok(second.res.body.token);
+    assert.deepEqual(second.res.cookies, []);
+    assert.equal(stored.tokenHash, hashToken(first.res.cookies[0]));
+    assert.equal(stored.revokedAt, null);
+  });
+
+  it("revokes the session when the replaced token comes back after the grace period", async () => {
+    await callRefresh(original);
+    stored.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    const { error } = await callRefresh(original);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(stored.revokedReason, "reuse");
+  });
+
+  it("rejects an unknown token without revoking the session", async () => {
+    const { error } = await callRefresh(`${sessionId}.forged`);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(stored.revokedAt, null);
+  });
+});
@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import ServerEvent from "../model/ServerEvent.js";
+import { eventsSince, flushEvents, publishEvent, startEventRelay, subscribe } from "../utils/eventStream.js";
+
+// Collects the events of the topics until stopped
+const follow = (topics) => {
+  const events = [];
+  const stop = subscribe(topics, event => events.push(event));
+  return { events, stop };
+};
+
+// Change stream stand-in; `emit` pushes changes and errors
+const changeStream = () => {
+  const stream = new EventEmitter();
+  stream.close = mock.fn(async () => {});
+  return stream;
+};
+
+describe("event stream", () => {
+  let forwarded;
+
+  beforeEach(() => {
+    forwarded = mock.method(ServerEvent, "create", async () => ({}));
+  });
+
+  afterEach(async () => {
+    await flushEvents();
+    mock.restoreAll();
+  });
+
+  it("delivers events to the clients following their topic", () => {
+    const movies = follow(["movies"]);
+    const jobs = follow(["jobs"]);
+
+    publishEvent("movies", "movie.deleted", { movieId: "1" });
+    movies.stop();
+    jobs.stop();
+    publishEvent("movies", "movie.deleted", { movieId: "2" });
+
+    assert.equal(movies.events.length, 1);
+    assert.deepEqual(movies.events[0].data, { movieId: "1" });
+    assert.equal(jobs.events.length, 0);
+  });
+
+  describe("flushEvents", () => {
+    it("forwards the pending events in one batch with their origin", async () => {
+      const client = follow(["movies"]);
+      publishEvent("movies", "movie.updated", { movie: {} });
+      publishEvent("trending", "trending.updated", { windows: ["day"] });
+      client.stop();
+      assert.equal(forwarded.mock.callCount(), 0);
+
+      await flushEvents();
+      const [stream] = client.events[0].id.split("-");
+      assert.equal(forwarded.mock.callCount(), 1);
+      assert.deepEqual(forwarded.mock.calls[0].arguments[0], {
+        origin: stream,
+        events: [
+          { topic: "movies", type: "movie.updated", data: { movie: {} } },
+          { topic: "trending", type: "trending.updated", data: { windows: ["day"] } }
+        ]
+      });
+    });
+
+    it("keeps only the latest of the events coalesced by a key", async () => {
+      const client = follow(["jobs"]);
+      publishEvent("jobs", "job.updated", { jobId: "1", status: "running" }, { coalesce: "1" });
+      publishEvent("jobs", "job.updated", { jobId: "2", status: "running" }, { coalesce: "2" });
+      publishEvent("jobs", "job.updated", { jobId: "1", status: "completed" }, { coalesce: "1" });
+      client.stop();
+
+      await flushEvents();
+      // Clients of this process still get every event
+      assert.equal(client.events.length, 3);
+      const [{ events }] = forwarded.mock.calls[0].arguments;
+      assert.deepEqual(events.map(event => event.data), [
+        { jobId: "2", status: "running" },
+        { jobId: "1", status: "completed" }
+      ]);
+    });
+
+    it("writes the events at most 100 to a batch", async () => {
+      for (let i = 0; i < 150; i++) publishEvent("jobs", "job.updated", {});
+      await flushEvents();
+      assert.deepEqual(forwarded.mock.calls.map(call => call.arguments[0].events.length), [100, 50]);
+    });
+  });
+
+  describe("eventsSince", () => {
+    it("returns the events of the topics published after the given one", () => {
+      const client = follow(["movies"]);
+      publishEvent("movies", "movie.deleted", { movieId: "1" });
+      publishEvent("jobs", "job.updated", {});
+      publishEvent("movies", "movie.deleted", { movieId: "2" });
+      publishEvent("trending", "trending.updated", {});
+      client.stop();
+
+      const missed = eventsSince(client.events[0].id, ["movies", "trending"]);
+      assert.deepEqual(missed.map(event => event.type), ["movie.deleted", "trending.updated"]);
+      assert.deepEqual(missed[0].data, { movieId: "2" });
+      assert.deepEqual(eventsSince(missed.at(-1).id, ["movies", "trending"]), []);
+    });
+
+    it("is null for ids of another process or malformed ids", () => {
+      assert.equal(eventsSince("0000-1", ["movies"]), null);
+      assert.equal(eventsSince("garbage", ["movies"]), null);
+    });
+
+    it("is null once the missed events are no longer buffered", () => {
+      const client = follow(["movies"]);
+      publishEvent("movies", "movie.deleted", { movieId: "old" });
+      client.stop();
+
+      for (let i = 0; i <= 500; i++) publishEvent("jobs", "job.updated", {});
+      assert.equal(eventsSince(client.events[0].id, ["movies"]), null);
+    });
+  });
+
+  describe("startEventRelay", () => {
+    let streams;
+
+    beforeEach(() => {
+      streams = [];
+      mock.method(ServerEvent, "watch", () => {
+        const stream = changeStream();
+        streams.push(stream);
+        return stream;
+      });
+    });
+
+    const insert = (origin, events) => ({ _id: { _data: `token-${origin}` }, fullDocument: { origin, events } });
+
+    it("follows only the events other processes inserted", () => {
+      const own = follow(["movies"]);
+      publishEvent("movies", "movie.updated", {});
+      own.stop();
+      const [stream] = own.events[0].id.split("-");
+
+      const relay = startEventRelay();
+      relay.stop();
+
+      const [[pipeline]] = ServerEvent.watch.mock.calls.map(call => call.arguments);
+      assert.deepEqual(pipeline, [
+        { $match: { operationType: "insert", "fullDocument.origin": { $ne: stream } } }
+      ]);
+      assert.equal(streams[0].close.mock.callCount(), 1);
+    });
+
+    it("delivers every event of an inserted batch", () => {
+      const client = follow(["movies"]);
+      const relay = startEventRelay();
+
+      streams[0].emit("change", insert("other", [
+        { topic: "movies", type: "movie.deleted", data: { movieId: "1" } },
+        { topic: "jobs", type: "job.updated", data: {} },
+        { topic: "movies", type: "movie.deleted", data: { movieId: "2" } }
+      ]));
+      relay.stop();
+      client.stop();
+
+      assert.deepEqual(client.events.map(event => event.data), [{ movieId: "1" }, { movieId: "2" }]);
+    });
+
+    it("reopens a failed stream where it stopped", async () => {
+      mock.method(console, "error", () => {});
+      const relay = startEventRelay({ retryMs: 5 });
+
+      const change = insert("other", []);
+      streams[0].emit("change", change);
+      streams[0].emit("error", new Error("connection lost"));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.equal(streams.length, 2);
+      assert.equal(streams[0].close.mock.callCount(), 1);
+      assert.deepEqual(ServerEvent.watch.mock.calls[1].arguments[1], { resumeAfter: change._id });
+
+      // Unless the resume point is gone from the oplog
+      streams[1].emit("error", Object.assign(new Error("history lost"), { code: 286 }));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      relay.stop();
+
+      assert.deepEqual(ServerEvent.watch.mock.calls[2].arguments[1], {});
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Job from "../model/Job.js";
+import ServerEvent from "../model/ServerEvent.js";
+import { flushEvents } from "../utils/eventStream.js";
+import { registerHandler, scheduleRecurring, startWorker } from "../utils/jobQueue.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits until `condition` holds, failing after about a second
+const until = async (condition) => {
+  for (let i = 0; i < 200 && !condition(); i++) await wait(5);
+  assert.ok(condition(), "timed out");
+};
+
+// Handlers are registered for good, so every test has its own job types
+let typeCount = 0;
+const newType = () => `test-${++typeCount}`;
+
+const queuedJob = (type, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type,
+  payload: {},
+  status: "queued",
+  attempts: 0,
+  maxAttempts: 5,
+  ...fields
+});
+
+describe("job queue", () => {
+  let claimable; // jobs the next claims return, oldest first
+  let claims;
+  let updates;
+  let created;
+  let workers;
+
+  // Updates recording how an attempt ended
+  const outcomes = () => updates.filter(({ update }) => update.$set?.status);
+
+  const start = (type, options) => {
+    const worker = startWorker({ pollIntervalMs: 60 * 1000, types: [type], ...options });
+    workers.push(worker);
+    return worker;
+  };
+
+  beforeEach(() => {
+    claimable = [];
+    claims = [];
+    updates = [];
+    created = [];
+    workers = [];
+
+    // What the claim's $set and $inc do to a stored job
+    mock.method(Job, "findOneAndUpdate", async (filter, update, options) => {
+      claims.push({ filter, update, options });
+      const job = claimable.shift();
+      return job && { ...job, ...update.$set, attempts: job.attempts + update.$inc.attempts };
+    });
+    mock.method(Job, "updateOne", async (filter, update) => {
+      updates.push({ filter, update, at: Date.now() });
+      return { modifiedCount: 1 };
+    });
+    mock.method(Job, "exists", async () => null);
+    mock.method(Job, "create", async (fields) => {
+      created.push(fields);
+      return fields;
+    });
+    mock.method(ServerEvent, "create", async () => ({}));
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(workers.map(worker => worker.stop()));
+    await flushEvents();
+    mock.restoreAll();
+  });
+
+  it("claims due jobs atomically and records their result", async () => {
+    const type = newType();
+    const ran = [];
+    registerHandler(type, async (job) => {
+      ran.push(job._id);
+      return { done: true };
+    });
+    const job = queuedJob(type);
+    claimable.push(job);
+
+    const worker = start(type);
+    await until(() => outcomes().length === 1);
+
+    assert.deepEqual(ran, [job._id]);
+    const [{ filter, update, options }] = claims;
+    const now = Date.now();
+    assert.deepEqual(filter.type, { $in: [type] });
+    // Due queued or failed jobs, and running ones whose worker stopped renewing the lock
+    assert.deepEqual(filter.$or[0].status, { $in: ["queued", "failed"] });
+    assert.ok(filter.$or[0].runAt.$lte.getTime() <= now);
+    assert.equal(filter.$or[1].status, "running");
+    assert.ok(filter.$or[1].lockedUntil.$lte.getTime() <= now);
+    assert.equal(update.$set.status, "running");
+    assert.equal(update.$set.lockedBy, worker.id);
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.equal(options.new, true);
+
+    const [outcome] = outcomes();
+    assert.deepEqual(outcome.filter, { _id: job._id, status: "running", lockedBy: worker.id });
+    assert.equal(outcome.update.$set.status, "succeeded");
+    assert.deepEqual(outcome.update.$set.result, { done: true });
+    assert.equal(outcome.update.$set.lockedBy, null);
+  });
+
+  it("renews the lock while the handler runs", async () => {
+    const type = newType();
+    registerHandler(type, () => wait(60));
+    const job = queuedJob(type);
+    claimable.push(job);
+
+    const worker = start(type, { visibilityTimeoutMs: 30 });
+    await until(() => outcomes().length === 1);
+
+    const renewals = updates.filter(({ update }) => update.lockedUntil);
+    assert.ok(renewals.length >= 2);
+    for (const { filter, update, at } of renewals) {
+      assert.deepEqual(filter, { _id: job._id, status: "running", lockedBy: worker.id });
+      assert.ok(Math.abs(update.lockedUntil.getTime() - (at + 30)) <= 5);
+    }
+
+    // Not after the job finished
+    await wait(30);
+    assert.equal(updates.filter(({ update }) => update.lockedUntil).length, renewals.length);
+  });
+
+  it("retries failed jobs with exponential backoff", async () => {
+    mock.method(Math, "random", () => 0.5); // no jitter
+    const type = newType();
+    registerHandler(type, async () => {
+      throw new Error("upstream down");
+    });
+    // Attempts 1, 2, 3 and 5; the last delay is capped
+    claimable.push(...[0, 1, 2, 4].map(attempts => queuedJob(type, { attempts, maxAttempts: 10 })));
+
+    start(type, { retryDelayMs: 1000, maxRetryDelayMs: 10 * 1000 });
+    await until(() => outcomes().length === 4);
+
+    const delays = outcomes().map(({ update, at }) => {
+      assert.equal(update.$set.status, "failed");
+      assert.equal(update.$set.lastError, "upstream down");
+      return Math.round((update.$set.runAt.getTime() - at) / 100) * 100;
+    });
+    assert.deepEqual(delays, [1000, 2000, 4000, 10 * 1000]);
+  });
+
+  it("keeps the backoff within 20% jitter", async () => {
+    const type = newType();
+    registerHandler(type, async () => {
+      throw new Error("upstream down");
+    });
+    claimable.push(...Array.from({ length: 20 }, () => queuedJob(type, { attempts: 1 })));
+
+    start(type, { retryDelayMs: 1000 });
+    await until(() => outcomes().length === 20);
+
+    for (const { update, at } of outcomes()) {
+      const delay = update.$set.runAt.getTime() - at;
+      assert.ok(delay >= 1600 - 5 && delay <= 2400, `delay ${delay}`);
+    }
+  });
+
+  it("marks a job dead once its attempts are used up", async () => {
+    const type = newType();
+    let runs = 0;
+    registerHandler(type, async () => {
+      runs += 1;
+      throw new Error("bad payload");
+    });
+    const last = queuedJob(type, { attempts: 2, maxAttempts: 3 });
+    // Reclaimed after its worker died during the last attempt
+    const abandoned = queuedJob(type, { status: "running", attempts: 3, maxAttempts: 3 });
+    claimable.push(last, abandoned);
+
+    start(type);
+    await until(() => outcomes().length === 2);
+
+    assert.equal(runs, 1);
+    const [dead, reclaimed] = outcomes().map(({ update }) => update.$set);
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.lastError, "bad payload");
+    assert.ok(dead.finishedAt instanceof Date);
+    assert.equal(dead.runAt, undefined);
+    assert.equal(reclaimed.status, "dead");
+    assert.equal(reclaimed.lastError, "Worker stopped while running the job");
+  });
+
+  describe("recurring jobs", () => {
+    it("queues a run unless one is pending", async () => {
+      const type = newType();
+      await scheduleRecurring(type, 60 * 1000, { window: "day" });
+      assert.deepEqual(created.map(job => [job.type, job.payload]), [[type, { window: "day" }]]);
+
+      Job.exists.mock.mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+      await scheduleRecurring(type, 60 * 1000, { window: "day" });
+      assert.equal(created.length, 1);
+    });
+
+    it("queues the next run after a run succeeds or dies", async () => {
+      const type = newType();
+      registerHandler(type, async (job) => {
+        if (job.payload.fail) throw new Error("failed");
+      });
+      await scheduleRecurring(type, 60 * 1000, { window: "day" });
+      created = [];
+
+      claimable.push(queuedJob(type), queuedJob(type, { payload: { fail: true }, maxAttempts: 1 }));
+      start(type);
+      await until(() => created.length === 2);
+
+      const [succeeded] = outcomes().filter(({ update }) => update.$set.status === "succeeded");
+      const [next] = created;
+      assert.deepEqual(next.payload, { window: "day" });
+      assert.ok(Math.abs(next.runAt.getTime() - succeeded.at - 60 * 1000) < 50);
+
+      // Other pending runs count, not the finished one
+      const [filter] = Job.exists.mock.calls.at(-1).arguments;
+      assert.equal(filter.type, type);
+      assert.ok(filter._id.$ne);
+      assert.deepEqual(filter.status, { $in: ["queued", "running", "failed"] });
+    });
+
+    it("does not queue a run while another is pending, nor after a retryable failure", async () => {
+      const type = newType();
+      registerHandler(type, async (job) => {
+        if (job.payload.fail) throw new Error("failed");
+      });
+      await scheduleRecurring(type, 60 * 1000);
+      created = [];
+
+      claimable.push(queuedJob(type, { payload: { fail: true } }));
+      start(type);
+      await until(() => outcomes().length === 1);
+      assert.equal(outcomes()[0].update.$set.status, "failed");
+
+      Job.exists.mock.mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+      claimable.push(queuedJob(type));
+      workers[0].wake();
+      await until(() => outcomes().length === 2);
+
+      assert.equal(created.length, 0);
+    });
+  });
+});
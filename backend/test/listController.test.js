@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import MovieList from "../model/MovieList.js";
+import {
+  addListEntry,
+  deleteList,
+  getList,
+  getMyLists,
+  reorderList
+} from "../controller/listController.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Movies in the catalog; any other id is trashed or purged
+let available;
+
+// Resolves once the handler responds or passes an error on
+const call = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        resolve({ res });
+      }
+    };
+    handler({ params: {}, body: {}, ...req }, res, (error) => resolve({ res, error }));
+  });
+
+// Query stand-in resolving to `value` whatever is chained on it
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makeList = (owner, movies, fields = {}) =>
+  MovieList.hydrate({
+    _id: id(),
+    owner,
+    name: "Favourites",
+    description: "",
+    isPublic: false,
+    isWatchlist: false,
+    entries: movies.map(movie => ({ movie, note: "", addedAt: new Date() })),
+    ...fields
+  });
+
+describe("list controller", () => {
+  const user = { id: id().toString() };
+  const [shown, other, trashed] = [id(), id(), id()];
+
+  beforeEach(() => {
+    available = [shown, other];
+    mock.method(Movie, "find", (filter) => {
+      const wanted = filter._id.$in.map(String);
+      return query(available.filter(movie => wanted.includes(String(movie))).map(_id => ({ _id })));
+    });
+    mock.method(MovieList.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe("getList", () => {
+    const populated = (owner, fields) => ({
+      _id: id(),
+      owner,
+      name: "Favourites",
+      entries: [{ movie: { _id: shown, title: "Shown" } }, { movie: null }],
+      ...fields
+    });
+
+    it("leaves out entries of trashed and purged movies", async () => {
+      const list = populated({ _id: user.id, username: "me" }, { isPublic: false });
+      mock.method(MovieList, "findById", () => query(list));
+
+      const { res } = await call(getList, { user, params: { id: list._id } });
+      assert.equal(res.body.data.isOwner, true);
+      assert.deepEqual(res.body.data.entries.map(entry => entry.movie._id), [shown]);
+    });
+
+    it("serves public lists of deleted accounts", async () => {
+      mock.method(MovieList, "findById", () => query(populated(null, { isPublic: true })));
+
+      const { res, error } = await call(getList, { user });
+      assert.equal(error, undefined);
+      assert.equal(res.body.data.isOwner, false);
+    });
+
+    it("reports private lists of others and of deleted accounts as missing", async () => {
+      mock.method(MovieList, "findById", () => query(populated(null, { isPublic: false })));
+      assert.equal((await call(getList, { user })).error.statusCode, 404);
+
+      const others = populated({ _id: id(), username: "them" }, { isPublic: false });
+      mock.method(MovieList, "findById", () => query(others));
+      assert.equal((await call(getList, { user })).error.statusCode, 404);
+    });
+  });
+
+  describe("getMyLists", () => {
+    it("counts only the movies in the catalog", async () => {
+      const list = makeList(user.id, [shown, trashed]).toObject();
+      mock.method(MovieList, "findOneAndUpdate", async () => ({}));
+      mock.method(MovieList, "find", () => query([list]));
+
+      const { res } = await call(getMyLists, { user });
+      assert.equal(res.body.data[0].count, 1);
+      assert.deepEqual(res.body.data[0].movieIds.map(String), [String(shown)]);
+    });
+  });
+
+  describe("addListEntry", () => {
+    it("rejects movies already in the list and missing movies", async () => {
+      const list = makeList(user.id, [shown]);
+      mock.method(MovieList, "findById", async () => list);
+      mock.method(Movie, "exists", async ({ _id }) => available.some(movie => String(movie) === String(_id)));
+
+      const duplicate = await call(addListEntry, { user, body: { movieId: String(shown) } });
+      assert.equal(duplicate.error.statusCode, 400);
+
+      const missing = await call(addListEntry, { user, body: { movieId: String(trashed) } });
+      assert.equal(missing.error.statusCode, 404);
+
+      const { res } = await call(addListEntry, { user, body: { movieId: String(other) } });
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.data.count, 2);
+    });
+
+    it("only lets the owner change a list", async () => {
+      mock.method(MovieList, "findById", async () => makeList(id(), []));
+      const { error } = await call(addListEntry, { user, body: { movieId: String(other) } });
+      assert.equal(error.statusCode, 403);
+    });
+  });
+
+  describe("deleteList", () => {
+    it("keeps the watchlist", async () => {
+      mock.method(MovieList, "findById", async () => makeList(user.id, [], { isWatchlist: true }));
+      assert.equal((await call(deleteList, { user })).error.statusCode, 400);
+    });
+  });
+
+  describe("reorderList", () => {
+    it("orders the shown entries and keeps hidden ones at the end", async () => {
+      const list = makeList(user.id, [shown, trashed, other]);
+      mock.method(MovieList, "findById", async () => list);
+
+      const { res } = await call(reorderList, { user, body: { movieIds: [String(other), String(shown)] } });
+      assert.equal(res.body.data.count, 2);
+      assert.deepEqual(list.entries.map(entry => String(entry.movie)), [other, shown, trashed].map(String));
+    });
+
+    it("rejects orders that are not a permutation of the shown entries", async () => {
+      mock.method(MovieList, "findById", async () => makeList(user.id, [shown, trashed, other]));
+
+      const orders = [[shown], [shown, shown], [other, shown, trashed]];
+      for (const order of orders) {
+        const { error } = await call(reorderList, { user, body: { movieIds: order.map(String) } });
+        assert.equal(error.statusCode, 400);
+      }
+    });
+  });
+});
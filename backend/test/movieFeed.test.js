@@ -0,0 +1,20 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getFeedPage } from "../utils/movieFeed.js";
+
+const cursor = (fields) => Buffer.from(JSON.stringify(fields)).toString("base64url");
+
+describe("getFeedPage", () => {
+  it("rejects malformed cursors", async () => {
+    await assert.rejects(getFeedPage("user", { cursor: "not-a-cursor", limit: 20 }), { statusCode: 400 });
+    await assert.rejects(getFeedPage("user", { cursor: cursor({ g: 1, o: -1, s: "session" }), limit: 20 }), {
+      statusCode: 400
+    });
+  });
+
+  it("rejects cursors without a feed session", async () => {
+    await assert.rejects(getFeedPage("user", { cursor: cursor({ g: Date.now(), o: 20 }), limit: 20 }), {
+      statusCode: 400
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildMovieFilter, mergeFilters } from "../utils/movieFilters.js";
+
+describe("buildMovieFilter", () => {
+  it("returns an empty filter without params", () => {
+    assert.deepEqual(buildMovieFilter({}), {});
+  });
+
+  it("matches any genre by default and every genre in all mode", () => {
+    assert.deepEqual(buildMovieFilter({ genre: "Action, Drama" }), { genre: { $in: ["Action", "Drama"] } });
+    assert.deepEqual(buildMovieFilter({ genre: ["Action", "Drama"], genreMode: "all" }), {
+      genre: { $all: ["Action", "Drama"] }
+    });
+  });
+
+  it("turns a year range into release dates, the upper year inclusive", () => {
+    assert.deepEqual(buildMovieFilter({ yearFrom: "1990", yearTo: "1999" }).releaseDate, {
+      $gte: new Date("1990-01-01T00:00:00Z"),
+      $lt: new Date("2000-01-01T00:00:00Z")
+    });
+  });
+
+  it("rejects inverted ranges", () => {
+    assert.throws(() => buildMovieFilter({ yearFrom: "2000", yearTo: "1990" }), { statusCode: 400 });
+    assert.throws(() => buildMovieFilter({ minRating: "8", maxRating: "5" }), { statusCode: 400 });
+  });
+
+  it("combines several duration buckets with $or", () => {
+    assert.deepEqual(buildMovieFilter({ duration: "short,long" }), {
+      $or: [{ duration: { $gte: 0, $lt: 90 } }, { duration: { $gte: 150 } }]
+    });
+  });
+
+  it("rejects unknown and prototype duration buckets", () => {
+    for (const duration of ["epic", "constructor", "__proto__", "toString"]) {
+      assert.throws(() => buildMovieFilter({ duration }), { statusCode: 400 }, duration);
+    }
+  });
+
+  it("rejects repeated people params", () => {
+    assert.throws(() => buildMovieFilter({ director: ["a", "b"] }), { statusCode: 400 });
+  });
+});
+
+describe("mergeFilters", () => {
+  it("falls back to $and when both filters use a key", () => {
+    const a = { $or: [{ a: 1 }] };
+    const b = { $or: [{ b: 1 }] };
+    assert.deepEqual(mergeFilters(a, b), { $and: [a, b] });
+    assert.deepEqual(mergeFilters({ a: 1 }, { b: 1 }), { a: 1, b: 1 });
+  });
+});
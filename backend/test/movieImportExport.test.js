@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { IMPORT_MAX_ROWS, parseDate, readMovieFile, writeMovieExport } from "../utils/movieImportExport.js";
+import { MAX_BATCH_MOVIES } from "../../shared/validation/index.js";
+
+describe("parseDate", () => {
+  it("expands a bare year to January 1st", () => {
+    assert.equal(parseDate("1999"), "1999-01-01");
+  });
+
+  it("reads year first dates with any separator", () => {
+    assert.equal(parseDate("2020-3-5"), "2020-03-05");
+    assert.equal(parseDate("2020/03/05"), "2020-03-05");
+  });
+
+  it("reads day first only when the first part cannot be a month", () => {
+    assert.equal(parseDate("03/05/2020"), "2020-03-05");
+    assert.equal(parseDate("25/12/2020"), "2020-12-25");
+  });
+
+  it("follows an explicit format", () => {
+    assert.equal(parseDate("03/05/2020", "dmy"), "2020-05-03");
+    assert.equal(parseDate("03/05/2020", "ymd"), "03/05/2020");
+  });
+
+  it("falls back to Date parsing in auto mode", () => {
+    assert.equal(parseDate("March 5, 2020"), "2020-03-05");
+  });
+
+  it("returns impossible or unreadable dates unchanged for validation to report", () => {
+    assert.equal(parseDate("2020-02-30"), "2020-02-30");
+    assert.equal(parseDate("soon"), "soon");
+  });
+});
+
+describe("import limits", () => {
+  it("caps a file at the rows of one batch job", () => {
+    assert.equal(IMPORT_MAX_ROWS, MAX_BATCH_MOVIES);
+  });
+});
+
+describe("CSV export", () => {
+  const exportCsv = async (movies) => {
+    let output = "";
+    const res = {
+      write: (chunk) => {
+        output += chunk;
+        return true;
+      },
+      end: (chunk) => {
+        output += chunk;
+      }
+    };
+    await writeMovieExport(res, movies, "csv");
+    return output;
+  };
+
+  const movie = {
+    title: "=HYPERLINK(\"http://evil.example\",\"Click\")",
+    description: "-1 star, @everyone hated it",
+    releaseDate: new Date("1999-03-31"),
+    duration: 136,
+    genre: ["+Drama", "Comedy"],
+    director: "Someone",
+    posterUrl: "https://example.com/poster.jpg"
+  };
+
+  it("neutralizes cells a spreadsheet would run as formulas", async () => {
+    const [, row] = (await exportCsv([movie])).split("\n");
+    assert.ok(row.startsWith(`"'=HYPERLINK(""http://evil.example"",""Click"")","'-1 star`));
+    assert.ok(row.includes(`"'+Drama|Comedy"`));
+    assert.ok(row.includes(",Someone,"));
+  });
+
+  it("imports an export unchanged", async () => {
+    const csv = await exportCsv([movie]);
+    const { movies } = await readMovieFile(Readable.from([csv]), {
+      format: "csv",
+      listSeparator: "|",
+      dateFormat: "auto"
+    });
+
+    assert.equal(movies[0].title, movie.title);
+    assert.equal(movies[0].description, movie.description);
+    assert.deepEqual(movies[0].genre, movie.genre);
+    assert.equal(movies[0].releaseDate, "1999-03-31");
+  });
+});
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import AuditLog from "../model/AuditLog.js";
+import ServerEvent from "../model/ServerEvent.js";
+import { insertMovieBatch } from "../jobs/movieJobs.js";
+
+// The movies collection, as stored documents
+let stored;
+
+const matches = (movie, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    value === null ? movie[field] == null : String(movie[field]) === String(value)
+  );
+
+// Loaded the way a query loads them: without the fields excluded by default
+const load = (movie) => {
+  const { normalizedTitle, ...fields } = movie;
+  return Movie.hydrate(fields);
+};
+
+const findOne = (filter) => {
+  const found = stored.find(movie => matches(movie, filter));
+  const chain = {
+    setOptions: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(found && load(found)).then(resolve, reject)
+  };
+  return chain;
+};
+
+const runImport = (movies, mode) =>
+  insertMovieBatch(
+    { _id: new mongoose.Types.ObjectId(), payload: { movies, createdBy: new mongoose.Types.ObjectId(), mode } },
+    { saveProgress: async () => {} }
+  );
+
+const row = {
+  title: "The Matrix",
+  description: "A hacker learns the truth",
+  releaseDate: "1999-03-31",
+  duration: 136,
+  rating: 8.7,
+  genre: ["Sci-Fi"],
+  director: "Lana Wachowski",
+  cast: ["Keanu Reeves"],
+  posterUrl: "https://example.com/matrix.jpg"
+};
+
+describe("insertMovieBatch", () => {
+  beforeEach(() => {
+    stored = [];
+    mock.method(Movie, "findOne", findOne);
+    mock.method(Movie, "create", async (data) => {
+      const movie = new Movie(data);
+      await movie.validate();
+      stored.push(movie.toObject());
+      return movie;
+    });
+    mock.method(Movie.prototype, "save", async function () {
+      await this.validate();
+      stored = stored.map(movie => (movie._id.equals(this._id) ? this.toObject() : movie));
+      return this;
+    });
+    mock.method(AuditLog, "create", async () => ({}));
+    mock.method(ServerEvent, "create", async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("still matches a movie replaced by an import", async () => {
+    assert.equal((await runImport([row], "replace")).inserted, 1);
+    const createdAt = new Date("2020-01-01");
+    Object.assign(stored[0], { userRating: { average: 9, count: 3 }, createdAt });
+
+    const { title, description, releaseDate, duration, genre, director, posterUrl } = row;
+    const bare = { title, description, releaseDate, duration, genre, director, posterUrl };
+    assert.equal((await runImport([bare], "replace")).replaced, 1);
+    assert.equal((await runImport([row], "replace")).replaced, 1);
+
+    assert.equal(stored.length, 1);
+    const [movie] = stored;
+    assert.equal(movie.normalizedTitle, "matrix");
+    assert.equal(movie.releaseYear, 1999);
+    assert.deepEqual(movie.userRating, { average: 9, count: 3 });
+    assert.deepEqual(movie.createdAt, createdAt);
+    assert.equal(movie.rating, 8.7);
+  });
+
+  it("gives fields a replacing row leaves out their defaults", async () => {
+    await runImport([row], "skip");
+    const { rating, cast, ...rest } = row;
+    await runImport([rest], "replace");
+
+    assert.equal(stored[0].rating, 0);
+    assert.deepEqual(stored[0].cast, []);
+  });
+});
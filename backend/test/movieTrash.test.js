@@ -0,0 +1,274 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import AuditLog from "../model/AuditLog.js";
+import FeedImpression from "../model/FeedImpression.js";
+import MovieList from "../model/MovieList.js";
+import MovieSimilarity from "../model/MovieSimilarity.js";
+import MovieStat from "../model/MovieStat.js";
+import Review from "../model/Review.js";
+import ServerEvent from "../model/ServerEvent.js";
+import User from "../model/User.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { purgeMovie, restoreMovie } from "../controller/movieController.js";
+import { flushEvents } from "../utils/eventStream.js";
+import { purgeMovies } from "../utils/movieTrash.js";
+import { setStorage } from "../utils/storage.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+// The functions a query runs once its middleware is done, by operation
+const QUERY_THUNKS = [
+  "_find",
+  "_findOne",
+  "_countDocuments",
+  "__distinct",
+  "_findOneAndUpdate",
+  "_updateOne",
+  "_updateMany"
+];
+
+// Queries that reached the database, and what they resolve to
+let sent;
+let results;
+
+const stubDatabase = () => {
+  sent = [];
+  results = {};
+  for (const thunk of QUERY_THUNKS) {
+    mock.method(mongoose.Query.prototype, thunk, async function () {
+      sent.push({ op: this.op, filter: this.getFilter(), options: this.getOptions(), update: this.getUpdate() });
+      return results[this.op] ?? null;
+    });
+  }
+  mock.method(Movie.collection, "aggregate", async (pipeline) => {
+    sent.push({ op: "aggregate", pipeline });
+    return { toArray: async () => [] };
+  });
+};
+
+// Resolves once the handler responds or passes an error on
+const call = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        resolve({ res });
+      }
+    };
+    handler({ params: {}, body: {}, ...req }, res, (error) => resolve({ res, error }));
+  });
+
+const trashedMovie = (fields = {}) =>
+  Movie.hydrate({
+    _id: id(),
+    title: "The Matrix",
+    releaseDate: new Date("1999-03-31"),
+    genre: ["Sci-Fi"],
+    director: "Lana Wachowski",
+    deletedAt: new Date(),
+    deletedBy: id(),
+    ...fields
+  });
+
+describe("soft delete", () => {
+  beforeEach(stubDatabase);
+  afterEach(() => mock.restoreAll());
+
+  it("leaves trashed movies out of queries", async () => {
+    await Movie.find({ genre: "Drama" });
+    await Movie.findOne({ title: "Heat" });
+    await Movie.findById(id());
+    await Movie.countDocuments();
+    await Movie.distinct("genre");
+    await Movie.updateOne({ title: "Heat" }, { rating: 8 });
+    await Movie.updateMany({}, { rating: 8 });
+    await Movie.findByIdAndUpdate(id(), { rating: 8 });
+
+    assert.deepEqual(sent.map(query => query.op), [
+      "find",
+      "findOne",
+      "findOne",
+      "countDocuments",
+      "distinct",
+      "updateOne",
+      "updateMany",
+      "findOneAndUpdate"
+    ]);
+    for (const { filter } of sent) assert.equal(filter.deletedAt, null);
+    assert.equal(sent[0].filter.genre, "Drama");
+  });
+
+  it("keeps filters that mention deletedAt", async () => {
+    const trash = { deletedAt: { $ne: null } };
+    await Movie.find(trash);
+    await Movie.countDocuments(trash);
+    await Movie.findOneAndUpdate({ _id: id(), ...trash }, { deletedAt: null });
+
+    for (const { filter } of sent) assert.deepEqual(filter.deletedAt, { $ne: null });
+  });
+
+  it("includes trashed movies with the withDeleted option, which is not sent on", async () => {
+    await Movie.find({ genre: "Drama" }).setOptions({ withDeleted: true });
+    await Movie.findOne({ title: "Heat" }, null, { withDeleted: true });
+
+    for (const { filter, options } of sent) {
+      assert.equal("deletedAt" in filter, false);
+      assert.equal("withDeleted" in options, false);
+    }
+  });
+
+  describe("aggregate", () => {
+    it("extends a leading $match, which may hold a $text search", async () => {
+      await Movie.aggregate([{ $match: { $text: { $search: "matrix" } } }, { $limit: 5 }]);
+      assert.deepEqual(sent[0].pipeline, [
+        { $match: { $text: { $search: "matrix" }, deletedAt: null } },
+        { $limit: 5 }
+      ]);
+    });
+
+    it("adds a $match before other stages", async () => {
+      await Movie.aggregate([{ $group: { _id: "$director" } }]);
+      assert.deepEqual(sent[0].pipeline, [{ $match: { deletedAt: null } }, { $group: { _id: "$director" } }]);
+    });
+
+    it("keeps the pipeline when it selects by deletedAt or sets withDeleted", async () => {
+      await Movie.aggregate([{ $match: { deletedAt: { $ne: null } } }]);
+      await Movie.aggregate([{ $group: { _id: "$director" } }]).option({ withDeleted: true });
+
+      assert.deepEqual(sent[0].pipeline, [{ $match: { deletedAt: { $ne: null } } }]);
+      assert.deepEqual(sent[1].pipeline, [{ $group: { _id: "$director" } }]);
+    });
+  });
+});
+
+describe("restoreMovie", () => {
+  const user = { id: id().toString() };
+
+  beforeEach(() => {
+    stubDatabase();
+    mock.method(AuditLog, "create", async () => ({}));
+    mock.method(ServerEvent, "create", async () => ({}));
+  });
+
+  afterEach(async () => {
+    await flushEvents();
+    mock.restoreAll();
+  });
+
+  it("clears deletedAt of a movie in the trash", async () => {
+    const movie = trashedMovie({ deletedAt: null, deletedBy: undefined });
+    results.findOneAndUpdate = movie;
+
+    const { res } = await call(restoreMovie, { user, params: { id: String(movie._id) } });
+    assert.equal(res.body.data, movie);
+
+    const [{ filter, update }] = sent;
+    assert.deepEqual(filter, { _id: String(movie._id), deletedAt: { $ne: null } });
+    assert.equal(update.deletedAt, null);
+    assert.deepEqual(update.$unset, { deletedBy: 1 });
+
+    const [[entry]] = AuditLog.create.mock.calls.map(call => call.arguments);
+    assert.equal(entry.action, "restore");
+    assert.equal(String(entry.movie), String(movie._id));
+  });
+
+  it("reports movies not in the trash as missing", async () => {
+    const { error } = await call(restoreMovie, { user, params: { id: String(id()) } });
+    assert.equal(error.statusCode, 404);
+    assert.equal(AuditLog.create.mock.callCount(), 0);
+  });
+});
+
+describe("purgeMovies", () => {
+  const session = { id: "session" };
+  const user = { id: id().toString() };
+  let deletedFiles;
+  let writes;
+
+  // Stubs a model write; records it with the session it ran in
+  const write = (model, method, result) =>
+    mock.method(model, method, async (filter, ...rest) => {
+      writes.push({ model: model.modelName, method, filter, options: rest.at(-1) });
+      return result;
+    });
+
+  beforeEach(() => {
+    stubDatabase();
+    deletedFiles = [];
+    writes = [];
+    setStorage({
+      put: async () => {},
+      delete: async (key) => deletedFiles.push(key),
+      url: (key) => `/uploads/${key}`
+    });
+
+    mock.method(mongoose.connection, "transaction", async (fn) => fn(session));
+    write(UserInteraction, "deleteMany", { deletedCount: 4 });
+    write(Review, "deleteMany", { deletedCount: 2 });
+    write(MovieList, "updateMany", { modifiedCount: 1 });
+    write(User, "updateMany", { modifiedCount: 3 });
+    write(MovieStat, "deleteMany", { deletedCount: 1 });
+    write(FeedImpression, "deleteMany", { deletedCount: 1 });
+    write(MovieSimilarity, "deleteMany", { deletedCount: 1 });
+    write(MovieSimilarity, "updateMany", { modifiedCount: 1 });
+    write(Movie, "deleteMany", { deletedCount: 1 });
+    mock.method(AuditLog, "create", async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("removes trashed movies and what references them in one transaction", async () => {
+    const poster = { width: 342, height: 513, key: "posters/matrix/342.webp" };
+    const movie = trashedMovie({ posterImages: [poster] });
+    results.find = [movie];
+
+    const result = await purgeMovies([movie._id, id()], user.id);
+    assert.deepEqual(result, { purged: 1, interactions: 4, reviews: 2, lists: 1, users: 3 });
+
+    // Only movies in the trash are purged
+    const [{ filter }] = sent;
+    assert.deepEqual(filter.deletedAt, { $ne: null });
+    for (const { filter, options } of writes) {
+      assert.deepEqual(options, { session });
+      assert.ok(JSON.stringify(filter).includes(String(movie._id)));
+    }
+    assert.deepEqual(writes.map(({ model }) => model).sort(), [
+      "FeedImpression",
+      "Movie",
+      "MovieList",
+      "MovieSimilarity",
+      "MovieSimilarity",
+      "MovieStat",
+      "Review",
+      "User",
+      "UserInteraction"
+    ]);
+
+    assert.deepEqual(deletedFiles, [poster.key]);
+    assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, "purge");
+  });
+
+  it("keeps posters and the audit log as they are when the transaction fails", async () => {
+    results.find = [trashedMovie({ posterImages: [{ key: "posters/matrix/342.webp" }] })];
+    mongoose.connection.transaction.mock.mockImplementation(async () => {
+      throw new Error("write conflict");
+    });
+
+    await assert.rejects(purgeMovies([results.find[0]._id], user.id), /write conflict/);
+    assert.deepEqual(deletedFiles, []);
+    assert.equal(AuditLog.create.mock.callCount(), 0);
+  });
+
+  it("reports movies not in the trash as missing to the purge route", async () => {
+    results.find = [];
+    const { error } = await call(purgeMovie, { user, params: { id: String(id()) } });
+    assert.equal(error.statusCode, 404);
+    assert.deepEqual(writes, []);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { BUILT_IN_STRATEGY, isSameRanking, pickVariant, servedRanking } from "../utils/rankingStrategy.js";
+
+const experiment = (traffic) => ({
+  _id: new mongoose.Types.ObjectId(),
+  variants: traffic.map((share, i) => ({ name: `variant-${i}`, strategy: "default", traffic: share }))
+});
+
+const userIds = Array.from({ length: 2000 }, () => new mongoose.Types.ObjectId().toString());
+
+describe("pickVariant", () => {
+  it("keeps a user in the same variant", () => {
+    const test = experiment([50, 50]);
+    for (const userId of userIds.slice(0, 20)) {
+      assert.equal(pickVariant(test, userId), pickVariant(test, userId));
+    }
+  });
+
+  it("splits users by the variants' traffic shares", () => {
+    const test = experiment([80, 20]);
+    const control = userIds.filter(userId => pickVariant(test, userId).name === "variant-0").length;
+    assert.ok(Math.abs(control / userIds.length - 0.8) < 0.05);
+  });
+
+  it("never picks a variant without traffic", () => {
+    const test = experiment([100, 0]);
+    assert.ok(userIds.every(userId => pickVariant(test, userId).name === "variant-0"));
+  });
+
+  it("splits users differently per experiment", () => {
+    const [a, b] = [experiment([50, 50]), experiment([50, 50])];
+    const same = userIds.filter(userId => pickVariant(a, userId).name === pickVariant(b, userId).name).length;
+    assert.ok(same < userIds.length * 0.6);
+  });
+});
+
+describe("isSameRanking", () => {
+  it("compares the strategy version and experiment variant", () => {
+    const experimentId = new mongoose.Types.ObjectId();
+    const served = servedRanking({ strategy: BUILT_IN_STRATEGY, experiment: experimentId, variant: "a" });
+
+    assert.ok(isSameRanking(served, { ...served, experiment: experimentId.toString() }));
+    assert.ok(!isSameRanking(served, { ...served, variant: "b" }));
+    assert.ok(!isSameRanking(served, { ...served, version: served.version + 1 }));
+    assert.ok(!isSameRanking(served, servedRanking({ strategy: BUILT_IN_STRATEGY })));
+    assert.ok(!isSameRanking(null, served));
+  });
+});
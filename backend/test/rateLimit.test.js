@@ -0,0 +1,119 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { MemoryStore, loginLockout, rateLimit } from "../middleware/rateLimit.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Response stand-in recording headers; emits "finish" when given a status
+const response = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = (name, value) => Object.assign(res.headers, typeof name === "string" ? { [name]: value } : name);
+  res.finish = (statusCode) => {
+    res.statusCode = statusCode;
+    res.emit("finish");
+  };
+  return res;
+};
+
+// Runs the middleware; resolves with what it passed to next
+const run = async (middleware, req, res = response()) => {
+  let passed;
+  await middleware(req, res, (error) => {
+    passed = error;
+  });
+  return { error: passed, res };
+};
+
+describe("MemoryStore", () => {
+  it("counts hits within a window and starts a new one once it ends", async () => {
+    const store = new MemoryStore();
+    const first = await store.increment("key", 30);
+    assert.equal(first.count, 1);
+    assert.equal((await store.increment("key", 30)).count, 2);
+    assert.equal((await store.increment("key", 30)).resetAt, first.resetAt);
+
+    await wait(40);
+    assert.equal((await store.increment("key", 30)).count, 1);
+  });
+
+  it("expires values set with a ttl", async () => {
+    const store = new MemoryStore();
+    await store.set("key", "value", 20);
+    assert.equal(await store.get("key"), "value");
+
+    await wait(30);
+    assert.equal(await store.get("key"), undefined);
+    store.cleanup();
+    assert.equal(store.entries.size, 0);
+  });
+});
+
+describe("rateLimit", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects requests over the limit with Retry-After", async () => {
+    const limiter = rateLimit({ name: "test", windowMs: 60 * 1000, max: 2, store: new MemoryStore() });
+    const req = { ip: "1.2.3.4" };
+
+    assert.equal((await run(limiter, req)).error, undefined);
+    const { res } = await run(limiter, req);
+    assert.equal(res.headers["RateLimit-Remaining"], "0");
+
+    const { error, res: limited } = await run(limiter, req);
+    assert.equal(error.statusCode, 429);
+    assert.equal(limited.headers["Retry-After"], "60");
+
+    // Other clients have their own count
+    assert.equal((await run(limiter, { ip: "5.6.7.8" })).error, undefined);
+  });
+
+  it("skips requests without a key", async () => {
+    const limiter = rateLimit({
+      name: "test",
+      windowMs: 1000,
+      max: 1,
+      keyGenerator: () => null,
+      store: new MemoryStore()
+    });
+    await run(limiter, {});
+    assert.equal((await run(limiter, {})).error, undefined);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const store = { increment: async () => Promise.reject(new Error("down")) };
+    mock.method(console, "error", () => {});
+    const limiter = rateLimit({ name: "test", windowMs: 1000, max: 1, store });
+    assert.equal((await run(limiter, { ip: "1.2.3.4" })).error, undefined);
+  });
+
+  it("requires a name, window and maximum", () => {
+    assert.throws(() => rateLimit({ windowMs: 1000, max: 1 }));
+  });
+});
+
+describe("loginLockout", () => {
+  const login = { body: { email: "User@Example.com " } };
+
+  it("locks an account after repeated failures and unlocks it on success", async () => {
+    const store = new MemoryStore();
+    const lockout = loginLockout({ threshold: 2, baseLockMs: 50, store });
+
+    for (let i = 0; i < 2; i++) {
+      const { res } = await run(lockout, login);
+      res.finish(401);
+    }
+    await wait(5);
+
+    const { error } = await run(lockout, { body: { email: "user@example.com" } });
+    assert.equal(error.statusCode, 429);
+
+    await wait(60);
+    const { error: unlocked, res } = await run(lockout, login);
+    assert.equal(unlocked, undefined);
+    res.finish(200);
+    await wait(5);
+    assert.equal(await store.get("lockout:failures:email:user@example.com"), undefined);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diversifyFeed, getPersonalizedFeed } from "../utils/recommendationEngine.js";
+
+let nextId = 0;
+const movie = (genre, director = `Director ${nextId}`) => ({
+  _id: `m${++nextId}`,
+  genre,
+  director,
+  rating: 7,
+  releaseDate: "2000-01-01"
+});
+const noTaste = { genre: new Map(), director: new Map(), cast: new Map() };
+
+describe("diversifyFeed", () => {
+  it("keeps at most `limit` movies", () => {
+    const scored = Array.from({ length: 5 }, (_, i) => ({ movie: movie(["Drama"]), score: 1 - i / 10 }));
+    assert.equal(diversifyFeed(scored, noTaste, 3).length, 3);
+    assert.equal(diversifyFeed(scored, noTaste, 10).length, 5);
+  });
+
+  it("breaks up a run of alike movies", () => {
+    const director = "Same Director";
+    const scored = [
+      { movie: movie(["Drama"], director), score: 0.9 },
+      { movie: movie(["Drama"], director), score: 0.88 },
+      { movie: movie(["Comedy"]), score: 0.8 }
+    ];
+    const picked = diversifyFeed(scored, noTaste, 3);
+    assert.deepEqual(
+      picked.map(item => item.movie._id),
+      [scored[0].movie._id, scored[2].movie._id, scored[1].movie._id]
+    );
+  });
+
+  it("keeps the order when the movies are unalike", () => {
+    const scored = [
+      { movie: movie(["Drama"]), score: 0.9 },
+      { movie: movie(["Comedy"]), score: 0.8 },
+      { movie: movie(["Horror"]), score: 0.7 }
+    ];
+    assert.deepEqual(diversifyFeed(scored, noTaste, 3), scored);
+  });
+
+  it("gives every tenth slot to a movie of unexplored genres", () => {
+    const taste = { ...noTaste, genre: new Map([["Drama", 1]]) };
+    const scored = Array.from({ length: 12 }, (_, i) => ({ movie: movie(["Drama"]), score: 1 - i / 100 }));
+    const unexplored = { movie: movie(["Western"]), score: 0.01 };
+
+    const picked = diversifyFeed([...scored, unexplored], taste, 10);
+    assert.equal(picked[9].movie, unexplored.movie);
+    assert.equal(picked[9].explore, true);
+    assert.ok(picked.slice(0, 9).every(item => !item.explore));
+  });
+
+  it("does not explore for a user without a taste profile", () => {
+    const scored = Array.from({ length: 10 }, (_, i) => ({ movie: movie(["Drama"]), score: 1 - i / 100 }));
+    assert.ok(diversifyFeed(scored, noTaste, 10).every(item => !item.explore));
+  });
+});
+
+describe("getPersonalizedFeed", () => {
+  it("demotes movies per feed session they were ignored in", () => {
+    const [kept, ignored] = [movie(["Drama"]), movie(["Comedy"])];
+    const feed = getPersonalizedFeed(
+      [kept, ignored],
+      { taste: noTaste },
+      { popularity: new Map(), ignored: new Map([[ignored._id, 2]]) },
+      2
+    );
+    const item = feed.find(entry => entry.movie === ignored);
+    const other = feed.find(entry => entry.movie === kept);
+
+    assert.equal(feed[0].movie, kept);
+    assert.ok(item.breakdown.ignored < 0);
+    assert.ok(Math.abs(item.score - other.score * 0.85 ** 2) < 1e-9);
+  });
+});
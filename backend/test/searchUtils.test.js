@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { allowedTypos, editDistance, escapeRegex, matchScore, normalizeTitle } from "../utils/searchUtils.js";
+
+describe("editDistance", () => {
+  it("counts insertions, deletions and substitutions", () => {
+    assert.equal(editDistance("kitten", "sitting"), 3);
+    assert.equal(editDistance("", "abc"), 3);
+    assert.equal(editDistance("same", "same"), 0);
+  });
+
+  it("counts an adjacent transposition as one edit", () => {
+    assert.equal(editDistance("matrix", "mtarix"), 1);
+  });
+
+  it("stops at maxDistance + 1", () => {
+    assert.equal(editDistance("abcdef", "uvwxyz", 2), 3);
+    assert.equal(editDistance("a", "abcdef", 2), 3);
+    assert.equal(editDistance("matrix", "matrx", 2), 1);
+  });
+});
+
+describe("matchScore", () => {
+  it("ranks label prefixes above word prefixes", () => {
+    assert.equal(matchScore("The Matrix", "the"), 3);
+    assert.equal(matchScore("The Matrix", "mat"), 2);
+  });
+
+  it("tolerates typos by query length", () => {
+    assert.equal(allowedTypos(3), 0);
+    assert.equal(allowedTypos(5), 1);
+    assert.equal(allowedTypos(8), 2);
+
+    assert.equal(matchScore("The Matrix", "mtrix"), 0.5);
+    assert.equal(matchScore("Inception", "incpetion"), 1 - 1 / 3);
+    assert.equal(matchScore("Inception", "xyz"), null);
+  });
+
+  it("does not match unrelated labels", () => {
+    assert.equal(matchScore("Titanic", "godfather"), null);
+  });
+});
+
+describe("normalizeTitle", () => {
+  it("ignores accents, case, punctuation and a leading article", () => {
+    assert.equal(
+      normalizeTitle("The Lord of the Rings: Fellowship"),
+      normalizeTitle("Lord of the Rings - Fellowship")
+    );
+    assert.equal(normalizeTitle("Amélie & Co."), "amelie and co");
+  });
+});
+
+describe("escapeRegex", () => {
+  it("matches special characters literally", () => {
+    assert.ok(new RegExp(`^${escapeRegex("Se7en (1995)?")}$`).test("Se7en (1995)?"));
+  });
+});
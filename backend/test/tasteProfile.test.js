@@ -0,0 +1,192 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import UserTaste from "../model/UserTaste.js";
+import {
+  INTERACTION_SIGNALS,
+  TASTE_HALF_LIFE_DAYS,
+  decayFactor,
+  getTasteProfile,
+  interactionSignal,
+  recordTasteSignal,
+  tasteFeatures,
+  topTasteNames
+} from "../utils/tasteProfile.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HALF_LIFE_MS = TASTE_HALF_LIFE_DAYS * DAY_MS;
+
+// Query stand-in resolving to `value` whatever is chained on it
+const query = (value) => {
+  const chain = {
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Evaluates the aggregation expressions the taste updates use against a stored entry
+const evaluate = (expression, entry) => {
+  if (typeof expression === "string" && expression.startsWith("$")) return entry[expression.slice(1)];
+  if (expression === null || typeof expression !== "object" || expression instanceof Date) return expression;
+
+  const [[operator, operands]] = Object.entries(expression);
+  const [a, b] = operands.map(operand => evaluate(operand, entry));
+  switch (operator) {
+    case "$add":
+      return a + b;
+    case "$subtract":
+      return a - b;
+    case "$multiply":
+      return a * b;
+    case "$divide":
+      return a / b;
+    case "$pow":
+      return a ** b;
+    case "$max":
+      return Math.max(a, b);
+    case "$ifNull":
+      return a ?? b;
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+describe("interactionSignal", () => {
+  it("weighs interactions by how much they say about taste", () => {
+    const signals = ["search", "view", "click", "like", "share"].map(type => interactionSignal(type));
+    assert.deepEqual(signals, [...signals].sort((a, b) => a - b));
+    assert.equal(interactionSignal("like"), INTERACTION_SIGNALS.like);
+    assert.equal(interactionSignal("unknown"), 0);
+  });
+
+  it("counts not interested and bounces against the movie", () => {
+    assert.ok(interactionSignal("not_interested") < 0);
+    assert.ok(-interactionSignal("not_interested") > interactionSignal("share"));
+    assert.ok(interactionSignal("view", { watchTime: 3 }) < 0);
+  });
+
+  it("counts longer views more, up to a limit", () => {
+    const short = interactionSignal("view", { watchTime: 30 });
+    const long = interactionSignal("view", { watchTime: 120 });
+    assert.ok(interactionSignal("view") < short && short < long);
+    assert.equal(interactionSignal("view", { watchTime: 3600 }), long);
+  });
+});
+
+describe("decayFactor", () => {
+  it("halves a score every half-life", () => {
+    assert.equal(decayFactor(0), 1);
+    assert.equal(decayFactor(HALF_LIFE_MS), 0.5);
+    assert.equal(decayFactor(3 * HALF_LIFE_MS), 0.125);
+  });
+
+  it("does not grow scores dated in the future", () => {
+    assert.equal(decayFactor(-DAY_MS), 1);
+  });
+});
+
+describe("tasteFeatures", () => {
+  it("credits the genres, the director and the top billed cast", () => {
+    const cast = ["A", "B", "C", "D", "E", "F"];
+    assert.deepEqual(tasteFeatures({ genre: ["Drama"], director: "Nolan", cast }), [
+      ["genre", "Drama"],
+      ["director", "Nolan"],
+      ...cast.slice(0, 5).map(name => ["cast", name])
+    ]);
+    assert.deepEqual(tasteFeatures({ genre: ["Drama"] }), [["genre", "Drama"]]);
+  });
+});
+
+describe("recordTasteSignal", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const movie = { genre: ["Drama"], director: "Nolan", cast: [] };
+  let stored; // "kind:name" -> entry
+
+  beforeEach(() => {
+    stored = new Map();
+    // Applies the pipeline updates the way MongoDB would
+    mock.method(UserTaste, "bulkWrite", async (operations) => {
+      for (const { updateOne } of operations) {
+        const key = `${updateOne.filter.kind}:${updateOne.filter.name}`;
+        const entry = stored.get(key) || (updateOne.upsert ? { ...updateOne.filter } : null);
+        if (!entry) continue;
+
+        for (const { $set } of updateOne.update) {
+          const values = Object.entries($set).map(([field, value]) => [field, evaluate(value, entry)]);
+          Object.assign(entry, Object.fromEntries(values));
+        }
+        stored.set(key, entry);
+      }
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("adds the signal to every feature of the movie", async () => {
+    const at = new Date();
+    await recordTasteSignal(userId, movie, 4, at);
+
+    assert.deepEqual([...stored.keys()], ["genre:Drama", "director:Nolan"]);
+    assert.equal(stored.get("genre:Drama").score, 4);
+    assert.equal(stored.get("genre:Drama").updatedAt, at);
+  });
+
+  it("decays the stored score to the time of the signal first", async () => {
+    const start = new Date("2026-01-01");
+    await recordTasteSignal(userId, movie, 4, start);
+    await recordTasteSignal(userId, movie, 1, new Date(start.getTime() + HALF_LIFE_MS));
+    assert.equal(stored.get("genre:Drama").score, 3);
+
+    // A signal arriving out of order is not decayed backwards
+    await recordTasteSignal(userId, movie, 1, start);
+    assert.equal(stored.get("genre:Drama").score, 4);
+  });
+
+  it("turns a liked genre into an aversion after not interested", async () => {
+    const at = new Date();
+    await recordTasteSignal(userId, movie, interactionSignal("like"), at);
+    await recordTasteSignal(userId, movie, interactionSignal("not_interested"), at);
+    assert.equal(stored.get("genre:Drama").score, -2);
+  });
+
+  it("skips signals of no strength and logs failures", async () => {
+    await recordTasteSignal(userId, movie, 0);
+    assert.equal(UserTaste.bulkWrite.mock.callCount(), 0);
+
+    const logged = mock.method(console, "error", () => {});
+    UserTaste.bulkWrite.mock.mockImplementation(async () => {
+      throw new Error("down");
+    });
+    await recordTasteSignal(userId, movie, 2);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+});
+
+describe("getTasteProfile", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("decays the scores to now and scales each kind to the strongest", async () => {
+    const now = Date.now();
+    const entry = (kind, name, score, daysAgo) => ({ kind, name, score, updatedAt: new Date(now - daysAgo * DAY_MS) });
+    mock.method(UserTaste, "find", () =>
+      query([
+        entry("genre", "Drama", 8, TASTE_HALF_LIFE_DAYS),
+        entry("genre", "Comedy", 2, 0),
+        entry("genre", "Horror", -6, 0),
+        entry("director", "Nolan", 3, 0)
+      ])
+    );
+
+    const taste = await getTasteProfile("user");
+    const genres = Object.fromEntries(taste.genre);
+    // Drama's 8 decayed to 4, below the fresh aversion to horror
+    assert.ok(Math.abs(genres.Drama - 4 / 6) < 1e-6);
+    assert.ok(Math.abs(genres.Comedy - 2 / 6) < 1e-6);
+    assert.equal(genres.Horror, -1);
+    assert.equal(taste.director.get("Nolan"), 1);
+    assert.equal(taste.cast.size, 0);
+
+    assert.deepEqual(topTasteNames(taste.genre, 5), ["Drama", "Comedy"]);
+  });
+});
@@ -0,0 +1,113 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import ServerEvent from "../model/ServerEvent.js";
+import TrendingSnapshot from "../model/TrendingSnapshot.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { refreshTrendingSnapshots, requestRegion, scoreTrending } from "../utils/trending.js";
+
+// Query stand-in resolving to `value` whatever is chained on it
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    allowDiskUse: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe("scoreTrending", () => {
+  it("pulls movies with few interactions towards no trend", () => {
+    const few = scoreTrending({ decayed: 2, interactions: 2, recent: 1, earlier: 1 });
+    const many = scoreTrending({ decayed: 2 * 20, interactions: 40, recent: 20, earlier: 20 });
+    assert.ok(few.score * 20 < many.score);
+  });
+
+  it("boosts movies whose recent interaction rate is above the earlier one", () => {
+    const steady = scoreTrending({ decayed: 30, interactions: 40, recent: 10, earlier: 30 });
+    const rising = scoreTrending({ decayed: 30, interactions: 40, recent: 30, earlier: 10 });
+    assert.ok(Math.abs(steady.velocity - 1) < 1e-9);
+    assert.ok(rising.velocity > 1.5);
+    assert.ok(rising.score > steady.score);
+  });
+
+  it("caps the boost of a sudden surge", () => {
+    const surge = scoreTrending({ decayed: 10, interactions: 1000, recent: 1000, earlier: 0 });
+    assert.ok(surge.score <= 10 * 2);
+  });
+
+  it("scores a movie without interactions 0", () => {
+    assert.equal(scoreTrending({ decayed: 0, interactions: 0, recent: 0, earlier: 0 }).score, 0);
+  });
+});
+
+describe("requestRegion", () => {
+  const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+  afterEach(() => {
+    delete process.env.REGION_HEADER;
+  });
+
+  it("is unknown unless REGION_HEADER is set", () => {
+    assert.equal(requestRegion(request({ "cf-ipcountry": "DE" })), undefined);
+  });
+
+  it("reads the country code from the configured header", () => {
+    process.env.REGION_HEADER = "CF-IPCountry";
+    assert.equal(requestRegion(request({ "cf-ipcountry": "de" })), "DE");
+    assert.equal(requestRegion(request({})), undefined);
+  });
+
+  it("ignores unknown and malformed countries", () => {
+    process.env.REGION_HEADER = "CF-IPCountry";
+    assert.equal(requestRegion(request({ "cf-ipcountry": "XX" })), undefined);
+    assert.equal(requestRegion(request({ "cf-ipcountry": "T1" })), undefined);
+    assert.equal(requestRegion(request({ "cf-ipcountry": "Germany" })), undefined);
+  });
+});
+
+describe("refreshTrendingSnapshots", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("writes overall, genre and regional snapshots", async () => {
+    const [drama, comedy] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const stats = (movie, region, interactions) => ({
+      _id: { movie, region },
+      interactions,
+      decayed: interactions,
+      recent: interactions / 4,
+      earlier: (interactions * 3) / 4
+    });
+
+    mock.method(UserInteraction, "aggregate", () =>
+      query([stats(drama, "DE", 30), stats(drama, null, 10), stats(comedy, "FR", 20)])
+    );
+    mock.method(Movie, "find", () =>
+      query([
+        { _id: drama, genre: ["Drama"] },
+        { _id: comedy, genre: ["Comedy"] }
+      ])
+    );
+    mock.method(TrendingSnapshot, "findOne", () => query(null));
+    mock.method(TrendingSnapshot, "deleteMany", async () => ({}));
+    const writes = mock.method(TrendingSnapshot, "bulkWrite", async () => ({}));
+    mock.method(ServerEvent, "create", async () => ({}));
+
+    await refreshTrendingSnapshots();
+
+    const lists = new Map(
+      writes.mock.calls[0].arguments[0].map(({ updateOne }) => [
+        `${updateOne.filter.region}:${updateOne.filter.genre}`,
+        updateOne.update.$set.items
+      ])
+    );
+    assert.deepEqual([...lists.keys()].sort(), [":", ":comedy", ":drama", "DE:", "FR:"]);
+    // Regions add up to the overall stats
+    assert.equal(lists.get(":")[0].movie, drama);
+    assert.equal(lists.get(":")[0].interactions, 40);
+    assert.deepEqual(lists.get("DE:").map(item => item.movie), [drama]);
+    assert.deepEqual(lists.get("FR:").map(item => item.movie), [comedy]);
+  });
+});
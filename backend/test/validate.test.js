@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { schemas, validate } from "../middleware/validate.js";
+
+// Runs the middleware and returns what it passed to next()
+const run = (shape, req) => {
+  let result;
+  validate(shape)(req, {}, (error) => {
+    result = error;
+  });
+  return result;
+};
+
+describe("validate", () => {
+  it("replaces the query with the parsed values", () => {
+    const req = { query: { page: "2", limit: "500" } };
+    assert.equal(run({ query: schemas.movies.listQuery }, req), undefined);
+    assert.equal(req.query.page, 2);
+    assert.equal(req.query.limit, 100);
+  });
+
+  it("strips unknown body fields", () => {
+    const req = { body: { email: " Someone@Example.com ", role: "admin" } };
+    run({ body: schemas.auth.forgotPassword }, req);
+    assert.deepEqual(req.body, { email: "someone@example.com" });
+  });
+
+  it("reports every invalid location with its field", () => {
+    const error = run(
+      { params: schemas.common.idParams, query: schemas.movies.listQuery },
+      { params: { id: "nope" }, query: { page: "0" } }
+    );
+
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(
+      error.errors.map(({ location, field }) => `${location}.${field}`),
+      ["params.id", "query.page"]
+    );
+  });
+});
+
+describe("movie schema", () => {
+  const movie = {
+    title: "Heat",
+    description: "A heist",
+    releaseDate: "1995-12-15",
+    duration: "170",
+    genre: ["Crime"],
+    director: "Michael Mann",
+    posterUrl: "https://example.com/heat.jpg"
+  };
+
+  it("coerces numbers and dates", () => {
+    const parsed = schemas.movies.movie.parse(movie);
+    assert.equal(parsed.duration, 170);
+    assert.ok(parsed.releaseDate instanceof Date);
+  });
+
+  it("treats an empty imdbId as missing", () => {
+    assert.equal(schemas.movies.movie.parse({ ...movie, imdbId: "" }).imdbId, undefined);
+  });
+
+  it("rejects a malformed imdbId", () => {
+    assert.equal(schemas.movies.movie.safeParse({ ...movie, imdbId: "123" }).success, false);
+  });
+
+  it("fills nothing in on a partial update", () => {
+    assert.deepEqual(schemas.movies.movieUpdate.parse({ title: "Heat" }), { title: "Heat" });
+  });
+});
@@ -0,0 +1,160 @@
+import AuditLog from "../model/AuditLog.js";
+import Movie from "../model/Movie.js";
+import { ApiError } from "./errorHandler.js";
+import { deletePosterImages } from "./posterImages.js";
+
+/**
+ * Audit Log
+ * Records catalog changes with field-level diffs and reverts movies to a
+ * recorded version. Only the fields below are diffed and snapshotted;
+ * ratings, match keys and timestamps are derived and left out.
+ */
+
+export const AUDITED_FIELDS = [
+  "title",
+  "description",
+  "releaseDate",
+  "duration",
+  "rating",
+  "genre",
+  "director",
+  "cast",
+  "posterUrl",
+  "posterImages",
+  "imdbId"
+];
+
+// JSON values, so dates, ids and subdocuments compare and store as plain data
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Audited fields of a movie document or plain object, without empty values
+ */
+export const snapshotMovie = (movie) => {
+  const source = typeof movie.toObject === "function" ? movie.toObject() : movie;
+  return Object.fromEntries(
+    AUDITED_FIELDS.filter(field => source[field] !== undefined && source[field] !== null).map(field => [
+      field,
+      toPlain(source[field])
+    ])
+  );
+};
+
+/**
+ * Field-level diff between two snapshots; a missing field is reported as null
+ * @returns {Array<{ field: string, before: any, after: any }>}
+ */
+export const diffSnapshots = (before, after) =>
+  AUDITED_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field])).map(
+    field => ({ field, before: before[field] ?? null, after: after[field] ?? null })
+  );
+
+/**
+ * Record a catalog change.
+ * `before` is the movie before the change and `after` the movie after it;
+ * pass both for changes to diff, only `after` for a create and whichever is
+ * at hand for a delete, restore or purge. The snapshot stored is the latest
+ * of the two. Updates that change no audited field are not recorded.
+ * Failures are logged rather than thrown: the change itself already happened.
+ *
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object} [entry.before]
+ * @param {Object} [entry.after]
+ * @param {string} [entry.user] - Who made the change
+ * @param {string} [entry.job] - Import job that made the change
+ * @param {Object} [entry.details]
+ */
+export const recordAudit = async ({ action, before, after, user, job, details }) => {
+  const movie = after || before;
+
+  try {
+    const beforeSnapshot = before ? snapshotMovie(before) : null;
+    const afterSnapshot = after ? snapshotMovie(after) : null;
+    // A create diffs against nothing; a delete, restore or purge changes no audited field
+    const changes =
+      afterSnapshot && (beforeSnapshot || action === "create")
+        ? diffSnapshots(beforeSnapshot || {}, afterSnapshot)
+        : [];
+
+    if ((action === "update" || action === "revert") && changes.length === 0) {
+      return null;
+    }
+
+    return await AuditLog.create({
+      action,
+      movie: movie._id,
+      movieTitle: movie.title,
+      user,
+      job,
+      changes,
+      snapshot: afterSnapshot || beforeSnapshot,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} audit entry for movie ${movie._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Restore the audited fields of a movie to the snapshot of an audit entry.
+ * Replaced poster uploads are deleted from storage, so an uploaded poster that
+ * is no longer the current one cannot come back: the poster is then left as
+ * it is and reported in `skipped`.
+ * @returns {Promise<{ movie: Object, entry: Object, skipped: string[] }>}
+ */
+export const revertToEntry = async (entryId, userId) => {
+  const entry = await AuditLog.findById(entryId).lean();
+
+  if (!entry) {
+    throw new ApiError(404, "Audit entry not found");
+  }
+  if (entry.action === "purge" || !entry.snapshot) {
+    throw new ApiError(400, "This entry has no version to revert to");
+  }
+
+  const movie = await Movie.findById(entry.movie).setOptions({ withDeleted: true });
+
+  if (!movie) {
+    throw new ApiError(404, "Movie no longer exists");
+  }
+  if (movie.deletedAt) {
+    throw new ApiError(400, "Restore the movie from the trash before reverting it");
+  }
+
+  const before = snapshotMovie(movie);
+  const target = { ...entry.snapshot };
+  const skipped = [];
+
+  const uploadIsGone =
+    target.posterImages && JSON.stringify(target.posterImages) !== JSON.stringify(before.posterImages);
+  if (uploadIsGone) {
+    delete target.posterImages;
+    target.posterUrl = before.posterUrl;
+    skipped.push("posterUrl");
+  }
+
+  for (const field of AUDITED_FIELDS) {
+    if (uploadIsGone && field === "posterImages") continue;
+    movie.set(field, target[field]);
+  }
+
+  await movie.save();
+
+  // Reverting to a plain poster URL drops the current upload, as an update would
+  const removedPoster = !uploadIsGone && before.posterImages && !target.posterImages;
+  if (removedPoster) {
+    await deletePosterImages(before.posterImages);
+  }
+
+  await recordAudit({
+    action: "revert",
+    before,
+    after: movie,
+    user: userId,
+    details: { revertedTo: entry._id, ...(skipped.length > 0 && { skipped }) }
+  });
+
+  return { movie, entry, skipped };
+};
@@ -15,6 +15,17 @@ export class ApiError extends Error {
   }
 }
 
+/**
+ * Invalid request input, with one entry per offending field
+ * errors: [{ location, field, message }]
+ */
+export class RequestValidationError extends ApiError {
+  constructor(errors, message = "Validation failed") {
+    super(400, message);
+    this.errors = errors;
+  }
+}
+
 /**
  * Error handler middleware
  */
@@ -41,7 +52,10 @@ export const errorHandler = (err, req, res, next) => {
   // Mongoose validation error
   if (err.name === "ValidationError") {
     const message = Object.values(err.errors).map(val => val.message).join(", ");
-    error = new ApiError(400, message);
+    error = new RequestValidationError(
+      Object.values(err.errors).map(val => ({ location: "body", field: val.path, message: val.message })),
+      message
+    );
   }
 
   // JWT errors
@@ -58,6 +72,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || "Server Error",
+    ...(Array.isArray(error.errors) && { errors: error.errors }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack })
   });
 };
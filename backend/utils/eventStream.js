@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import ServerEvent from "../model/ServerEvent.js";
+
+/**
+ * Event Stream
+ * Typed events (movie.created, trending.updated, job.updated, ...) are
+ * published to a topic and pushed to the clients following it over
+ * Server-Sent Events (see controller/eventController.js).
+ *
+ * The latest events are kept in a ring buffer, so a client reconnecting with
+ * the id of the last event it got receives the ones it missed. When they are
+ * no longer buffered, or the id comes from another process, the client is
+ * told to reload instead.
+ *
+ * Every process also writes its events to MongoDB (model/ServerEvent.js), a
+ * batch every FLUSH_INTERVAL_MS, and every API process follows the inserts
+ * with a change stream and relays the events published elsewhere, so clients
+ * get the events of all API instances and of separate job workers, whichever
+ * instance they are connected to. Change streams, like the transactions used
+ * elsewhere, need MongoDB to run as a replica set.
+ */
+
+const BUFFER_SIZE = 500;
+
+// Event ids are "<stream>-<sequence>"; the stream changes on every start
+const STREAM_ID = crypto.randomBytes(4).toString("hex");
+
+const buffer = new Array(BUFFER_SIZE);
+let sequence = 0;
+const subscribers = new Set();
+
+const deliver = ({ topic, type, data }) => {
+  sequence += 1;
+  const event = { id: `${STREAM_ID}-${sequence}`, topic, type, data };
+  buffer[sequence % BUFFER_SIZE] = event;
+
+  for (const subscriber of subscribers) {
+    if (!subscriber.topics.has(topic)) continue;
+    try {
+      subscriber.send(event);
+    } catch (error) {
+      console.error("Failed to send an event to a stream client:", error.message);
+    }
+  }
+};
+
+const FLUSH_INTERVAL_MS = 250;
+const MAX_BATCH_SIZE = 100;
+
+// Events not written to MongoDB yet, oldest first
+let pending = [];
+let flushTimer = null;
+
+/**
+ * Publish an event to the clients following its topic, in this process and,
+ * through MongoDB, in the others.
+ * Never throws: publishing is a side effect of a change that already happened.
+ * @param {string} topic - One of EVENT_TOPICS
+ * @param {string} type - e.g. "movie.updated"
+ * @param {Object} [data] - JSON payload
+ * @param {Object} [options]
+ * @param {string} [options.coalesce] - Key replacing a not yet written event
+ *   of the same type and key, for events superseding the previous one
+ */
+export const publishEvent = (topic, type, data = {}, { coalesce } = {}) => {
+  deliver({ topic, type, data });
+
+  const key = coalesce === undefined ? null : `${type}:${coalesce}`;
+  if (key) pending = pending.filter(event => event.key !== key);
+  pending.push({ key, topic, type, data });
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushEvents, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+/**
+ * Write the pending events to MongoDB now, e.g. before the process exits.
+ * Never throws.
+ */
+export const flushEvents = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  while (pending.length > 0) {
+    const events = pending.splice(0, MAX_BATCH_SIZE).map(({ topic, type, data }) => ({ topic, type, data }));
+    try {
+      await ServerEvent.create({ origin: STREAM_ID, events });
+    } catch (error) {
+      console.error(`Failed to forward ${events.length} events:`, error.message);
+    }
+  }
+};
+
+/**
+ * Follow topics; `send` gets every event published to them from now on
+ * @param {string[]} topics
+ * @param {Function} send - (event) => void
+ * @returns {Function} Stops following
+ */
+export const subscribe = (topics, send) => {
+  const subscriber = { topics: new Set(topics), send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Buffered events of the topics published after the event `lastEventId`,
+ * oldest first, or null when some of them are no longer buffered
+ */
+export const eventsSince = (lastEventId, topics) => {
+  const [stream, last] = String(lastEventId).split("-");
+  const from = Number(last);
+
+  if (stream !== STREAM_ID || !Number.isInteger(from) || from > sequence || from < sequence - BUFFER_SIZE) {
+    return null;
+  }
+
+  const wanted = new Set(topics);
+  const events = [];
+  for (let seq = from + 1; seq <= sequence; seq++) {
+    const event = buffer[seq % BUFFER_SIZE];
+    if (wanted.has(event.topic)) events.push(event);
+  }
+  return events;
+};
+
+const RELAY_RETRY_MS = 5000;
+// The resume token can no longer be used: the oplog moved past it
+const HISTORY_LOST_CODES = new Set([280, 286]);
+
+/**
+ * In an API process: deliver the events published by other processes to
+ * this process's clients
+ * @returns {{ stop: Function }}
+ */
+export const startEventRelay = ({ retryMs = RELAY_RETRY_MS } = {}) => {
+  let stream = null;
+  let resumeAfter = null;
+  let stopped = false;
+  let timer = null;
+
+  const open = () => {
+    const pipeline = [{ $match: { operationType: "insert", "fullDocument.origin": { $ne: STREAM_ID } } }];
+    stream = ServerEvent.watch(pipeline, resumeAfter ? { resumeAfter } : {});
+
+    stream.on("change", (change) => {
+      resumeAfter = change._id;
+      for (const event of change.fullDocument.events) deliver(event);
+    });
+
+    // The driver resumes by itself after transient errors; after others,
+    // reopen where the stream stopped, or from now if that is gone
+    stream.on("error", (error) => {
+      console.error("Event relay failed:", error.message);
+      if (HISTORY_LOST_CODES.has(error.code)) resumeAfter = null;
+
+      stream.close().catch(() => {});
+      if (!stopped) timer = setTimeout(open, retryMs);
+    });
+  };
+
+  open();
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream.close().catch(() => {});
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import FeedImpression from "../model/FeedImpression.js";
+
+/**
+ * Feed Impressions
+ * Movies served in the feed are recorded per feed session. A movie the user
+ * then clicks, views, likes or shares is cleared; the rest count as ignored,
+ * once per session, and are demoted when the feed is next ranked.
+ */
+
+// Interactions that show a movie served in the feed was not ignored
+export const ENGAGED_INTERACTIONS = ["view", "click", "like", "share"];
+
+/**
+ * Record movies served in a feed page.
+ * Failures are logged rather than thrown: the page is still served.
+ */
+export const recordFeedImpressions = async (userId, movieIds, session, at = new Date()) => {
+  if (movieIds.length === 0) return;
+
+  const sessions = {
+    $add: [
+      { $ifNull: ["$sessions", 0] },
+      { $cond: [{ $eq: ["$lastSession", session] }, 0, 1] }
+    ]
+  };
+
+  try {
+    await FeedImpression.bulkWrite(
+      movieIds.map(movie => ({
+        updateOne: {
+          filter: { user: userId, movie },
+          update: [{ $set: { sessions, lastSession: session, lastShownAt: at } }],
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.error(`Failed to record feed impressions of user ${userId}:`, error);
+  }
+};
+
+/**
+ * Forget a movie's impressions once the user engages with it.
+ * Failures are logged rather than thrown: the interaction itself is recorded.
+ */
+export const clearFeedImpression = async (userId, movieId) => {
+  try {
+    await FeedImpression.deleteOne({ user: userId, movie: movieId });
+  } catch (error) {
+    console.error(`Failed to clear the feed impression of user ${userId}:`, error);
+  }
+};
+
+/**
+ * Feed sessions each movie was shown in and ignored, by movie id
+ * @returns {Promise<Map<string, number>>}
+ */
+export const getIgnoredCounts = async (userId) => {
+  const impressions = await FeedImpression.find({ user: userId }).select("movie sessions").lean();
+  return new Map(impressions.map(impression => [impression.movie.toString(), impression.sessions]));
+};
@@ -0,0 +1,306 @@
+import os from "os";
+import Job from "../model/Job.js";
+import { randomToken } from "./tokens.js";
+import { publishEvent } from "./eventStream.js";
+
+/**
+ * Persistent Job Queue
+ * Jobs are stored in MongoDB (see model/Job.js) and claimed atomically, so
+ * any number of workers - in the API process or `node worker.js` - can share
+ * the same queue and nothing is lost on restart.
+ *
+ * A claimed job is locked for `visibilityTimeoutMs`. The worker renews the
+ * lock while the handler runs; if the worker dies the lock expires and the
+ * job is picked up again. Failed attempts are retried with exponential
+ * backoff until `maxAttempts`, after which the job is marked dead.
+ */
+
+const handlers = new Map();
+const localWorkers = new Set();
+const recurring = new Map(); // type -> intervalMs
+
+// Jobs not finished yet; a recurring type has at most one of them
+const PENDING_STATUSES = ["queued", "running", "failed"];
+
+// Saved progress is announced at most this often per job
+const PROGRESS_EVENT_INTERVAL_MS = 1000;
+
+/**
+ * Announce a job's state on the "jobs" event topic; clients fetch the details.
+ * Other processes only need its latest state, so they get one per flush.
+ */
+const publishJobUpdate = (job, status) => {
+  publishEvent(
+    "jobs",
+    "job.updated",
+    { jobId: String(job._id), type: job.type, status, attempts: job.attempts },
+    { coalesce: String(job._id) }
+  );
+};
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, { saveProgress }) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Max jobs of this type running at once per worker
+ */
+export const registerHandler = (type, handler, { concurrency = 1 } = {}) => {
+  handlers.set(type, { handler, concurrency });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (must have a handler registered in the worker)
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked dead
+ * @param {Date} [options.runAt] - Delay the first attempt
+ * @param {string} [options.createdBy] - User who queued the job
+ */
+export const enqueue = async (type, payload, { maxAttempts, runAt, createdBy } = {}) => {
+  const job = await Job.create({ type, payload, maxAttempts, runAt, createdBy });
+
+  // Workers in this process pick the job up now instead of on their next poll
+  localWorkers.forEach(worker => worker.wake());
+
+  return job;
+};
+
+/**
+ * Run jobs of a type every `intervalMs`. A run is queued now unless one is
+ * already pending, and each finished run (succeeded or dead) queues the next.
+ * Call it where the handler is registered; concurrent workers may briefly
+ * queue a duplicate run, so recurring handlers must be safe to repeat.
+ * @param {string} type - Job type
+ * @param {number} intervalMs - Delay between the end of a run and the next
+ * @param {Object} [payload] - Data passed to every run
+ */
+export const scheduleRecurring = async (type, intervalMs, payload = {}) => {
+  recurring.set(type, { intervalMs, payload });
+
+  const pending = await Job.exists({ type, status: { $in: PENDING_STATUSES } });
+  if (!pending) {
+    await enqueue(type, payload);
+  }
+};
+
+// The finished run is already recorded, so a failure here is only logged
+const scheduleNextRun = async (job) => {
+  const schedule = recurring.get(job.type);
+  if (!schedule) return;
+
+  try {
+    const pending = await Job.exists({
+      _id: { $ne: job._id },
+      type: job.type,
+      status: { $in: PENDING_STATUSES }
+    });
+    if (!pending) {
+      await enqueue(job.type, schedule.payload, { runAt: new Date(Date.now() + schedule.intervalMs) });
+    }
+  } catch (error) {
+    console.error(`Failed to schedule the next ${job.type} job:`, error.message);
+  }
+};
+
+/**
+ * Number of jobs in each state, optionally for one type
+ */
+export const getQueueStats = async (type) => {
+  const match = type ? { type } : {};
+  const counts = await Job.aggregate([
+    { $match: match },
+    { $group: { _id: "$status", count: { $sum: 1 } } }
+  ]);
+
+  const stats = { queued: 0, running: 0, succeeded: 0, failed: 0, dead: 0 };
+  counts.forEach(({ _id, count }) => {
+    stats[_id] = count;
+  });
+  return stats;
+};
+
+// 2^n growth from `base`, capped, with +/-20% jitter so retries do not line up
+const backoffDelay = (attempts, base, max) => {
+  const delay = Math.min(base * 2 ** (attempts - 1), max);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Start polling for jobs
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Max jobs running at once across all types
+ * @param {number} [options.pollIntervalMs] - How often to look for due jobs when idle
+ * @param {number} [options.visibilityTimeoutMs] - Lock length; renewed while a job runs
+ * @param {number} [options.retryDelayMs] - Delay before the first retry
+ * @param {number} [options.maxRetryDelayMs] - Upper bound for the backoff
+ * @param {string[]} [options.types] - Job types to run (defaults to every registered type)
+ * @returns {{ id: string, wake: Function, stop: Function }}
+ */
+export const startWorker = ({
+  concurrency = 4,
+  pollIntervalMs = 2000,
+  visibilityTimeoutMs = 60 * 1000,
+  retryDelayMs = 5000,
+  maxRetryDelayMs = 60 * 60 * 1000,
+  types = [...handlers.keys()]
+} = {}) => {
+  const id = `${os.hostname()}:${process.pid}:${randomToken(4)}`;
+  const running = new Map(); // jobId -> promise
+  const runningByType = new Map();
+  let stopped = false;
+  let polling = false;
+  let pollAgain = false;
+  let pollTimer = null;
+
+  const lockExpiry = () => new Date(Date.now() + visibilityTimeoutMs);
+  // Only touch the job while this worker still holds it
+  const ownJob = (job) => ({ _id: job._id, status: "running", lockedBy: id });
+
+  const claimableTypes = () =>
+    types.filter(type => (runningByType.get(type) || 0) < (handlers.get(type)?.concurrency || 0));
+
+  const claim = (claimTypes) => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: claimTypes },
+        $or: [
+          { status: { $in: ["queued", "failed"] }, runAt: { $lte: now } },
+          { status: "running", lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: "running", lockedBy: id, lockedUntil: lockExpiry(), startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  };
+
+  const finish = async (job, update) => {
+    await Job.updateOne(ownJob(job), {
+      $set: { lockedBy: null, lockedUntil: null, ...update }
+    });
+    publishJobUpdate(job, update.status);
+  };
+
+  const fail = async (job, error) => {
+    const message = error?.message || String(error);
+
+    if (job.attempts >= job.maxAttempts) {
+      console.error(`Job ${job.type} ${job._id} is dead after ${job.attempts} attempts:`, message);
+      await finish(job, { status: "dead", lastError: message, finishedAt: new Date() });
+      return scheduleNextRun(job);
+    }
+
+    const delay = backoffDelay(job.attempts, retryDelayMs, maxRetryDelayMs);
+    return finish(job, { status: "failed", lastError: message, runAt: new Date(Date.now() + delay) });
+  };
+
+  const execute = async (job) => {
+    const { handler } = handlers.get(job.type);
+
+    // A worker that died mid-job still used up an attempt
+    if (job.attempts > job.maxAttempts) {
+      return fail(job, new Error("Worker stopped while running the job"));
+    }
+
+    const renewLock = () => Job.updateOne(ownJob(job), { lockedUntil: lockExpiry() });
+    const renewTimer = setInterval(() => {
+      renewLock().catch(error => console.error(`Job ${job._id} lock renewal failed:`, error.message));
+    }, visibilityTimeoutMs / 3);
+
+    let progressAnnouncedAt = 0;
+    const saveProgress = async (progress) => {
+      job.progress = progress;
+      await Job.updateOne(ownJob(job), { progress, lockedUntil: lockExpiry() });
+
+      if (Date.now() - progressAnnouncedAt >= PROGRESS_EVENT_INTERVAL_MS) {
+        progressAnnouncedAt = Date.now();
+        publishJobUpdate(job, "running");
+      }
+    };
+
+    try {
+      const result = await handler(job, { saveProgress });
+      await finish(job, { status: "succeeded", result: result ?? null, lastError: null, finishedAt: new Date() });
+      await scheduleNextRun(job);
+    } catch (error) {
+      await fail(job, error);
+    } finally {
+      clearInterval(renewTimer);
+    }
+  };
+
+  const startJob = (job) => {
+    runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+    publishJobUpdate(job, "running");
+
+    const promise = execute(job)
+      .catch(error => console.error(`Job ${job._id} bookkeeping failed:`, error.message))
+      .finally(() => {
+        running.delete(String(job._id));
+        runningByType.set(job.type, runningByType.get(job.type) - 1);
+        poll();
+      });
+
+    running.set(String(job._id), promise);
+  };
+
+  // Claim jobs until every slot is busy or nothing is due
+  const poll = async () => {
+    if (stopped) return;
+    if (polling) {
+      pollAgain = true;
+      return;
+    }
+
+    polling = true;
+    try {
+      while (!stopped && running.size < concurrency) {
+        const claimTypes = claimableTypes();
+        if (claimTypes.length === 0) break;
+
+        const job = await claim(claimTypes);
+        if (!job) break;
+        startJob(job);
+      }
+    } catch (error) {
+      console.error("Job worker poll failed:", error.message);
+    } finally {
+      polling = false;
+    }
+
+    if (pollAgain) {
+      pollAgain = false;
+      return poll();
+    }
+  };
+
+  const schedule = () => {
+    pollTimer = setTimeout(async () => {
+      await poll();
+      if (!stopped) schedule();
+    }, pollIntervalMs);
+  };
+
+  /**
+   * Stop claiming new jobs and wait for the running ones to finish
+   */
+  const stop = async () => {
+    stopped = true;
+    clearTimeout(pollTimer);
+    localWorkers.delete(worker);
+    await Promise.allSettled(running.values());
+  };
+
+  const worker = { id, wake: poll, stop };
+  localWorkers.add(worker);
+
+  poll();
+  schedule();
+
+  return worker;
+};
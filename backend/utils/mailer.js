@@ -0,0 +1,74 @@
+/**
+ * Mailer Utility
+ * Sends email through a pluggable transport. A transport is any object with an
+ * async `send(message)` method, where message is { from, to, subject, text, html }.
+ *
+ * Built-in transports (select with MAIL_TRANSPORT):
+ * - console: prints messages to stdout (default)
+ * - file:    writes each message as JSON into MAIL_DIR (default: tmp/mail)
+ *
+ * A real provider can be plugged in at startup with setMailTransport().
+ */
+import fs from "fs/promises";
+import path from "path";
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`
+    );
+  }
+};
+
+const createFileTransport = (dir) => ({
+  name: "file",
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT || "console") {
+    case "file":
+      return createFileTransport(process.env.MAIL_DIR || path.join("tmp", "mail"));
+    case "console":
+      return consoleTransport;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+  }
+};
+
+let transport = null;
+
+/**
+ * Replace the mail transport (e.g. an SMTP or API provider adapter)
+ */
+export const setMailTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "MOVENTO <no-reply@movento.local>",
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,37 @@
+import { publishEvent } from "./eventStream.js";
+import { snapshotMovie } from "./auditLog.js";
+
+/**
+ * Movie Events
+ * Catalog changes announced on the "movies" event topic by the handlers that
+ * make them. Restored movies are announced as created and movies merged into
+ * another as deleted; purged movies are already gone from the catalog. Import
+ * jobs announce their movies once done (movies.imported) rather than one by
+ * one.
+ */
+
+/**
+ * Announce a created, restored or updated movie with its catalog fields
+ * @param {"movie.created" | "movie.updated"} type
+ */
+export const publishMovieChange = (type, movie) => {
+  const source = typeof movie.toObject === "function" ? movie.toObject() : movie;
+  publishEvent("movies", type, {
+    movie: JSON.parse(
+      JSON.stringify({
+        _id: source._id,
+        ...snapshotMovie(source),
+        userRating: source.userRating,
+        createdAt: source.createdAt,
+        updatedAt: source.updatedAt
+      })
+    )
+  });
+};
+
+/**
+ * Announce a movie leaving the catalog
+ */
+export const publishMovieDeleted = (movieId) => {
+  publishEvent("movies", "movie.deleted", { movieId: String(movieId) });
+};
@@ -0,0 +1,128 @@
+/**
+ * Movie Facets
+ * Aggregation pipelines computing counts per genre, decade, director, rating band and duration
+ */
+
+import Movie from "../model/Movie.js";
+import { buildMovieFilter, mergeFilters, DURATION_BUCKETS } from "./movieFilters.js";
+
+// Lower bounds of the rating bands; the last band includes a perfect 10
+const RATING_BOUNDARIES = [0, 5, 6, 7, 8, 9, 10.01];
+const DIRECTOR_FACET_LIMIT = 20;
+
+/**
+ * Each facet ignores the query params that filter its own dimension, so the
+ * sidebar keeps showing counts for alternative values (disjunctive faceting)
+ */
+const FACETS = {
+  genres: {
+    omit: ["genre", "genreMode"],
+    stages: [
+      { $unwind: "$genre" },
+      { $group: { _id: "$genre", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]
+  },
+  decades: {
+    omit: ["yearFrom", "yearTo"],
+    stages: [
+      {
+        $group: {
+          _id: { $multiply: [{ $floor: { $divide: [{ $year: "$releaseDate" }, 10] } }, 10] },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]
+  },
+  directors: {
+    omit: ["director"],
+    stages: [
+      { $group: { _id: "$director", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: DIRECTOR_FACET_LIMIT }
+    ]
+  },
+  ratingBands: {
+    omit: ["minRating", "maxRating"],
+    stages: [
+      {
+        $bucket: {
+          groupBy: "$rating",
+          boundaries: RATING_BOUNDARIES,
+          default: "unrated",
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]
+  },
+  durations: {
+    omit: ["duration"],
+    stages: [
+      {
+        $bucket: {
+          groupBy: "$duration",
+          boundaries: [0, DURATION_BUCKETS.medium.min, DURATION_BUCKETS.long.min, Number.MAX_SAFE_INTEGER],
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]
+  }
+};
+
+const DURATION_LABELS = {
+  0: "short",
+  [DURATION_BUCKETS.medium.min]: "medium",
+  [DURATION_BUCKETS.long.min]: "long"
+};
+
+/**
+ * Shape raw aggregation buckets into { value, count } pairs
+ */
+const formatBuckets = (name, buckets) => {
+  if (name === "ratingBands") {
+    return buckets
+      .filter(bucket => bucket._id !== "unrated")
+      .map(bucket => {
+        const index = RATING_BOUNDARIES.indexOf(bucket._id);
+        const max = Math.min(RATING_BOUNDARIES[index + 1], 10);
+        return { value: `${bucket._id}-${Math.floor(max)}`, min: bucket._id, max, count: bucket.count };
+      });
+  }
+
+  if (name === "durations") {
+    return buckets.map(bucket => ({ value: DURATION_LABELS[bucket._id], count: bucket.count }));
+  }
+
+  return buckets
+    .filter(bucket => bucket._id !== null && bucket._id !== undefined)
+    .map(bucket => ({ value: bucket._id, count: bucket.count }));
+};
+
+/**
+ * Compute facet counts for a listing or search request
+ *
+ * @param {Object} query - Express request query (same params accepted by buildMovieFilter)
+ * @param {Object} baseFilter - Extra filter applied to every facet (e.g. a $text search)
+ * @returns {Promise<Object>} Facets keyed by name
+ */
+export const getMovieFacets = async (query = {}, baseFilter = {}) => {
+  const entries = await Promise.all(
+    Object.entries(FACETS).map(async ([name, facet]) => {
+      const facetQuery = { ...query };
+      facet.omit.forEach(param => delete facetQuery[param]);
+
+      const match = mergeFilters(baseFilter, buildMovieFilter(facetQuery));
+      const buckets = await Movie.aggregate([{ $match: match }, ...facet.stages]);
+
+      return [name, formatBuckets(name, buckets)];
+    })
+  );
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Whether the request asked for facets (?facets=true)
+ */
+export const wantsFacets = (query = {}) => query.facets === "true" || query.facets === "1";
@@ -0,0 +1,287 @@
+import crypto from "crypto";
+import Movie from "../model/Movie.js";
+import User from "../model/User.js";
+import UserFeed from "../model/UserFeed.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { ApiError } from "./errorHandler.js";
+import { getPopularityCounts, getPopularMovies } from "./movieStats.js";
+import { getCollaborativeScores } from "./movieSimilarity.js";
+import { getIgnoredCounts, recordFeedImpressions } from "./feedImpressions.js";
+import { getTasteProfile, topTasteNames } from "./tasteProfile.js";
+import { getTrendingIds } from "./trending.js";
+import {
+  assignRanking,
+  isSameRanking,
+  recordImpressions,
+  servedRanking
+} from "./rankingStrategy.js";
+import { getPersonalizedFeed } from "./recommendationEngine.js";
+
+/**
+ * Movie Feed
+ * Personalized feeds are ranked from a candidate set (movies similar to what
+ * the user liked or viewed, the best liked genres and directors of the taste
+ * profile, popular, recent and top rated movies) instead of the whole
+ * catalog, cached per user and paged with an opaque cursor. Movies the user
+ * marked "not interested" are left out, movies shown in earlier visits and
+ * ignored are demoted, and the ranking is re-ranked for variety (see
+ * getPersonalizedFeed). The ranking weights and popularity window come from the
+ * user's ranking strategy (see utils/rankingStrategy.js).
+ */
+
+// Movies kept in a cached feed; the end of the feed is the end of scrolling
+export const FEED_SIZE = 500;
+const FEED_TTL_MS = 30 * 60 * 1000;
+// Movies taken from each candidate source
+const CANDIDATE_LIMIT = 150;
+// Latest liked and viewed movies the collaborative score starts from
+const SEED_LIMIT = 50;
+const SEED_WEIGHTS = { liked: 1, viewed: 0.5 };
+// Taste profile entries used as candidate sources
+const TOP_GENRES = 5;
+const TOP_DIRECTORS = 20;
+// Movies of genres the user has not interacted with, for the exploration slots
+const EXPLORATION_CANDIDATES = 50;
+// Movies this far up this week's trending list are recommended as trending
+const TRENDING_REASON_DEPTH = 50;
+// Enough to score a movie; pages are loaded in full when served
+const CANDIDATE_FIELDS = "genre director cast rating releaseDate";
+
+/**
+ * Movies the user liked or viewed most recently, weighted for the collaborative score
+ * @returns {Array<{ movie: string, weight: number, source: "liked" | "watched" }>}
+ */
+const feedSeeds = (history) => {
+  const seeds = new Map();
+  for (const { movieId } of (history.viewedMovies || []).slice(-SEED_LIMIT)) {
+    if (movieId) seeds.set(movieId.toString(), { weight: SEED_WEIGHTS.viewed, source: "watched" });
+  }
+  // A like outweighs a view of the same movie
+  for (const movie of (history.likedMovies || []).slice(-SEED_LIMIT)) {
+    seeds.set(movie.toString(), { weight: SEED_WEIGHTS.liked, source: "liked" });
+  }
+  return [...seeds].map(([movie, seed]) => ({ movie, ...seed }));
+};
+
+/**
+ * The seed each collaborative candidate is most similar to, with its title for explanations
+ */
+const describeSeeds = async (seeds, because) => {
+  const sources = new Map(seeds.map(seed => [seed.movie, seed.source]));
+  const movies = await Movie.find({ _id: { $in: [...new Set(because.values())] } })
+    .select("title")
+    .lean();
+  const titles = new Map(movies.map(movie => [movie._id.toString(), movie.title]));
+
+  const described = new Map();
+  for (const [id, seed] of because) {
+    // A trashed seed is no reason to show
+    if (titles.has(seed)) {
+      described.set(id, { movie: seed, title: titles.get(seed), source: sources.get(seed) });
+    }
+  }
+  return described;
+};
+
+// Stored scores do not need more precision than this
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Movies worth scoring for a user, without duplicates
+ */
+const findCandidates = async (taste, collaborative, popularityDays) => {
+  const preferredGenres = topTasteNames(taste.genre, TOP_GENRES);
+  const preferredDirectors = topTasteNames(taste.director, TOP_DIRECTORS);
+  const knownGenres = [...taste.genre.keys()];
+  const candidateQuery = (filter, sort, limit = CANDIDATE_LIMIT) =>
+    Movie.find(filter).select(CANDIDATE_FIELDS).sort(sort).limit(limit).lean();
+
+  const popular = await getPopularMovies(popularityDays, CANDIDATE_LIMIT);
+  const similar = [...collaborative]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CANDIDATE_LIMIT)
+    .map(([id]) => id);
+
+  const sources = await Promise.all([
+    Movie.find({ _id: { $in: popular.map(item => item.movie) } }).select(CANDIDATE_FIELDS).lean(),
+    Movie.find({ _id: { $in: similar } }).select(CANDIDATE_FIELDS).lean(),
+    candidateQuery({}, { releaseDate: -1 }),
+    candidateQuery({}, { rating: -1 }),
+    ...(preferredGenres.length > 0
+      ? [
+          candidateQuery({ genre: { $in: preferredGenres } }, { rating: -1 }),
+          candidateQuery({ genre: { $in: preferredGenres } }, { releaseDate: -1 })
+        ]
+      : []),
+    ...(preferredDirectors.length > 0
+      ? [candidateQuery({ director: { $in: preferredDirectors } }, { rating: -1 })]
+      : []),
+    ...(knownGenres.length > 0
+      ? [candidateQuery({ genre: { $nin: knownGenres } }, { rating: -1 }, EXPLORATION_CANDIDATES)]
+      : [])
+  ]);
+
+  const candidates = new Map();
+  for (const movie of sources.flat()) {
+    candidates.set(movie._id.toString(), movie);
+  }
+  return [...candidates.values()];
+};
+
+/**
+ * Rank a fresh feed for the user with the assigned ranking and cache it
+ */
+const generateFeed = async (userId, ranking) => {
+  const { weights, popularityDays } = ranking.strategy;
+  const [user, taste, dismissed, ignored, trending] = await Promise.all([
+    User.findById(userId).select("interactionHistory").lean(),
+    getTasteProfile(userId),
+    UserInteraction.distinct("movieId", { userId, interactionType: "not_interested" }),
+    getIgnoredCounts(userId),
+    getTrendingIds("7d", TRENDING_REASON_DEPTH)
+  ]);
+  const history = user?.interactionHistory || {};
+
+  const seeds = feedSeeds(history);
+  const { scores: collaborative, because } = await getCollaborativeScores(seeds);
+  const hidden = new Set(dismissed.map(String));
+  const candidates = (await findCandidates(taste, collaborative, popularityDays)).filter(
+    movie => !hidden.has(movie._id.toString())
+  );
+  const popularity = await getPopularityCounts(
+    candidates.map(movie => movie._id),
+    popularityDays
+  );
+  const ranked = getPersonalizedFeed(
+    candidates,
+    { taste, viewedMovies: history.viewedMovies },
+    {
+      popularity,
+      collaborative,
+      because: await describeSeeds(seeds, because),
+      trending: new Set(trending),
+      weights,
+      ignored
+    },
+    FEED_SIZE
+  );
+  const viewed = new Set((history.viewedMovies || []).map(({ movieId }) => String(movieId)));
+
+  const generatedAt = new Date();
+  return UserFeed.findOneAndUpdate(
+    { user: userId },
+    {
+      items: ranked.map(({ movie, score, breakdown, reason }) => ({
+        movie: movie._id,
+        score: round(score),
+        breakdown: Object.fromEntries(
+          Object.entries(breakdown).map(([component, value]) => [component, round(value)])
+        ),
+        reason,
+        viewed: viewed.has(movie._id.toString())
+      })),
+      ranking: servedRanking(ranking),
+      generatedAt,
+      stale: false,
+      expiresAt: new Date(generatedAt.getTime() + FEED_TTL_MS)
+    },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Mark a user's cached feed as out of date, e.g. after a new interaction.
+ * Failures are logged rather than thrown: the feed still expires on its own.
+ */
+export const invalidateFeed = async (userId) => {
+  try {
+    await UserFeed.updateOne({ user: userId }, { stale: true });
+  } catch (error) {
+    console.error(`Failed to invalidate the feed of user ${userId}:`, error);
+  }
+};
+
+const encodeCursor = (feed, offset, session) =>
+  Buffer.from(JSON.stringify({ g: feed.generatedAt.getTime(), o: offset, s: session })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const { g, o, s } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(g) && Number.isInteger(o) && o >= 0 && typeof s === "string" && s) {
+      return { generatedAt: g, offset: o, session: s };
+    }
+  } catch {
+    // Reported below
+  }
+  throw new ApiError(400, "Invalid feed cursor");
+};
+
+/**
+ * One page of a user's feed.
+ * Without a cursor the feed is rebuilt first if it is stale, so new
+ * interactions show up on refresh; while scrolling, the cached feed is kept so
+ * pages do not shift. If the feed was rebuilt in between (it expired), paging
+ * continues at the same position in the new feed and may repeat a few movies.
+ * A feed ranked with another strategy version or experiment variant than the
+ * user's current one is rebuilt like a stale one.
+ * Each first page starts a feed session and the movies served are recorded as
+ * impressions of it. Serving leaves the cache alone: whatever was ignored is
+ * demoted once the feed is rebuilt, when it expires or the user interacts.
+ * With `explain` each movie gets a `recommendation` with the reason it is
+ * recommended; `debug` adds its score and score breakdown. `hideViewed` leaves
+ * out movies the user has already viewed.
+ * @returns {Promise<{ data: Object[], nextCursor: string | null }>}
+ */
+export const getFeedPage = async (
+  userId,
+  { cursor, limit, explain = false, debug = false, hideViewed = false }
+) => {
+  const position = cursor ? decodeCursor(cursor) : null;
+
+  const [cached, ranking] = await Promise.all([
+    UserFeed.findOne({ user: userId }).lean(),
+    assignRanking(userId)
+  ]);
+  let feed = cached;
+  const expired = !feed || feed.expiresAt <= new Date();
+  const outdated = !expired && (feed.stale || !isSameRanking(feed.ranking, servedRanking(ranking)));
+  if (expired || (!position && outdated)) {
+    feed = await generateFeed(userId, ranking);
+  }
+
+  const session = position ? position.session : crypto.randomUUID();
+  const offset = position ? position.offset : 0;
+  const list = hideViewed ? feed.items.filter(item => !item.viewed) : feed.items;
+  const items = list.slice(offset, offset + limit);
+
+  // Trashed movies are left out by the query and so drop out of the page
+  const movies = await Movie.find({ _id: { $in: items.map(item => item.movie) } }).lean();
+  const byId = new Map(movies.map(movie => [movie._id.toString(), movie]));
+  const nextOffset = offset + items.length;
+
+  const data = items
+    .filter(item => byId.has(item.movie.toString()))
+    .map(({ movie, score, breakdown, reason }) => {
+      const entry = byId.get(movie.toString());
+      if (debug) return { ...entry, recommendation: { reason, score, breakdown } };
+      if (explain) return { ...entry, recommendation: { reason } };
+      return entry;
+    });
+  await recordImpressions(feed.ranking, data.length);
+  await recordFeedImpressions(userId, data.map(movie => movie._id), session);
+
+  return {
+    data,
+    nextCursor: nextOffset < list.length ? encodeCursor(feed, nextOffset, session) : null
+  };
+};
+
+/**
+ * The ranking the user's current feed was served with, if any
+ */
+export const getServedRanking = async (userId) => {
+  const feed = await UserFeed.findOne({ user: userId }).select("ranking").lean();
+  return feed?.ranking;
+};
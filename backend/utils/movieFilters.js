@@ -0,0 +1,164 @@
+/**
+ * Movie Filters
+ * Translates listing query params into MongoDB filters for the Movie collection
+ */
+
+import { ApiError } from "./errorHandler.js";
+
+/**
+ * Duration buckets in minutes (min inclusive, max exclusive)
+ */
+export const DURATION_BUCKETS = {
+  short: { min: 0, max: 90 },
+  medium: { min: 90, max: 150 },
+  long: { min: 150, max: Infinity }
+};
+
+const MIN_YEAR = 1870;
+const MAX_YEAR = 2100;
+
+/**
+ * Normalize a query value into a list of trimmed strings.
+ * Accepts repeated params (?genre=a&genre=b) and comma-separated values (?genre=a,b)
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : [value];
+
+  return values
+    .flatMap(v => String(v).split(","))
+    .map(v => v.trim())
+    .filter(v => v.length > 0);
+};
+
+/**
+ * Parse a numeric query param, throwing a 400 if it is present but invalid
+ */
+const parseNumber = (value, name, { min, max, integer = false }) => {
+  if (value === undefined || value === "") return undefined;
+
+  const number = Number(value);
+  if (Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+    throw new ApiError(400, `${name} must be a${integer ? "n integer" : " number"}`);
+  }
+  if (number < min || number > max) {
+    throw new ApiError(400, `${name} must be between ${min} and ${max}`);
+  }
+
+  return number;
+};
+
+/**
+ * Parse a single text param (director, cast)
+ */
+const parseText = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string") {
+    throw new ApiError(400, `${name} must be a single value`);
+  }
+
+  const text = value.trim();
+  if (text.length > 100) {
+    throw new ApiError(400, `${name} cannot exceed 100 characters`);
+  }
+
+  return text || undefined;
+};
+
+/**
+ * Build a Movie filter from request query params
+ *
+ * Supported params:
+ *   genre      - one or more genres (comma-separated or repeated)
+ *   genreMode  - "any" (default) matches movies with at least one genre, "all" requires every genre
+ *   yearFrom   - earliest release year (inclusive)
+ *   yearTo     - latest release year (inclusive)
+ *   minRating  - minimum rating (0-10)
+ *   maxRating  - maximum rating (0-10)
+ *   duration   - one or more duration buckets: short, medium, long
+ *   director   - exact director name
+ *   cast       - exact cast member name
+ *
+ * @param {Object} query - Express request query
+ * @returns {Object} MongoDB filter
+ */
+export const buildMovieFilter = (query = {}) => {
+  const filter = {};
+
+  // Genres
+  const genres = toList(query.genre);
+  const genreMode = query.genreMode || "any";
+  if (!["any", "all"].includes(genreMode)) {
+    throw new ApiError(400, "genreMode must be either 'any' or 'all'");
+  }
+  if (genres.length > 0) {
+    filter.genre = genreMode === "all" ? { $all: genres } : { $in: genres };
+  }
+
+  // Release year range
+  const yearFrom = parseNumber(query.yearFrom, "yearFrom", { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+  const yearTo = parseNumber(query.yearTo, "yearTo", { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+  if (yearFrom !== undefined && yearTo !== undefined && yearFrom > yearTo) {
+    throw new ApiError(400, "yearFrom cannot be greater than yearTo");
+  }
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    filter.releaseDate = {};
+    if (yearFrom !== undefined) {
+      filter.releaseDate.$gte = new Date(Date.UTC(yearFrom, 0, 1));
+    }
+    if (yearTo !== undefined) {
+      filter.releaseDate.$lt = new Date(Date.UTC(yearTo + 1, 0, 1));
+    }
+  }
+
+  // Rating range
+  const minRating = parseNumber(query.minRating, "minRating", { min: 0, max: 10 });
+  const maxRating = parseNumber(query.maxRating, "maxRating", { min: 0, max: 10 });
+  if (minRating !== undefined && maxRating !== undefined && minRating > maxRating) {
+    throw new ApiError(400, "minRating cannot be greater than maxRating");
+  }
+  if (minRating !== undefined || maxRating !== undefined) {
+    filter.rating = {};
+    if (minRating !== undefined) filter.rating.$gte = minRating;
+    if (maxRating !== undefined) filter.rating.$lte = maxRating;
+  }
+
+  // Duration buckets
+  const buckets = toList(query.duration);
+  // hasOwn, so "constructor" and other prototype keys are not buckets
+  const invalidBucket = buckets.find(bucket => !Object.hasOwn(DURATION_BUCKETS, bucket));
+  if (invalidBucket) {
+    throw new ApiError(
+      400,
+      `Invalid duration '${invalidBucket}'. Allowed: ${Object.keys(DURATION_BUCKETS).join(", ")}`
+    );
+  }
+  if (buckets.length > 0) {
+    const ranges = [...new Set(buckets)].map(bucket => {
+      const { min, max } = DURATION_BUCKETS[bucket];
+      return max === Infinity ? { duration: { $gte: min } } : { duration: { $gte: min, $lt: max } };
+    });
+    if (ranges.length === 1) {
+      Object.assign(filter, ranges[0]);
+    } else {
+      filter.$or = ranges;
+    }
+  }
+
+  // People
+  const director = parseText(query.director, "director");
+  if (director) filter.director = director;
+
+  const castMember = parseText(query.cast, "cast");
+  if (castMember) filter.cast = castMember;
+
+  return filter;
+};
+
+/**
+ * Combine two filters, falling back to $and when they share keys (e.g. two $or clauses)
+ */
+export const mergeFilters = (a = {}, b = {}) => {
+  const overlaps = Object.keys(a).some(key => key in b);
+  return overlaps ? { $and: [a, b] } : { ...a, ...b };
+};
@@ -0,0 +1,237 @@
+import { once } from "events";
+import { parse } from "csv-parse";
+import { MAX_BATCH_MOVIES, MOVIE_IMPORT_FIELDS } from "../../shared/validation/index.js";
+import { schemas } from "../middleware/validate.js";
+import { ApiError } from "./errorHandler.js";
+
+/**
+ * Movie Import / Export
+ * Streams CSV/TSV uploads into movie objects and the catalog out as CSV or JSON.
+ * Files are parsed chunk by chunk as they arrive, so a large upload never
+ * blocks the event loop or sits in memory as one string.
+ */
+
+// The rows of a file become one job, so it has the batch limit; the byte
+// limit keeps the job's document well below MongoDB's 16MB
+export const IMPORT_MAX_ROWS = MAX_BATCH_MOVIES;
+export const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+const LIST_FIELDS = ["genre", "cast"];
+
+// Spreadsheets run cells starting with these as formulas, so exported cells
+// get a leading ' (shown as text) that imports drop again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
+
+// Header spellings that map to a field without an explicit mapping
+const HEADER_ALIASES = {
+  genres: "genre",
+  poster: "posterUrl",
+  posterurl: "posterUrl",
+  imdb: "imdbId",
+  runtime: "duration",
+  released: "releaseDate",
+  year: "releaseDate"
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Work out which column feeds each field.
+ * An explicit mapping wins; otherwise headers are matched by name (case and
+ * punctuation insensitive, so "Release Date" fills releaseDate).
+ */
+const resolveColumns = (headers, mapping) => {
+  const columns = {};
+
+  if (mapping) {
+    for (const [field, header] of Object.entries(mapping)) {
+      const index = headers.indexOf(header);
+      if (index === -1) {
+        throw new ApiError(400, `Column "${header}" (mapped to ${field}) was not found in the file`);
+      }
+      columns[field] = index;
+    }
+    return columns;
+  }
+
+  const byName = Object.fromEntries(MOVIE_IMPORT_FIELDS.map(field => [field.toLowerCase(), field]));
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = byName[normalized] || HEADER_ALIASES[normalized];
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  return columns;
+};
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid =
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Normalize a date cell to YYYY-MM-DD.
+ * "auto" accepts a bare year, YYYY-MM-DD and D/M/YYYY (day first only when
+ * the first part cannot be a month, otherwise month first), then anything
+ * Date understands ("March 5, 2020"). Unparseable values are returned as-is
+ * so validation reports them.
+ */
+export const parseDate = (value, format = "auto") => {
+  const text = value.trim();
+
+  if (/^\d{4}$/.test(text)) return `${text}-01-01`;
+
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (ymd && (format === "auto" || format === "ymd")) {
+    return toIsoDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3])) || text;
+  }
+
+  const parts = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (parts && format !== "ymd") {
+    const [first, second, year] = parts.slice(1).map(Number);
+    const dayFirst = format === "dmy" || (format === "auto" && first > 12);
+    const iso = dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+    return iso || text;
+  }
+
+  if (format === "auto") {
+    const timestamp = Date.parse(text);
+    if (!Number.isNaN(timestamp)) return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  return text;
+};
+
+/**
+ * Build a movie object from one CSV record. Empty cells are left out so
+ * optional fields stay unset instead of becoming "" or 0.
+ */
+const mapRecord = (record, columns, { listSeparator, dateFormat }) => {
+  const movie = {};
+
+  for (const [field, index] of Object.entries(columns)) {
+    const value = record[index]?.trim().replace(FORMULA_ESCAPE, "");
+    if (!value) continue;
+
+    if (LIST_FIELDS.includes(field)) {
+      movie[field] = value.split(listSeparator).map(item => item.trim()).filter(Boolean);
+    } else if (field === "releaseDate") {
+      movie[field] = parseDate(value, dateFormat);
+    } else {
+      movie[field] = value;
+    }
+  }
+
+  return movie;
+};
+
+/**
+ * Validate an imported row against the movie schema
+ * @returns {{ success: true, data: Object } | { success: false, message: string }}
+ */
+export const validateMovieRow = (row) => {
+  const parsed = schemas.movies.movie.safeParse(row);
+  if (parsed.success) return parsed;
+
+  const message = parsed.error.issues
+    .map(issue => (issue.path.length ? `${issue.path.join(".")}: ${issue.message}` : issue.message))
+    .join(", ");
+  return { success: false, message };
+};
+
+/**
+ * Parse an uploaded CSV/TSV stream into movie objects
+ * @param {import("stream").Readable} stream - Request body
+ * @param {Object} options - Parsed importQuery (format, mapping, listSeparator, dateFormat)
+ * @returns {Promise<{ headers: string[], columns: Object, movies: Object[] }>}
+ */
+export const readMovieFile = async (stream, options) => {
+  const parser = parse({
+    delimiter: options.format === "tsv" ? "\t" : ",",
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true
+  });
+
+  let bytes = 0;
+  stream.on("data", chunk => {
+    bytes += chunk.length;
+    if (bytes > IMPORT_MAX_BYTES) {
+      parser.destroy(new ApiError(413, `Files cannot be larger than ${IMPORT_MAX_BYTES / 1024 / 1024}MB`));
+    }
+  });
+
+  let headers = null;
+  let columns = null;
+  const movies = [];
+
+  try {
+    for await (const record of stream.pipe(parser)) {
+      if (!headers) {
+        headers = record.map(header => header.trim());
+        columns = resolveColumns(headers, options.mapping);
+        continue;
+      }
+
+      if (movies.length >= IMPORT_MAX_ROWS) {
+        throw new ApiError(413, `A file cannot contain more than ${IMPORT_MAX_ROWS} movies`);
+      }
+      movies.push(mapRecord(record, columns, options));
+    }
+  } catch (error) {
+    stream.unpipe(parser);
+    stream.resume();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(400, `Could not read the file: ${error.message}`);
+  }
+
+  if (!headers || movies.length === 0) {
+    throw new ApiError(400, "The file has no movie rows");
+  }
+
+  return { headers, columns, movies };
+};
+
+const toExportRow = (movie) => ({
+  ...Object.fromEntries(MOVIE_IMPORT_FIELDS.map(field => [field, movie[field]])),
+  releaseDate: movie.releaseDate ? new Date(movie.releaseDate).toISOString().slice(0, 10) : undefined
+});
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = Array.isArray(value) ? value.join("|") : String(value);
+  if (FORMULA_START.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream movies from a cursor to the response, respecting backpressure.
+ * The CSV columns match the import format so an export can be re-imported.
+ * @param {import("express").Response} res
+ * @param {AsyncIterable<Object>} cursor - Lean movie documents
+ * @param {"csv" | "json"} format
+ */
+export const writeMovieExport = async (res, cursor, format) => {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, "drain");
+  };
+
+  let first = true;
+  await write(format === "csv" ? `${MOVIE_IMPORT_FIELDS.join(",")}\n` : "[");
+
+  for await (const movie of cursor) {
+    const row = toExportRow(movie);
+
+    if (format === "csv") {
+      await write(`${MOVIE_IMPORT_FIELDS.map(field => csvCell(row[field])).join(",")}\n`);
+    } else {
+      await write(`${first ? "" : ","}\n  ${JSON.stringify(row)}`);
+    }
+    first = false;
+  }
+
+  res.end(format === "csv" ? "" : "\n]\n");
+};
@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import Review from "../model/Review.js";
+import MovieList from "../model/MovieList.js";
+import User from "../model/User.js";
+import UserInteraction from "../model/UserInteraction.js";
+import FeedImpression from "../model/FeedImpression.js";
+import { ApiError } from "./errorHandler.js";
+import { refreshMovieRating } from "./movieRatings.js";
+import { mergeMovieStats } from "./movieStats.js";
+import { removeSimilarities } from "./movieSimilarity.js";
+import { deletePosterImages } from "./posterImages.js";
+import { recordAudit } from "./auditLog.js";
+
+/**
+ * Duplicate Movies
+ * Finds movies sharing a normalized title and release year, and merges a set
+ * of duplicates into one movie, moving everything that references them.
+ */
+
+const DUPLICATE_FIELDS = "title releaseDate director posterUrl imdbId createdAt userRating";
+
+/**
+ * Groups of two or more movies with the same normalized title and release year,
+ * largest groups first. Each movie carries its interaction and review counts so
+ * the admin can tell which copy to keep.
+ */
+export const findDuplicateGroups = async ({ page, limit }) => {
+  const [result] = await Movie.aggregate([
+    { $match: { normalizedTitle: { $type: "string", $ne: "" } } },
+    {
+      $group: {
+        _id: { title: "$normalizedTitle", year: "$releaseYear" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, "_id.title": 1 } },
+    {
+      $facet: {
+        groups: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }]
+      }
+    }
+  ]);
+
+  const groups = result.groups;
+  const ids = groups.flatMap(group => group.ids);
+
+  const [movies, interactions, reviews] = await Promise.all([
+    Movie.find({ _id: { $in: ids } }).select(DUPLICATE_FIELDS).lean(),
+    UserInteraction.aggregate([
+      { $match: { movieId: { $in: ids } } },
+      { $group: { _id: "$movieId", count: { $sum: 1 } } }
+    ]),
+    Review.aggregate([
+      { $match: { movie: { $in: ids } } },
+      { $group: { _id: "$movie", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countsById = (rows) => new Map(rows.map(row => [String(row._id), row.count]));
+  const interactionCounts = countsById(interactions);
+  const reviewCounts = countsById(reviews);
+  const moviesById = new Map(movies.map(movie => [String(movie._id), movie]));
+
+  return {
+    total: result.total[0]?.count || 0,
+    groups: groups.map(group => ({
+      normalizedTitle: group._id.title,
+      releaseYear: group._id.year,
+      movies: group.ids
+        .map(id => moviesById.get(String(id)))
+        .filter(Boolean)
+        .map(movie => ({
+          ...movie,
+          interactionCount: interactionCounts.get(String(movie._id)) || 0,
+          reviewCount: reviewCounts.get(String(movie._id)) || 0
+        }))
+    }))
+  };
+};
+
+/**
+ * Move reviews to the kept movie. A user can only review a movie once, so when
+ * they reviewed several copies only their most recent review survives.
+ */
+const mergeReviews = async (target, duplicateIds, session) => {
+  const reviews = await Review.find({ movie: { $in: [target._id, ...duplicateIds] } })
+    .sort({ updatedAt: -1 })
+    .session(session);
+
+  const keptByUser = new Map();
+  const toMove = [];
+  const toDelete = [];
+
+  reviews.forEach(review => {
+    const user = String(review.user);
+    if (keptByUser.has(user)) {
+      toDelete.push(review._id);
+      return;
+    }
+    keptByUser.set(user, review);
+    if (!review.movie.equals(target._id)) toMove.push(review._id);
+  });
+
+  // Delete first so moving never hits the one-review-per-user index
+  await Review.deleteMany({ _id: { $in: toDelete } }, { session });
+  await Review.updateMany({ _id: { $in: toMove } }, { movie: target._id }, { session });
+  await refreshMovieRating(target._id, session);
+
+  return { moved: toMove.length, dropped: toDelete.length };
+};
+
+/**
+ * Point list entries at the kept movie, dropping an entry when the list already has it
+ */
+const mergeListEntries = async (target, duplicateIds, session) => {
+  const duplicates = new Set(duplicateIds.map(String));
+  const lists = await MovieList.find({ "entries.movie": { $in: duplicateIds } }).session(session);
+
+  for (const list of lists) {
+    const seen = new Set();
+    list.entries = list.entries.filter(entry => {
+      if (duplicates.has(String(entry.movie))) entry.movie = target._id;
+      const key = String(entry.movie);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    await list.save({ session });
+  }
+
+  return lists.length;
+};
+
+/**
+ * Rewrite the movie references kept on user documents
+ */
+const mergeUserHistory = async (target, duplicateIds, session) => {
+  await User.updateMany(
+    { "interactionHistory.likedMovies": { $in: duplicateIds } },
+    { $addToSet: { "interactionHistory.likedMovies": target._id } },
+    { session }
+  );
+  await User.updateMany(
+    { "interactionHistory.likedMovies": { $in: duplicateIds } },
+    { $pull: { "interactionHistory.likedMovies": { $in: duplicateIds } } },
+    { session }
+  );
+  await User.updateMany(
+    { "interactionHistory.viewedMovies.movieId": { $in: duplicateIds } },
+    { $set: { "interactionHistory.viewedMovies.$[view].movieId": target._id } },
+    { arrayFilters: [{ "view.movieId": { $in: duplicateIds } }], session }
+  );
+};
+
+/**
+ * Merge duplicates into the target movie: interactions, reviews, list entries
+ * and user history move to the target, a missing imdbId is taken over from a
+ * duplicate, and the duplicates are deleted with their similarities and feed
+ * impressions. Runs in one transaction; the
+ * duplicates' uploaded posters are removed and audit entries recorded once it
+ * commits.
+ * @returns {Promise<{ movie: Object, merged: number, interactions: number, reviews: Object, lists: number }>}
+ */
+export const mergeMovies = async (targetId, duplicateIds, userId) => {
+  if (duplicateIds.includes(String(targetId))) {
+    throw new ApiError(400, "A movie cannot be merged into itself");
+  }
+
+  let original = null;
+  let removed = [];
+
+  const result = await mongoose.connection.transaction(async (session) => {
+    const target = await Movie.findById(targetId).session(session);
+    if (!target) {
+      throw new ApiError(404, "Movie not found");
+    }
+
+    const duplicates = await Movie.find({ _id: { $in: duplicateIds } }).session(session);
+    if (duplicates.length !== new Set(duplicateIds).size) {
+      throw new ApiError(404, "One or more duplicate movies were not found");
+    }
+
+    const ids = duplicates.map(movie => movie._id);
+    original = target;
+    removed = duplicates;
+
+    const { modifiedCount: interactions } = await UserInteraction.updateMany(
+      { movieId: { $in: ids } },
+      { movieId: target._id },
+      { session }
+    );
+    const reviews = await mergeReviews(target, ids, session);
+    const lists = await mergeListEntries(target, ids, session);
+    await mergeUserHistory(target, ids, session);
+    await mergeMovieStats(target._id, ids, session);
+    await removeSimilarities(ids, session);
+    // Impressions of a copy say little about the kept movie
+    await FeedImpression.deleteMany({ movie: { $in: ids } }, { session });
+
+    // Delete before taking over the imdbId so the unique index is never violated
+    const imdbId = !target.imdbId && duplicates.find(movie => movie.imdbId)?.imdbId;
+    await Movie.deleteMany({ _id: { $in: ids } }, { session });
+
+    if (imdbId) {
+      await Movie.updateOne({ _id: target._id }, { imdbId }, { session });
+    }
+
+    const movie = await Movie.findById(target._id).session(session);
+
+    return { movie, merged: ids.length, interactions, reviews, lists };
+  });
+
+  await deletePosterImages(removed.flatMap(movie => movie.posterImages || []));
+
+  const merged = removed.map(movie => ({ _id: movie._id, title: movie.title }));
+  await recordAudit({
+    action: "merge",
+    before: original,
+    after: result.movie,
+    user: userId,
+    details: { merged }
+  });
+  for (const movie of removed) {
+    await recordAudit({
+      action: "merge",
+      before: movie,
+      user: userId,
+      details: { into: { _id: result.movie._id, title: result.movie.title } }
+    });
+  }
+
+  return result;
+};
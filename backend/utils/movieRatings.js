@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import Review from "../model/Review.js";
+
+/**
+ * Recalculate a movie's average user score and vote count
+ * Runs inside the caller's transaction so the aggregate never drifts from the reviews
+ */
+export const refreshMovieRating = async (movieId, session) => {
+  const [stats] = await Review.aggregate([
+    { $match: { movie: new mongoose.Types.ObjectId(movieId) } },
+    { $group: { _id: "$movie", average: { $avg: "$score" }, count: { $sum: 1 } } }
+  ]).session(session);
+
+  await Movie.updateOne(
+    { _id: movieId },
+    {
+      userRating: {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0
+      }
+    },
+    { session }
+  );
+};
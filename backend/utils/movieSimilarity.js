@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import MovieSimilarity from "../model/MovieSimilarity.js";
+import UserInteraction from "../model/UserInteraction.js";
+
+/**
+ * Movie Similarity
+ * Item-to-item collaborative filtering. Each user's interactions form a vector
+ * of movie weights (strongest interaction type per movie); two movies are as
+ * similar as the cosine of their columns across users. The neighbour lists are
+ * rebuilt by a recurring job and read by the feed and "More like this".
+ */
+
+// A like says more about taste than a view; a click or search says little
+export const INTERACTION_WEIGHTS = { like: 3, share: 2, view: 1, click: 0.5, search: 0.5 };
+
+const WINDOW_DAYS = 180;
+// Strongest movies kept per user; bounds the pairs counted for heavy users
+const MAX_MOVIES_PER_USER = 100;
+// Pairs seen together by fewer users are noise
+const MIN_CO_USERS = 2;
+const NEIGHBOURS = 30;
+const BATCH_SIZE = 500;
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+/**
+ * Recompute every movie's neighbours from the interactions of the last
+ * WINDOW_DAYS days and replace the stored lists. Safe to run repeatedly.
+ * @returns {Promise<{ users: number, movies: number, pairs: number }>}
+ */
+export const rebuildSimilarities = async () => {
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const weight = {
+    $switch: {
+      branches: Object.entries(INTERACTION_WEIGHTS).map(([type, value]) => ({
+        case: { $eq: ["$interactionType", type] },
+        then: value
+      })),
+      default: 0
+    }
+  };
+
+  const cursor = UserInteraction.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    { $group: { _id: { user: "$userId", movie: "$movieId" }, weight: { $max: weight } } },
+    { $sort: { "_id.user": 1, weight: -1 } }
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  const norms = new Map(); // movie -> sum of squared weights
+  const pairs = new Map(); // "a:b" -> { dot, users }
+  let users = 0;
+  let current = null;
+  let items = [];
+
+  const addUser = () => {
+    if (items.length === 0) return;
+    users++;
+
+    for (const item of items) {
+      norms.set(item.movie, (norms.get(item.movie) || 0) + item.weight ** 2);
+    }
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const key = pairKey(items[i].movie, items[j].movie);
+        const pair = pairs.get(key) || { dot: 0, users: 0 };
+        pair.dot += items[i].weight * items[j].weight;
+        pair.users++;
+        pairs.set(key, pair);
+      }
+    }
+    items = [];
+  };
+
+  for await (const row of cursor) {
+    const user = row._id.user.toString();
+    if (user !== current) {
+      addUser();
+      current = user;
+    }
+    if (row.weight > 0 && items.length < MAX_MOVIES_PER_USER) {
+      items.push({ movie: row._id.movie.toString(), weight: row.weight });
+    }
+  }
+  addUser();
+
+  const neighbours = new Map();
+  const addNeighbour = (movie, neighbour) => {
+    if (!neighbours.has(movie)) neighbours.set(movie, []);
+    neighbours.get(movie).push(neighbour);
+  };
+
+  for (const [key, pair] of pairs) {
+    if (pair.users < MIN_CO_USERS) continue;
+    const [a, b] = key.split(":");
+    const score = pair.dot / Math.sqrt(norms.get(a) * norms.get(b));
+    addNeighbour(a, { movie: b, score, users: pair.users });
+    addNeighbour(b, { movie: a, score, users: pair.users });
+  }
+
+  const builtAt = new Date();
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await MovieSimilarity.bulkWrite(operations);
+    operations = [];
+  };
+
+  for (const [movie, similar] of neighbours) {
+    const top = similar
+      .sort((a, b) => b.score - a.score || b.users - a.users)
+      .slice(0, NEIGHBOURS)
+      .map(item => ({ ...item, movie: new mongoose.Types.ObjectId(item.movie) }));
+
+    operations.push({
+      updateOne: {
+        filter: { movie: new mongoose.Types.ObjectId(movie) },
+        update: { $set: { similar: top, builtAt } },
+        upsert: true
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Movies that no longer have neighbours
+  await MovieSimilarity.deleteMany({ builtAt: { $lt: builtAt } });
+
+  return { users, movies: neighbours.size, pairs: pairs.size };
+};
+
+/**
+ * Drop purged or merged movies' neighbour lists and their entries in other
+ * movies' lists. The next rebuild sees their interactions (gone, or moved to
+ * the kept movie) anyway.
+ */
+export const removeSimilarities = async (movieIds, session) => {
+  await MovieSimilarity.deleteMany({ movie: { $in: movieIds } }, { session });
+  await MovieSimilarity.updateMany(
+    { "similar.movie": { $in: movieIds } },
+    { $pull: { similar: { movie: { $in: movieIds } } } },
+    { session }
+  );
+};
+
+/**
+ * Movies most similar to the given one. Collaborative neighbours come first;
+ * when there are too few (new or rarely seen movies) the rest are the best
+ * rated movies sharing a genre or the director.
+ */
+export const findSimilarMovies = async (movie, limit) => {
+  const similarity = await MovieSimilarity.findOne({ movie: movie._id }).lean();
+  const ids = (similarity?.similar || []).map(item => item.movie);
+
+  // Trashed movies are left out by the query
+  const neighbours = await Movie.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(neighbours.map(item => [item._id.toString(), item]));
+  const similar = ids
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean)
+    .slice(0, limit);
+
+  if (similar.length < limit) {
+    const related = await Movie.find({
+      _id: { $nin: [movie._id, ...similar.map(item => item._id)] },
+      $or: [{ genre: { $in: movie.genre } }, { director: movie.director }]
+    })
+      .sort({ rating: -1 })
+      .limit(limit - similar.length)
+      .lean();
+    similar.push(...related);
+  }
+
+  return similar;
+};
+
+/**
+ * Collaborative score of the movies similar to what a user liked or viewed:
+ * the seeds' similarities summed by seed weight, scaled so the best is 1.
+ * `because` names the seed that contributed most to each movie's score.
+ * @param {Array<{ movie: string, weight: number }>} seeds
+ * @returns {Promise<{ scores: Map<string, number>, because: Map<string, string> }>} Keyed by movie id
+ */
+export const getCollaborativeScores = async (seeds) => {
+  const scores = new Map();
+  const because = new Map();
+  if (seeds.length === 0) return { scores, because };
+
+  const seedWeights = new Map(seeds.map(seed => [seed.movie.toString(), seed.weight]));
+  const lists = await MovieSimilarity.find({ movie: { $in: [...seedWeights.keys()] } }).lean();
+
+  const strongest = new Map(); // movie id -> largest single seed contribution
+  for (const list of lists) {
+    const seed = list.movie.toString();
+    const seedWeight = seedWeights.get(seed);
+    for (const item of list.similar) {
+      const id = item.movie.toString();
+      const contribution = seedWeight * item.score;
+      scores.set(id, (scores.get(id) || 0) + contribution);
+      if (contribution > (strongest.get(id) || 0)) {
+        strongest.set(id, contribution);
+        because.set(id, seed);
+      }
+    }
+  }
+
+  const best = Math.max(0, ...scores.values());
+  if (best > 0) {
+    for (const [id, score] of scores) {
+      scores.set(id, score / best);
+    }
+  }
+  return { scores, because };
+};
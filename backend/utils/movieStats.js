@@ -0,0 +1,103 @@
+import MovieStat from "../model/MovieStat.js";
+
+/**
+ * Movie Stats
+ * Daily interaction counters per movie. Tracking an interaction increments
+ * its bucket; popularity over the last N days sums at most N buckets per movie.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The most popular list changes slowly; reuse it across requests for a while
+const POPULAR_CACHE_TTL_MS = 60 * 1000;
+
+const popularCache = new Map();
+
+/**
+ * UTC midnight of the given date
+ */
+export const startOfUtcDay = (date = new Date()) =>
+  new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// First bucket of a window of `days` days ending today
+const windowStart = (days) => startOfUtcDay(new Date(Date.now() - (days - 1) * DAY_MS));
+
+/**
+ * Count one interaction in the movie's bucket for the day.
+ * Failures are logged rather than thrown: the interaction itself is recorded.
+ */
+export const recordInteractionStat = async (movieId, interactionType, at = new Date()) => {
+  try {
+    await MovieStat.updateOne(
+      { movie: movieId, day: startOfUtcDay(at) },
+      { $inc: { total: 1, [`counts.${interactionType}`]: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to count ${interactionType} interaction for movie ${movieId}:`, error);
+  }
+};
+
+/**
+ * Interactions per movie over the last `days` days
+ * @returns {Promise<Map<string, number>>} Keyed by movie id; movies without interactions are left out
+ */
+export const getPopularityCounts = async (movieIds, days = 7) => {
+  if (movieIds.length === 0) return new Map();
+
+  const counts = await MovieStat.aggregate([
+    { $match: { movie: { $in: movieIds }, day: { $gte: windowStart(days) } } },
+    { $group: { _id: "$movie", count: { $sum: "$total" } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+/**
+ * The movies with the most interactions over the last `days` days
+ * @returns {Promise<Array<{ movie: import("mongoose").Types.ObjectId, count: number }>>}
+ */
+export const getPopularMovies = async (days = 7, limit = 100) => {
+  const key = `${days}:${limit}`;
+  const cached = popularCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.movies;
+  }
+
+  const movies = await MovieStat.aggregate([
+    { $match: { day: { $gte: windowStart(days) } } },
+    { $group: { _id: "$movie", count: { $sum: "$total" } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, movie: "$_id", count: 1 } }
+  ]);
+
+  popularCache.set(key, { movies, expiresAt: Date.now() + POPULAR_CACHE_TTL_MS });
+  return movies;
+};
+
+/**
+ * Add the duplicates' counters to the kept movie's buckets and drop theirs
+ */
+export const mergeMovieStats = async (targetId, duplicateIds, session) => {
+  const buckets = await MovieStat.find({ movie: { $in: duplicateIds } }).session(session).lean();
+  if (buckets.length === 0) return;
+
+  await MovieStat.bulkWrite(
+    buckets.map(bucket => ({
+      updateOne: {
+        filter: { movie: targetId, day: bucket.day },
+        update: {
+          $inc: {
+            total: bucket.total,
+            ...Object.fromEntries(
+              Object.entries(bucket.counts || {}).map(([type, count]) => [`counts.${type}`, count])
+            )
+          }
+        },
+        upsert: true
+      }
+    })),
+    { session }
+  );
+  await MovieStat.deleteMany({ movie: { $in: duplicateIds } }, { session });
+};
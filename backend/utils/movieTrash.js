@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import Movie from "../model/Movie.js";
+import Review from "../model/Review.js";
+import MovieList from "../model/MovieList.js";
+import User from "../model/User.js";
+import UserInteraction from "../model/UserInteraction.js";
+import MovieStat from "../model/MovieStat.js";
+import FeedImpression from "../model/FeedImpression.js";
+import { deletePosterImages } from "./posterImages.js";
+import { removeSimilarities } from "./movieSimilarity.js";
+import { AUDITED_FIELDS, recordAudit } from "./auditLog.js";
+
+/**
+ * Movie Trash
+ * Deleted movies are only flagged (deletedAt) so they can be restored. Purging
+ * removes a trashed movie for good along with everything that references it.
+ */
+
+export const TRASH_FIELDS =
+  "title releaseDate director genre posterUrl posterImages imdbId deletedAt deletedBy";
+
+/**
+ * Permanently delete trashed movies with their interactions, reviews, list
+ * entries and user history references. Runs in one transaction; uploaded
+ * posters are removed and audit entries recorded once it commits. Movies not
+ * in the trash are ignored.
+ * @returns {Promise<{ purged: number, interactions: number, reviews: number, lists: number, users: number }>}
+ */
+export const purgeMovies = async (movieIds, userId) => {
+  let purgedMovies = [];
+
+  const result = await mongoose.connection.transaction(async (session) => {
+    const movies = await Movie.find({ _id: { $in: movieIds }, deletedAt: { $ne: null } })
+      .select(AUDITED_FIELDS.join(" "))
+      .session(session);
+
+    const ids = movies.map(movie => movie._id);
+    purgedMovies = movies;
+
+    if (ids.length === 0) {
+      return { purged: 0, interactions: 0, reviews: 0, lists: 0, users: 0 };
+    }
+
+    const { deletedCount: interactions } = await UserInteraction.deleteMany(
+      { movieId: { $in: ids } },
+      { session }
+    );
+    const { deletedCount: reviews } = await Review.deleteMany({ movie: { $in: ids } }, { session });
+    const { modifiedCount: lists } = await MovieList.updateMany(
+      { "entries.movie": { $in: ids } },
+      { $pull: { entries: { movie: { $in: ids } } } },
+      { session }
+    );
+    const { modifiedCount: users } = await User.updateMany(
+      {
+        $or: [
+          { "interactionHistory.likedMovies": { $in: ids } },
+          { "interactionHistory.viewedMovies.movieId": { $in: ids } }
+        ]
+      },
+      {
+        $pull: {
+          "interactionHistory.likedMovies": { $in: ids },
+          "interactionHistory.viewedMovies": { movieId: { $in: ids } }
+        }
+      },
+      { session }
+    );
+
+    await MovieStat.deleteMany({ movie: { $in: ids } }, { session });
+    await FeedImpression.deleteMany({ movie: { $in: ids } }, { session });
+    await removeSimilarities(ids, session);
+    await Movie.deleteMany({ _id: { $in: ids } }, { session });
+
+    return { purged: ids.length, interactions, reviews, lists, users };
+  });
+
+  await deletePosterImages(purgedMovies.flatMap(movie => movie.posterImages || []));
+  for (const movie of purgedMovies) {
+    await recordAudit({ action: "purge", before: movie, user: userId });
+  }
+
+  return result;
+};
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { ApiError } from "./errorHandler.js";
+import { getStorage } from "./storage.js";
+
+/**
+ * Poster Images
+ * Turns an uploaded poster into WebP thumbnails stored through the storage
+ * driver. Every upload gets fresh file names, so stored files never change and
+ * can be cached forever.
+ */
+
+export const POSTER_WIDTHS = [200, 400, 800];
+export const POSTER_MIN_WIDTH = 100;
+
+// Decoded formats accepted (the upload middleware checks the declared type first)
+const POSTER_FORMATS = ["jpeg", "png", "webp"];
+
+const readImage = async (buffer) => {
+  try {
+    return await sharp(buffer).metadata();
+  } catch {
+    throw new ApiError(400, "Poster could not be read as an image");
+  }
+};
+
+/**
+ * Store resized copies of a poster
+ * @param {string} movieId
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Array<{ width: number, height: number, key: string, url: string }>>}
+ *          Smallest first; widths larger than the original are skipped
+ */
+export const savePosterImages = async (movieId, buffer) => {
+  const metadata = await readImage(buffer);
+
+  if (!POSTER_FORMATS.includes(metadata.format)) {
+    throw new ApiError(400, "Poster must be a JPEG, PNG or WebP image");
+  }
+  // EXIF orientations 5-8 are stored rotated a quarter turn
+  const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  if (sourceWidth < POSTER_MIN_WIDTH) {
+    throw new ApiError(400, `Poster must be at least ${POSTER_MIN_WIDTH}px wide`);
+  }
+
+  const storage = getStorage();
+  const version = crypto.randomBytes(6).toString("hex");
+  // Every standard width the original covers, plus the original itself when it is smaller than the largest
+  const widths = [...new Set([
+    ...POSTER_WIDTHS.filter(width => width < sourceWidth),
+    Math.min(sourceWidth, POSTER_WIDTHS.at(-1))
+  ])];
+  const images = [];
+
+  try {
+    for (const width of widths) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `posters/${movieId}/${version}-${info.width}.webp`;
+      await storage.put(key, data, { contentType: "image/webp" });
+      images.push({ width: info.width, height: info.height, key, url: storage.url(key) });
+    }
+  } catch (error) {
+    await deletePosterImages(images);
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(400, `Poster could not be processed: ${error.message}`);
+  }
+
+  return images;
+};
+
+/**
+ * Remove stored poster files. Failures are logged, not thrown, so a storage
+ * hiccup never fails the request that replaced or deleted the poster.
+ */
+export const deletePosterImages = async (images = []) => {
+  const results = await Promise.allSettled(
+    images.filter(image => image.key).map(image => getStorage().delete(image.key))
+  );
+  results
+    .filter(result => result.status === "rejected")
+    .forEach(result => console.error("Failed to delete poster file:", result.reason));
+};
+
+/**
+ * Movie fields for a set of stored posters: posterUrl points at the largest
+ * copy so clients that ignore posterImages still get an image
+ */
+export const posterFields = (images) => ({
+  posterImages: images,
+  posterUrl: images.at(-1).url
+});
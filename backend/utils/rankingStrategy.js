@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import Experiment from "../model/Experiment.js";
+import RankingStrategy from "../model/RankingStrategy.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { DEFAULT_RANKING_WEIGHTS } from "./recommendationEngine.js";
+
+/**
+ * Ranking Strategies
+ * Feeds are ranked with the latest version of the "default" strategy, unless
+ * an experiment is running: then each user is bucketed into one of its
+ * variants by a hash of the experiment and user ids, and ranked with that
+ * variant's strategy. The ranking a feed was served with is stored on it and
+ * on the user's following interactions, which the experiment report compares.
+ */
+
+export const DEFAULT_STRATEGY_NAME = "default";
+
+// Used until a "default" strategy is saved
+export const BUILT_IN_STRATEGY = {
+  name: DEFAULT_STRATEGY_NAME,
+  version: 0,
+  description: "Built-in weights",
+  weights: DEFAULT_RANKING_WEIGHTS,
+  popularityDays: 7
+};
+
+// Strategy and experiment changes reach every server within this time
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+let configCache = null;
+
+/**
+ * The latest version of every strategy, by name
+ */
+export const getLatestStrategies = async () =>
+  RankingStrategy.aggregate([
+    { $sort: { name: 1, version: -1 } },
+    { $group: { _id: "$name", latest: { $first: "$$ROOT" }, versions: { $sum: 1 } } },
+    { $replaceRoot: { newRoot: { $mergeObjects: ["$latest", { versions: "$versions" }] } } },
+    { $sort: { name: 1 } }
+  ]);
+
+const loadRankingConfig = async () => {
+  if (configCache && configCache.expiresAt > Date.now()) {
+    return configCache;
+  }
+
+  const [experiment, strategies] = await Promise.all([
+    Experiment.findOne({ status: "running" }).lean(),
+    getLatestStrategies()
+  ]);
+
+  configCache = {
+    experiment,
+    strategies: new Map(strategies.map(strategy => [strategy.name, strategy])),
+    expiresAt: Date.now() + CONFIG_CACHE_TTL_MS
+  };
+  return configCache;
+};
+
+/**
+ * Forget the cached strategies and running experiment after changing them
+ */
+export const clearRankingCache = () => {
+  configCache = null;
+};
+
+/**
+ * Deterministic position of a user in an experiment, from 0 (inclusive) to 1.
+ * Salted with the experiment id so each experiment splits users differently.
+ */
+const bucketOf = (experimentId, userId) =>
+  crypto.createHash("sha256").update(`${experimentId}:${userId}`).digest().readUInt32BE(0) / 2 ** 32;
+
+/**
+ * The experiment variant a user is bucketed into, by the variants' traffic shares
+ */
+export const pickVariant = (experiment, userId) => {
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.traffic, 0);
+  let point = bucketOf(experiment._id, userId) * total;
+
+  for (const variant of experiment.variants) {
+    if (point < variant.traffic) return variant;
+    point -= variant.traffic;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * The ranking a user's feed should be built with
+ * @returns {Promise<{ strategy: Object, experiment?: Object, variant?: string }>}
+ */
+export const assignRanking = async (userId) => {
+  const { experiment, strategies } = await loadRankingConfig();
+  const fallback = strategies.get(DEFAULT_STRATEGY_NAME) || BUILT_IN_STRATEGY;
+
+  if (!experiment) {
+    return { strategy: fallback };
+  }
+
+  const variant = pickVariant(experiment, userId);
+  return {
+    // Strategies are checked when the experiment starts; this only guards against bad data
+    strategy: strategies.get(variant.strategy) || fallback,
+    experiment: experiment._id,
+    variant: variant.name
+  };
+};
+
+/**
+ * What a served feed records about its ranking (see model/RankingStrategy.js)
+ */
+export const servedRanking = ({ strategy, experiment, variant }) => ({
+  strategy: strategy.name,
+  version: strategy.version,
+  ...(experiment && { experiment, variant })
+});
+
+/**
+ * Whether two served rankings are the same strategy version and variant
+ */
+export const isSameRanking = (a, b) =>
+  Boolean(a && b) &&
+  a.strategy === b.strategy &&
+  a.version === b.version &&
+  String(a.experiment ?? "") === String(b.experiment ?? "") &&
+  (a.variant ?? "") === (b.variant ?? "");
+
+/**
+ * Count movies served in feed pages towards their experiment variant.
+ * Failures are logged rather than thrown: the page is still served.
+ */
+export const recordImpressions = async (ranking, count) => {
+  if (!ranking?.experiment || count === 0) return;
+
+  try {
+    await Experiment.updateOne(
+      { _id: ranking.experiment, "variants.name": ranking.variant },
+      { $inc: { "variants.$.impressions": count } }
+    );
+  } catch (error) {
+    console.error(`Failed to count impressions of experiment ${ranking.experiment}:`, error);
+  }
+};
+
+/**
+ * Interactions per variant of an experiment. Click and like rates are per
+ * movie served in the variant's feeds.
+ */
+export const getExperimentReport = async (experiment) => {
+  const countOf = (type) => ({ $sum: { $cond: [{ $eq: ["$interactionType", type] }, 1, 0] } });
+
+  const rows = await UserInteraction.aggregate([
+    { $match: { "ranking.experiment": experiment._id } },
+    {
+      $group: {
+        _id: { variant: "$ranking.variant", user: "$userId" },
+        interactions: { $sum: 1 },
+        views: countOf("view"),
+        clicks: countOf("click"),
+        likes: countOf("like"),
+        versions: { $addToSet: "$ranking.version" }
+      }
+    },
+    {
+      $group: {
+        _id: "$_id.variant",
+        users: { $sum: 1 },
+        interactions: { $sum: "$interactions" },
+        views: { $sum: "$views" },
+        clicks: { $sum: "$clicks" },
+        likes: { $sum: "$likes" },
+        versions: { $push: "$versions" }
+      }
+    }
+  ]);
+  const byVariant = new Map(rows.map(row => [row._id, row]));
+
+  return experiment.variants.map(({ name, strategy, traffic, impressions }) => {
+    const row = byVariant.get(name);
+    const clicks = row?.clicks || 0;
+    const likes = row?.likes || 0;
+
+    return {
+      variant: name,
+      strategy,
+      // Strategy versions the variant's interactions were ranked with
+      versions: [...new Set((row?.versions || []).flat())].sort((a, b) => a - b),
+      traffic,
+      impressions,
+      users: row?.users || 0,
+      interactions: row?.interactions || 0,
+      views: row?.views || 0,
+      clicks,
+      likes,
+      clickRate: impressions > 0 ? clicks / impressions : 0,
+      likeRate: impressions > 0 ? likes / impressions : 0
+    };
+  });
+};
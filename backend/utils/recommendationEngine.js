@@ -4,80 +4,124 @@
  * Based on user interactions, preferences, and collaborative filtering
  */
 
+import { TASTE_CAST_LIMIT } from "./tasteProfile.js";
+
 /**
- * Calculate recommendation score for a movie based on user interactions
+ * Weights of the built-in ranking, used when no strategy is stored
+ * (see utils/rankingStrategy.js); they add up to 1
+ */
+export const DEFAULT_RANKING_WEIGHTS = {
+  genre: 0.25,
+  director: 0.12,
+  cast: 0.08,
+  collaborative: 0.2,
+  rating: 0.15,
+  popularity: 0.1,
+  recency: 0.05,
+  history: 0.05
+};
+
+/**
+ * Score a movie for a user, keeping what each component contributed
+ * @param {Object} userInteractions
+ * @param {Object} userInteractions.taste - Decayed taste scores, -1 to 1 (see utils/tasteProfile.js)
+ * @param {Array} [userInteractions.viewedMovies]
+ * @param {Object} signals
+ * @param {Map<string, number>} signals.popularity - Interactions per movie id over the strategy's popularity window (see utils/movieStats.js)
+ * @param {Map<string, number>} [signals.collaborative] - 0-1 similarity to what the user liked or viewed (see utils/movieSimilarity.js)
+ * @param {Object<string, number>} [signals.weights] - Component weights of the ranking strategy; DEFAULT_RANKING_WEIGHTS if omitted
+ * @returns {{ score: number, breakdown: Object<string, number> }} The breakdown holds the weighted components, which add up to the score
  */
-export const calculateRecommendationScore = (movie, userInteractions, allInteractions) => {
-  let score = 0;
+export const scoreRecommendation = (
+  movie,
+  userInteractions,
+  { popularity, collaborative = new Map(), weights = DEFAULT_RANKING_WEIGHTS }
+) => {
+  const { taste } = userInteractions;
+
+  // Each component runs from 0 to 1
+  const components = {
+    // 1. Genre Preference
+    genre: calculateGenreWeight(movie.genre, taste.genre),
+
+    // 2. Director Preference
+    director: calculateDirectorWeight(movie.director, taste.director),
 
-  // 1. Genre Preference (40% weight)
-  const genreWeight = calculateGenreWeight(movie.genre, userInteractions);
-  score += genreWeight * 0.4;
+    // 3. Cast Preference
+    cast: calculateCastWeight(movie.cast, taste.cast),
 
-  // 2. Director Preference (20% weight)
-  const directorWeight = calculateDirectorWeight(movie.director, userInteractions);
-  score += directorWeight * 0.2;
+    // 4. Users who liked the same movies also liked
+    collaborative: collaborative.get(movie._id.toString()) || 0,
 
-  // 3. Rating (15% weight)
-  const ratingWeight = (movie.rating / 10) * 0.15;
-  score += ratingWeight;
+    // 5. Rating
+    rating: movie.rating / 10,
 
-  // 4. Recent Popularity (10% weight)
-  const popularityWeight = calculatePopularity(movie, allInteractions);
-  score += popularityWeight * 0.1;
+    // 6. Recent Popularity
+    popularity: calculatePopularity(movie, popularity),
 
-  // 5. Recency (10% weight)
-  const recencyWeight = calculateRecency(movie.releaseDate);
-  score += recencyWeight * 0.1;
+    // 7. Recency
+    recency: calculateRecency(movie.releaseDate),
 
-  // 6. User Interaction History (5% weight)
-  const interactionWeight = calculateInteractionWeight(movie._id, userInteractions);
-  score += interactionWeight * 0.05;
+    // 8. User Interaction History
+    history: calculateInteractionWeight(movie._id, userInteractions)
+  };
 
-  return Math.min(score, 1.0); // Normalize to 0-1
+  const breakdown = Object.fromEntries(
+    Object.entries(components).map(([component, value]) => [component, value * (weights[component] || 0)])
+  );
+  const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  return { score: Math.min(score, 1.0), breakdown }; // Normalize to 0-1
 };
 
+/**
+ * Calculate recommendation score for a movie based on user interactions
+ * (see scoreRecommendation for the arguments)
+ */
+export const calculateRecommendationScore = (movie, userInteractions, signals) =>
+  scoreRecommendation(movie, userInteractions, signals).score;
+
+// Taste scores run from -1 (avoided) to 1 (favourite); weights from 0 to 1,
+// so features without a score are neutral
+const tasteWeight = (score) => 0.5 + 0.5 * score;
+
 /**
  * Calculate weight based on user's genre preferences
  */
-const calculateGenreWeight = (movieGenres, userInteractions) => {
-  if (!userInteractions.preferredGenres || userInteractions.preferredGenres.length === 0) {
+const calculateGenreWeight = (movieGenres, genreScores) => {
+  if (!genreScores || genreScores.size === 0 || movieGenres.length === 0) {
     return 0.5; // Neutral if no preference data
   }
 
-  const matchingGenres = movieGenres.filter(genre =>
-    userInteractions.preferredGenres.some(pref => 
-      pref.toLowerCase() === genre.toLowerCase()
-    )
-  ).length;
-
-  return Math.min(matchingGenres / movieGenres.length, 1.0);
+  const total = movieGenres.reduce((sum, genre) => sum + (genreScores.get(genre) || 0), 0);
+  return tasteWeight(total / movieGenres.length);
 };
 
 /**
  * Calculate weight based on user's director preferences
  */
-const calculateDirectorWeight = (movieDirector, userInteractions) => {
-  if (!userInteractions.preferredDirectors || userInteractions.preferredDirectors.length === 0) {
-    return 0.5;
-  }
+const calculateDirectorWeight = (movieDirector, directorScores) => {
+  return tasteWeight(directorScores?.get(movieDirector) || 0);
+};
+
+/**
+ * Calculate weight based on the user's scores for the top billed cast members
+ * Cast members the user has no score for are left out
+ */
+const calculateCastWeight = (movieCast = [], castScores) => {
+  const known = movieCast
+    .slice(0, TASTE_CAST_LIMIT)
+    .map(member => castScores?.get(member))
+    .filter(score => score !== undefined);
 
-  const likedDirectors = userInteractions.preferredDirectors.map(d => d.toLowerCase());
-  return likedDirectors.includes(movieDirector.toLowerCase()) ? 1.0 : 0.3;
+  if (known.length === 0) return 0.5;
+  return tasteWeight(known.reduce((sum, score) => sum + score, 0) / known.length);
 };
 
 /**
  * Calculate popularity based on recent interactions
  */
-const calculatePopularity = (movie, allInteractions) => {
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-  const recentInteractions = allInteractions.filter(
-    interaction =>
-      interaction.movieId.toString() === movie._id.toString() &&
-      interaction.metadata?.timestamp >= sevenDaysAgo
-  ).length;
+const calculatePopularity = (movie, popularity) => {
+  const recentInteractions = popularity.get(movie._id.toString()) || 0;
 
   // Normalize: 0-100 interactions = 0-1 score
   return Math.min(recentInteractions / 100, 1.0);
@@ -111,50 +155,170 @@ const calculateInteractionWeight = (movieId, userInteractions) => {
   return 0.8; // Higher score for unseen movies
 };
 
+// How strong a signal must be to be given as the reason for a recommendation
+const REASON_THRESHOLDS = {
+  collaborative: 0.3,
+  director: 0.5,
+  genre: 0.3,
+  cast: 0.5
+};
+const NEW_RELEASE_DAYS = 365;
+
+// The name with the highest taste score among `names`
+const bestMatch = (names = [], scores) =>
+  names.reduce(
+    (best, name) => {
+      const score = scores?.get(name) || 0;
+      return score > best.score ? { name, score } : best;
+    },
+    { name: null, score: 0 }
+  );
+
 /**
- * Get personalized movie feed (like Instagram Reels)
- * Returns movies sorted by recommendation score
+ * Human-readable reason for recommending a movie, taken from the first of
+ * these that is strong enough: similarity to a movie the user liked or
+ * watched, a liked director, genre or cast member, trending, new release.
+ * `key` is shared by movies recommended for the same reason, so a feed can
+ * be grouped into labelled rows.
+ * @param {Object} signals - As for scoreRecommendation, plus `because`: movie id -> the liked or watched movie it is most similar to ({ movie, title, source }), and `trending`: ids of the movies trending this week (see utils/trending.js)
+ * @returns {{ type: string, label: string, key: string }}
  */
-export const getPersonalizedFeed = (movies, userInteractions, allInteractions, limit = 20) => {
-  // Calculate scores for all movies
-  const moviesWithScores = movies.map(movie => ({
-    movie,
-    score: calculateRecommendationScore(movie, userInteractions, allInteractions)
-  }));
+export const explainRecommendation = (movie, userInteractions, signals) => {
+  const { taste } = userInteractions;
+  const { collaborative = new Map(), because = new Map(), trending = new Set() } = signals;
+  const id = movie._id.toString();
+
+  const seed = because.get(id);
+  if (seed && (collaborative.get(id) || 0) >= REASON_THRESHOLDS.collaborative) {
+    return {
+      type: "similar",
+      label: `Because you ${seed.source} ${seed.title}`,
+      key: `similar:${seed.movie}`
+    };
+  }
+
+  if ((taste.director?.get(movie.director) || 0) >= REASON_THRESHOLDS.director) {
+    return { type: "director", label: `More from ${movie.director}`, key: `director:${movie.director}` };
+  }
+
+  const genre = bestMatch(movie.genre, taste.genre);
+  if (genre.score >= REASON_THRESHOLDS.genre) {
+    return { type: "genre", label: `Because you like ${genre.name}`, key: `genre:${genre.name}` };
+  }
+
+  const member = bestMatch((movie.cast || []).slice(0, TASTE_CAST_LIMIT), taste.cast);
+  if (member.score >= REASON_THRESHOLDS.cast) {
+    return { type: "cast", label: `Starring ${member.name}`, key: `cast:${member.name}` };
+  }
+
+  if (trending.has(id)) {
+    return { type: "trending", label: "Trending this week", key: "trending" };
+  }
+
+  const age = Date.now() - new Date(movie.releaseDate).getTime();
+  if (age >= 0 && age <= NEW_RELEASE_DAYS * 24 * 60 * 60 * 1000) {
+    return { type: "new", label: "New releases", key: "new" };
+  }
 
-  // Sort by score (descending) and limit
-  return moviesWithScores
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit)
-    .map(item => item.movie);
+  return { type: "top-picks", label: "Top picks for you", key: "top-picks" };
 };
 
+// Re-ranking: relevance is traded against similarity to the movies just
+// before, looking ahead this far down the scored list
+const DIVERSITY_LAMBDA = 0.7;
+const DIVERSITY_WINDOW = 10;
+const DIVERSITY_LOOKAHEAD = 50;
+// Every nth slot goes to a movie from genres the user has no taste for yet
+const EXPLORATION_INTERVAL = 10;
+const EXPLORE_REASON = { type: "explore", label: "Something different", key: "explore" };
+// Share of the score kept per feed session a movie was shown in and ignored
+const IGNORED_DEMOTION = 0.85;
+
 /**
- * Get trending movies (like Explore page)
- * Based on recent interactions and ratings
+ * How alike two movies are, 0 to 1: genre overlap (Jaccard) and the same director
  */
-export const getTrendingMovies = (movies, allInteractions, limit = 20) => {
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+const movieSimilarity = (a, b) => {
+  const genres = new Set(a.genre || []);
+  const shared = (b.genre || []).filter(genre => genres.has(genre)).length;
+  const union = genres.size + (b.genre || []).length - shared;
+  const genre = union > 0 ? shared / union : 0;
+  const director = a.director && a.director === b.director ? 1 : 0;
 
-  const moviesWithTrendingScore = movies.map(movie => {
-    const recentInteractions = allInteractions.filter(
-      interaction =>
-        interaction.movieId.toString() === movie._id.toString() &&
-        interaction.metadata?.timestamp >= sevenDaysAgo
-    ).length;
+  return genre * 0.7 + director * 0.3;
+};
 
-    // Combine rating and recent interactions
-    const trendingScore = (movie.rating / 10) * 0.5 + Math.min(recentInteractions / 50, 1.0) * 0.5;
+const isUnexplored = (movie, taste) =>
+  (movie.genre || []).length > 0 && movie.genre.every(genre => !taste.genre?.has(genre));
 
-    return {
-      movie,
-      trendingScore
-    };
+/**
+ * Re-rank scored movies (best first) for variety: maximal marginal relevance,
+ * with the mean similarity to the last DIVERSITY_WINDOW picks as redundancy so
+ * a run of alike movies is penalized more the longer it gets. Every
+ * EXPLORATION_INTERVAL-th slot goes to the best movie of genres the user has
+ * not interacted with.
+ * Picks made for exploration are flagged `explore`.
+ */
+export const diversifyFeed = (scored, taste, limit) => {
+  const remaining = [...scored];
+  const picked = [];
+  // Everything is unexplored for a user without a taste profile
+  const explore = (taste.genre?.size || 0) > 0;
+
+  while (picked.length < limit && remaining.length > 0) {
+    let index = -1;
+    if (explore && (picked.length + 1) % EXPLORATION_INTERVAL === 0) {
+      index = remaining.findIndex(item => isUnexplored(item.movie, taste));
+    }
+    const exploring = index !== -1;
+
+    if (!exploring) {
+      const recent = picked.slice(-DIVERSITY_WINDOW);
+      let best = -Infinity;
+      for (let i = 0; i < Math.min(remaining.length, DIVERSITY_LOOKAHEAD); i++) {
+        const similarity =
+          recent.reduce((sum, item) => sum + movieSimilarity(remaining[i].movie, item.movie), 0) /
+          Math.max(recent.length, 1);
+        const value = DIVERSITY_LAMBDA * remaining[i].score - (1 - DIVERSITY_LAMBDA) * similarity;
+        if (value > best) {
+          best = value;
+          index = i;
+        }
+      }
+    }
+
+    const [item] = remaining.splice(index, 1);
+    picked.push(exploring ? { ...item, explore: true } : item);
+  }
+
+  return picked;
+};
+
+/**
+ * Get personalized movie feed (like Instagram Reels)
+ * Scores the given movies, demotes the ones ignored in earlier feed sessions
+ * and re-ranks them for variety (see diversifyFeed). Each movie comes with its
+ * score breakdown and the reason it is recommended; pass a candidate set
+ * rather than the whole catalog.
+ * @param {Object} signals - As for scoreRecommendation and explainRecommendation, plus `ignored`: movie id -> feed sessions it was shown in and ignored (see utils/feedImpressions.js)
+ * @returns {Array<{ movie: Object, score: number, breakdown: Object, reason: Object }>}
+ */
+export const getPersonalizedFeed = (movies, userInteractions, signals, limit = 20) => {
+  const { ignored = new Map() } = signals;
+
+  // Calculate scores for all movies
+  const moviesWithScores = movies.map(movie => {
+    const { score, breakdown } = scoreRecommendation(movie, userInteractions, signals);
+    const sessions = ignored.get(movie._id.toString()) || 0;
+    if (sessions === 0) return { movie, score, breakdown };
+
+    const demoted = score * IGNORED_DEMOTION ** sessions;
+    return { movie, score: demoted, breakdown: { ...breakdown, ignored: demoted - score } };
   });
 
-  return moviesWithTrendingScore
-    .sort((a, b) => b.trendingScore - a.trendingScore)
-    .slice(0, limit)
-    .map(item => item.movie);
+  // Re-rank by score and variety, explaining only what is kept
+  moviesWithScores.sort((a, b) => b.score - a.score);
+  return diversifyFeed(moviesWithScores, userInteractions.taste, limit).map(({ explore, ...item }) => ({
+    ...item,
+    reason: explore ? EXPLORE_REASON : explainRecommendation(item.movie, userInteractions, signals)
+  }));
 };
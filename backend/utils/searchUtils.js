@@ -0,0 +1,102 @@
+/**
+ * Search Utilities
+ * Helpers for building safe regex queries and fuzzy matching user input
+ */
+
+/**
+ * Escape regex-special characters so user input is matched literally
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reduce a title to a comparison key for duplicate detection:
+ * accents, case, punctuation and a leading article are ignored,
+ * so "The Lord of the Rings: Fellowship" and "Lord of the Rings - Fellowship" match
+ */
+export const normalizeTitle = (title = "") =>
+  title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        prev[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        prev[j - 1] + cost // substitution
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1); // transposition
+      }
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for a query of the given length
+ */
+export const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+/**
+ * Rank how well a candidate label matches a (lowercased) query
+ * Returns null when the label does not match at all
+ *
+ *   3      - the label starts with the query
+ *   2      - a word inside the label starts with the query
+ *   0..1   - a word prefix is within the allowed typo distance
+ */
+export const matchScore = (label, query) => {
+  const text = label.toLowerCase();
+  if (text.startsWith(query)) return 3;
+
+  const words = text.split(/\s+/);
+  if (words.some(word => word.startsWith(query))) return 2;
+
+  const maxTypos = allowedTypos(query.length);
+  if (maxTypos === 0) return null;
+
+  // Compare the query against the start of the label and of each word,
+  // trying prefixes one character shorter/longer to absorb insertions and deletions
+  const starts = [text, ...words.slice(1)];
+  let best = maxTypos + 1;
+  for (const start of starts) {
+    for (let length = query.length - maxTypos; length <= query.length + maxTypos; length++) {
+      if (length <= 0 || length > start.length) continue;
+      best = Math.min(best, editDistance(query, start.slice(0, length), maxTypos));
+    }
+  }
+
+  return best <= maxTypos ? 1 - best / (maxTypos + 1) : null;
+};
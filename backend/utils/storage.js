@@ -0,0 +1,94 @@
+/**
+ * File Storage
+ * Stores uploaded files through a pluggable driver. A driver is any object with:
+ * - put(key, buffer, { contentType }): store a file under key
+ * - delete(key): remove a file (missing files are ignored)
+ * - url(key): the public URL the file is served from
+ *
+ * Built-in drivers (select with STORAGE_DRIVER):
+ * - local: writes into UPLOAD_DIR (default: uploads), served by this server
+ *          under PUBLIC_UPLOAD_URL (default: /uploads)
+ *
+ * Another backend (e.g. an S3-compatible bucket) can be plugged in at startup
+ * with setStorage().
+ */
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Keys are "/"-separated relative paths such as posters/<id>/<name>.webp
+ */
+const assertValidKey = (key) => {
+  const parts = String(key).split("/");
+  if (!key || parts.some(part => !part || part === "." || part === "..")) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+};
+
+export class LocalDiskStorage {
+  constructor({ root, baseUrl }) {
+    this.name = "local";
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  filePath(key) {
+    assertValidKey(key);
+    return path.join(this.root, ...key.split("/"));
+  }
+
+  async put(key, buffer) {
+    const file = this.filePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  url(key) {
+    assertValidKey(key);
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+const createDefaultStorage = () => {
+  switch (process.env.STORAGE_DRIVER || "local") {
+    case "local":
+      return new LocalDiskStorage({
+        root: process.env.UPLOAD_DIR || "uploads",
+        baseUrl: process.env.PUBLIC_UPLOAD_URL || "/uploads"
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${process.env.STORAGE_DRIVER}"`);
+  }
+};
+
+let storage = null;
+
+/**
+ * Replace the storage driver
+ */
+export const setStorage = (driver) => {
+  for (const method of ["put", "delete", "url"]) {
+    if (!driver || typeof driver[method] !== "function") {
+      throw new Error(`Storage driver must implement ${method}()`);
+    }
+  }
+  storage = driver;
+};
+
+/**
+ * The active storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createDefaultStorage();
+  }
+  return storage;
+};
@@ -0,0 +1,110 @@
+/**
+ * Search Suggestions
+ * Ranked typeahead matches across movie titles, directors and cast members
+ */
+
+import Movie from "../model/Movie.js";
+import { escapeRegex, matchScore, allowedTypos } from "./searchUtils.js";
+
+const CANDIDATE_LIMIT = 50;
+
+// Titles are listed before people when match quality is equal
+const TYPE_PRIORITY = { title: 3, director: 2, cast: 1 };
+
+/**
+ * Regex matching labels where the label or one of its words starts with the prefix
+ */
+const wordPrefixRegex = (prefix) => new RegExp(`(^|\\s)${escapeRegex(prefix)}`, "i");
+
+/**
+ * Fetch candidate titles and people whose words start with the given prefix
+ */
+const findCandidates = async (prefix) => {
+  const regex = wordPrefixRegex(prefix);
+
+  const [titles, directors, cast] = await Promise.all([
+    Movie.find({ title: regex })
+      .select("title releaseDate posterUrl rating")
+      .sort({ rating: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    Movie.aggregate([
+      { $match: { director: regex } },
+      { $group: { _id: "$director", movieCount: { $sum: 1 } } },
+      { $sort: { movieCount: -1 } },
+      { $limit: CANDIDATE_LIMIT }
+    ]),
+    Movie.aggregate([
+      { $match: { cast: regex } },
+      { $unwind: "$cast" },
+      { $match: { cast: regex } },
+      { $group: { _id: "$cast", movieCount: { $sum: 1 } } },
+      { $sort: { movieCount: -1 } },
+      { $limit: CANDIDATE_LIMIT }
+    ])
+  ]);
+
+  return [
+    ...titles.map(movie => ({
+      type: "title",
+      label: movie.title,
+      movieId: movie._id,
+      year: movie.releaseDate ? new Date(movie.releaseDate).getFullYear() : undefined,
+      posterUrl: movie.posterUrl,
+      popularity: movie.rating || 0
+    })),
+    ...directors.map(item => ({
+      type: "director",
+      label: item._id,
+      movieCount: item.movieCount,
+      popularity: item.movieCount
+    })),
+    ...cast.map(item => ({
+      type: "cast",
+      label: item._id,
+      movieCount: item.movieCount,
+      popularity: item.movieCount
+    }))
+  ];
+};
+
+/**
+ * Get ranked suggestions for a typeahead query
+ *
+ * Exact prefix matches are looked up first; when they do not fill the list and the
+ * query is long enough, candidates sharing the first two characters are fuzzy-matched
+ * so that minor typos further into the word still produce suggestions.
+ *
+ * @param {string} query - Raw user input
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Array>} Suggestions with type, label and match score
+ */
+export const getSuggestions = async (query, limit = 8) => {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) return [];
+
+  let candidates = await findCandidates(normalized);
+
+  const exactMatches = candidates.filter(candidate => matchScore(candidate.label, normalized) >= 2);
+  if (exactMatches.length < limit && allowedTypos(normalized.length) > 0) {
+    candidates = candidates.concat(await findCandidates(normalized.slice(0, 2)));
+  }
+
+  const seen = new Set();
+  return candidates
+    .map(candidate => ({ ...candidate, score: matchScore(candidate.label, normalized) }))
+    .filter(candidate => {
+      const key = `${candidate.type}:${candidate.movieId || candidate.label}`;
+      if (candidate.score === null || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) =>
+      b.score - a.score ||
+      TYPE_PRIORITY[b.type] - TYPE_PRIORITY[a.type] ||
+      b.popularity - a.popularity ||
+      a.label.length - b.label.length
+    )
+    .slice(0, limit)
+    .map(({ popularity, ...suggestion }) => suggestion);
+};
@@ -0,0 +1,126 @@
+import UserTaste, { TASTE_KINDS } from "../model/UserTaste.js";
+
+/**
+ * Taste Profile
+ * Per-user scores for genres, directors and cast members. Every interaction
+ * adds a signal, weighted by its type, to each of the movie's features; scores
+ * halve every TASTE_HALF_LIFE_DAYS so recent behaviour counts most. Negative
+ * signals ("not interested", quickly leaving a movie) push scores below zero.
+ */
+
+export const TASTE_HALF_LIFE_DAYS = 30;
+const HALF_LIFE_MS = TASTE_HALF_LIFE_DAYS * 24 * 60 * 60 * 1000;
+
+// Base signal per interaction type: view < click < like < share
+export const INTERACTION_SIGNALS = {
+  view: 1,
+  click: 2,
+  like: 4,
+  share: 5,
+  search: 0.5,
+  not_interested: -6
+};
+
+// A view reporting less watch time than this was a bounce
+const BOUNCE_SECONDS = 10;
+const BOUNCE_SIGNAL = -1.5;
+// Watch time up to this adds up to WATCH_TIME_BONUS to a view
+const ENGAGED_WATCH_SECONDS = 120;
+const WATCH_TIME_BONUS = 2;
+// Cast members past the top billing say little about taste
+export const TASTE_CAST_LIMIT = 5;
+
+/**
+ * Signal strength of an interaction. Views are watch time aware: a view that
+ * reports watch time (seconds spent on the movie) is a bounce below
+ * BOUNCE_SECONDS and counts more the longer it lasted.
+ */
+export const interactionSignal = (interactionType, metadata = {}) => {
+  const { watchTime } = metadata;
+
+  if (interactionType === "view" && watchTime !== undefined) {
+    if (watchTime < BOUNCE_SECONDS) return BOUNCE_SIGNAL;
+    return INTERACTION_SIGNALS.view + WATCH_TIME_BONUS * Math.min(watchTime / ENGAGED_WATCH_SECONDS, 1);
+  }
+
+  return INTERACTION_SIGNALS[interactionType] ?? 0;
+};
+
+/**
+ * Share of a score left after `elapsedMs`
+ */
+export const decayFactor = (elapsedMs) => 0.5 ** (Math.max(elapsedMs, 0) / HALF_LIFE_MS);
+
+/**
+ * The [kind, name] pairs a movie's signals are credited to
+ */
+export const tasteFeatures = (movie) =>
+  [
+    ...(movie.genre || []).map(name => ["genre", name]),
+    ["director", movie.director],
+    ...(movie.cast || []).slice(0, TASTE_CAST_LIMIT).map(name => ["cast", name])
+  ].filter(([, name]) => name);
+
+/**
+ * Add a signal to the user's scores for the movie's features. Each stored
+ * score is decayed up to `at` before the signal is added, in one atomic update.
+ * Failures are logged rather than thrown: the interaction itself is recorded.
+ */
+export const recordTasteSignal = async (userId, movie, signal, at = new Date()) => {
+  if (!signal) return;
+
+  const elapsed = { $max: [0, { $subtract: [at, { $ifNull: ["$updatedAt", at] }] }] };
+  const decayed = {
+    $multiply: [{ $ifNull: ["$score", 0] }, { $pow: [0.5, { $divide: [elapsed, HALF_LIFE_MS] }] }]
+  };
+
+  try {
+    await UserTaste.bulkWrite(
+      tasteFeatures(movie).map(([kind, name]) => ({
+        updateOne: {
+          filter: { user: userId, kind, name },
+          update: [{ $set: { score: { $add: [decayed, signal] }, updatedAt: at } }],
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.error(`Failed to update the taste profile of user ${userId}:`, error);
+  }
+};
+
+/**
+ * The user's current scores, decayed to now and scaled per kind so the
+ * strongest preference is 1 (or -1 when it is an aversion)
+ * @returns {Promise<{ genre: Map<string, number>, director: Map<string, number>, cast: Map<string, number> }>}
+ */
+export const getTasteProfile = async (userId) => {
+  const entries = await UserTaste.find({ user: userId }).lean();
+  const now = Date.now();
+  const taste = Object.fromEntries(TASTE_KINDS.map(kind => [kind, new Map()]));
+
+  for (const entry of entries) {
+    taste[entry.kind].set(entry.name, entry.score * decayFactor(now - entry.updatedAt.getTime()));
+  }
+
+  for (const scores of Object.values(taste)) {
+    const strongest = Math.max(0, ...[...scores.values()].map(Math.abs));
+    if (strongest === 0) continue;
+    for (const [name, score] of scores) {
+      scores.set(name, score / strongest);
+    }
+  }
+
+  return taste;
+};
+
+/**
+ * Names with the highest positive scores, best first
+ */
+export const topTasteNames = (scores, limit) =>
+  [...scores]
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name]) => name);
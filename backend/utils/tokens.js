@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+/**
+ * Opaque token helpers
+ * Raw tokens are only ever handed to the client; the database stores their hash.
+ */
+
+// Cookie holding the refresh token, "<sessionId>.<secret>"
+export const REFRESH_COOKIE = "refreshToken";
+
+export const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
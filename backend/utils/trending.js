@@ -0,0 +1,281 @@
+import Movie from "../model/Movie.js";
+import TrendingSnapshot from "../model/TrendingSnapshot.js";
+import UserInteraction from "../model/UserInteraction.js";
+import { TRENDING_WINDOWS } from "../../shared/validation/index.js";
+import { escapeRegex } from "./searchUtils.js";
+import { publishEvent } from "./eventStream.js";
+
+/**
+ * Trending
+ * Movies are ranked per window (24h, 7d, 30d) by their interactions, weighted
+ * by type and decayed by age, boosted when their recent interaction rate is
+ * above their earlier one (velocity) and discounted while they have few
+ * interactions. A recurring job stores the rankings as snapshots, overall,
+ * per genre and per region, so requests only read them, and announces
+ * windows whose overall top movies changed.
+ * Regions are the countries interactions were made from, as reported by the
+ * proxy or CDN in front of the API (see requestRegion); without it there are
+ * no regional snapshots.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+export const TRENDING_WINDOW_MS = {
+  "24h": 24 * HOUR_MS,
+  "7d": 7 * 24 * HOUR_MS,
+  "30d": 30 * 24 * HOUR_MS
+};
+
+// A share says more than a view; "not interested" is no trend
+export const TRENDING_WEIGHTS = { view: 1, click: 1.5, search: 0.5, like: 3, share: 4 };
+
+// Interactions halve in weight every quarter of the window
+const HALF_LIFE_SHARE = 0.25;
+// Velocity compares the last quarter of the window with the rest
+const RECENT_SHARE = 0.25;
+// Movies with fewer interactions are pulled towards no trend
+const MIN_SAMPLE = 5;
+const RISING_VELOCITY = 1.5;
+const MIN_VELOCITY_BOOST = 0.5;
+const MAX_VELOCITY_BOOST = 4;
+// Movies kept per snapshot
+const SNAPSHOT_SIZE = 100;
+// A window's list counts as changed when its top movies do
+const CHANGE_DEPTH = 20;
+// ISO 3166-1 alpha-2 codes; CDNs send XX for unknown countries and T1 for Tor
+const REGION_PATTERN = /^[A-Z]{2}$/;
+const UNKNOWN_REGIONS = new Set(["XX", "T1"]);
+
+const topIds = (items) => items.slice(0, CHANGE_DEPTH).map(item => item.movie.toString()).join();
+
+/**
+ * Trending score of a movie from its interaction stats over a window
+ * @param {{ decayed: number, interactions: number, recent: number, earlier: number }} stats - Type weighted sums: decayed over the whole window, undecayed over its last quarter and the rest
+ * @returns {{ score: number, velocity: number }}
+ */
+export const scoreTrending = ({ decayed, interactions, recent, earlier }) => {
+  const confidence = interactions / (interactions + MIN_SAMPLE);
+
+  // Both rates are per window; MIN_SAMPLE on each side keeps a movie's first
+  // few interactions from looking like a surge
+  const recentRate = recent / RECENT_SHARE;
+  const earlierRate = earlier / (1 - RECENT_SHARE);
+  const velocity = (recentRate + MIN_SAMPLE) / (earlierRate + MIN_SAMPLE);
+  const boost = Math.sqrt(Math.min(Math.max(velocity, MIN_VELOCITY_BOOST), MAX_VELOCITY_BOOST));
+
+  return { score: decayed * confidence * boost, velocity };
+};
+
+/**
+ * Country a request was made from, taken from the header named by
+ * REGION_HEADER (e.g. CF-IPCountry) that the proxy or CDN in front of the API
+ * sets; undefined when not configured or unknown
+ */
+export const requestRegion = (req) => {
+  const header = process.env.REGION_HEADER;
+  const region = header ? String(req.get(header) || "").trim().toUpperCase() : "";
+  return REGION_PATTERN.test(region) && !UNKNOWN_REGIONS.has(region) ? region : undefined;
+};
+
+/**
+ * Per movie and region interaction stats over the window ending at `now`
+ */
+const windowStats = (windowMs, now) => {
+  const weight = {
+    $switch: {
+      branches: Object.entries(TRENDING_WEIGHTS).map(([type, value]) => ({
+        case: { $eq: ["$interactionType", type] },
+        then: value
+      })),
+      default: 0
+    }
+  };
+  const isRecent = { $lt: ["$age", windowMs * RECENT_SHARE] };
+
+  return UserInteraction.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: new Date(now.getTime() - windowMs) },
+        interactionType: { $in: Object.keys(TRENDING_WEIGHTS) }
+      }
+    },
+    { $project: { movieId: 1, region: 1, weight, age: { $subtract: [now, "$createdAt"] } } },
+    {
+      $group: {
+        _id: { movie: "$movieId", region: "$region" },
+        interactions: { $sum: 1 },
+        decayed: {
+          $sum: {
+            $multiply: ["$weight", { $pow: [0.5, { $divide: ["$age", windowMs * HALF_LIFE_SHARE] }] }]
+          }
+        },
+        recent: { $sum: { $cond: [isRecent, "$weight", 0] } },
+        earlier: { $sum: { $cond: [isRecent, 0, "$weight"] } }
+      }
+    }
+  ]).allowDiskUse(true);
+};
+
+const STAT_FIELDS = ["interactions", "decayed", "recent", "earlier"];
+
+/**
+ * Stats per movie over all regions, and per region
+ * @returns {{ overall: Object[], regions: Map<string, Object[]> }}
+ */
+const splitByRegion = (stats) => {
+  const totals = new Map();
+  const regions = new Map();
+
+  for (const { _id, ...item } of stats) {
+    const id = _id.movie.toString();
+    if (!totals.has(id)) {
+      totals.set(id, { movie: _id.movie, ...Object.fromEntries(STAT_FIELDS.map(field => [field, 0])) });
+    }
+    const total = totals.get(id);
+    for (const field of STAT_FIELDS) total[field] += item[field];
+
+    if (_id.region) {
+      if (!regions.has(_id.region)) regions.set(_id.region, []);
+      regions.get(_id.region).push({ movie: _id.movie, ...item });
+    }
+  }
+
+  return { overall: [...totals.values()], regions };
+};
+
+/**
+ * Rebuild the snapshots of every window, overall, per genre and per region.
+ * Safe to run repeatedly.
+ * @returns {Promise<{ snapshots: number, changed: string[] }>}
+ */
+export const refreshTrendingSnapshots = async () => {
+  const builtAt = new Date();
+  let snapshots = 0;
+  const changed = [];
+
+  for (const window of TRENDING_WINDOWS) {
+    const { overall, regions } = splitByRegion(await windowStats(TRENDING_WINDOW_MS[window], builtAt));
+
+    // Trashed movies are left out by the query
+    const movies = await Movie.find({ _id: { $in: overall.map(item => item.movie) } })
+      .select("genre")
+      .lean();
+    const genresOf = new Map(
+      movies.map(movie => [movie._id.toString(), [...new Set((movie.genre || []).map(genre => genre.toLowerCase()))]])
+    );
+
+    const rank = (items) =>
+      items
+        .filter(item => genresOf.has(item.movie.toString()))
+        .map(item => ({ movie: item.movie, interactions: item.interactions, ...scoreTrending(item) }))
+        .sort((a, b) => b.score - a.score);
+
+    // Overall and per genre; regions get an overall list only, which
+    // findTrendingMovies narrows down to a genre
+    const lists = new Map([[":", { region: "", genre: "", items: [] }]]);
+    const add = (region, genre, item) => {
+      const key = `${region}:${genre}`;
+      if (!lists.has(key)) lists.set(key, { region, genre, items: [] });
+      const list = lists.get(key).items;
+      if (list.length < SNAPSHOT_SIZE) list.push(item);
+    };
+    for (const item of rank(overall)) {
+      add("", "", item);
+      for (const genre of genresOf.get(item.movie.toString())) {
+        add("", genre, item);
+      }
+    }
+    for (const [region, items] of regions) {
+      for (const item of rank(items)) {
+        add(region, "", item);
+      }
+    }
+
+    const previous = await TrendingSnapshot.findOne({ window, region: "", genre: "" })
+      .select("items.movie")
+      .lean();
+    if (topIds(previous?.items || []) !== topIds(lists.get(":").items)) {
+      changed.push(window);
+    }
+
+    await TrendingSnapshot.bulkWrite(
+      [...lists.values()].map(({ region, genre, items }) => ({
+        updateOne: {
+          filter: { window, region, genre },
+          update: { $set: { items, builtAt } },
+          upsert: true
+        }
+      }))
+    );
+    snapshots += lists.size;
+  }
+
+  // Genres and regions without trending movies any more
+  await TrendingSnapshot.deleteMany({ builtAt: { $lt: builtAt } });
+
+  if (changed.length > 0) {
+    publishEvent("trending", "trending.updated", { windows: changed });
+  }
+
+  return { snapshots, changed };
+};
+
+/**
+ * Ids of the movies trending overall in a window, best first
+ * @returns {Promise<string[]>}
+ */
+export const getTrendingIds = async (window, limit) => {
+  const snapshot = await TrendingSnapshot.findOne({ window, region: "", genre: "" })
+    .select("items.movie")
+    .lean();
+  return (snapshot?.items || []).slice(0, limit).map(item => item.movie.toString());
+};
+
+/**
+ * Trending movies of a window, overall or within a genre, in all regions or
+ * one (a country code), each with a `trending` summary. Until the snapshot is
+ * built, or when it has too few movies, the rest are the best rated movies
+ * (of the genre).
+ */
+export const findTrendingMovies = async ({ window = "7d", genre, region, limit }) => {
+  const key = genre ? genre.toLowerCase() : "";
+  // Regional snapshots are not split by genre
+  const snapshot = await TrendingSnapshot.findOne({
+    window,
+    region: region || "",
+    genre: region ? "" : key
+  }).lean();
+  const items = snapshot?.items || [];
+
+  // Trashed movies are left out by the query
+  const movies = await Movie.find({ _id: { $in: items.map(item => item.movie) } }).lean();
+  const byId = new Map(
+    movies
+      .filter(movie => !region || !key || (movie.genre || []).some(name => name.toLowerCase() === key))
+      .map(movie => [movie._id.toString(), movie])
+  );
+
+  const trending = items
+    .filter(item => byId.has(item.movie.toString()))
+    .slice(0, limit)
+    .map(({ movie, score, velocity, interactions }) => ({
+      ...byId.get(movie.toString()),
+      trending: {
+        score,
+        velocity,
+        rising: velocity >= RISING_VELOCITY && interactions >= MIN_SAMPLE
+      }
+    }));
+
+  if (trending.length < limit) {
+    const filter = { _id: { $nin: trending.map(movie => movie._id) } };
+    if (genre) filter.genre = new RegExp(`^${escapeRegex(genre)}$`, "i");
+
+    const topRated = await Movie.find(filter)
+      .sort({ rating: -1 })
+      .limit(limit - trending.length)
+      .lean();
+    trending.push(...topRated);
+  }
+
+  return trending;
+};
@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDb } from "./config/db.js";
+import { startJobWorker } from "./jobs/index.js";
+import { flushEvents } from "./utils/eventStream.js";
+
+/**
+ * Standalone job worker
+ * Run with WORKER_MODE=separate on the API so jobs are only processed here.
+ * Any number of workers can run side by side; jobs are claimed atomically.
+ *
+ * Usage: npm run worker
+ */
+
+// Load environment variables
+dotenv.config();
+
+await connectDb();
+
+const worker = startJobWorker();
+console.log(`⚙️  Job worker ${worker.id} started`);
+
+// Finish running jobs and forward their last events before exiting; anything
+// unfinished is reclaimed by another worker
+const shutdown = async (signal) => {
+  console.log(`${signal} received, waiting for running jobs...`);
+  await worker.stop();
+  await flushEvents();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
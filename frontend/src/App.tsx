@@ -2,8 +2,12 @@ import { createBrowserRouter, RouterProvider } from "react-router-dom";
 import { Home } from "./modules/Home/Home";
 import { Movies } from "./modules/movies/Movies";
 import { Latest } from "./modules/movies/Latest";
+import { ForYou } from "./modules/movies/ForYou";
 import { MovieDetails } from "./modules/movies/MovieDetails";
 import { AdminPanel } from "./modules/admin/AdminPanel";
+import { Lists } from "./modules/lists/Lists";
+import { ListDetails } from "./modules/lists/ListDetails";
+import { AuthLink } from "./modules/auth/AuthLink";
 
 
 function App() {
@@ -24,6 +28,26 @@ function App() {
       path: "/latest",
       element: <Latest/>,
     },
+    {
+      path: "/for-you",
+      element: <ForYou/>,
+    },
+    {
+      path: "/lists",
+      element: <Lists/>,
+    },
+    {
+      path: "/lists/:id",
+      element: <ListDetails/>,
+    },
+    {
+      path: "/reset-password/:token",
+      element: <AuthLink mode="reset"/>,
+    },
+    {
+      path: "/verify-email/:token",
+      element: <AuthLink mode="verify"/>,
+    },
     {
       path: "/admin",
       element: <AdminPanel/>,
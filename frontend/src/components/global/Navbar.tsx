@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from "react";
-import { Search, User, LogOut, Menu } from "lucide-react";
+import { Search, User, LogOut, Menu, Mail } from "lucide-react";
 import { Link } from "react-router-dom";
 import { useAuth } from "@/contexts/AuthContext";
 import { AuthModal } from "@/components/ui/AuthModal";
+import { authApi } from "@/modules/Home/api/auth";
 import { Sidebar } from "./Sidebar";
+import { SearchBox } from "./SearchBox";
 
 interface NavbarProps {
   onSearch?: (query: string) => void;
@@ -17,6 +19,7 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
   const [mobileSidebarOpen, setMobileSidebarOpen] = useState(false);
   const [showNavbar, setShowNavbar] = useState(true);
   const [lastScroll, setLastScroll] = useState(0);
+  const [searchFocused, setSearchFocused] = useState(false);
 
   const { user, isAuthenticated, logout } = useAuth();
 
@@ -45,6 +48,9 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
     return () => clearTimeout(timer);
   }, []);
 
+  // Keep the navbar on screen while the user is typing in the search box
+  const navbarVisible = showNavbar || searchFocused;
+
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
     if (onSearch && searchQuery.trim()) {
@@ -63,15 +69,24 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
     setShowAuthModal(true);
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await authApi.resendVerification();
+      alert(response.message);
+    } catch (error) {
+      console.error("Error resending verification email:", error);
+    }
+  };
+
   return (
     <>
       {/* Navbar */}
       <nav
         className={`fixed top-0 left-0 right-0 z-50 bg-black/95 backdrop-blur-sm border-b border-white/10 transition-transform duration-500 ${
-          showNavbar ? "translate-y-0" : "-translate-y-full"
+          navbarVisible ? "translate-y-0" : "-translate-y-full"
         }`}
       >
-        <div className="mx-auto w-full px-4 py-2 flex items-center justify-between gap-2 overflow-hidden">
+        <div className="mx-auto w-full px-4 py-2 flex items-center justify-between gap-2">
           {/* Mobile Hamburger */}
           <div className="md:hidden flex items-center">
             <button
@@ -87,7 +102,7 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
             <Link to="/" className="w-full">
               <h1
                 className={`text-lg sm:text-xl lg:text-2xl font-bold text-red-600 tracking-tight truncate transition-opacity duration-500 ${
-                  showNavbar ? "opacity-100" : "opacity-50"
+                  navbarVisible ? "opacity-100" : "opacity-50"
                 }`}
               >
                 MOVENTO
@@ -97,24 +112,15 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
 
           {/* Desktop Search */}
           <div className="hidden md:flex justify-center flex-1 px-2">
-            <form
+            <SearchBox
+              value={searchQuery}
+              onChange={setSearchQuery}
               onSubmit={handleSearch}
-              className="flex items-center gap-2 w-full max-w-[400px]" // limit search bar width
-            >
-              <input
-                type="text"
-                placeholder="Search movies..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="bg-transparent border-none outline-none text-white placeholder:text-white/60 text-sm px-3 py-2 flex-1"
-              />
-              <button
-                type="submit"
-                className="text-white/60 hover:text-white transition-colors"
-              >
-                <Search size={20} />
-              </button>
-            </form>
+              onFocusChange={setSearchFocused}
+              formClassName="flex items-center gap-2 w-full max-w-[400px]" // limit search bar width
+              inputClassName="bg-transparent border-none outline-none text-white placeholder:text-white/60 text-sm px-3 py-2 flex-1"
+              buttonClassName="text-white/60 hover:text-white transition-colors"
+            />
           </div>
 
           {/* Right Section (Desktop Only) */}
@@ -127,6 +133,15 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
                 <span className="text-white text-sm font-medium">
                   {user?.username || "User"}
                 </span>
+                {user?.isEmailVerified === false && (
+                  <button
+                    onClick={handleResendVerification}
+                    className="p-2 hover:bg-white/10 rounded transition-colors"
+                    title="Email not verified – resend verification link"
+                  >
+                    <Mail size={18} className="text-yellow-400" />
+                  </button>
+                )}
                 <button
                   onClick={logout}
                   className="p-2 hover:bg-white/10 rounded transition-colors"
@@ -169,21 +184,15 @@ export const Navbar: React.FC<NavbarProps> = ({ onSearch }) => {
         {/* Mobile / Secondary Row */}
         <div className="md:hidden flex flex-col gap-2 px-4 pb-3">
           {mobileSearchOpen && (
-            <form onSubmit={handleSearch} className="flex items-center gap-2">
-              <input
-                type="text"
-                placeholder="Search movies..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-full bg-black border border-white/20 rounded px-3 py-2 text-white text-sm outline-none focus:ring-1 focus:ring-red-600"
-              />
-              <button
-                type="submit"
-                className="text-white/70 p-2 hover:text-white"
-              >
-                <Search size={20} />
-              </button>
-            </form>
+            <SearchBox
+              value={searchQuery}
+              onChange={setSearchQuery}
+              onSubmit={handleSearch}
+              onFocusChange={setSearchFocused}
+              formClassName="flex items-center gap-2"
+              inputClassName="w-full bg-black border border-white/20 rounded px-3 py-2 text-white text-sm outline-none focus:ring-1 focus:ring-red-600"
+              buttonClassName="text-white/70 p-2 hover:text-white"
+            />
           )}
 
           {!isAuthenticated ? (
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { Search } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { moviesApi } from '@/modules/Home/api/movies';
+import type { Suggestion, SuggestionType } from '@/types';
+
+interface SearchBoxProps {
+  value: string;
+  onChange: (value: string) => void;
+  onSubmit: (e: React.FormEvent) => void;
+  onFocusChange?: (focused: boolean) => void;
+  formClassName?: string;
+  inputClassName?: string;
+  buttonClassName?: string;
+}
+
+const SUGGEST_DELAY = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const typeLabels: Record<SuggestionType, string> = {
+  title: 'Movie',
+  director: 'Director',
+  cast: 'Cast',
+};
+
+export const SearchBox: React.FC<SearchBoxProps> = ({
+  value,
+  onChange,
+  onSubmit,
+  onFocusChange,
+  formClassName = '',
+  inputClassName = '',
+  buttonClassName = '',
+}) => {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Debounced typeahead; stale requests are aborted when the input changes
+  useEffect(() => {
+    const query = value.trim();
+    const controller = new AbortController();
+
+    const timer = setTimeout(async () => {
+      if (query.length < MIN_QUERY_LENGTH) {
+        setSuggestions([]);
+        return;
+      }
+
+      try {
+        const response = await moviesApi.suggest(query, 8, controller.signal);
+        setSuggestions(response.data || []);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (!axios.isCancel(error)) {
+          console.error('Error fetching suggestions:', error);
+        }
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  const showDropdown = isOpen && suggestions.length > 0 && value.trim().length >= MIN_QUERY_LENGTH;
+
+  const selectSuggestion = (suggestion: Suggestion) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+
+    if (suggestion.type === 'title' && suggestion.movieId) {
+      navigate(`/movies/${suggestion.movieId}`);
+    } else {
+      navigate(`/movies?${suggestion.type}=${encodeURIComponent(suggestion.label)}`);
+    }
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      setActiveIndex(-1);
+      return;
+    }
+
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && showDropdown && activeIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    setIsOpen(false);
+    onSubmit(e);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`relative ${formClassName}`}>
+      <input
+        type="text"
+        placeholder="Search movies..."
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => {
+          setIsOpen(true);
+          onFocusChange?.(true);
+        }}
+        onBlur={() => {
+          setIsOpen(false);
+          onFocusChange?.(false);
+        }}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-autocomplete="list"
+        aria-controls="search-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        className={inputClassName}
+      />
+      <button type="submit" className={buttonClassName}>
+        <Search size={20} />
+      </button>
+
+      {showDropdown && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute left-0 right-0 top-full mt-2 z-50 bg-[#0e0e0e] border border-white/10 rounded-lg shadow-[0_20px_60px_rgba(0,0,0,0.8)] overflow-hidden"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.movieId || suggestion.label}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Prevent the input blur from closing the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex items-center justify-between gap-3 px-3 py-2 cursor-pointer text-sm transition-colors ${
+                index === activeIndex ? 'bg-white/10' : ''
+              }`}
+            >
+              <span className="truncate text-white">
+                {suggestion.label}
+                {suggestion.year && (
+                  <span className="ml-2 text-white/40">{suggestion.year}</span>
+                )}
+              </span>
+              <span className="shrink-0 text-[10px] uppercase tracking-wide text-white/50 border border-white/10 rounded px-1.5 py-0.5">
+                {typeLabels[suggestion.type]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
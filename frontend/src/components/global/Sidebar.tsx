@@ -15,7 +15,7 @@ const menuItems = [
 
 export const Sidebar: React.FC<SidebarProps> = ({ isOpen = false, onClose }) => {
   const location = useLocation();
-  const { isAdmin } = useAuth();
+  const { isAuthenticated, isAdmin } = useAuth();
 
   return (
     <>
@@ -58,6 +58,38 @@ export const Sidebar: React.FC<SidebarProps> = ({ isOpen = false, onClose }) =>
               );
             })}
 
+            {isAuthenticated && (
+              <li>
+                <Link
+                  to="/for-you"
+                  onClick={onClose}
+                  className={`block text-white uppercase text-sm font-medium py-2 px-4 transition-colors ${
+                    location.pathname === '/for-you'
+                      ? 'text-red-600 border-l-4 border-red-600 pl-3'
+                      : 'hover:text-white/80'
+                  }`}
+                >
+                  FOR YOU
+                </Link>
+              </li>
+            )}
+
+            {isAuthenticated && (
+              <li>
+                <Link
+                  to="/lists"
+                  onClick={onClose}
+                  className={`block text-white uppercase text-sm font-medium py-2 px-4 transition-colors ${
+                    location.pathname.startsWith('/lists')
+                      ? 'text-red-600 border-l-4 border-red-600 pl-3'
+                      : 'hover:text-white/80'
+                  }`}
+                >
+                  MY LISTS
+                </Link>
+              </li>
+            )}
+
             {isAdmin && (
               <li>
                 <Link
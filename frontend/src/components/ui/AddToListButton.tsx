@@ -0,0 +1,146 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bookmark, Check, Plus } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+import { listsApi } from '@/modules/Home/api/lists';
+import type { MovieListSummary } from '@/types';
+
+interface AddToListButtonProps {
+  movieId: string;
+  iconSize?: number;
+  className?: string;
+  align?: 'left' | 'right';
+}
+
+export const AddToListButton: React.FC<AddToListButtonProps> = ({
+  movieId,
+  iconSize = 16,
+  className = 'p-2',
+  align = 'left',
+}) => {
+  const { isAuthenticated } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [lists, setLists] = useState<MovieListSummary[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  // Close when clicking outside the dropdown
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(e.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const inWatchlist = lists.some((list) => list.isWatchlist && list.movieIds.includes(movieId));
+
+  const replaceList = (updated: MovieListSummary) => {
+    setLists((current) => current.map((list) => (list._id === updated._id ? updated : list)));
+  };
+
+  const handleOpen = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    if (!isAuthenticated) {
+      alert('Please login to save movies to lists');
+      return;
+    }
+
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    setIsOpen(true);
+    setLoading(true);
+    try {
+      const response = await listsApi.getMyLists();
+      setLists(response.data || []);
+    } catch (error) {
+      console.error('Error fetching lists:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (list: MovieListSummary) => {
+    try {
+      const response = list.movieIds.includes(movieId)
+        ? await listsApi.removeMovie(list._id, movieId)
+        : await listsApi.addMovie(list._id, movieId);
+      replaceList(response.data);
+    } catch (error) {
+      console.error('Error updating list:', error);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = newListName.trim();
+    if (!name) return;
+
+    try {
+      const created = await listsApi.createList({ name });
+      const response = await listsApi.addMovie(created.data._id, movieId);
+      setLists((current) => [...current, response.data]);
+      setNewListName('');
+    } catch (error) {
+      console.error('Error creating list:', error);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative" onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={handleOpen}
+        className={`rounded-full transition-colors ${
+          inWatchlist ? 'bg-red-500 text-white' : 'bg-white/10 text-white hover:bg-white/20'
+        } ${className}`}
+        title="Add to list"
+      >
+        <Bookmark size={iconSize} fill={inWatchlist ? 'currentColor' : 'none'} />
+      </button>
+
+      {isOpen && (
+        <div className={`absolute ${align === 'left' ? 'left-0' : 'right-0'} top-full mt-2 z-50 w-56 bg-[#0e0e0e] border border-white/10 rounded-lg shadow-[0_20px_60px_rgba(0,0,0,0.8)] p-2 space-y-1`}>
+          {loading ? (
+            <p className="px-2 py-1 text-sm text-white/60">Loading…</p>
+          ) : (
+            lists.map((list) => {
+              const contains = list.movieIds.includes(movieId);
+              return (
+                <button
+                  key={list._id}
+                  onClick={() => handleToggle(list)}
+                  className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded text-sm text-left text-white/90 hover:bg-white/10 transition-colors"
+                >
+                  <span className="truncate">{list.name}</span>
+                  {contains && <Check size={14} className="text-red-500 shrink-0" />}
+                </button>
+              );
+            })
+          )}
+
+          <form onSubmit={handleCreate} className="flex items-center gap-1 pt-1 border-t border-white/10">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New list…"
+              maxLength={100}
+              className="flex-1 min-w-0 bg-transparent px-2 py-1.5 text-sm text-white placeholder:text-white/40 outline-none"
+            />
+            <button type="submit" className="p-1.5 text-white/60 hover:text-white" title="Create list">
+              <Plus size={14} />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
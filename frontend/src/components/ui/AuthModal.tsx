@@ -1,24 +1,68 @@
 import React, { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
 import { useAuth } from '@/contexts/AuthContext';
+import { authApi } from '@/modules/Home/api/auth';
+import { schemas } from '@/lib/validation';
 import axios from 'axios';
 
+// 'reset' and 'verify' are opened from emailed links and need the link's token
+export type AuthMode = 'login' | 'register' | 'forgot' | 'reset' | 'verify';
+
 interface AuthModalProps {
   isOpen: boolean;
   onClose: () => void;
-  mode: 'login' | 'register';
+  mode: AuthMode;
+  token?: string;
 }
 
+const titles: Record<AuthMode, { title: string; subtitle: string }> = {
+  login: { title: 'Welcome back', subtitle: 'Sign in to continue' },
+  register: { title: 'Create your account', subtitle: 'Join and start exploring' },
+  forgot: { title: 'Forgot your password?', subtitle: "Enter your email and we'll send you a reset link" },
+  reset: { title: 'Choose a new password', subtitle: 'Enter a new password for your account' },
+  verify: { title: 'Email verification', subtitle: 'Confirming your email address' },
+};
+
+const submitLabels: Partial<Record<AuthMode, string>> = {
+  login: 'Sign In',
+  register: 'Sign Up',
+  forgot: 'Send Reset Link',
+  reset: 'Reset Password',
+};
+
+const getErrorMessage = (err: unknown) =>
+  axios.isAxiosError(err)
+    ? err.response?.data?.errors?.[0]?.message ||
+      err.response?.data?.error ||
+      'Something went wrong. Please try again.'
+    : 'Something went wrong. Please try again.';
+
+// Validate the form with the same schemas the API uses; returns the first problem
+const validateForm = (mode: AuthMode, values: { username: string; email: string; password: string }) => {
+  const result =
+    mode === 'register'
+      ? schemas.auth.register.safeParse(values)
+      : mode === 'login'
+        ? schemas.auth.login.safeParse(values)
+        : mode === 'forgot'
+          ? schemas.auth.forgotPassword.safeParse(values)
+          : schemas.auth.resetPassword.safeParse(values);
+
+  return result.success ? '' : result.error.issues[0].message;
+};
+
 export const AuthModal: React.FC<AuthModalProps> = ({
   isOpen,
   onClose,
   mode: initialMode,
+  token,
 }) => {
-  const [mode, setMode] = useState<'login' | 'register'>(initialMode);
+  const [mode, setMode] = useState<AuthMode>(initialMode);
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const { login, register } = useAuth();
 
@@ -27,11 +71,47 @@ export const AuthModal: React.FC<AuthModalProps> = ({
     setMode(initialMode);
   }, [initialMode]);
 
+  // Verification needs no input: submit the token as soon as the screen opens
+  useEffect(() => {
+    if (!isOpen || mode !== 'verify' || !token) return;
+
+    let cancelled = false;
+    const verify = async () => {
+      setIsLoading(true);
+      try {
+        const response = await authApi.verifyEmail(token);
+        if (!cancelled) setNotice(response.message);
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    verify();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, mode, token]);
+
   if (!isOpen) return null;
 
+  const switchMode = (next: AuthMode) => {
+    setMode(next);
+    setError('');
+    setNotice('');
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
+
+    const validationError = validateForm(mode, { username, email, password });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
     setIsLoading(true);
 
     try {
@@ -40,19 +120,23 @@ export const AuthModal: React.FC<AuthModalProps> = ({
         onClose();
         setEmail('');
         setPassword('');
-      } else {
+      } else if (mode === 'register') {
         await register(username, email, password);
         onClose();
         setUsername('');
         setEmail('');
         setPassword('');
+      } else if (mode === 'forgot') {
+        const response = await authApi.forgotPassword(email);
+        setNotice(response.message);
+      } else if (mode === 'reset' && token) {
+        const response = await authApi.resetPassword(token, password);
+        setPassword('');
+        setMode('login');
+        setNotice(response.message);
       }
     } catch (err) {
-      if (axios.isAxiosError(err)) {
-        setError(err.response?.data?.error || 'Something went wrong. Please try again.');
-      } else {
-        setError('Something went wrong. Please try again.');
-      }
+      setError(getErrorMessage(err));
     } finally {
       setIsLoading(false);
     }
@@ -73,15 +157,20 @@ export const AuthModal: React.FC<AuthModalProps> = ({
         {/* Title */}
         <div className="mb-6">
           <h2 className="text-2xl font-semibold text-red-600">
-            {mode === 'login' ? 'Welcome back' : 'Create your account'}
+            {titles[mode].title}
           </h2>
           <p className="mt-1 text-sm text-white/50">
-            {mode === 'login'
-              ? 'Sign in to continue'
-              : 'Join and start exploring'}
+            {titles[mode].subtitle}
           </p>
         </div>
 
+        {/* Notice */}
+        {notice && (
+          <div className="mb-4 rounded-md bg-green-500/10 border border-green-500/30 px-4 py-2.5 text-sm text-green-400">
+            {notice}
+          </div>
+        )}
+
         {/* Error */}
         {error && (
           <div className="mb-4 rounded-md bg-red-500/10 border border-red-500/30 px-4 py-2.5 text-sm text-red-400">
@@ -89,69 +178,93 @@ export const AuthModal: React.FC<AuthModalProps> = ({
           </div>
         )}
 
+        {/* Verification status */}
+        {mode === 'verify' && isLoading && (
+          <p className="text-sm text-white/60">Verifying…</p>
+        )}
+
         {/* Form */}
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {mode === 'register' && (
-            <div>
-              <label className="block mb-1 text-xs text-white/60">Username</label>
-              <input
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                required
-                placeholder="Your name"
-                className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
-              />
-            </div>
-          )}
-
-          <div>
-            <label className="block mb-1 text-xs text-white/60">Email</label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              placeholder="you@example.com"
-              className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
-            />
-          </div>
+        {mode !== 'verify' && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {mode === 'register' && (
+              <div>
+                <label className="block mb-1 text-xs text-white/60">Username</label>
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                  placeholder="Your name"
+                  className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
+                />
+              </div>
+            )}
 
-          <div>
-            <label className="block mb-1 text-xs text-white/60">Password</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              minLength={6}
-              placeholder="••••••••"
-              className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
-            />
-          </div>
+            {mode !== 'reset' && (
+              <div>
+                <label className="block mb-1 text-xs text-white/60">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  placeholder="you@example.com"
+                  className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
+                />
+              </div>
+            )}
 
-          {/* Submit */}
-          <button
-            type="submit"
-            disabled={isLoading}
-            className="mt-2 w-full rounded-lg bg-red-600 py-2.5 font-medium text-white hover:bg-red-700 transition disabled:opacity-50"
-          >
-            {isLoading ? 'Processing…' : mode === 'login' ? 'Sign In' : 'Sign Up'}
-          </button>
-        </form>
+            {mode !== 'forgot' && (
+              <div>
+                <label className="block mb-1 text-xs text-white/60">
+                  {mode === 'reset' ? 'New password' : 'Password'}
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  minLength={6}
+                  placeholder="••••••••"
+                  className="w-full rounded-lg bg-[#161616] px-4 py-2.5 text-white border border-white/10 placeholder:text-white/30 focus:border-red-500 focus:outline-none transition"
+                />
+              </div>
+            )}
+
+            {mode === 'login' && (
+              <div className="text-right">
+                <button
+                  type="button"
+                  onClick={() => switchMode('forgot')}
+                  className="text-xs text-white/50 hover:text-red-500 transition"
+                >
+                  Forgot password?
+                </button>
+              </div>
+            )}
+
+            {/* Submit */}
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="mt-2 w-full rounded-lg bg-red-600 py-2.5 font-medium text-white hover:bg-red-700 transition disabled:opacity-50"
+            >
+              {isLoading ? 'Processing…' : submitLabels[mode]}
+            </button>
+          </form>
+        )}
 
         {/* Switch */}
         <div className="mt-6 text-center">
           <button
-            onClick={() => {
-              setMode(mode === 'login' ? 'register' : 'login');
-              setError('');
-            }}
+            onClick={() => switchMode(mode === 'login' ? 'register' : 'login')}
             className="text-sm text-white/50 hover:text-red-500 transition"
           >
             {mode === 'login'
               ? 'New to MOVENTO? Sign up now'
-              : 'Already have an account? Sign in'}
+              : mode === 'register'
+                ? 'Already have an account? Sign in'
+                : 'Back to sign in'}
           </button>
         </div>
       </div>
@@ -1,19 +1,27 @@
 import React, { useState } from 'react';
-import { Heart, Share2, Play } from 'lucide-react';
+import { EyeOff, Heart, Share2, Play } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/contexts/AuthContext';
 import { moviesApi } from '@/modules/Home/api/movies';
+import { AddToListButton } from './AddToListButton';
+import { posterFallback, posterImageProps } from '@/lib/images';
 import type { Movie } from '@/types';
 
+// Cards sit in 2-5 column grids next to the sidebar
+const CARD_SIZES = '(min-width: 1280px) 20vw, (min-width: 1024px) 25vw, (min-width: 768px) 33vw, 50vw';
+
 interface MovieCardProps {
   movie: Movie;
   onInteraction?: () => void;
+  // Shows a "Not interested" action, e.g. in recommendations
+  onNotInterested?: (movie: Movie) => void;
   showActions?: boolean;
 }
 
 export const MovieCard: React.FC<MovieCardProps> = ({
   movie,
   onInteraction,
+  onNotInterested,
   showActions = true,
 }) => {
   const navigate = useNavigate();
@@ -69,6 +77,20 @@ export const MovieCard: React.FC<MovieCardProps> = ({
     }
   };
 
+  const handleNotInterested = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+
+    setIsLoading(true);
+    try {
+      await moviesApi.trackInteraction(movie._id, 'not_interested');
+      onNotInterested?.(movie);
+    } catch (error) {
+      console.error('Error tracking not interested:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handlePlayClick = (e: React.MouseEvent) => {
     e.stopPropagation();
     if (isAuthenticated) {
@@ -87,14 +109,11 @@ export const MovieCard: React.FC<MovieCardProps> = ({
       {/* Poster */}
       <div className="relative aspect-[2/3] rounded-lg overflow-hidden mb-2 transition-transform duration-300 md:group-hover:scale-105 md:group-hover:z-10">
         <img
-          src={movie.posterUrl}
+          {...posterImageProps(movie, CARD_SIZES)}
           alt={movie.title}
+          loading="lazy"
           className="w-full h-full object-cover transition-opacity duration-300"
-          onError={(e) => {
-            (e.target as HTMLImageElement).src =
-              'https://via.placeholder.com/300x450/1a1a1a/ffffff?text=' +
-              movie.title;
-          }}
+          onError={posterFallback(movie.title)}
         />
 
         {/* Overlay */}
@@ -163,6 +182,19 @@ export const MovieCard: React.FC<MovieCardProps> = ({
           >
             <Share2 size={16} />
           </button>
+
+          <AddToListButton movieId={movie._id} />
+
+          {onNotInterested && isAuthenticated && (
+            <button
+              onClick={handleNotInterested}
+              disabled={isLoading}
+              className="p-2 rounded-full bg-white/10 text-white hover:bg-white/20 transition-colors"
+              title="Not interested"
+            >
+              <EyeOff size={16} />
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, type ReactNode } from 'react';
 import { authApi, type AuthResponse } from '../modules/Home/api/auth';
+import { onSessionExpired } from '@/utils/api';
 import type { User } from '@/types';
 
 interface AuthContextType {
@@ -8,7 +9,7 @@ interface AuthContextType {
   isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
   register: (username: string, email: string, password: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
   isAuthenticated: boolean;
   isAdmin: boolean;
 }
@@ -27,7 +28,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
         try {
           const response = await authApi.getMe();
           setUser(response.user);
-          setToken(storedToken);
+          setToken(localStorage.getItem('token'));
         } catch (error) {
           console.error('Failed to get user:', error);
           localStorage.removeItem('token');
@@ -40,6 +41,15 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     initAuth();
   }, []);
 
+  // The api client drops the token when it can no longer be refreshed
+  useEffect(() => {
+    onSessionExpired(() => {
+      setToken(null);
+      setUser(null);
+    });
+    return () => onSessionExpired(null);
+  }, []);
+
   const login = async (email: string, password: string) => {
     const response: AuthResponse = await authApi.login(email, password);
     localStorage.setItem('token', response.token);
@@ -54,12 +64,21 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     setUser(response.user);
   };
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token');
     setToken(null);
     setUser(null);
   };
 
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+    }
+    clearSession();
+  };
+
   return (
     <AuthContext.Provider
       value={{
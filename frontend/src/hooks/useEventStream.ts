@@ -0,0 +1,150 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_URL, refreshAccessToken } from '@/utils/api';
+import type { EventTopic, Movie, MovieEvent, StreamEvent } from '@/types';
+
+// Until the server sends its own `retry` delay
+const DEFAULT_RETRY_MS = 3000;
+// Failed reconnects back off exponentially up to this
+const MAX_RETRY_MS = 60 * 1000;
+
+interface EventStreamOptions {
+  enabled?: boolean;
+}
+
+/**
+ * Follow topics of the live event stream (GET /api/events). After a drop it
+ * reconnects and resumes after the last event received; when events were
+ * lost meanwhile, a `stream.reset` event says to reload instead.
+ * Uses fetch rather than EventSource so the access token can be sent.
+ * @returns Whether the stream is connected
+ */
+export const useEventStream = (
+  topics: EventTopic[],
+  onEvent: (event: StreamEvent) => void,
+  { enabled = true }: EventStreamOptions = {}
+) => {
+  const [connected, setConnected] = useState(false);
+  const topicList = topics.join(',');
+
+  // Latest callback without reconnecting when the component re-renders
+  const onEventRef = useRef(onEvent);
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const controller = new AbortController();
+    let lastEventId: string | null = null;
+    let retryMs = DEFAULT_RETRY_MS;
+    let failures = 0;
+    let timer: ReturnType<typeof setTimeout>;
+
+    // One event of the text/event-stream format
+    const dispatch = (block: string) => {
+      let type = 'message';
+      let data = '';
+
+      for (const line of block.split('\n')) {
+        // Empty lines and comments (heartbeats)
+        if (!line || line.startsWith(':')) continue;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+        if (field === 'event') type = value;
+        else if (field === 'data') data = data ? `${data}\n${value}` : value;
+        else if (field === 'id') lastEventId = value;
+        else if (field === 'retry' && Number(value) > 0) retryMs = Number(value);
+      }
+
+      if (!data) return;
+
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        console.error(`Malformed ${type} event from the event stream`);
+        return;
+      }
+      onEventRef.current({ type, data: parsed } as StreamEvent);
+    };
+
+    const connect = async (refreshed = false): Promise<void> => {
+      try {
+        const token = localStorage.getItem('token');
+        const headers: Record<string, string> = { Accept: 'text/event-stream' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+        const response = await fetch(`${API_URL}/events?topics=${encodeURIComponent(topicList)}`, {
+          headers,
+          credentials: 'include',
+          signal: controller.signal,
+        });
+
+        if (response.status === 401 && token && !refreshed) {
+          await refreshAccessToken();
+          return connect(true);
+        }
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream responded with ${response.status}`);
+        }
+
+        setConnected(true);
+        failures = 0;
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let pending = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          const blocks = (pending + value).split('\n\n');
+          pending = blocks.pop() ?? '';
+          blocks.forEach(dispatch);
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn('Event stream disconnected:', error);
+      }
+
+      if (controller.signal.aborted) return;
+
+      setConnected(false);
+      failures += 1;
+      timer = setTimeout(() => connect(), Math.min(retryMs * 2 ** (failures - 1), MAX_RETRY_MS));
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+      setConnected(false);
+    };
+  }, [topicList, enabled]);
+
+  return connected;
+};
+
+export const isMovieEvent = (event: StreamEvent): event is MovieEvent =>
+  event.type === 'movie.created' || event.type === 'movie.updated' || event.type === 'movie.deleted';
+
+/**
+ * A movie list with a catalog change applied. Created movies go first;
+ * updates keep the fields the event does not carry (e.g. `trending`).
+ */
+export const applyMovieEvent = <T extends Movie>(movies: T[], event: MovieEvent): T[] => {
+  if (event.type === 'movie.deleted') {
+    return movies.filter((movie) => movie._id !== event.data.movieId);
+  }
+
+  const changed = event.data.movie;
+  if (!movies.some((movie) => movie._id === changed._id)) {
+    return event.type === 'movie.created' ? [changed as T, ...movies] : movies;
+  }
+  return movies.map((movie) => (movie._id === changed._id ? { ...movie, ...changed } : movie));
+};
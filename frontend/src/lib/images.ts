@@ -0,0 +1,43 @@
+import type { SyntheticEvent } from 'react';
+import { API_URL } from '@/utils/api';
+import type { Movie } from '@/types';
+
+// Uploaded posters come back as paths on the API server (e.g. /uploads/...)
+const API_ORIGIN = new URL(API_URL, window.location.origin).origin;
+
+export const resolveImageUrl = (url: string) =>
+  url.startsWith('/') && !url.startsWith('//') ? `${API_ORIGIN}${url}` : url;
+
+type PosterSource = Pick<Movie, 'posterUrl' | 'posterImages'>;
+
+/**
+ * src, srcSet and sizes for a poster <img>. `sizes` is the rendered width, so
+ * the browser downloads the smallest stored copy that is still sharp.
+ * Posters given as a plain URL only get src.
+ */
+export const posterImageProps = (movie: PosterSource, sizes: string) => {
+  const images = movie.posterImages || [];
+
+  return {
+    src: resolveImageUrl(movie.posterUrl),
+    ...(images.length > 0 && {
+      srcSet: images.map((image) => `${resolveImageUrl(image.url)} ${image.width}w`).join(', '),
+      sizes,
+    }),
+  };
+};
+
+/**
+ * onError handler replacing a broken poster with a placeholder of the given size
+ */
+export const posterFallback =
+  (title: string, size = '300x450') =>
+  (e: SyntheticEvent<HTMLImageElement>) => {
+    const img = e.currentTarget;
+    const placeholder = `https://via.placeholder.com/${size}/1a1a1a/ffffff?text=${encodeURIComponent(title)}`;
+    if (img.src === placeholder) return;
+
+    // srcset wins over src, so drop it or the broken copy keeps loading
+    img.removeAttribute('srcset');
+    img.src = placeholder;
+  };
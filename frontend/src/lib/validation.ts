@@ -0,0 +1,32 @@
+import { z } from 'zod';
+import {
+  createSchemas,
+  MOVIE_IMPORT_FIELDS,
+  POSTER_UPLOAD,
+  RANKING_COMPONENTS,
+} from '@shared/validation/index.js';
+import type { MovieImportField, RankingComponent } from '@/types';
+
+// Same schemas the API validates requests with
+export const schemas = createSchemas(z);
+
+// Columns a CSV/TSV import can fill, in export order
+export const movieImportFields = MOVIE_IMPORT_FIELDS as MovieImportField[];
+
+// Accepted poster file types and size
+export const posterUpload = POSTER_UPLOAD;
+
+// Score components a ranking strategy weights, in display order
+export const rankingComponents = RANKING_COMPONENTS as RankingComponent[];
+
+/**
+ * First message per field, keyed by dotted path (e.g. "genre.0")
+ */
+export const fieldErrors = (error: z.ZodError): Record<string, string> => {
+  const errors: Record<string, string> = {};
+  for (const issue of error.issues) {
+    const field = issue.path.join('.');
+    if (!(field in errors)) errors[field] = issue.message;
+  }
+  return errors;
+};
@@ -5,17 +5,26 @@ import { Sidebar } from "@/components/global/Sidebar";
 import { GenreCard } from "./components/GenreCard";
 import { MovieCard } from "@/components/ui/MovieCard";
 import { moviesApi } from "./api/movies";
-import type { Movie } from "@/types";
-
-const genres = [
-  "Action & Adventure",
-  "Anime",
-  "Thriller",
-  "Sci-Fi & Fantasy",
-  "Dramas",
-  "Crime",
-  "Horror",
-  "History",
+import { TrendingUp } from "lucide-react";
+import { applyMovieEvent, useEventStream } from "@/hooks/useEventStream";
+import type { StreamEvent, TrendingMovie, TrendingWindow } from "@/types";
+
+// Display labels mapped to the genre values stored on movies
+const genres: { label: string; values: string[] }[] = [
+  { label: "Action & Adventure", values: ["Action", "Adventure"] },
+  { label: "Anime", values: ["Anime", "Animation"] },
+  { label: "Thriller", values: ["Thriller"] },
+  { label: "Sci-Fi & Fantasy", values: ["Sci-Fi", "Fantasy"] },
+  { label: "Dramas", values: ["Drama"] },
+  { label: "Crime", values: ["Crime"] },
+  { label: "Horror", values: ["Horror"] },
+  { label: "History", values: ["History"] },
+];
+
+const trendingWindows: { value: TrendingWindow; label: string }[] = [
+  { value: "24h", label: "Today" },
+  { value: "7d", label: "This Week" },
+  { value: "30d", label: "This Month" },
 ];
 
 // Placeholder images for genres - these would ideally come from backend
@@ -41,7 +50,9 @@ const genreImages: Record<string, string> = {
 export const Home: React.FC = () => {
   const navigate = useNavigate();
   const [genreCounts, setGenreCounts] = useState<Record<string, number>>({});
-  const [trendingMovies, setTrendingMovies] = useState<Movie[]>([]);
+  const [trendingMovies, setTrendingMovies] = useState<TrendingMovie[]>([]);
+  const [trendingWindow, setTrendingWindow] = useState<TrendingWindow>("7d");
+  const [trendingReload, setTrendingReload] = useState(0);
 
   useEffect(() => {
     const fetchGenreCounts = async () => {
@@ -51,17 +62,17 @@ export const Home: React.FC = () => {
         // Fetch movies for each genre to get counts
         // Set initial counts to avoid waiting
         genres.forEach((genre) => {
-          counts[genre] = 0;
+          counts[genre.label] = 0;
         });
         setGenreCounts(counts);
 
-        // Then fetch actual counts in background
+        // Then fetch actual counts in background (the filtered total is all we need)
         for (const genre of genres) {
           try {
-            const response = await moviesApi.getMoviesByGenre(genre);
-            counts[genre] = response.data?.length || 0;
+            const response = await moviesApi.getMoviesByGenre(genre.values, 1, 1);
+            counts[genre.label] = response.pagination?.total || 0;
           } catch {
-            counts[genre] = 0;
+            counts[genre.label] = 0;
           }
           setGenreCounts({ ...counts });
         }
@@ -70,18 +81,20 @@ export const Home: React.FC = () => {
         // Set empty counts on error to still show UI
         const emptyCounts: Record<string, number> = {};
         genres.forEach((genre) => {
-          emptyCounts[genre] = 0;
+          emptyCounts[genre.label] = 0;
         });
         setGenreCounts(emptyCounts);
       }
     };
 
     fetchGenreCounts();
+  }, []);
 
+  useEffect(() => {
     // Fetch trending movies
     const fetchTrending = async () => {
       try {
-        const response = await moviesApi.getTrending(10);
+        const response = await moviesApi.getTrending(10, { window: trendingWindow });
         setTrendingMovies(response.data || []);
       } catch (error) {
         console.error("Error fetching trending movies:", error);
@@ -90,7 +103,27 @@ export const Home: React.FC = () => {
     };
 
     fetchTrending();
-  }, []);
+  }, [trendingWindow, trendingReload]);
+
+  // New movies do not trend yet, so only edits and deletions apply in place
+  const handleStreamEvent = (event: StreamEvent) => {
+    switch (event.type) {
+      case "movie.updated":
+      case "movie.deleted":
+        setTrendingMovies((movies) => applyMovieEvent(movies, event));
+        break;
+      case "trending.updated":
+        if (event.data.windows.includes(trendingWindow)) {
+          setTrendingReload((count) => count + 1);
+        }
+        break;
+      case "stream.reset":
+        setTrendingReload((count) => count + 1);
+        break;
+    }
+  };
+
+  useEventStream(["movies", "trending"], handleStreamEvent);
 
   const handleSearch = (query: string) => {
     // Navigate to search results
@@ -106,10 +139,35 @@ export const Home: React.FC = () => {
         {/* Trending Movies Section */}
         {trendingMovies.length > 0 && (
           <section className="space-y-4">
-            <h2 className="text-2xl font-bold text-red-600">Trending Now</h2>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <h2 className="text-2xl font-bold text-red-600">Trending Now</h2>
+              <div className="flex gap-2">
+                {trendingWindows.map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => setTrendingWindow(value)}
+                    className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                      trendingWindow === value
+                        ? "bg-red-600 text-white"
+                        : "bg-white/10 text-white/70 hover:bg-white/20"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6">
               {trendingMovies.map((movie) => (
-                <MovieCard key={movie._id} movie={movie} />
+                <div key={movie._id}>
+                  <MovieCard movie={movie} />
+                  {movie.trending?.rising && (
+                    <span className="inline-flex items-center gap-1 mt-2 text-xs font-semibold text-green-400">
+                      <TrendingUp size={14} />
+                      Rising
+                    </span>
+                  )}
+                </div>
               ))}
             </div>
           </section>
@@ -121,14 +179,15 @@ export const Home: React.FC = () => {
           <div className="flex gap-6 overflow-x-auto pb-6 scrollbar-hide">
             {genres.map((genre, index) => (
               <div
-                key={genre}
+                key={genre.label}
                 style={{ transform: `translateX(${index * -20}px)` }}
                 className="shrink-0"
               >
                 <GenreCard
-                  genre={genre}
-                  imageUrl={genreImages[genre]}
-                  count={genreCounts[genre]}
+                  genre={genre.label}
+                  filterGenres={genre.values}
+                  imageUrl={genreImages[genre.label]}
+                  count={genreCounts[genre.label]}
                 />
               </div>
             ))}
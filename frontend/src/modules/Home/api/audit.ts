@@ -0,0 +1,15 @@
+import api from '@/utils/api';
+import type { AuditLogResponse, AuditQuery, MovieResponse } from '@/types';
+
+export const auditApi = {
+  getEntries: async (page: number = 1, limit: number = 20, query: AuditQuery = {}): Promise<AuditLogResponse> => {
+    const response = await api.get('/audit', { params: { page, limit, ...query } });
+    return response.data;
+  },
+
+  // Restores the movie to the version recorded by the entry
+  revert: async (entryId: string): Promise<MovieResponse & { message: string; skipped: string[] }> => {
+    const response = await api.post(`/audit/${entryId}/revert`);
+    return response.data;
+  },
+};
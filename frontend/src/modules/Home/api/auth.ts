@@ -7,6 +7,11 @@ export interface AuthResponse {
   user: User;
 }
 
+export interface MessageResponse {
+  success: boolean;
+  message: string;
+}
+
 export interface MeResponse {
   success: boolean;
   user: User;
@@ -27,4 +32,32 @@ export const authApi = {
     const response = await api.get('/auth/me');
     return response.data;
   },
+
+  logout: async (): Promise<void> => {
+    await api.post('/auth/logout');
+  },
+
+  logoutAll: async (): Promise<void> => {
+    await api.post('/auth/logout-all');
+  },
+
+  forgotPassword: async (email: string): Promise<MessageResponse> => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token: string, password: string): Promise<MessageResponse> => {
+    const response = await api.post(`/auth/reset-password/${encodeURIComponent(token)}`, { password });
+    return response.data;
+  },
+
+  verifyEmail: async (token: string): Promise<MessageResponse> => {
+    const response = await api.post(`/auth/verify-email/${encodeURIComponent(token)}`);
+    return response.data;
+  },
+
+  resendVerification: async (): Promise<MessageResponse> => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+import api from '@/utils/api';
+import type { ListDetailsResponse, ListsResponse, ListSummaryResponse, MovieListInput } from '@/types';
+
+export const listsApi = {
+  getMyLists: async (): Promise<ListsResponse> => {
+    const response = await api.get('/lists');
+    return response.data;
+  },
+
+  getList: async (id: string): Promise<ListDetailsResponse> => {
+    const response = await api.get(`/lists/${id}`);
+    return response.data;
+  },
+
+  createList: async (list: MovieListInput): Promise<ListSummaryResponse> => {
+    const response = await api.post('/lists', list);
+    return response.data;
+  },
+
+  updateList: async (id: string, list: MovieListInput): Promise<ListSummaryResponse> => {
+    const response = await api.put(`/lists/${id}`, list);
+    return response.data;
+  },
+
+  deleteList: async (id: string): Promise<{ success: boolean; message: string }> => {
+    const response = await api.delete(`/lists/${id}`);
+    return response.data;
+  },
+
+  addMovie: async (id: string, movieId: string, note?: string): Promise<ListSummaryResponse> => {
+    const response = await api.post(`/lists/${id}/entries`, { movieId, note });
+    return response.data;
+  },
+
+  updateNote: async (id: string, movieId: string, note: string): Promise<{ success: boolean }> => {
+    const response = await api.put(`/lists/${id}/entries/${movieId}`, { note });
+    return response.data;
+  },
+
+  removeMovie: async (id: string, movieId: string): Promise<ListSummaryResponse> => {
+    const response = await api.delete(`/lists/${id}/entries/${movieId}`);
+    return response.data;
+  },
+
+  reorder: async (id: string, movieIds: string[]): Promise<ListSummaryResponse> => {
+    const response = await api.put(`/lists/${id}/order`, { movieIds });
+    return response.data;
+  },
+};
@@ -1,24 +1,129 @@
 import api from '@/utils/api';
-import type { MoviesResponse, MovieResponse, Movie } from '@/types';
+import type {
+  MoviesResponse,
+  FeedOptions,
+  FeedResponse,
+  InteractionType,
+  MovieResponse,
+  Movie,
+  MovieFilters,
+  SuggestionsResponse,
+  TrendingQuery,
+  TrendingResponse,
+  BatchQueuedResponse,
+  BatchStatusResponse,
+  ImportPreviewResponse,
+  MovieExportFormat,
+  MovieImportOptions,
+  ImportMode,
+  DuplicatesResponse,
+  MergeResponse,
+  TrashResponse,
+  PurgeResponse,
+} from '@/types';
+
+// With a poster file the movie travels as JSON in a "data" field next to it
+const toMovieBody = (movieData: Partial<Movie>, poster?: File | null) => {
+  if (!poster) return movieData;
+
+  const form = new FormData();
+  form.append('data', JSON.stringify(movieData));
+  form.append('poster', poster);
+  return form;
+};
+
+// Overrides the JSON default so the browser sets the multipart boundary
+const multipartIf = (poster?: File | null) =>
+  poster ? { headers: { 'Content-Type': 'multipart/form-data' } } : undefined;
+
+// The file is streamed as the request body; options travel as query params
+const postImportFile = async (file: File, options: MovieImportOptions, dryRun: boolean) => {
+  const { mapping, ...rest } = options;
+  const response = await api.post('/movies/import', file, {
+    params: {
+      ...rest,
+      dryRun,
+      ...(mapping && { mapping: JSON.stringify(mapping) }),
+    },
+    headers: {
+      'Content-Type': options.format === 'tsv' ? 'text/tab-separated-values' : 'text/csv',
+    },
+  });
+  return response.data;
+};
+
+// Serialize filters into query params; list values are sent comma-separated
+const toFilterParams = (filters: MovieFilters = {}) => {
+  const params: Record<string, string | number> = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params[key] = value.join(',');
+      return;
+    }
+    params[key] = value;
+  });
+
+  return params;
+};
 
 export const moviesApi = {
-  getMovies: async (page = 1, limit = 10): Promise<MoviesResponse> => {
-    const response = await api.get(`/movies?page=${page}&limit=${limit}`);
+  getMovies: async (page = 1, limit = 10, filters?: MovieFilters): Promise<MoviesResponse> => {
+    const response = await api.get('/movies', {
+      params: { page, limit, ...toFilterParams(filters) },
+    });
+    return response.data;
+  },
+
+  getTrending: async (limit = 20, query: TrendingQuery = {}): Promise<TrendingResponse> => {
+    const response = await api.get('/movies/trending', { params: { limit, ...query } });
+    return response.data;
+  },
+
+  getFeed: async (
+    cursor?: string | null,
+    limit = 20,
+    { explain, debug, hideViewed }: FeedOptions = {}
+  ): Promise<FeedResponse> => {
+    const response = await api.get('/movies/feed', {
+      params: {
+        limit,
+        ...(cursor && { cursor }),
+        ...(explain && { explain: 1 }),
+        ...(debug && { debug: 1 }),
+        ...(hideViewed && { hideViewed: 1 }),
+      },
+    });
     return response.data;
   },
 
-  getTrending: async (limit = 20): Promise<MoviesResponse> => {
-    const response = await api.get(`/movies/trending?limit=${limit}`);
+  getSimilar: async (id: string, limit = 10): Promise<MoviesResponse> => {
+    const response = await api.get(`/movies/${id}/similar?limit=${limit}`);
     return response.data;
   },
 
-  getFeed: async (limit = 20): Promise<MoviesResponse> => {
-    const response = await api.get(`/movies/feed?limit=${limit}`);
+  searchMovies: async (
+    query: string,
+    page = 1,
+    limit = 10,
+    filters?: MovieFilters,
+    withFacets = false
+  ): Promise<MoviesResponse> => {
+    const response = await api.get('/movies/search', {
+      params: {
+        q: query,
+        page,
+        limit,
+        ...toFilterParams(filters),
+        ...(withFacets && { facets: true }),
+      },
+    });
     return response.data;
   },
 
-  searchMovies: async (query: string): Promise<MoviesResponse> => {
-    const response = await api.get(`/movies/search?q=${encodeURIComponent(query)}`);
+  suggest: async (query: string, limit = 8, signal?: AbortSignal): Promise<SuggestionsResponse> => {
+    const response = await api.get('/movies/suggest', { params: { q: query, limit }, signal });
     return response.data;
   },
 
@@ -27,29 +132,35 @@ export const moviesApi = {
     return response.data;
   },
 
-  getSortedMovies: async (sortBy = 'rating', order: 'asc' | 'desc' = 'desc', page = 1, limit = 10): Promise<MoviesResponse> => {
-    const response = await api.get(`/movies/sorted?sortBy=${sortBy}&order=${order}&page=${page}&limit=${limit}`);
+  getSortedMovies: async (
+    sortBy = 'rating',
+    order: 'asc' | 'desc' = 'desc',
+    page = 1,
+    limit = 10,
+    filters?: MovieFilters,
+    withFacets = false
+  ): Promise<MoviesResponse> => {
+    const response = await api.get('/movies/sorted', {
+      params: {
+        sortBy,
+        order,
+        page,
+        limit,
+        ...toFilterParams(filters),
+        ...(withFacets && { facets: true }),
+      },
+    });
     return response.data;
   },
 
-  getMoviesByGenre: async (genre: string): Promise<MoviesResponse> => {
-    // Fetch all movies and filter by genre on client side since backend doesn't have genre filter
-    const response = await api.get(`/movies?page=1&limit=1000`);
-    const allMovies = response.data.data || [];
-    const filteredMovies = allMovies.filter((movie: any) => 
-      movie.genre && movie.genre.some((g: string) => 
-        g.toLowerCase().includes(genre.toLowerCase()) || 
-        genre.toLowerCase().includes(g.toLowerCase())
-      )
-    );
-    return {
-      ...response.data,
-      data: filteredMovies,
-      count: filteredMovies.length
-    };
+  getMoviesByGenre: async (genres: string[], page = 1, limit = 10): Promise<MoviesResponse> => {
+    const response = await api.get('/movies', {
+      params: { page, limit, ...toFilterParams({ genre: genres }) },
+    });
+    return response.data;
   },
 
-  trackInteraction: async (movieId: string, interactionType: 'view' | 'like' | 'share' | 'click', metadata?: any): Promise<any> => {
+  trackInteraction: async (movieId: string, interactionType: InteractionType, metadata?: any): Promise<any> => {
     const response = await api.post(`/movies/${movieId}/interaction`, {
       interactionType,
       metadata,
@@ -58,23 +169,78 @@ export const moviesApi = {
   },
 
   // Admin endpoints
-  createMovie: async (movieData: Partial<Movie>): Promise<MovieResponse> => {
-    const response = await api.post('/movies', movieData);
+  createMovie: async (movieData: Partial<Movie>, poster?: File | null): Promise<MovieResponse> => {
+    const response = await api.post('/movies', toMovieBody(movieData, poster), multipartIf(poster));
     return response.data;
   },
 
-  updateMovie: async (id: string, movieData: Partial<Movie>): Promise<MovieResponse> => {
-    const response = await api.put(`/movies/${id}`, movieData);
+  updateMovie: async (id: string, movieData: Partial<Movie>, poster?: File | null): Promise<MovieResponse> => {
+    const response = await api.put(`/movies/${id}`, toMovieBody(movieData, poster), multipartIf(poster));
     return response.data;
   },
 
+  // Moves the movie to the trash; it can be restored until purged
   deleteMovie: async (id: string): Promise<{ success: boolean; message: string }> => {
     const response = await api.delete(`/movies/${id}`);
     return response.data;
   },
 
-  createMoviesBatch: async (movies: Partial<Movie>[]): Promise<any> => {
-    const response = await api.post('/movies/batch', { movies });
+  getTrash: async (page: number = 1, limit: number = 20): Promise<TrashResponse> => {
+    const response = await api.get('/movies/trash', { params: { page, limit } });
+    return response.data;
+  },
+
+  restoreMovie: async (id: string): Promise<MovieResponse & { message: string }> => {
+    const response = await api.post(`/movies/${id}/restore`);
+    return response.data;
+  },
+
+  // Permanent: also removes the movie's interactions, reviews and list entries
+  purgeMovie: async (id: string): Promise<PurgeResponse> => {
+    const response = await api.delete(`/movies/${id}/purge`);
+    return response.data;
+  },
+
+  createMoviesBatch: async (movies: Partial<Movie>[], mode: ImportMode = 'skip'): Promise<BatchQueuedResponse> => {
+    const response = await api.post('/movies/batch', { movies, mode });
+    return response.data;
+  },
+
+  getBatchStatus: async (jobId: string): Promise<BatchStatusResponse> => {
+    const response = await api.get(`/movies/batch/${jobId}`);
+    return response.data;
+  },
+
+  previewImport: async (file: File, options: MovieImportOptions): Promise<ImportPreviewResponse> => {
+    return postImportFile(file, options, true);
+  },
+
+  importFile: async (file: File, options: MovieImportOptions): Promise<BatchQueuedResponse> => {
+    return postImportFile(file, options, false);
+  },
+
+  exportMovies: async (format: MovieExportFormat, filters: MovieFilters = {}): Promise<Blob> => {
+    const response = await api.get('/movies/export', {
+      params: { format, ...toFilterParams(filters) },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  getDuplicates: async (page: number = 1, limit: number = 20): Promise<DuplicatesResponse> => {
+    const response = await api.get('/movies/duplicates', { params: { page, limit } });
+    return response.data;
+  },
+
+  // Keep targetId; the duplicates' interactions, reviews and list entries move to it
+  mergeMovies: async (targetId: string, duplicateIds: string[]): Promise<MergeResponse> => {
+    const response = await api.post(`/movies/${targetId}/merge`, { duplicateIds });
+    return response.data;
+  },
+
+  // Re-queue the failed rows of a finished import as a new job
+  retryBatch: async (jobId: string): Promise<BatchQueuedResponse> => {
+    const response = await api.post(`/movies/batch/${jobId}/retry`);
     return response.data;
   },
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+import api from '@/utils/api';
+import type {
+  ExperimentInput,
+  ExperimentReportResponse,
+  ExperimentResponse,
+  ExperimentsResponse,
+  ExperimentStatus,
+  RankingStrategiesResponse,
+  RankingStrategyInput,
+  RankingStrategyResponse,
+} from '@/types';
+
+export const rankingApi = {
+  // Latest version of each strategy
+  getStrategies: async (): Promise<RankingStrategiesResponse> => {
+    const response = await api.get('/ranking/strategies');
+    return response.data;
+  },
+
+  getStrategyVersions: async (name: string): Promise<RankingStrategiesResponse> => {
+    const response = await api.get(`/ranking/strategies/${encodeURIComponent(name)}`);
+    return response.data;
+  },
+
+  // Saving under an existing name adds a version
+  saveStrategy: async (strategy: RankingStrategyInput): Promise<RankingStrategyResponse> => {
+    const response = await api.post('/ranking/strategies', strategy);
+    return response.data;
+  },
+
+  getExperiments: async (): Promise<ExperimentsResponse> => {
+    const response = await api.get('/ranking/experiments');
+    return response.data;
+  },
+
+  createExperiment: async (experiment: ExperimentInput): Promise<ExperimentResponse> => {
+    const response = await api.post('/ranking/experiments', experiment);
+    return response.data;
+  },
+
+  updateExperiment: async (id: string, experiment: ExperimentInput): Promise<ExperimentResponse> => {
+    const response = await api.put(`/ranking/experiments/${id}`, experiment);
+    return response.data;
+  },
+
+  setExperimentStatus: async (
+    id: string,
+    status: Exclude<ExperimentStatus, 'draft'>
+  ): Promise<ExperimentResponse> => {
+    const response = await api.put(`/ranking/experiments/${id}/status`, { status });
+    return response.data;
+  },
+
+  deleteExperiment: async (id: string): Promise<{ success: boolean; message: string }> => {
+    const response = await api.delete(`/ranking/experiments/${id}`);
+    return response.data;
+  },
+
+  getExperimentReport: async (id: string): Promise<ExperimentReportResponse> => {
+    const response = await api.get(`/ranking/experiments/${id}/report`);
+    return response.data;
+  },
+};
@@ -0,0 +1,32 @@
+import api from '@/utils/api';
+import type { ReviewInput, ReviewResponse, ReviewSort, ReviewsResponse } from '@/types';
+
+export const reviewsApi = {
+  getReviews: async (movieId: string, sort: ReviewSort = 'newest', page = 1, limit = 10): Promise<ReviewsResponse> => {
+    const response = await api.get(`/movies/${movieId}/reviews`, { params: { sort, page, limit } });
+    return response.data;
+  },
+
+  createReview: async (movieId: string, review: ReviewInput): Promise<ReviewResponse> => {
+    const response = await api.post(`/movies/${movieId}/reviews`, review);
+    return response.data;
+  },
+
+  updateReview: async (movieId: string, reviewId: string, review: Partial<ReviewInput>): Promise<ReviewResponse> => {
+    const response = await api.put(`/movies/${movieId}/reviews/${reviewId}`, review);
+    return response.data;
+  },
+
+  deleteReview: async (movieId: string, reviewId: string): Promise<{ success: boolean; message: string }> => {
+    const response = await api.delete(`/movies/${movieId}/reviews/${reviewId}`);
+    return response.data;
+  },
+
+  toggleHelpful: async (
+    movieId: string,
+    reviewId: string
+  ): Promise<{ success: boolean; data: { helpful: boolean; helpfulCount: number } }> => {
+    const response = await api.post(`/movies/${movieId}/reviews/${reviewId}/helpful`);
+    return response.data;
+  },
+};
@@ -0,0 +1,19 @@
+import api from '@/utils/api';
+import type { UserQuery, UserResponse, UserRole, UsersResponse } from '@/types';
+
+export const usersApi = {
+  getUsers: async (page: number = 1, limit: number = 20, query: UserQuery = {}): Promise<UsersResponse> => {
+    const response = await api.get('/users', { params: { page, limit, ...query } });
+    return response.data;
+  },
+
+  updateRole: async (id: string, role: UserRole): Promise<UserResponse> => {
+    const response = await api.put(`/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  setDisabled: async (id: string, isDisabled: boolean): Promise<UserResponse> => {
+    const response = await api.put(`/users/${id}/status`, { isDisabled });
+    return response.data;
+  },
+};
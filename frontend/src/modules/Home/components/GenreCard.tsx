@@ -5,6 +5,7 @@ interface GenreCardProps {
   genre: string;
   imageUrl: string;
   count?: number;
+  filterGenres?: string[]; // genre values to filter by, defaults to the label itself
 }
 
 const genreLabels: Record<string, string> = {
@@ -18,11 +19,12 @@ const genreLabels: Record<string, string> = {
   'History': 'History',
 };
 
-export const GenreCard: React.FC<GenreCardProps> = ({ genre, imageUrl, count }) => {
+export const GenreCard: React.FC<GenreCardProps> = ({ genre, imageUrl, count, filterGenres }) => {
   const navigate = useNavigate();
 
   const handleClick = () => {
-    navigate(`/movies?genre=${encodeURIComponent(genre)}`);
+    const values = filterGenres && filterGenres.length > 0 ? filterGenres : [genre];
+    navigate(`/movies?genre=${encodeURIComponent(values.join(','))}&label=${encodeURIComponent(genre)}`);
   };
 
   return (
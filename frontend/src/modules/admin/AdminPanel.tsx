@@ -4,7 +4,18 @@ import { Navbar } from "@/components/global/Navbar";
 import { Sidebar } from "@/components/global/Sidebar";
 import { useAuth } from "@/contexts/AuthContext";
 import { moviesApi } from "../Home/api/movies";
-import type { Movie } from "@/types";
+import { applyMovieEvent, isMovieEvent, useEventStream } from "@/hooks/useEventStream";
+import type { ImportMode, Movie, MovieExportFormat } from "@/types";
+import { UsersTab } from "./components/UsersTab";
+import { BatchImportProgress } from "./components/BatchImportProgress";
+import { CsvImport } from "./components/CsvImport";
+import { DuplicatesTab } from "./components/DuplicatesTab";
+import { TrashTab } from "./components/TrashTab";
+import { RankingTab } from "./components/RankingTab";
+import { ExperimentsTab } from "./components/ExperimentsTab";
+import { MovieHistory } from "./components/MovieHistory";
+import { posterUpload, schemas } from "@/lib/validation";
+import { posterImageProps, resolveImageUrl } from "@/lib/images";
 import {
   Plus,
   Edit2,
@@ -15,16 +26,34 @@ import {
   AlertCircle,
   CheckCircle,
   Download,
+  Film,
+  Users,
+  Copy,
+  Archive,
+  History,
+  SlidersHorizontal,
+  FlaskConical,
 } from "lucide-react";
 
+type AdminTab = "movies" | "users" | "duplicates" | "trash" | "ranking" | "experiments";
+type ImportSource = "json" | "csv";
+
+const IMPORT_MODES: { value: ImportMode; label: string }[] = [
+  { value: "skip", label: "Skip them" },
+  { value: "update", label: "Update the fields in the file" },
+  { value: "replace", label: "Replace them entirely" },
+];
+
 export const AdminPanel: React.FC = () => {
   const navigate = useNavigate();
   const { isAdmin, isAuthenticated } = useAuth();
+  const [activeTab, setActiveTab] = useState<AdminTab>("movies");
   const [movies, setMovies] = useState<Movie[]>([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [showBulkImport, setShowBulkImport] = useState(false);
   const [editingMovie, setEditingMovie] = useState<Movie | null>(null);
+  const [historyMovie, setHistoryMovie] = useState<Movie | null>(null);
   const [formData, setFormData] = useState<Partial<Movie>>({
     title: "",
     description: "",
@@ -37,6 +66,8 @@ export const AdminPanel: React.FC = () => {
     posterUrl: "",
     imdbId: "",
   });
+  const [posterFile, setPosterFile] = useState<File | null>(null);
+  const [posterPreview, setPosterPreview] = useState<string | null>(null);
   const [genreInput, setGenreInput] = useState("");
   const [castInput, setCastInput] = useState("");
 
@@ -48,6 +79,10 @@ export const AdminPanel: React.FC = () => {
     message: string;
   }>({ type: null, message: "" });
   const [validationErrors, setValidationErrors] = useState<string[]>([]);
+  const [batchJobId, setBatchJobId] = useState<string | null>(null);
+  const [importSource, setImportSource] = useState<ImportSource>("json");
+  const [importMode, setImportMode] = useState<ImportMode>("skip");
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     if (window.innerWidth < 768) {
@@ -72,6 +107,19 @@ export const AdminPanel: React.FC = () => {
     fetchMovies();
   }, [isAuthenticated, isAdmin, navigate]);
 
+  // Changes made elsewhere (other admins, imports) show up without a reload
+  useEventStream(
+    ["movies"],
+    (event) => {
+      if (isMovieEvent(event)) {
+        setMovies((current) => applyMovieEvent(current, event));
+      } else if (event.type === "movies.imported" || event.type === "stream.reset") {
+        fetchMovies();
+      }
+    },
+    { enabled: isAuthenticated && isAdmin }
+  );
+
   const fetchMovies = async () => {
     try {
       setLoading(true);
@@ -86,11 +134,27 @@ export const AdminPanel: React.FC = () => {
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
+
+    const movieSchema = editingMovie
+      ? schemas.movies.movieUpdate
+      : posterFile
+        ? schemas.movies.movieWithPoster
+        : schemas.movies.movie;
+    // An uploaded file replaces the poster URL
+    const movieData = posterFile
+      ? { ...formData, posterUrl: formData.posterUrl || undefined }
+      : formData;
+    const validation = movieSchema.safeParse(movieData);
+    if (!validation.success) {
+      alert(validation.error.issues.map((issue) => issue.message).join("\n"));
+      return;
+    }
+
     try {
       if (editingMovie) {
-        await moviesApi.updateMovie(editingMovie._id, formData);
+        await moviesApi.updateMovie(editingMovie._id, movieData, posterFile);
       } else {
-        await moviesApi.createMovie(formData);
+        await moviesApi.createMovie(movieData, posterFile);
       }
       await fetchMovies();
       resetForm();
@@ -100,7 +164,7 @@ export const AdminPanel: React.FC = () => {
   };
 
   const handleDelete = async (id: string) => {
-    if (!confirm("Are you sure you want to delete this movie?")) return;
+    if (!confirm("Move this movie to the trash? You can restore it from the Trash tab.")) return;
 
     try {
       await moviesApi.deleteMovie(id);
@@ -126,6 +190,7 @@ export const AdminPanel: React.FC = () => {
     });
     setGenreInput(movie.genre.join(", "));
     setCastInput(movie.cast.join(", "));
+    selectPosterFile(null);
     setShowForm(true);
     setShowBulkImport(false);
   };
@@ -145,10 +210,38 @@ export const AdminPanel: React.FC = () => {
     });
     setGenreInput("");
     setCastInput("");
+    selectPosterFile(null);
     setEditingMovie(null);
     setShowForm(false);
   };
 
+  // Revoke the previous preview so its object URL is released
+  useEffect(() => {
+    return () => {
+      if (posterPreview) URL.revokeObjectURL(posterPreview);
+    };
+  }, [posterPreview]);
+
+  const selectPosterFile = (file: File | null) => {
+    setPosterFile(file);
+    setPosterPreview(file ? URL.createObjectURL(file) : null);
+  };
+
+  const handlePosterFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0] || null;
+    e.target.value = "";
+
+    if (file && !posterUpload.types.includes(file.type)) {
+      alert("Poster must be a JPEG, PNG or WebP image");
+      return;
+    }
+    if (file && file.size > posterUpload.maxBytes) {
+      alert(`Poster cannot be larger than ${posterUpload.maxBytes / 1024 / 1024}MB`);
+      return;
+    }
+    selectPosterFile(file);
+  };
+
   const handleGenreChange = (value: string) => {
     setGenreInput(value);
     setFormData({
@@ -176,53 +269,19 @@ export const AdminPanel: React.FC = () => {
   };
 
   // Bulk import functions
-  const validateMovie = (movie: any, index: number): string[] => {
-    const errors: string[] = [];
-    const prefix = `Movie ${index + 1}`;
+  const validateMovie = (movie: unknown, index: number): string[] => {
+    const result = schemas.movies.movie.safeParse(movie);
+    if (result.success) return [];
 
-    if (!movie.title || typeof movie.title !== "string") {
-      errors.push(`${prefix}: Title is required and must be a string`);
-    }
-    if (!movie.description || typeof movie.description !== "string") {
-      errors.push(`${prefix}: Description is required and must be a string`);
-    }
-    if (!movie.director || typeof movie.director !== "string") {
-      errors.push(`${prefix}: Director is required and must be a string`);
-    }
-    if (!movie.releaseDate) {
-      errors.push(`${prefix}: Release date is required`);
-    }
-    if (
-      !movie.duration ||
-      typeof movie.duration !== "number" ||
-      movie.duration <= 0
-    ) {
-      errors.push(`${prefix}: Duration must be a positive number`);
-    }
-    if (!movie.posterUrl || typeof movie.posterUrl !== "string") {
-      errors.push(`${prefix}: Poster URL is required and must be a string`);
-    }
-    if (!Array.isArray(movie.genre) || movie.genre.length === 0) {
-      errors.push(`${prefix}: Genre must be a non-empty array`);
-    }
-    if (
-      movie.rating !== undefined &&
-      (typeof movie.rating !== "number" ||
-        movie.rating < 0 ||
-        movie.rating > 10)
-    ) {
-      errors.push(`${prefix}: Rating must be a number between 0 and 10`);
-    }
-    if (movie.cast && !Array.isArray(movie.cast)) {
-      errors.push(`${prefix}: Cast must be an array`);
-    }
-
-    return errors;
+    return result.error.issues.map(
+      (issue) => `Movie ${index + 1}: ${issue.message}`
+    );
   };
 
   const handleJsonParse = () => {
     setImportStatus({ type: null, message: "" });
     setValidationErrors([]);
+    setBatchJobId(null);
 
     try {
       const parsed = JSON.parse(jsonInput);
@@ -271,19 +330,15 @@ export const AdminPanel: React.FC = () => {
         message: "Importing movies...",
       });
 
-      const response = await moviesApi.createMoviesBatch(bulkMovies);
+      const response = await moviesApi.createMoviesBatch(bulkMovies, importMode);
 
+      // Progress is tracked by BatchImportProgress from here on
+      setBulkMovies([]);
+      setBatchJobId(response.jobId);
       setImportStatus({
-        type: "success",
-        message:
-          response.message ||
-          `Successfully imported ${bulkMovies.length} movies!`,
+        type: "info",
+        message: response.message,
       });
-
-      setTimeout(() => {
-        resetBulkImport();
-        fetchMovies();
-      }, 2000);
     } catch (error: any) {
       setImportStatus({
         type: "error",
@@ -300,9 +355,28 @@ export const AdminPanel: React.FC = () => {
     setBulkMovies([]);
     setImportStatus({ type: null, message: "" });
     setValidationErrors([]);
+    setBatchJobId(null);
     setShowBulkImport(false);
   };
 
+  const handleExport = async (format: MovieExportFormat) => {
+    try {
+      setExporting(true);
+      const blob = await moviesApi.exportMovies(format);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `movies-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting movies:", error);
+      alert("Failed to export movies");
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const downloadTemplate = () => {
     const template = [
       {
@@ -344,420 +418,596 @@ export const AdminPanel: React.FC = () => {
         <div className="max-w-7xl mx-auto space-y-6">
           <div className="flex items-center justify-between">
             <h1 className="text-3xl font-bold">Admin Panel</h1>
-            <div className="flex gap-3 flex-wrap md:flex-nowrap">
-              <button
-                onClick={() => {
-                  setShowBulkImport(!showBulkImport);
-                  setShowForm(false);
-                }}
-                className="flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded transition-colors whitespace-nowrap"
-              >
-                <Upload size={20} />
-                {showBulkImport ? "Close Bulk Import" : "Bulk Import"}
-              </button>
-              <button
-                onClick={() => {
-                  setShowForm(!showForm);
-                  setShowBulkImport(false);
-                }}
-                className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors whitespace-nowrap"
-              >
-                <Plus size={20} />
-                {showForm ? "Cancel" : "Add Movie"}
-              </button>
-            </div>
-          </div>
-          <div className="flex flex-col md:flex-row gap-6 mt-6">
-            {/* Bulk Import Section */}
-            {showBulkImport && (
-              <div className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-4">
-                <div className="flex items-center justify-between">
-                  <h2 className="text-xl font-bold">Bulk Import Movies</h2>
+            {activeTab === "movies" && (
+              <div className="flex gap-3 flex-wrap md:flex-nowrap">
+                {(["csv", "json"] as const).map((format) => (
                   <button
-                    onClick={downloadTemplate}
-                    className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm transition-colors"
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={exporting}
+                    className="flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded transition-colors whitespace-nowrap"
                   >
-                    <Download size={16} />
-                    Download Template
+                    <Download size={20} />
+                    Export {format.toUpperCase()}
                   </button>
-                </div>
-
-                <div className="bg-gray-800 rounded p-4 text-sm text-gray-300">
-                  <p className="font-semibold mb-2">📝 Instructions:</p>
-                  <ol className="list-decimal list-inside space-y-1">
-                    <li>
-                      Download the JSON template or create your own array of
-                      movies
-                    </li>
-                    <li>
-                      Each movie must have: title, description, releaseDate,
-                      duration, genre (array), director, posterUrl
-                    </li>
-                    <li>
-                      Optional fields: rating (0-10), cast (array), imdbId
-                    </li>
-                    <li>Paste the JSON below and click "Parse & Validate"</li>
-                    <li>Review the parsed movies and click "Import All"</li>
-                  </ol>
-                </div>
-
-                <div>
-                  <label className="block text-sm mb-2 font-semibold">
-                    Paste JSON Data:
-                  </label>
-                  <textarea
-                    value={jsonInput}
-                    onChange={(e) => setJsonInput(e.target.value)}
-                    placeholder='[{"title": "Movie 1", "description": "...", ...}, {"title": "Movie 2", ...}]'
-                    rows={10}
-                    className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-purple-500 font-mono text-sm"
-                  />
-                </div>
+                ))}
+                <button
+                  onClick={() => {
+                    setShowBulkImport(!showBulkImport);
+                    setShowForm(false);
+                  }}
+                  className="flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded transition-colors whitespace-nowrap"
+                >
+                  <Upload size={20} />
+                  {showBulkImport ? "Close Bulk Import" : "Bulk Import"}
+                </button>
+                <button
+                  onClick={() => {
+                    setShowForm(!showForm);
+                    setShowBulkImport(false);
+                  }}
+                  className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors whitespace-nowrap"
+                >
+                  <Plus size={20} />
+                  {showForm ? "Cancel" : "Add Movie"}
+                </button>
+              </div>
+            )}
+          </div>
 
-                {importStatus.type && (
-                  <div
-                    className={`flex items-start gap-3 p-4 rounded ${
-                      importStatus.type === "success"
-                        ? "bg-green-600/20 border border-green-600/50"
-                        : importStatus.type === "error"
-                          ? "bg-red-600/20 border border-red-600/50"
-                          : "bg-blue-600/20 border border-blue-600/50"
-                    }`}
-                  >
-                    {importStatus.type === "success" && (
-                      <CheckCircle className="flex-shrink-0 mt-0.5" size={20} />
-                    )}
-                    {importStatus.type === "error" && (
-                      <AlertCircle className="flex-shrink-0 mt-0.5" size={20} />
-                    )}
-                    {importStatus.type === "info" && (
-                      <AlertCircle className="flex-shrink-0 mt-0.5" size={20} />
-                    )}
-                    <p className="text-sm">{importStatus.message}</p>
-                  </div>
-                )}
+          {/* Tabs */}
+          <div className="flex gap-2 border-b border-white/10">
+            {[
+              { id: "movies" as const, label: "Movies", icon: Film },
+              { id: "users" as const, label: "Users", icon: Users },
+              { id: "duplicates" as const, label: "Duplicates", icon: Copy },
+              { id: "trash" as const, label: "Trash", icon: Archive },
+              { id: "ranking" as const, label: "Ranking", icon: SlidersHorizontal },
+              { id: "experiments" as const, label: "Experiments", icon: FlaskConical },
+            ].map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setActiveTab(id)}
+                className={`flex items-center gap-2 px-4 py-2 -mb-px border-b-2 transition-colors ${
+                  activeTab === id
+                    ? "border-red-600 text-white"
+                    : "border-transparent text-white/60 hover:text-white"
+                }`}
+              >
+                <Icon size={18} />
+                {label}
+              </button>
+            ))}
+          </div>
 
-                {validationErrors.length > 0 && (
-                  <div className="bg-red-900/20 border border-red-600/50 rounded p-4">
-                    <p className="font-semibold mb-2 text-red-400">
-                      Validation Errors:
-                    </p>
-                    <ul className="list-disc list-inside space-y-1 text-sm text-red-300 max-h-60 overflow-y-auto">
-                      {validationErrors.map((error, index) => (
-                        <li key={index}>{error}</li>
-                      ))}
-                    </ul>
-                  </div>
-                )}
+          {activeTab === "users" ? (
+            <UsersTab />
+          ) : activeTab === "duplicates" ? (
+            <DuplicatesTab />
+          ) : activeTab === "trash" ? (
+            <TrashTab onRestored={() => fetchMovies()} />
+          ) : activeTab === "ranking" ? (
+            <RankingTab />
+          ) : activeTab === "experiments" ? (
+            <ExperimentsTab />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row gap-6 mt-6">
+                {/* Bulk Import Section */}
+                {showBulkImport && (
+                  <div className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h2 className="text-xl font-bold">Bulk Import Movies</h2>
+                      {importSource === "json" && (
+                        <button
+                          onClick={downloadTemplate}
+                          className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm transition-colors"
+                        >
+                          <Download size={16} />
+                          Download Template
+                        </button>
+                      )}
+                    </div>
 
-                {bulkMovies.length > 0 && validationErrors.length === 0 && (
-                  <div className="bg-gray-800 rounded p-4">
-                    <p className="font-semibold mb-3">
-                      Preview ({bulkMovies.length} movies):
-                    </p>
-                    <div className="max-h-60 overflow-y-auto space-y-2">
-                      {bulkMovies.map((movie, index) => (
-                        <div
-                          key={index}
-                          className="bg-gray-700/50 rounded p-3 text-sm"
+                    <div className="flex gap-2">
+                      {[
+                        { id: "json" as const, label: "Paste JSON" },
+                        { id: "csv" as const, label: "Upload CSV / TSV" },
+                      ].map(({ id, label }) => (
+                        <button
+                          key={id}
+                          onClick={() => setImportSource(id)}
+                          className={`px-4 py-1.5 rounded text-sm transition-colors ${
+                            importSource === id
+                              ? "bg-purple-600"
+                              : "bg-white/10 hover:bg-white/20"
+                          }`}
                         >
-                          <p className="font-semibold">
-                            {index + 1}. {movie.title}
-                          </p>
-                          <p className="text-gray-400 text-xs mt-1">
-                            {movie.director} • {movie.genre?.join(", ")} •{" "}
-                            {movie.duration}min
-                          </p>
-                        </div>
+                          {label}
+                        </button>
                       ))}
                     </div>
-                  </div>
-                )}
 
-                <div className="flex gap-3">
-                  <button
-                    onClick={handleJsonParse}
-                    disabled={!jsonInput.trim()}
-                    className="flex items-center gap-2 px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
-                  >
-                    <FileJson size={18} />
-                    Parse & Validate
-                  </button>
-                  <button
-                    onClick={handleBulkImport}
-                    disabled={
-                      bulkMovies.length === 0 || validationErrors.length > 0
-                    }
-                    className="flex items-center gap-2 px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
-                  >
-                    <Upload size={18} />
-                    Import All ({bulkMovies.length})
-                  </button>
-                  <button
-                    onClick={resetBulkImport}
-                    className="px-6 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
-                  >
-                    Reset
-                  </button>
-                </div>
-              </div>
-            )}
-
-            {/* Movie Form */}
-            {showForm && (
-              <div className="bg-gray-900 rounded-lg p-6 border border-white/10">
-                <h2 className="text-xl font-bold mb-4">
-                  {editingMovie ? "Edit Movie" : "Create New Movie"}
-                </h2>
-                <form onSubmit={handleSubmit} className="space-y-4">
-                  <div className="grid md:grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-sm mb-2">Title *</label>
-                      <input
-                        type="text"
-                        required
-                        value={formData.title}
-                        onChange={(e) =>
-                          setFormData({ ...formData, title: e.target.value })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-sm mb-2">Director *</label>
-                      <input
-                        type="text"
-                        required
-                        value={formData.director}
-                        onChange={(e) =>
-                          setFormData({ ...formData, director: e.target.value })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-sm mb-2">
-                        Release Date *
-                      </label>
-                      <input
-                        type="date"
-                        required
-                        value={formData.releaseDate}
-                        onChange={(e) =>
-                          setFormData({
-                            ...formData,
-                            releaseDate: e.target.value,
-                          })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-sm mb-2">
-                        Duration (minutes) *
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                      <label htmlFor="import-mode" className="font-semibold">
+                        Existing movies:
                       </label>
-                      <input
-                        type="number"
-                        required
-                        min="1"
-                        value={formData.duration}
-                        onChange={(e) =>
-                          setFormData({
-                            ...formData,
-                            duration: parseInt(e.target.value),
-                          })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                      />
+                      <select
+                        id="import-mode"
+                        value={importMode}
+                        onChange={(e) => setImportMode(e.target.value as ImportMode)}
+                        className="bg-white/10 border border-white/20 rounded px-3 py-1.5 text-white focus:outline-none focus:border-purple-500"
+                      >
+                        {IMPORT_MODES.map(({ value, label }) => (
+                          <option key={value} value={value} className="bg-gray-900">
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <span className="text-gray-400">
+                        Matched by IMDB ID, then by title and release year
+                      </span>
                     </div>
-                    <div>
-                      <label className="block text-sm mb-2">
-                        Rating (0-10)
-                      </label>
-                      <input
-                        type="number"
-                        min="0"
-                        max="10"
-                        step="0.1"
-                        value={formData.rating}
-                        onChange={(e) =>
-                          setFormData({
-                            ...formData,
-                            rating: parseFloat(e.target.value),
-                          })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+
+                    {importSource === "csv" && (
+                      <CsvImport
+                        mode={importMode}
+                        onQueued={(jobId, message) => {
+                          setBatchJobId(jobId);
+                          setImportStatus({ type: "info", message });
+                        }}
                       />
-                    </div>
-                    <div>
-                      <label className="block text-sm mb-2">Poster URL *</label>
-                      <input
-                        type="url"
-                        required
-                        value={formData.posterUrl}
-                        onChange={(e) =>
-                          setFormData({
-                            ...formData,
-                            posterUrl: e.target.value,
-                          })
-                        }
-                        className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                    )}
+
+                    {importSource === "json" && (
+                      <>
+                        <div className="bg-gray-800 rounded p-4 text-sm text-gray-300">
+                          <p className="font-semibold mb-2">📝 Instructions:</p>
+                          <ol className="list-decimal list-inside space-y-1">
+                            <li>
+                              Download the JSON template or create your own array of
+                              movies
+                            </li>
+                            <li>
+                              Each movie must have: title, description, releaseDate,
+                              duration, genre (array), director, posterUrl
+                            </li>
+                            <li>
+                              Optional fields: rating (0-10), cast (array), imdbId
+                            </li>
+                            <li>Paste the JSON below and click "Parse & Validate"</li>
+                            <li>Review the parsed movies and click "Import All"</li>
+                          </ol>
+                        </div>
+
+                        <div>
+                          <label className="block text-sm mb-2 font-semibold">
+                            Paste JSON Data:
+                          </label>
+                          <textarea
+                            value={jsonInput}
+                            onChange={(e) => setJsonInput(e.target.value)}
+                            placeholder='[{"title": "Movie 1", "description": "...", ...}, {"title": "Movie 2", ...}]'
+                            rows={10}
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-purple-500 font-mono text-sm"
+                          />
+                        </div>
+                      </>
+                    )}
+
+                    {importStatus.type && (
+                      <div
+                        className={`flex items-start gap-3 p-4 rounded ${
+                          importStatus.type === "success"
+                            ? "bg-green-600/20 border border-green-600/50"
+                            : importStatus.type === "error"
+                              ? "bg-red-600/20 border border-red-600/50"
+                              : "bg-blue-600/20 border border-blue-600/50"
+                        }`}
+                      >
+                        {importStatus.type === "success" && (
+                          <CheckCircle className="flex-shrink-0 mt-0.5" size={20} />
+                        )}
+                        {importStatus.type === "error" && (
+                          <AlertCircle className="flex-shrink-0 mt-0.5" size={20} />
+                        )}
+                        {importStatus.type === "info" && (
+                          <AlertCircle className="flex-shrink-0 mt-0.5" size={20} />
+                        )}
+                        <p className="text-sm">{importStatus.message}</p>
+                      </div>
+                    )}
+
+                    {validationErrors.length > 0 && (
+                      <div className="bg-red-900/20 border border-red-600/50 rounded p-4">
+                        <p className="font-semibold mb-2 text-red-400">
+                          Validation Errors:
+                        </p>
+                        <ul className="list-disc list-inside space-y-1 text-sm text-red-300 max-h-60 overflow-y-auto">
+                          {validationErrors.map((error, index) => (
+                            <li key={index}>{error}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
+                    {batchJobId && (
+                      <BatchImportProgress
+                        key={batchJobId}
+                        jobId={batchJobId}
+                        onRetry={setBatchJobId}
+                        onFinished={() => fetchMovies()}
                       />
-                    </div>
-                  </div>
-                  <div>
-                    <label className="block text-sm mb-2">Description *</label>
-                    <textarea
-                      required
-                      rows={4}
-                      value={formData.description}
-                      onChange={(e) =>
-                        setFormData({
-                          ...formData,
-                          description: e.target.value,
-                        })
-                      }
-                      className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm mb-2">
-                      Genres (comma-separated) *
-                    </label>
-                    <input
-                      type="text"
-                      required
-                      value={genreInput}
-                      onChange={(e) => handleGenreChange(e.target.value)}
-                      placeholder="Action, Drama, Thriller"
-                      className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm mb-2">
-                      Cast (comma-separated)
-                    </label>
-                    <input
-                      type="text"
-                      value={castInput}
-                      onChange={(e) => handleCastChange(e.target.value)}
-                      placeholder="Actor 1, Actor 2, Actor 3"
-                      className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm mb-2">
-                      IMDB ID (optional)
-                    </label>
-                    <input
-                      type="text"
-                      value={formData.imdbId}
-                      onChange={(e) =>
-                        setFormData({ ...formData, imdbId: e.target.value })
-                      }
-                      className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
-                    />
-                  </div>
-                  <div className="flex gap-3">
-                    <button
-                      type="submit"
-                      className="flex items-center gap-2 px-6 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors"
-                    >
-                      <Save size={18} />
-                      {editingMovie ? "Update Movie" : "Create Movie"}
-                    </button>
-                    <button
-                      type="button"
-                      onClick={resetForm}
-                      className="px-6 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
-                    >
-                      Cancel
-                    </button>
+                    )}
+
+                    {importSource === "json" && (
+                      <>
+                        {bulkMovies.length > 0 && validationErrors.length === 0 && (
+                          <div className="bg-gray-800 rounded p-4">
+                            <p className="font-semibold mb-3">
+                              Preview ({bulkMovies.length} movies):
+                            </p>
+                            <div className="max-h-60 overflow-y-auto space-y-2">
+                              {bulkMovies.map((movie, index) => (
+                                <div
+                                  key={index}
+                                  className="bg-gray-700/50 rounded p-3 text-sm"
+                                >
+                                  <p className="font-semibold">
+                                    {index + 1}. {movie.title}
+                                  </p>
+                                  <p className="text-gray-400 text-xs mt-1">
+                                    {movie.director} • {movie.genre?.join(", ")} •{" "}
+                                    {movie.duration}min
+                                  </p>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
+                        <div className="flex gap-3">
+                          <button
+                            onClick={handleJsonParse}
+                            disabled={!jsonInput.trim()}
+                            className="flex items-center gap-2 px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
+                          >
+                            <FileJson size={18} />
+                            Parse & Validate
+                          </button>
+                          <button
+                            onClick={handleBulkImport}
+                            disabled={
+                              bulkMovies.length === 0 || validationErrors.length > 0
+                            }
+                            className="flex items-center gap-2 px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
+                          >
+                            <Upload size={18} />
+                            Import All ({bulkMovies.length})
+                          </button>
+                          <button
+                            onClick={resetBulkImport}
+                            className="px-6 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+                          >
+                            Reset
+                          </button>
+                        </div>
+                      </>
+                    )}
                   </div>
-                </form>
-              </div>
-            )}
-          </div>
+                )}
 
-          {/* Movies List */}
-          {loading ? (
-            <div className="text-center py-12">Loading...</div>
-          ) : (
-            <div className="space-y-4">
-              <h2 className="text-2xl font-bold">
-                All Movies ({movies.length})
-              </h2>
-              <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto max-h-[600px]">
-                <table className="w-full min-w-[900px]">
-                  <thead className="bg-gray-800">
-                    <tr>
-                      <th className="text-left p-4">Poster</th>
-                      <th className="text-left p-4">Title</th>
-                      <th className="text-left p-4">Director</th>
-                      <th className="text-left p-4">Genre</th>
-                      <th className="text-left p-4">Rating</th>
-                      <th className="text-left p-4">Release Date</th>
-                      <th className="text-left p-4">Actions</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {movies.map((movie) => (
-                      <tr
-                        key={movie._id}
-                        className="border-t border-white/10 hover:bg-white/5 transition-colors"
-                      >
-                        <td className="p-4">
+                {/* Movie Form */}
+                {showForm && (
+                  <div className="bg-gray-900 rounded-lg p-6 border border-white/10">
+                    <h2 className="text-xl font-bold mb-4">
+                      {editingMovie ? "Edit Movie" : "Create New Movie"}
+                    </h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                      <div className="grid md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm mb-2">Title *</label>
+                          <input
+                            type="text"
+                            required
+                            value={formData.title}
+                            onChange={(e) =>
+                              setFormData({ ...formData, title: e.target.value })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm mb-2">Director *</label>
+                          <input
+                            type="text"
+                            required
+                            value={formData.director}
+                            onChange={(e) =>
+                              setFormData({ ...formData, director: e.target.value })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm mb-2">
+                            Release Date *
+                          </label>
+                          <input
+                            type="date"
+                            required
+                            value={formData.releaseDate}
+                            onChange={(e) =>
+                              setFormData({
+                                ...formData,
+                                releaseDate: e.target.value,
+                              })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm mb-2">
+                            Duration (minutes) *
+                          </label>
+                          <input
+                            type="number"
+                            required
+                            min="1"
+                            value={formData.duration}
+                            onChange={(e) =>
+                              setFormData({
+                                ...formData,
+                                duration: parseInt(e.target.value),
+                              })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm mb-2">
+                            Rating (0-10)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="10"
+                            step="0.1"
+                            value={formData.rating}
+                            onChange={(e) =>
+                              setFormData({
+                                ...formData,
+                                rating: parseFloat(e.target.value),
+                              })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm mb-2">Poster URL *</label>
+                          <input
+                            type="text"
+                            required={!posterFile}
+                            disabled={Boolean(posterFile)}
+                            placeholder={posterFile ? "Using the uploaded file" : "https://..."}
+                            value={formData.posterUrl}
+                            onChange={(e) =>
+                              setFormData({
+                                ...formData,
+                                posterUrl: e.target.value,
+                              })
+                            }
+                            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500 disabled:opacity-50"
+                          />
+                        </div>
+                      </div>
+                      <div className="flex items-start gap-4">
+                        {(posterPreview || formData.posterUrl) && (
                           <img
-                            src={movie.posterUrl}
-                            alt={movie.title}
-                            className="w-16 h-24 object-cover rounded overflow-hidden"
-                            onError={(e) => {
-                              (e.target as HTMLImageElement).src =
-                                "https://via.placeholder.com/100x150/1a1a1a/ffffff?text=" +
-                                movie.title;
-                            }}
+                            {...(posterPreview
+                              ? { src: posterPreview }
+                              : editingMovie && formData.posterUrl === editingMovie.posterUrl
+                                ? posterImageProps(editingMovie, "80px")
+                                : { src: resolveImageUrl(formData.posterUrl || "") })}
+                            alt="Poster preview"
+                            className="w-20 aspect-[2/3] object-cover rounded bg-white/5"
                           />
-                        </td>
-                        <td className="p-4 font-medium">{movie.title}</td>
-                        <td className="p-4 text-white/80">{movie.director}</td>
-                        <td className="p-4 text-white/80">
-                          {movie.genre.join(", ")}
-                        </td>
-                        <td className="p-4">
-                          <span className="flex items-center gap-1">
-                            ⭐ {movie.rating.toFixed(1)}
-                          </span>
-                        </td>
-                        <td className="p-4 text-white/80">
-                          {new Date(movie.releaseDate).toLocaleDateString()}
-                        </td>
-                        <td className="p-4">
-                          <div className="flex gap-2">
-                            <button
-                              onClick={() => handleEdit(movie)}
-                              className="p-2 bg-blue-600/20 hover:bg-blue-600/40 rounded transition-colors"
-                              title="Edit"
-                            >
-                              <Edit2 size={16} className="text-blue-400" />
-                            </button>
+                        )}
+                        <div className="flex-1">
+                          <label className="block text-sm mb-2">
+                            Or upload a poster
+                          </label>
+                          <input
+                            type="file"
+                            accept={posterUpload.types.join(",")}
+                            onChange={handlePosterFileChange}
+                            className="w-full text-sm text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded file:border-0 file:bg-white/10 file:text-white hover:file:bg-white/20"
+                          />
+                          <p className="text-xs text-white/50 mt-1">
+                            JPEG, PNG or WebP up to {posterUpload.maxBytes / 1024 / 1024}MB.
+                            Thumbnails are generated on the server.
+                          </p>
+                          {posterFile && (
                             <button
-                              onClick={() => handleDelete(movie._id)}
-                              className="p-2 bg-red-600/20 hover:bg-red-600/40 rounded transition-colors"
-                              title="Delete"
+                              type="button"
+                              onClick={() => selectPosterFile(null)}
+                              className="text-xs text-red-400 hover:text-red-300 mt-1"
                             >
-                              <Trash2 size={16} className="text-red-400" />
+                              Remove {posterFile.name}
                             </button>
-                          </div>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+                          )}
+                        </div>
+                      </div>
+                      <div>
+                        <label className="block text-sm mb-2">Description *</label>
+                        <textarea
+                          required
+                          rows={4}
+                          value={formData.description}
+                          onChange={(e) =>
+                            setFormData({
+                              ...formData,
+                              description: e.target.value,
+                            })
+                          }
+                          className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm mb-2">
+                          Genres (comma-separated) *
+                        </label>
+                        <input
+                          type="text"
+                          required
+                          value={genreInput}
+                          onChange={(e) => handleGenreChange(e.target.value)}
+                          placeholder="Action, Drama, Thriller"
+                          className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm mb-2">
+                          Cast (comma-separated)
+                        </label>
+                        <input
+                          type="text"
+                          value={castInput}
+                          onChange={(e) => handleCastChange(e.target.value)}
+                          placeholder="Actor 1, Actor 2, Actor 3"
+                          className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm mb-2">
+                          IMDB ID (optional)
+                        </label>
+                        <input
+                          type="text"
+                          value={formData.imdbId}
+                          onChange={(e) =>
+                            setFormData({ ...formData, imdbId: e.target.value })
+                          }
+                          className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                        />
+                      </div>
+                      <div className="flex gap-3">
+                        <button
+                          type="submit"
+                          className="flex items-center gap-2 px-6 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors"
+                        >
+                          <Save size={18} />
+                          {editingMovie ? "Update Movie" : "Create Movie"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={resetForm}
+                          className="px-6 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  </div>
+                )}
               </div>
-            </div>
+
+              {/* Movies List */}
+              {loading ? (
+                <div className="text-center py-12">Loading...</div>
+              ) : (
+                <div className="space-y-4">
+                  <h2 className="text-2xl font-bold">
+                    All Movies ({movies.length})
+                  </h2>
+                  <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto max-h-[600px]">
+                    <table className="w-full min-w-[900px]">
+                      <thead className="bg-gray-800">
+                        <tr>
+                          <th className="text-left p-4">Poster</th>
+                          <th className="text-left p-4">Title</th>
+                          <th className="text-left p-4">Director</th>
+                          <th className="text-left p-4">Genre</th>
+                          <th className="text-left p-4">Rating</th>
+                          <th className="text-left p-4">Release Date</th>
+                          <th className="text-left p-4">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {movies.map((movie) => (
+                          <tr
+                            key={movie._id}
+                            className="border-t border-white/10 hover:bg-white/5 transition-colors"
+                          >
+                            <td className="p-4">
+                              <img
+                                src={resolveImageUrl(movie.posterUrl)}
+                                alt={movie.title}
+                                className="w-16 h-24 object-cover rounded overflow-hidden"
+                                onError={(e) => {
+                                  (e.target as HTMLImageElement).src =
+                                    "https://via.placeholder.com/100x150/1a1a1a/ffffff?text=" +
+                                    movie.title;
+                                }}
+                              />
+                            </td>
+                            <td className="p-4 font-medium">{movie.title}</td>
+                            <td className="p-4 text-white/80">{movie.director}</td>
+                            <td className="p-4 text-white/80">
+                              {movie.genre.join(", ")}
+                            </td>
+                            <td className="p-4">
+                              <span className="flex items-center gap-1">
+                                ⭐ {movie.rating.toFixed(1)}
+                              </span>
+                            </td>
+                            <td className="p-4 text-white/80">
+                              {new Date(movie.releaseDate).toLocaleDateString()}
+                            </td>
+                            <td className="p-4">
+                              <div className="flex gap-2">
+                                <button
+                                  onClick={() => handleEdit(movie)}
+                                  className="p-2 bg-blue-600/20 hover:bg-blue-600/40 rounded transition-colors"
+                                  title="Edit"
+                                >
+                                  <Edit2 size={16} className="text-blue-400" />
+                                </button>
+                                <button
+                                  onClick={() => setHistoryMovie(movie)}
+                                  className="p-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+                                  title="History"
+                                >
+                                  <History size={16} className="text-white/70" />
+                                </button>
+                                <button
+                                  onClick={() => handleDelete(movie._id)}
+                                  className="p-2 bg-red-600/20 hover:bg-red-600/40 rounded transition-colors"
+                                  title="Move to trash"
+                                >
+                                  <Trash2 size={16} className="text-red-400" />
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
           )}
         </div>
       </main>
+
+      {historyMovie && (
+        <MovieHistory
+          movie={historyMovie}
+          onClose={() => setHistoryMovie(null)}
+          onReverted={() => fetchMovies()}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,251 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { AlertCircle, CheckCircle, Download, Loader2, RotateCcw } from "lucide-react";
+import { moviesApi } from "../../Home/api/movies";
+import { useEventStream } from "@/hooks/useEventStream";
+import type { BatchRowStatus, BatchStatus } from "@/types";
+
+const POLL_INTERVAL_MS = 1500;
+// While the event stream announces job updates, polling is only a safety net
+const STREAM_POLL_INTERVAL_MS = 15000;
+
+const isFinished = (status: BatchStatus["status"]) =>
+  status === "succeeded" || status === "dead";
+
+const STATUS_LABELS: Record<BatchStatus["status"], string> = {
+  queued: "Waiting for a worker...",
+  running: "Importing...",
+  failed: "Attempt failed, retrying shortly...",
+  succeeded: "Import finished",
+  dead: "Import stopped after repeated errors",
+};
+
+const SUMMARY_ITEMS: { status: BatchRowStatus; label: string; className: string }[] = [
+  { status: "inserted", label: "inserted", className: "text-green-400" },
+  { status: "updated", label: "updated", className: "text-blue-400" },
+  { status: "replaced", label: "replaced", className: "text-blue-400" },
+  { status: "skipped", label: "skipped (already exist)", className: "text-gray-400" },
+  { status: "duplicate", label: "duplicate", className: "text-yellow-400" },
+  { status: "trashed", label: "in trash", className: "text-yellow-400" },
+  { status: "invalid", label: "invalid", className: "text-red-400" },
+];
+
+const ALWAYS_SHOWN: BatchRowStatus[] = ["inserted", "invalid"];
+
+interface BatchImportProgressProps {
+  jobId: string;
+  // Called with the new job when the admin retries the failed rows
+  onRetry: (jobId: string) => void;
+  onFinished: (batch: BatchStatus) => void;
+}
+
+export const BatchImportProgress: React.FC<BatchImportProgressProps> = ({
+  jobId,
+  onRetry,
+  onFinished,
+}) => {
+  const [batch, setBatch] = useState<BatchStatus | null>(null);
+  const [error, setError] = useState("");
+  const [retrying, setRetrying] = useState(false);
+  // Bumped by job events to fetch the status right away
+  const [refresh, setRefresh] = useState(0);
+  const finished = batch !== null && isFinished(batch.status);
+
+  const streaming = useEventStream(
+    ["jobs"],
+    (event) => {
+      if (event.type === "job.updated" ? event.data.jobId === jobId : event.type === "stream.reset") {
+        setRefresh((count) => count + 1);
+      }
+    },
+    { enabled: !finished }
+  );
+
+  // Latest callback without restarting the polling loop when the parent re-renders
+  const onFinishedRef = useRef(onFinished);
+  useEffect(() => {
+    onFinishedRef.current = onFinished;
+  });
+
+  useEffect(() => {
+    if (finished) return;
+
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const poll = async () => {
+      try {
+        const response = await moviesApi.getBatchStatus(jobId);
+        if (cancelled) return;
+
+        setBatch(response.data);
+        setError("");
+
+        if (isFinished(response.data.status)) {
+          onFinishedRef.current(response.data);
+          return;
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(
+          axios.isAxiosError(err)
+            ? err.response?.data?.error || "Failed to load import status"
+            : "Failed to load import status"
+        );
+      }
+
+      timer = setTimeout(poll, streaming ? STREAM_POLL_INTERVAL_MS : POLL_INTERVAL_MS);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [jobId, refresh, streaming, finished]);
+
+  if (!batch) {
+    return (
+      <div className="flex items-center gap-3 p-4 rounded bg-blue-600/20 border border-blue-600/50 text-sm">
+        {error ? <AlertCircle size={20} /> : <Loader2 size={20} className="animate-spin" />}
+        {error || "Loading import status..."}
+      </div>
+    );
+  }
+
+  const failedRows = batch.rows.filter(
+    (row) => row.status === "duplicate" || row.status === "trashed" || row.status === "invalid"
+  );
+  const unprocessed = batch.status === "dead" ? batch.total - batch.processed : 0;
+  const percent = batch.total ? Math.round((batch.processed / batch.total) * 100) : 0;
+
+  const downloadFailureReport = () => {
+    const report = failedRows.map((row) => ({
+      row: row.index + 1,
+      status: row.status,
+      error: row.message,
+      movie: row.movie,
+    }));
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `import-failures-${batch.jobId}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRetry = async () => {
+    try {
+      setRetrying(true);
+      const response = await moviesApi.retryBatch(batch.jobId);
+      onRetry(response.jobId);
+    } catch (err) {
+      setError(
+        axios.isAxiosError(err)
+          ? err.response?.data?.error || "Failed to retry import"
+          : "Failed to retry import"
+      );
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded p-4 space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 font-semibold">
+          {!finished && <Loader2 size={18} className="animate-spin" />}
+          {batch.status === "succeeded" && (
+            <CheckCircle size={18} className="text-green-500" />
+          )}
+          {batch.status === "dead" && (
+            <AlertCircle size={18} className="text-red-500" />
+          )}
+          {STATUS_LABELS[batch.status]}
+        </div>
+        <span className="text-sm text-gray-400">
+          {batch.processed} / {batch.total} rows
+        </span>
+      </div>
+
+      <div className="h-2 bg-white/10 rounded overflow-hidden">
+        <div
+          className="h-full bg-red-600 transition-all"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm">
+        {SUMMARY_ITEMS.filter(
+          ({ status }) => batch.summary[status] > 0 || ALWAYS_SHOWN.includes(status)
+        ).map(({ status, label, className }) => (
+          <span key={status} className={className}>
+            {batch.summary[status]} {label}
+          </span>
+        ))}
+        {unprocessed > 0 && (
+          <span className="text-gray-400">{unprocessed} not processed</span>
+        )}
+      </div>
+
+      {batch.lastError && batch.status !== "succeeded" && (
+        <p
+          className={`text-sm ${finished ? "text-red-300" : "text-yellow-300"}`}
+        >
+          Last error: {batch.lastError}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-300">{error}</p>}
+
+      {failedRows.length > 0 && (
+        <ul className="max-h-60 overflow-y-auto space-y-1 text-sm">
+          {failedRows.map((row) => (
+            <li
+              key={row.index}
+              className="bg-gray-700/50 rounded px-3 py-2"
+            >
+              <span className="font-semibold">
+                Row {row.index + 1}
+                {row.movie?.title ? ` (${row.movie.title})` : ""}:
+              </span>{" "}
+              <span
+                className={
+                  row.status === "invalid" ? "text-red-300" : "text-yellow-300"
+                }
+              >
+                {row.message}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {finished && (failedRows.length > 0 || unprocessed > 0) && (
+        <div className="flex flex-wrap gap-3">
+          {failedRows.length > 0 && (
+            <button
+              onClick={downloadFailureReport}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm transition-colors"
+            >
+              <Download size={16} />
+              Download Failure Report
+            </button>
+          )}
+          <button
+            onClick={handleRetry}
+            disabled={retrying}
+            className="flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm transition-colors"
+          >
+            <RotateCcw size={16} />
+            Retry Failed Rows ({failedRows.length + unprocessed})
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
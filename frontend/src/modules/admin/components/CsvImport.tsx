@@ -0,0 +1,323 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { AlertCircle, Download, FileSearch, Loader2, Upload } from "lucide-react";
+import { moviesApi } from "../../Home/api/movies";
+import { movieImportFields } from "@/lib/validation";
+import type {
+  ImportDateFormat,
+  ImportMode,
+  ImportPreview,
+  MovieImportField,
+  MovieImportOptions,
+} from "@/types";
+
+const FIELD_LABELS: Record<MovieImportField, string> = {
+  title: "Title *",
+  description: "Description *",
+  releaseDate: "Release date *",
+  duration: "Duration (min) *",
+  rating: "Rating",
+  genre: "Genre (list) *",
+  director: "Director *",
+  cast: "Cast (list)",
+  posterUrl: "Poster URL *",
+  imdbId: "IMDB ID",
+};
+
+const DATE_FORMATS: { value: ImportDateFormat; label: string }[] = [
+  { value: "auto", label: "Detect automatically" },
+  { value: "ymd", label: "YYYY-MM-DD" },
+  { value: "dmy", label: "DD/MM/YYYY" },
+  { value: "mdy", label: "MM/DD/YYYY" },
+];
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.error || fallback : fallback;
+
+type FileOptions = Omit<MovieImportOptions, "mode">;
+
+interface CsvImportProps {
+  mode: ImportMode;
+  onQueued: (jobId: string, message: string) => void;
+}
+
+export const CsvImport: React.FC<CsvImportProps> = ({ mode, onQueued }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [options, setOptions] = useState<FileOptions>({
+    format: "csv",
+    listSeparator: "|",
+    dateFormat: "auto",
+  });
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [stale, setStale] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const runDryRun = async (selected: File, importOptions: FileOptions) => {
+    try {
+      setLoading(true);
+      setError("");
+      const response = await moviesApi.previewImport(selected, { ...importOptions, mode });
+      setPreview(response.data);
+      setStale(false);
+      // Start the mapping from the columns the server matched by name
+      if (!importOptions.mapping) {
+        setOptions({ ...importOptions, mapping: response.data.mapping });
+      }
+    } catch (err) {
+      setPreview(null);
+      setError(getErrorMessage(err, "Failed to read the file"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+
+    const format: MovieImportOptions["format"] = /\.(tsv|tab)$/i.test(selected.name)
+      ? "tsv"
+      : "csv";
+    const importOptions = { ...options, format, mapping: undefined };
+
+    setFile(selected);
+    setOptions(importOptions);
+    runDryRun(selected, importOptions);
+  };
+
+  // Any change invalidates the preview, so the admin always imports what they last checked
+  const updateOptions = (patch: Partial<FileOptions>) => {
+    setOptions({ ...options, ...patch });
+    setStale(true);
+  };
+
+  const updateMapping = (field: MovieImportField, header: string) => {
+    const mapping = { ...options.mapping };
+    if (header) {
+      mapping[field] = header;
+    } else {
+      delete mapping[field];
+    }
+    updateOptions({ mapping });
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      setError("");
+      const response = await moviesApi.importFile(file, { ...options, mode });
+      onQueued(response.jobId, response.message);
+      setPreview(null);
+      setFile(null);
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to import the file"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadTemplate = () => {
+    const header = movieImportFields.join(",");
+    const example = [
+      "Example Movie",
+      '"A sample description, with a comma."',
+      "2024-01-01",
+      "120",
+      "8.5",
+      "Action|Drama",
+      "John Doe",
+      "Actor One|Actor Two",
+      "https://example.com/poster.jpg",
+      "tt1234567",
+    ].join(",");
+
+    const blob = new Blob([`${header}\n${example}\n`], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "movies-template.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const previewIsCurrent = preview !== null && !stale;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="bg-gray-800 rounded p-4 text-sm text-gray-300 flex-1">
+          <p className="font-semibold mb-2">📝 Instructions:</p>
+          <ol className="list-decimal list-inside space-y-1">
+            <li>Upload a CSV or TSV file with a header row</li>
+            <li>Check which column feeds each movie field</li>
+            <li>
+              Separate multiple genres or cast members in one cell with the
+              list separator
+            </li>
+            <li>Run a dry run, review the errors, then import</li>
+          </ol>
+        </div>
+        <button
+          onClick={downloadTemplate}
+          className="self-start flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 rounded text-sm transition-colors whitespace-nowrap"
+        >
+          <Download size={16} />
+          CSV Template
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm mb-2 font-semibold">File</label>
+          <input
+            type="file"
+            accept=".csv,.tsv,.tab,.txt,text/csv,text/tab-separated-values"
+            onChange={handleFileChange}
+            className="w-full text-sm text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded file:border-0 file:bg-white/10 file:text-white hover:file:bg-white/20"
+          />
+        </div>
+        <div>
+          <label className="block text-sm mb-2 font-semibold">Format</label>
+          <select
+            value={options.format}
+            onChange={(e) =>
+              // Headers change with the delimiter, so map again from scratch
+              updateOptions({
+                format: e.target.value as MovieImportOptions["format"],
+                mapping: undefined,
+              })
+            }
+            className="w-full bg-white/10 border border-white/20 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+          >
+            <option value="csv" className="bg-gray-900">CSV (comma)</option>
+            <option value="tsv" className="bg-gray-900">TSV (tab)</option>
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm mb-2 font-semibold">List sep.</label>
+            <input
+              type="text"
+              maxLength={3}
+              value={options.listSeparator}
+              onChange={(e) => updateOptions({ listSeparator: e.target.value })}
+              className="w-full bg-white/10 border border-white/20 rounded px-3 py-2 text-white focus:outline-none focus:border-purple-500 font-mono"
+            />
+          </div>
+          <div>
+            <label className="block text-sm mb-2 font-semibold">Dates</label>
+            <select
+              value={options.dateFormat}
+              onChange={(e) =>
+                updateOptions({ dateFormat: e.target.value as ImportDateFormat })
+              }
+              className="w-full bg-white/10 border border-white/20 rounded px-2 py-2 text-white focus:outline-none focus:border-purple-500 text-sm"
+            >
+              {DATE_FORMATS.map(({ value, label }) => (
+                <option key={value} value={value} className="bg-gray-900">
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="bg-gray-800 rounded p-4">
+          <p className="font-semibold mb-3">Column mapping</p>
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {movieImportFields.map((field) => (
+              <label key={field} className="text-sm">
+                <span className="block text-gray-400 mb-1">{FIELD_LABELS[field]}</span>
+                <select
+                  value={options.mapping?.[field] ?? ""}
+                  onChange={(e) => updateMapping(field, e.target.value)}
+                  className="w-full bg-white/10 border border-white/20 rounded px-3 py-1.5 text-white focus:outline-none focus:border-purple-500"
+                >
+                  <option value="" className="bg-gray-900">
+                    — not mapped —
+                  </option>
+                  {preview.headers.map((header) => (
+                    <option key={header} value={header} className="bg-gray-900">
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-3 p-4 rounded bg-red-600/20 border border-red-600/50">
+          <AlertCircle className="flex-shrink-0 mt-0.5" size={20} />
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {previewIsCurrent && (
+        <div className="bg-gray-800 rounded p-4 space-y-3">
+          <p className="font-semibold">
+            Dry run: {preview.total} rows, {preview.valid} valid
+            {preview.invalid > 0 && (
+              <span className="text-red-400">, {preview.invalid} with errors</span>
+            )}
+          </p>
+
+          {preview.errors.length > 0 && (
+            <ul className="list-disc list-inside space-y-1 text-sm text-red-300 max-h-48 overflow-y-auto">
+              {preview.errors.map(({ row, message }) => (
+                <li key={row}>
+                  Row {row}: {message}
+                </li>
+              ))}
+              {preview.invalid > preview.errors.length && (
+                <li>…and {preview.invalid - preview.errors.length} more</li>
+              )}
+            </ul>
+          )}
+
+          {preview.preview.length > 0 && (
+            <div className="max-h-60 overflow-y-auto space-y-2">
+              {preview.preview.map((movie, index) => (
+                <div key={index} className="bg-gray-700/50 rounded p-3 text-sm">
+                  <p className="font-semibold">{movie.title}</p>
+                  <p className="text-gray-400 text-xs mt-1">
+                    {movie.director} • {movie.genre?.join(", ")} •{" "}
+                    {movie.duration}min •{" "}
+                    {movie.releaseDate &&
+                      new Date(movie.releaseDate).toISOString().slice(0, 10)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={() => file && runDryRun(file, options)}
+          disabled={!file || loading}
+          className="flex items-center gap-2 px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
+        >
+          {loading ? <Loader2 size={18} className="animate-spin" /> : <FileSearch size={18} />}
+          Dry Run
+        </button>
+        <button
+          onClick={handleImport}
+          disabled={!previewIsCurrent || preview.valid === 0 || loading}
+          className="flex items-center gap-2 px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded transition-colors"
+        >
+          <Upload size={18} />
+          Import ({previewIsCurrent ? preview.total : 0})
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { GitMerge } from "lucide-react";
+import { moviesApi } from "../../Home/api/movies";
+import { resolveImageUrl } from "@/lib/images";
+import type { DuplicateGroup, DuplicateMovie } from "@/types";
+
+const PAGE_SIZE = 20;
+
+const groupKey = (group: DuplicateGroup) =>
+  `${group.normalizedTitle}:${group.releaseYear}`;
+
+// Suggest keeping the copy with the most activity, then one with an IMDB ID, then the oldest
+const suggestKeeper = (movies: DuplicateMovie[]) =>
+  [...movies].sort(
+    (a, b) =>
+      b.interactionCount + b.reviewCount - (a.interactionCount + a.reviewCount) ||
+      Number(Boolean(b.imdbId)) - Number(Boolean(a.imdbId)) ||
+      new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime()
+  )[0]._id;
+
+export const DuplicatesTab: React.FC = () => {
+  const [groups, setGroups] = useState<DuplicateGroup[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [keepers, setKeepers] = useState<Record<string, string>>({});
+  const [merging, setMerging] = useState<string | null>(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    const fetchDuplicates = async () => {
+      try {
+        setLoading(true);
+        const response = await moviesApi.getDuplicates(page, PAGE_SIZE);
+        setGroups(response.data || []);
+        setPages(response.pagination.pages || 1);
+        setTotal(response.pagination.total);
+        setKeepers(
+          Object.fromEntries(
+            response.data.map((group) => [groupKey(group), suggestKeeper(group.movies)])
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching duplicates:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDuplicates();
+  }, [page, reload]);
+
+  const handleMerge = async (group: DuplicateGroup) => {
+    const key = groupKey(group);
+    const keeper = group.movies.find((movie) => movie._id === keepers[key]);
+    if (!keeper) return;
+
+    const duplicateIds = group.movies
+      .filter((movie) => movie._id !== keeper._id)
+      .map((movie) => movie._id);
+
+    if (
+      !confirm(
+        `Merge ${duplicateIds.length} duplicate(s) into "${keeper.title}"? ` +
+          "Their interactions, reviews and list entries move to it and the duplicates are deleted."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setMerging(key);
+      const response = await moviesApi.mergeMovies(keeper._id, duplicateIds);
+      alert(response.message);
+      setReload((count) => count + 1);
+    } catch (err) {
+      alert(
+        axios.isAxiosError(err)
+          ? err.response?.data?.error || "Failed to merge movies"
+          : "Failed to merge movies"
+      );
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-2xl font-bold">Possible Duplicates ({total})</h2>
+        <p className="text-sm text-white/60 mt-1">
+          Movies with the same title (ignoring case, accents and punctuation) and
+          release year. Pick the copy to keep and merge the rest into it.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">Loading...</div>
+      ) : groups.length === 0 ? (
+        <div className="text-center py-12 text-white/60">No duplicates found</div>
+      ) : (
+        groups.map((group) => {
+          const key = groupKey(group);
+          return (
+            <div
+              key={key}
+              className="bg-gray-900 rounded-lg border border-white/10 p-4 space-y-3"
+            >
+              <div className="flex items-center justify-between gap-3">
+                <h3 className="font-semibold">
+                  {group.movies[0]?.title}{" "}
+                  <span className="text-white/50">({group.releaseYear})</span>
+                </h3>
+                <button
+                  onClick={() => handleMerge(group)}
+                  disabled={merging !== null}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm transition-colors"
+                >
+                  <GitMerge size={16} />
+                  {merging === key ? "Merging..." : "Merge into selected"}
+                </button>
+              </div>
+
+              <div className="grid gap-2">
+                {group.movies.map((movie) => (
+                  <label
+                    key={movie._id}
+                    className={`flex items-center gap-3 p-2 rounded cursor-pointer transition-colors ${
+                      keepers[key] === movie._id
+                        ? "bg-red-600/20 border border-red-600/50"
+                        : "bg-white/5 border border-transparent hover:bg-white/10"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={key}
+                      checked={keepers[key] === movie._id}
+                      onChange={() => setKeepers({ ...keepers, [key]: movie._id })}
+                      className="accent-red-600"
+                    />
+                    <img
+                      src={resolveImageUrl(movie.posterUrl)}
+                      alt={movie.title}
+                      className="w-10 h-14 object-cover rounded"
+                    />
+                    <div className="flex-1 min-w-0 text-sm">
+                      <p className="font-medium truncate">{movie.title}</p>
+                      <p className="text-white/60 text-xs">
+                        {movie.director} •{" "}
+                        {new Date(movie.releaseDate).toLocaleDateString()} •{" "}
+                        {movie.imdbId || "no IMDB ID"}
+                      </p>
+                    </div>
+                    <div className="text-xs text-white/60 text-right whitespace-nowrap">
+                      <p>{movie.interactionCount} interactions</p>
+                      <p>{movie.reviewCount} reviews</p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+          );
+        })
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-white/60">
+            Page {page} of {pages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page === pages}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
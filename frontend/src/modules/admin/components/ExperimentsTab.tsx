@@ -0,0 +1,452 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BarChart3, Edit2, Play, Plus, Save, Square, Trash2, X } from "lucide-react";
+import { rankingApi } from "../../Home/api/ranking";
+import { schemas } from "@/lib/validation";
+import type {
+  Experiment,
+  ExperimentInput,
+  ExperimentStatus,
+  RankingStrategy,
+  VariantReport,
+} from "@/types";
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.error || fallback : fallback;
+
+const STATUS_STYLES: Record<ExperimentStatus, string> = {
+  draft: "bg-white/10 text-white/70",
+  running: "bg-green-600/20 text-green-400",
+  stopped: "bg-red-600/20 text-red-400",
+};
+
+const emptyExperiment = (): ExperimentInput => ({
+  name: "",
+  description: "",
+  variants: [
+    { name: "control", strategy: "default", traffic: 50 },
+    { name: "treatment", strategy: "default", traffic: 50 },
+  ],
+});
+
+const formatRate = (rate: number) => `${(rate * 100).toFixed(2)}%`;
+
+export const ExperimentsTab: React.FC = () => {
+  const [experiments, setExperiments] = useState<Experiment[]>([]);
+  const [strategies, setStrategies] = useState<RankingStrategy[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [reload, setReload] = useState(0);
+  const [form, setForm] = useState<ExperimentInput | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [report, setReport] = useState<{ experiment: Experiment; variants: VariantReport[] } | null>(
+    null
+  );
+
+  useEffect(() => {
+    const fetchExperiments = async () => {
+      try {
+        setLoading(true);
+        const [experimentsResponse, strategiesResponse] = await Promise.all([
+          rankingApi.getExperiments(),
+          rankingApi.getStrategies(),
+        ]);
+        setExperiments(experimentsResponse.data || []);
+        setStrategies(strategiesResponse.data || []);
+      } catch (error) {
+        console.error("Error fetching experiments:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchExperiments();
+  }, [reload]);
+
+  const refresh = () => setReload((count) => count + 1);
+
+  const handleNew = () => {
+    setForm(emptyExperiment());
+    setEditingId(null);
+  };
+
+  const handleEdit = (experiment: Experiment) => {
+    setForm({
+      name: experiment.name,
+      description: experiment.description ?? "",
+      variants: experiment.variants.map(({ name, strategy, traffic }) => ({ name, strategy, traffic })),
+    });
+    setEditingId(experiment._id);
+  };
+
+  const updateVariant = (index: number, patch: Partial<ExperimentInput["variants"][number]>) => {
+    if (!form) return;
+    setForm({
+      ...form,
+      variants: form.variants.map((variant, i) => (i === index ? { ...variant, ...patch } : variant)),
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+
+    const validation = schemas.ranking.experiment.safeParse(form);
+    if (!validation.success) {
+      alert(validation.error.issues.map((issue) => issue.message).join("\n"));
+      return;
+    }
+
+    try {
+      setBusy(true);
+      if (editingId) {
+        await rankingApi.updateExperiment(editingId, validation.data);
+      } else {
+        await rankingApi.createExperiment(validation.data);
+      }
+      setForm(null);
+      setEditingId(null);
+      refresh();
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to save experiment"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStatus = async (experiment: Experiment, status: "running" | "stopped") => {
+    const message =
+      status === "running"
+        ? `Start "${experiment.name}"? Users are split between its variants from their next feed refresh.`
+        : `Stop "${experiment.name}"? It cannot be restarted; everyone returns to the default strategy.`;
+    if (!confirm(message)) return;
+
+    try {
+      setBusy(true);
+      await rankingApi.setExperimentStatus(experiment._id, status);
+      refresh();
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to update experiment"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (experiment: Experiment) => {
+    if (!confirm(`Delete the draft experiment "${experiment.name}"?`)) return;
+
+    try {
+      setBusy(true);
+      await rankingApi.deleteExperiment(experiment._id);
+      refresh();
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to delete experiment"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReport = async (experiment: Experiment) => {
+    if (report?.experiment._id === experiment._id) {
+      setReport(null);
+      return;
+    }
+
+    try {
+      const response = await rankingApi.getExperimentReport(experiment._id);
+      setReport(response.data);
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to load report"));
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold">Experiments</h2>
+          <p className="text-sm text-white/60 mt-1">
+            A running experiment splits users between ranking strategies; each user always gets the
+            same variant. One experiment can run at a time.
+          </p>
+        </div>
+        <button
+          onClick={handleNew}
+          className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors whitespace-nowrap"
+        >
+          <Plus size={20} />
+          New Experiment
+        </button>
+      </div>
+
+      {form && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-4"
+        >
+          <h3 className="text-xl font-bold">{editingId ? "Edit experiment" : "New experiment"}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. recency-boost"
+                className="w-full bg-black border border-white/20 rounded px-4 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-2">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                className="w-full bg-black border border-white/20 rounded px-4 py-2"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-sm">Variants</label>
+            {form.variants.map((variant, index) => (
+              <div key={index} className="flex flex-wrap md:flex-nowrap gap-2 items-center">
+                <input
+                  type="text"
+                  value={variant.name}
+                  onChange={(e) => updateVariant(index, { name: e.target.value })}
+                  placeholder="Variant name"
+                  className="flex-1 bg-black border border-white/20 rounded px-3 py-2"
+                />
+                <select
+                  value={variant.strategy}
+                  onChange={(e) => updateVariant(index, { strategy: e.target.value })}
+                  className="flex-1 bg-black border border-white/20 rounded px-3 py-2"
+                >
+                  {strategies.map((strategy) => (
+                    <option key={strategy.name} value={strategy.name}>
+                      {strategy.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={variant.traffic}
+                  onChange={(e) => updateVariant(index, { traffic: Number(e.target.value) })}
+                  title="Traffic share"
+                  className="w-24 bg-black border border-white/20 rounded px-3 py-2"
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    setForm({ ...form, variants: form.variants.filter((_, i) => i !== index) })
+                  }
+                  disabled={form.variants.length <= 2}
+                  className="p-2 bg-white/10 hover:bg-white/20 disabled:opacity-30 rounded transition-colors"
+                  title="Remove variant"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+            {form.variants.length < 5 && (
+              <button
+                type="button"
+                onClick={() =>
+                  setForm({
+                    ...form,
+                    variants: [
+                      ...form.variants,
+                      { name: "", strategy: "default", traffic: 50 },
+                    ],
+                  })
+                }
+                className="flex items-center gap-1 text-sm text-white/70 hover:text-white"
+              >
+                <Plus size={16} />
+                Add variant
+              </button>
+            )}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded transition-colors"
+            >
+              <Save size={18} />
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setForm(null);
+                setEditingId(null);
+              }}
+              className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">Loading...</div>
+      ) : experiments.length === 0 ? (
+        <div className="text-center py-12 text-white/60">No experiments yet</div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[800px]">
+            <thead className="bg-gray-800">
+              <tr>
+                <th className="text-left p-4">Experiment</th>
+                <th className="text-left p-4">Status</th>
+                <th className="text-left p-4">Variants</th>
+                <th className="text-left p-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {experiments.map((experiment) => (
+                <tr
+                  key={experiment._id}
+                  className="border-t border-white/10 hover:bg-white/5 transition-colors"
+                >
+                  <td className="p-4">
+                    <span className="font-medium">{experiment.name}</span>
+                    {experiment.description && (
+                      <span className="block text-sm text-white/50">{experiment.description}</span>
+                    )}
+                  </td>
+                  <td className="p-4 text-sm">
+                    <span className={`px-2 py-1 rounded ${STATUS_STYLES[experiment.status]}`}>
+                      {experiment.status}
+                    </span>
+                    {experiment.startedAt && (
+                      <span className="block text-white/50 mt-1">
+                        since {new Date(experiment.startedAt).toLocaleDateString()}
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-4 text-sm text-white/80">
+                    {experiment.variants
+                      .map((variant) => `${variant.name} → ${variant.strategy} (${variant.traffic})`)
+                      .join(", ")}
+                  </td>
+                  <td className="p-4">
+                    <div className="flex gap-2">
+                      {experiment.status === "draft" && (
+                        <>
+                          <button
+                            onClick={() => handleStatus(experiment, "running")}
+                            disabled={busy}
+                            className="p-2 bg-green-600/20 hover:bg-green-600/40 disabled:opacity-50 rounded transition-colors"
+                            title="Start"
+                          >
+                            <Play size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleEdit(experiment)}
+                            disabled={busy}
+                            className="p-2 bg-blue-600/20 hover:bg-blue-600/40 disabled:opacity-50 rounded transition-colors"
+                            title="Edit"
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(experiment)}
+                            disabled={busy}
+                            className="p-2 bg-red-600/20 hover:bg-red-600/40 disabled:opacity-50 rounded transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </>
+                      )}
+                      {experiment.status === "running" && (
+                        <button
+                          onClick={() => handleStatus(experiment, "stopped")}
+                          disabled={busy}
+                          className="p-2 bg-red-600/20 hover:bg-red-600/40 disabled:opacity-50 rounded transition-colors"
+                          title="Stop"
+                        >
+                          <Square size={16} />
+                        </button>
+                      )}
+                      {experiment.status !== "draft" && (
+                        <button
+                          onClick={() => handleReport(experiment)}
+                          className="p-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+                          title="Report"
+                        >
+                          <BarChart3 size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report && (
+        <div className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-xl font-bold">Report: {report.experiment.name}</h3>
+            <button
+              onClick={() => setReport(null)}
+              className="p-2 hover:bg-white/10 rounded transition-colors"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+          <p className="text-sm text-white/60">
+            Rates are clicks and likes per movie served in the variant's feeds. Interactions count
+            towards the variant of the feed the user was last served.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[800px] text-sm">
+              <thead className="bg-gray-800">
+                <tr>
+                  <th className="text-left p-3">Variant</th>
+                  <th className="text-left p-3">Strategy</th>
+                  <th className="text-right p-3">Users</th>
+                  <th className="text-right p-3">Served</th>
+                  <th className="text-right p-3">Clicks</th>
+                  <th className="text-right p-3">Click rate</th>
+                  <th className="text-right p-3">Likes</th>
+                  <th className="text-right p-3">Like rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.variants.map((variant) => (
+                  <tr key={variant.variant} className="border-t border-white/10">
+                    <td className="p-3 font-medium">{variant.variant}</td>
+                    <td className="p-3 text-white/80">
+                      {variant.strategy}
+                      {variant.versions.length > 0 &&
+                        ` (${variant.versions.map((version) => `v${version}`).join(", ")})`}
+                    </td>
+                    <td className="p-3 text-right">{variant.users}</td>
+                    <td className="p-3 text-right">{variant.impressions}</td>
+                    <td className="p-3 text-right">{variant.clicks}</td>
+                    <td className="p-3 text-right">{formatRate(variant.clickRate)}</td>
+                    <td className="p-3 text-right">{variant.likes}</td>
+                    <td className="p-3 text-right">{formatRate(variant.likeRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { History, RotateCcw, X } from "lucide-react";
+import { auditApi } from "../../Home/api/audit";
+import type { AuditAction, AuditEntry, Movie } from "@/types";
+
+const PAGE_SIZE = 20;
+
+const ACTION_STYLES: Record<AuditAction, string> = {
+  create: "bg-green-600/20 text-green-400",
+  update: "bg-blue-600/20 text-blue-400",
+  delete: "bg-red-600/20 text-red-400",
+  restore: "bg-green-600/20 text-green-400",
+  purge: "bg-red-600/20 text-red-400",
+  merge: "bg-purple-600/20 text-purple-400",
+  revert: "bg-yellow-600/20 text-yellow-400",
+};
+
+// Entries that leave a version of the movie behind
+const REVERTIBLE: AuditAction[] = ["create", "update", "restore", "merge", "revert"];
+
+const formatValue = (field: string, value: unknown): string => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "releaseDate") return new Date(String(value)).toLocaleDateString();
+  if (field === "posterImages" && Array.isArray(value)) return `${value.length} uploaded sizes`;
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  return String(value);
+};
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.error || fallback : fallback;
+
+interface MovieHistoryProps {
+  movie: Movie;
+  onClose: () => void;
+  onReverted: () => void;
+}
+
+export const MovieHistory: React.FC<MovieHistoryProps> = ({ movie, onClose, onReverted }) => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [reverting, setReverting] = useState<string | null>(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await auditApi.getEntries(page, PAGE_SIZE, { movie: movie._id });
+        setEntries((current) =>
+          page === 1 ? response.data : [...current, ...response.data]
+        );
+        setPages(response.pagination.pages || 1);
+      } catch (error) {
+        console.error("Error fetching movie history:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [movie._id, page, reload]);
+
+  const handleRevert = async (entry: AuditEntry) => {
+    const when = new Date(entry.createdAt).toLocaleString();
+    if (!confirm(`Revert "${movie.title}" to the version of ${when}?`)) return;
+
+    try {
+      setReverting(entry._id);
+      const response = await auditApi.revert(entry._id);
+      alert(response.message);
+      onReverted();
+      // The revert itself is a new entry at the top
+      setPage(1);
+      setReload((count) => count + 1);
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to revert movie"));
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/85 backdrop-blur-sm px-4">
+      <div className="relative w-full max-w-3xl max-h-[85vh] flex flex-col rounded-lg bg-gray-900 border border-white/10">
+        <div className="flex items-center justify-between gap-3 p-4 border-b border-white/10">
+          <h2 className="flex items-center gap-2 text-xl font-bold truncate">
+            <History size={20} />
+            History: {movie.title}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-white/40 hover:text-white transition"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-4 space-y-3">
+          {entries.length === 0 && !loading && (
+            <div className="text-center py-12 text-white/60">No recorded changes</div>
+          )}
+
+          {entries.map((entry, index) => (
+            <div key={entry._id} className="bg-white/5 rounded p-3 space-y-2">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm flex-wrap">
+                  <span
+                    className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${ACTION_STYLES[entry.action]}`}
+                  >
+                    {entry.action}
+                  </span>
+                  <span className="text-white/80">
+                    {entry.user?.username || (entry.job ? "bulk import" : "unknown user")}
+                  </span>
+                  <span className="text-white/50">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {/* The newest entry is the current version */}
+                {REVERTIBLE.includes(entry.action) && !(page === 1 && index === 0) && (
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    disabled={reverting !== null}
+                    className="flex items-center gap-1 px-2 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded text-xs transition-colors whitespace-nowrap"
+                  >
+                    <RotateCcw size={14} />
+                    {reverting === entry._id ? "Reverting..." : "Revert to this version"}
+                  </button>
+                )}
+              </div>
+
+              {entry.details?.merged && (
+                <p className="text-xs text-white/60">
+                  Merged: {entry.details.merged.map((movie) => movie.title).join(", ")}
+                </p>
+              )}
+              {entry.details?.skipped && (
+                <p className="text-xs text-yellow-400/80">
+                  Not reverted: {entry.details.skipped.join(", ")}
+                </p>
+              )}
+
+              {entry.changes.length > 0 && (
+                <table className="w-full text-xs">
+                  <tbody>
+                    {entry.changes.map((change) => (
+                      <tr key={change.field} className="border-t border-white/5 align-top">
+                        <td className="py-1 pr-3 text-white/60 whitespace-nowrap">
+                          {change.field}
+                        </td>
+                        <td className="py-1 pr-3 text-red-300/80 line-through break-all">
+                          {entry.action !== "create" && formatValue(change.field, change.before)}
+                        </td>
+                        <td className="py-1 text-green-300/90 break-all">
+                          {formatValue(change.field, change.after)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+
+          {loading ? (
+            <div className="text-center py-4 text-white/60">Loading...</div>
+          ) : (
+            page < pages && (
+              <button
+                onClick={() => setPage(page + 1)}
+                className="w-full py-2 bg-white/10 hover:bg-white/20 rounded text-sm transition-colors"
+              >
+                Load older changes
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,317 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Edit2, History, Plus, Save } from "lucide-react";
+import { rankingApi } from "../../Home/api/ranking";
+import { rankingComponents, schemas } from "@/lib/validation";
+import type { RankingStrategy, RankingStrategyInput } from "@/types";
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.error || fallback : fallback;
+
+const toInput = ({ name, description, weights, popularityDays }: RankingStrategy): RankingStrategyInput => ({
+  name,
+  description: description ?? "",
+  weights: { ...weights },
+  popularityDays,
+});
+
+const creatorName = (strategy: RankingStrategy) =>
+  strategy.createdBy && typeof strategy.createdBy === "object" ? strategy.createdBy.username : null;
+
+export const RankingTab: React.FC = () => {
+  const [strategies, setStrategies] = useState<RankingStrategy[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [reload, setReload] = useState(0);
+  // Editing an existing strategy saves its next version
+  const [form, setForm] = useState<RankingStrategyInput | null>(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [historyName, setHistoryName] = useState<string | null>(null);
+  const [versions, setVersions] = useState<RankingStrategy[]>([]);
+
+  useEffect(() => {
+    const fetchStrategies = async () => {
+      try {
+        setLoading(true);
+        const response = await rankingApi.getStrategies();
+        setStrategies(response.data || []);
+      } catch (error) {
+        console.error("Error fetching ranking strategies:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStrategies();
+  }, [reload]);
+
+  useEffect(() => {
+    if (!historyName) return;
+
+    const fetchVersions = async () => {
+      try {
+        const response = await rankingApi.getStrategyVersions(historyName);
+        setVersions(response.data || []);
+      } catch (error) {
+        console.error("Error fetching strategy versions:", error);
+      }
+    };
+
+    fetchVersions();
+  }, [historyName, reload]);
+
+  const handleNew = () => {
+    const base = strategies.find((strategy) => strategy.name === "default") ?? strategies[0];
+    setForm(
+      base
+        ? { ...toInput(base), name: "", description: "" }
+        : {
+            name: "",
+            description: "",
+            weights: Object.fromEntries(
+              rankingComponents.map((component) => [component, 0])
+            ) as RankingStrategyInput["weights"],
+            popularityDays: 7,
+          }
+    );
+    setIsNew(true);
+  };
+
+  const handleEdit = (strategy: RankingStrategy) => {
+    setForm(toInput(strategy));
+    setIsNew(false);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+
+    const validation = schemas.ranking.strategy.safeParse(form);
+    if (!validation.success) {
+      alert(validation.error.issues.map((issue) => issue.message).join("\n"));
+      return;
+    }
+
+    try {
+      setSaving(true);
+      // The schema builds the weights object from the shared component list
+      const response = await rankingApi.saveStrategy(validation.data as RankingStrategyInput);
+      alert(`Saved ${response.data.name} version ${response.data.version}`);
+      setForm(null);
+      setReload((count) => count + 1);
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to save strategy"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const weightTotal = form
+    ? rankingComponents.reduce((sum, component) => sum + (form.weights[component] || 0), 0)
+    : 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold">Ranking strategies</h2>
+          <p className="text-sm text-white/60 mt-1">
+            Feeds are ranked with the latest version of the "default" strategy, or with the
+            strategy of the user's variant while an experiment runs. Saving a strategy adds a
+            new version.
+          </p>
+        </div>
+        <button
+          onClick={handleNew}
+          className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors whitespace-nowrap"
+        >
+          <Plus size={20} />
+          New Strategy
+        </button>
+      </div>
+
+      {form && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-4"
+        >
+          <h3 className="text-xl font-bold">
+            {isNew ? "New strategy" : `Edit ${form.name} (saves a new version)`}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                disabled={!isNew}
+                placeholder="e.g. fresh-releases"
+                className="w-full bg-black border border-white/20 rounded px-4 py-2 disabled:opacity-50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm mb-2">Popularity window (days)</label>
+              <input
+                type="number"
+                min={1}
+                max={90}
+                value={form.popularityDays}
+                onChange={(e) => setForm({ ...form, popularityDays: Number(e.target.value) })}
+                className="w-full bg-black border border-white/20 rounded px-4 py-2"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm mb-2">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className="w-full bg-black border border-white/20 rounded px-4 py-2"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm mb-2">
+              Weights{" "}
+              <span className="text-white/50">
+                (total {weightTotal.toFixed(2)}; scores are capped at 1)
+              </span>
+            </label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {rankingComponents.map((component) => (
+                <div key={component}>
+                  <label className="block text-xs text-white/60 mb-1 capitalize">{component}</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    value={form.weights[component]}
+                    onChange={(e) =>
+                      setForm({
+                        ...form,
+                        weights: { ...form.weights, [component]: Number(e.target.value) },
+                      })
+                    }
+                    className="w-full bg-black border border-white/20 rounded px-3 py-2"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 rounded transition-colors"
+            >
+              <Save size={18} />
+              {saving ? "Saving..." : "Save"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">Loading...</div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[900px]">
+            <thead className="bg-gray-800">
+              <tr>
+                <th className="text-left p-4">Strategy</th>
+                <th className="text-left p-4">Version</th>
+                <th className="text-left p-4">Weights</th>
+                <th className="text-left p-4">Popularity</th>
+                <th className="text-left p-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {strategies.map((strategy) => (
+                <tr
+                  key={strategy.name}
+                  className="border-t border-white/10 hover:bg-white/5 transition-colors"
+                >
+                  <td className="p-4">
+                    <span className="font-medium">{strategy.name}</span>
+                    {strategy.description && (
+                      <span className="block text-sm text-white/50">{strategy.description}</span>
+                    )}
+                  </td>
+                  <td className="p-4 text-white/80">
+                    {strategy.version === 0 ? "built-in" : `v${strategy.version}`}
+                  </td>
+                  <td className="p-4 text-xs font-mono text-white/70">
+                    {rankingComponents
+                      .filter((component) => strategy.weights[component] > 0)
+                      .map((component) => `${component} ${strategy.weights[component]}`)
+                      .join(" · ")}
+                  </td>
+                  <td className="p-4 text-white/80">{strategy.popularityDays} days</td>
+                  <td className="p-4">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleEdit(strategy)}
+                        className="p-2 bg-blue-600/20 hover:bg-blue-600/40 rounded transition-colors"
+                        title="Edit"
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      {strategy.version > 0 && (
+                        <button
+                          onClick={() =>
+                            setHistoryName(historyName === strategy.name ? null : strategy.name)
+                          }
+                          className="p-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+                          title="Versions"
+                        >
+                          <History size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {historyName && (
+        <div className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-3">
+          <h3 className="text-xl font-bold">Versions of {historyName}</h3>
+          {versions.map((version) => (
+            <div key={version._id} className="border-t border-white/10 pt-3 text-sm">
+              <div className="flex items-center justify-between gap-4">
+                <span className="font-medium">v{version.version}</span>
+                <span className="text-white/50">
+                  {version.createdAt && new Date(version.createdAt).toLocaleString()}
+                  {creatorName(version) && ` by ${creatorName(version)}`}
+                </span>
+              </div>
+              {version.description && <p className="text-white/60">{version.description}</p>}
+              <p className="text-xs font-mono text-white/70 mt-1">
+                {rankingComponents
+                  .map((component) => `${component} ${version.weights[component]}`)
+                  .join(" · ")}{" "}
+                · popularity {version.popularityDays} days
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
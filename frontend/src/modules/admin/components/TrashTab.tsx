@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { moviesApi } from "../../Home/api/movies";
+import { resolveImageUrl } from "@/lib/images";
+import type { TrashedMovie } from "@/types";
+
+const PAGE_SIZE = 20;
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.error || fallback : fallback;
+
+interface TrashTabProps {
+  // Called after a restore so the movie list can refresh
+  onRestored?: () => void;
+}
+
+export const TrashTab: React.FC<TrashTabProps> = ({ onRestored }) => {
+  const [movies, setMovies] = useState<TrashedMovie[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        setLoading(true);
+        const response = await moviesApi.getTrash(page, PAGE_SIZE);
+        setMovies(response.data || []);
+        setPages(response.pagination.pages || 1);
+        setTotal(response.pagination.total);
+      } catch (error) {
+        console.error("Error fetching trash:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, [page, reload]);
+
+  // Step back when the last movie on a page is restored or purged
+  const refresh = () => {
+    if (movies.length === 1 && page > 1) {
+      setPage(page - 1);
+    } else {
+      setReload((count) => count + 1);
+    }
+  };
+
+  const handleRestore = async (movie: TrashedMovie) => {
+    try {
+      setBusyId(movie._id);
+      await moviesApi.restoreMovie(movie._id);
+      refresh();
+      onRestored?.();
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to restore movie"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (movie: TrashedMovie) => {
+    if (
+      !confirm(
+        `Permanently delete "${movie.title}"? Its interactions, reviews and list ` +
+          "entries are removed too. This cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setBusyId(movie._id);
+      await moviesApi.purgeMovie(movie._id);
+      refresh();
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to delete movie"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-2xl font-bold">Trash ({total})</h2>
+        <p className="text-sm text-white/60 mt-1">
+          Deleted movies are hidden everywhere but keep their interactions and
+          reviews. Restore them, or delete them permanently.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">Loading...</div>
+      ) : movies.length === 0 ? (
+        <div className="text-center py-12 text-white/60">The trash is empty</div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[700px]">
+            <thead className="bg-gray-800">
+              <tr>
+                <th className="text-left p-4">Poster</th>
+                <th className="text-left p-4">Title</th>
+                <th className="text-left p-4">Director</th>
+                <th className="text-left p-4">Deleted</th>
+                <th className="text-left p-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {movies.map((movie) => (
+                <tr
+                  key={movie._id}
+                  className="border-t border-white/10 hover:bg-white/5 transition-colors"
+                >
+                  <td className="p-4">
+                    <img
+                      src={resolveImageUrl(movie.posterUrl)}
+                      alt={movie.title}
+                      className="w-12 h-18 object-cover rounded opacity-60"
+                    />
+                  </td>
+                  <td className="p-4 font-medium">
+                    {movie.title}{" "}
+                    <span className="text-white/50">
+                      ({new Date(movie.releaseDate).getFullYear()})
+                    </span>
+                  </td>
+                  <td className="p-4 text-white/80">{movie.director}</td>
+                  <td className="p-4 text-white/80 text-sm">
+                    {new Date(movie.deletedAt).toLocaleString()}
+                    {movie.deletedBy && (
+                      <span className="block text-white/50">
+                        by {movie.deletedBy.username}
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-4">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleRestore(movie)}
+                        disabled={busyId !== null}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-green-600/20 hover:bg-green-600/40 disabled:opacity-50 rounded text-sm text-green-400 transition-colors"
+                        title="Restore"
+                      >
+                        <RotateCcw size={16} />
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => handlePurge(movie)}
+                        disabled={busyId !== null}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-red-600/20 hover:bg-red-600/40 disabled:opacity-50 rounded text-sm text-red-400 transition-colors"
+                        title="Delete permanently"
+                      >
+                        <Trash2 size={16} />
+                        Delete forever
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-white/60">
+            Page {page} of {pages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page === pages}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Search, Shield, ShieldOff, UserCheck, UserX } from "lucide-react";
+import { useAuth } from "@/contexts/AuthContext";
+import { usersApi } from "../../Home/api/users";
+import type { AdminUser, UserQuery } from "@/types";
+
+const PAGE_SIZE = 20;
+
+export const UsersTab: React.FC = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [searchInput, setSearchInput] = useState("");
+  const [query, setQuery] = useState<UserQuery>({});
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        setLoading(true);
+        const response = await usersApi.getUsers(page, PAGE_SIZE, query);
+        setUsers(response.data || []);
+        setPages(response.pagination.pages || 1);
+        setTotal(response.pagination.total);
+      } catch (error) {
+        console.error("Error fetching users:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [page, query]);
+
+  const updateQuery = (patch: UserQuery) => {
+    setQuery({ ...query, ...patch });
+    setPage(1);
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateQuery({ q: searchInput.trim() || undefined });
+  };
+
+  const replaceUser = (updated: AdminUser) => {
+    setUsers((current) =>
+      current.map((user) => (user._id === updated._id ? updated : user))
+    );
+  };
+
+  const handleRoleChange = async (user: AdminUser) => {
+    const role = user.role === "admin" ? "user" : "admin";
+    if (!confirm(`Change ${user.username}'s role to ${role}?`)) return;
+
+    try {
+      const response = await usersApi.updateRole(user._id, role);
+      replaceUser(response.data);
+    } catch (err) {
+      alert(
+        axios.isAxiosError(err)
+          ? err.response?.data?.error || "Failed to update role"
+          : "Failed to update role"
+      );
+    }
+  };
+
+  const handleStatusChange = async (user: AdminUser) => {
+    const action = user.isDisabled ? "Enable" : "Disable";
+    if (!confirm(`${action} ${user.username}'s account?`)) return;
+
+    try {
+      const response = await usersApi.setDisabled(user._id, !user.isDisabled);
+      replaceUser(response.data);
+    } catch (err) {
+      alert(
+        axios.isAxiosError(err)
+          ? err.response?.data?.error || "Failed to update account"
+          : "Failed to update account"
+      );
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-3 md:items-center md:justify-between">
+        <h2 className="text-2xl font-bold">Users ({total})</h2>
+        <div className="flex flex-wrap gap-3">
+          <form onSubmit={handleSearch} className="flex items-center gap-2 bg-white/10 border border-white/20 rounded px-3">
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search username or email"
+              className="bg-transparent outline-none text-white text-sm py-2 w-56"
+            />
+            <button type="submit" className="text-white/60 hover:text-white" title="Search">
+              <Search size={16} />
+            </button>
+          </form>
+          <select
+            value={query.role || ""}
+            onChange={(e) =>
+              updateQuery({ role: (e.target.value || undefined) as UserQuery["role"] })
+            }
+            className="bg-white/10 border border-white/20 rounded px-3 py-2 text-sm text-white"
+          >
+            <option value="" className="bg-gray-900">All roles</option>
+            <option value="user" className="bg-gray-900">Users</option>
+            <option value="admin" className="bg-gray-900">Admins</option>
+          </select>
+          <select
+            value={query.status || ""}
+            onChange={(e) =>
+              updateQuery({ status: (e.target.value || undefined) as UserQuery["status"] })
+            }
+            className="bg-white/10 border border-white/20 rounded px-3 py-2 text-sm text-white"
+          >
+            <option value="" className="bg-gray-900">All statuses</option>
+            <option value="active" className="bg-gray-900">Active</option>
+            <option value="disabled" className="bg-gray-900">Disabled</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">Loading...</div>
+      ) : (
+        <div className="bg-gray-900 rounded-lg border border-white/10 overflow-x-auto">
+          <table className="w-full min-w-[700px]">
+            <thead className="bg-gray-800">
+              <tr>
+                <th className="text-left p-4">Username</th>
+                <th className="text-left p-4">Email</th>
+                <th className="text-left p-4">Role</th>
+                <th className="text-left p-4">Status</th>
+                <th className="text-left p-4">Joined</th>
+                <th className="text-left p-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user._id === currentUser?.id;
+                return (
+                  <tr
+                    key={user._id}
+                    className="border-t border-white/10 hover:bg-white/5 transition-colors"
+                  >
+                    <td className="p-4 font-medium">
+                      {user.username}
+                      {isSelf && <span className="ml-2 text-xs text-white/50">(you)</span>}
+                    </td>
+                    <td className="p-4 text-white/80">{user.email}</td>
+                    <td className="p-4">
+                      <span
+                        className={`px-2 py-0.5 rounded text-xs uppercase ${
+                          user.role === "admin" ? "bg-red-600/30 text-red-300" : "bg-white/10 text-white/70"
+                        }`}
+                      >
+                        {user.role}
+                      </span>
+                    </td>
+                    <td className="p-4 text-sm">
+                      {user.isDisabled ? (
+                        <span className="text-red-400">Disabled</span>
+                      ) : (
+                        <span className="text-green-400">Active</span>
+                      )}
+                    </td>
+                    <td className="p-4 text-white/80">
+                      {new Date(user.createdAt).toLocaleDateString()}
+                    </td>
+                    <td className="p-4">
+                      {!isSelf && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleRoleChange(user)}
+                            className="p-2 bg-blue-600/20 hover:bg-blue-600/40 rounded transition-colors"
+                            title={user.role === "admin" ? "Demote to user" : "Promote to admin"}
+                          >
+                            {user.role === "admin" ? (
+                              <ShieldOff size={16} className="text-blue-400" />
+                            ) : (
+                              <Shield size={16} className="text-blue-400" />
+                            )}
+                          </button>
+                          <button
+                            onClick={() => handleStatusChange(user)}
+                            className="p-2 bg-red-600/20 hover:bg-red-600/40 rounded transition-colors"
+                            title={user.isDisabled ? "Enable account" : "Disable account"}
+                          >
+                            {user.isDisabled ? (
+                              <UserCheck size={16} className="text-green-400" />
+                            ) : (
+                              <UserX size={16} className="text-red-400" />
+                            )}
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {users.length === 0 && (
+            <div className="text-center py-8 text-white/60">No users found</div>
+          )}
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-white/60">
+            Page {page} of {pages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page === pages}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
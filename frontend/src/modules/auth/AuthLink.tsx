@@ -0,0 +1,29 @@
+import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Navbar } from '@/components/global/Navbar';
+import { Sidebar } from '@/components/global/Sidebar';
+import { AuthModal, type AuthMode } from '@/components/ui/AuthModal';
+
+interface AuthLinkProps {
+  mode: Extract<AuthMode, 'reset' | 'verify'>;
+}
+
+/**
+ * Landing page for links sent by email (password reset, email verification)
+ */
+export const AuthLink: React.FC<AuthLinkProps> = ({ mode }) => {
+  const { token } = useParams<{ token: string }>();
+  const navigate = useNavigate();
+
+  const handleSearch = (query: string) => {
+    navigate(`/movies?search=${encodeURIComponent(query)}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <Navbar onSearch={handleSearch} />
+      <Sidebar />
+      <AuthModal isOpen mode={mode} token={token} onClose={() => navigate('/')} />
+    </div>
+  );
+};
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowDown, ArrowUp, Globe, Link2, Lock, Trash2, X } from 'lucide-react';
+import { Navbar } from '@/components/global/Navbar';
+import { Sidebar } from '@/components/global/Sidebar';
+import { useAuth } from '@/contexts/AuthContext';
+import { listsApi } from '../Home/api/lists';
+import { resolveImageUrl } from '@/lib/images';
+import type { MovieListDetails } from '@/types';
+
+export const ListDetails: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const [list, setList] = useState<MovieListDetails | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    const fetchList = async () => {
+      if (!id) return;
+
+      try {
+        setLoading(true);
+        const response = await listsApi.getList(id);
+        setList(response.data);
+        setNotes(
+          Object.fromEntries(response.data.entries.map((entry) => [entry.movie._id, entry.note]))
+        );
+      } catch (error) {
+        console.error('Error fetching list:', error);
+        setList(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchList();
+  }, [id, isAuthenticated]);
+
+  const handleSearch = (query: string) => {
+    navigate(`/movies?search=${encodeURIComponent(query)}`);
+  };
+
+  const handleTogglePublic = async () => {
+    if (!list) return;
+    try {
+      await listsApi.updateList(list._id, { isPublic: !list.isPublic });
+      setList({ ...list, isPublic: !list.isPublic });
+    } catch (error) {
+      console.error('Error updating list:', error);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    alert('Link copied to clipboard!');
+  };
+
+  const handleDeleteList = async () => {
+    if (!list || !confirm(`Delete the list "${list.name}"?`)) return;
+    try {
+      await listsApi.deleteList(list._id);
+      navigate('/lists');
+    } catch (error) {
+      console.error('Error deleting list:', error);
+    }
+  };
+
+  const handleMove = async (index: number, direction: -1 | 1) => {
+    if (!list) return;
+    const target = index + direction;
+    if (target < 0 || target >= list.entries.length) return;
+
+    const entries = [...list.entries];
+    [entries[index], entries[target]] = [entries[target], entries[index]];
+    const previous = list;
+    setList({ ...list, entries });
+
+    try {
+      await listsApi.reorder(list._id, entries.map((entry) => entry.movie._id));
+    } catch (error) {
+      console.error('Error reordering list:', error);
+      setList(previous);
+    }
+  };
+
+  const handleRemove = async (movieId: string) => {
+    if (!list) return;
+    try {
+      await listsApi.removeMovie(list._id, movieId);
+      setList({ ...list, entries: list.entries.filter((entry) => entry.movie._id !== movieId) });
+    } catch (error) {
+      console.error('Error removing movie:', error);
+    }
+  };
+
+  const handleSaveNote = async (movieId: string) => {
+    if (!list) return;
+    const entry = list.entries.find((item) => item.movie._id === movieId);
+    if (!entry || entry.note === notes[movieId]) return;
+
+    try {
+      await listsApi.updateNote(list._id, movieId, notes[movieId] || '');
+      setList({
+        ...list,
+        entries: list.entries.map((item) =>
+          item.movie._id === movieId ? { ...item, note: notes[movieId] || '' } : item
+        ),
+      });
+    } catch (error) {
+      console.error('Error saving note:', error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <Navbar onSearch={handleSearch} />
+      <Sidebar />
+
+      <main className="ml-0 md:ml-64 pt-20 p-4 md:p-8">
+        <div className="max-w-5xl mx-auto space-y-6">
+          {loading ? (
+            <div className="text-center py-12">Loading...</div>
+          ) : !list ? (
+            <div className="text-center py-12 text-white/60">List not found</div>
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div>
+                  <h1 className="text-3xl font-bold">{list.name}</h1>
+                  <p className="text-sm text-white/50 mt-1">
+                    by {list.owner?.username ?? 'a deleted user'} • {list.entries.length}{' '}
+                    {list.entries.length === 1 ? 'movie' : 'movies'}
+                  </p>
+                  {list.description && <p className="text-white/80 mt-3">{list.description}</p>}
+                </div>
+
+                <div className="flex gap-2 flex-wrap">
+                  {list.isPublic && (
+                    <button
+                      onClick={handleCopyLink}
+                      className="flex items-center gap-2 px-3 py-2 bg-white/10 hover:bg-white/20 rounded text-sm transition-colors"
+                    >
+                      <Link2 size={16} />
+                      Copy Link
+                    </button>
+                  )}
+                  {list.isOwner && (
+                    <button
+                      onClick={handleTogglePublic}
+                      className="flex items-center gap-2 px-3 py-2 bg-white/10 hover:bg-white/20 rounded text-sm transition-colors"
+                    >
+                      {list.isPublic ? <Globe size={16} /> : <Lock size={16} />}
+                      {list.isPublic ? 'Public' : 'Private'}
+                    </button>
+                  )}
+                  {list.isOwner && !list.isWatchlist && (
+                    <button
+                      onClick={handleDeleteList}
+                      className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/40 rounded text-sm text-red-400 transition-colors"
+                    >
+                      <Trash2 size={16} />
+                      Delete List
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {list.entries.length === 0 ? (
+                <div className="text-center py-12 text-white/60">This list is empty</div>
+              ) : (
+                <ol className="space-y-3">
+                  {list.entries.map((entry, index) => (
+                    <li
+                      key={entry.movie._id}
+                      className="flex gap-4 bg-white/5 border border-white/10 rounded-lg p-3"
+                    >
+                      <span className="text-white/40 font-semibold w-6 text-right shrink-0">{index + 1}</span>
+                      <img
+                        src={resolveImageUrl(entry.movie.posterUrl)}
+                        alt={entry.movie.title}
+                        onClick={() => navigate(`/movies/${entry.movie._id}`)}
+                        className="w-16 h-24 object-cover rounded cursor-pointer shrink-0"
+                        onError={(e) => {
+                          (e.target as HTMLImageElement).src =
+                            'https://via.placeholder.com/100x150/1a1a1a/ffffff?text=' + entry.movie.title;
+                        }}
+                      />
+                      <div className="flex-1 min-w-0 space-y-2">
+                        <h3
+                          onClick={() => navigate(`/movies/${entry.movie._id}`)}
+                          className="font-semibold truncate cursor-pointer hover:text-red-500 transition-colors"
+                        >
+                          {entry.movie.title}
+                        </h3>
+                        <p className="text-xs text-white/50">
+                          {new Date(entry.movie.releaseDate).getFullYear()} • {entry.movie.director}
+                        </p>
+                        {list.isOwner ? (
+                          <input
+                            type="text"
+                            maxLength={500}
+                            value={notes[entry.movie._id] ?? ''}
+                            onChange={(e) => setNotes({ ...notes, [entry.movie._id]: e.target.value })}
+                            onBlur={() => handleSaveNote(entry.movie._id)}
+                            placeholder="Add a note…"
+                            className="w-full bg-white/5 border border-white/10 rounded px-3 py-1.5 text-sm text-white focus:outline-none focus:border-red-500"
+                          />
+                        ) : (
+                          entry.note && <p className="text-sm text-white/80 italic">{entry.note}</p>
+                        )}
+                      </div>
+                      {list.isOwner && (
+                        <div className="flex flex-col gap-1 shrink-0">
+                          <button
+                            onClick={() => handleMove(index, -1)}
+                            disabled={index === 0}
+                            className="p-1.5 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+                            title="Move up"
+                          >
+                            <ArrowUp size={14} />
+                          </button>
+                          <button
+                            onClick={() => handleMove(index, 1)}
+                            disabled={index === list.entries.length - 1}
+                            className="p-1.5 bg-white/10 hover:bg-white/20 rounded disabled:opacity-30 transition-colors"
+                            title="Move down"
+                          >
+                            <ArrowDown size={14} />
+                          </button>
+                          <button
+                            onClick={() => handleRemove(entry.movie._id)}
+                            className="p-1.5 bg-red-600/20 hover:bg-red-600/40 rounded transition-colors"
+                            title="Remove"
+                          >
+                            <X size={14} className="text-red-400" />
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Bookmark, Globe, Lock, Plus } from 'lucide-react';
+import { Navbar } from '@/components/global/Navbar';
+import { Sidebar } from '@/components/global/Sidebar';
+import { useAuth } from '@/contexts/AuthContext';
+import { listsApi } from '../Home/api/lists';
+import type { MovieListSummary } from '@/types';
+
+export const Lists: React.FC = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated, isLoading } = useAuth();
+  const [lists, setLists] = useState<MovieListSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const fetchLists = async () => {
+      try {
+        setLoading(true);
+        const response = await listsApi.getMyLists();
+        setLists(response.data || []);
+      } catch (error) {
+        console.error('Error fetching lists:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLists();
+  }, [isAuthenticated]);
+
+  const handleSearch = (query: string) => {
+    navigate(`/movies?search=${encodeURIComponent(query)}`);
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await listsApi.createList({ name, description, isPublic });
+      setLists([...lists, response.data]);
+      setName('');
+      setDescription('');
+      setIsPublic(false);
+    } catch (err) {
+      setError(
+        axios.isAxiosError(err) ? err.response?.data?.error || 'Failed to create list' : 'Failed to create list'
+      );
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <Navbar onSearch={handleSearch} />
+      <Sidebar />
+
+      <main className="ml-0 md:ml-64 pt-20 p-4 md:p-8">
+        <div className="max-w-5xl mx-auto space-y-8">
+          <h1 className="text-3xl font-bold">My Lists</h1>
+
+          {!isAuthenticated ? (
+            <div className="text-center py-12 text-white/60">
+              {isLoading ? 'Loading...' : 'Sign in to create a watchlist and your own movie lists.'}
+            </div>
+          ) : (
+            <>
+              <form
+                onSubmit={handleCreate}
+                className="bg-gray-900 rounded-lg p-6 border border-white/10 space-y-4"
+              >
+                <h2 className="text-xl font-bold">Create a List</h2>
+                {error && (
+                  <div className="rounded-md bg-red-500/10 border border-red-500/30 px-4 py-2 text-sm text-red-400">
+                    {error}
+                  </div>
+                )}
+                <input
+                  type="text"
+                  required
+                  maxLength={100}
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="List name"
+                  className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                />
+                <textarea
+                  rows={2}
+                  maxLength={500}
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="Description (optional)"
+                  className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+                />
+                <div className="flex items-center justify-between gap-4">
+                  <label className="flex items-center gap-2 text-sm text-white/80">
+                    <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+                    Public (anyone with the link can view)
+                  </label>
+                  <button
+                    type="submit"
+                    className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors"
+                  >
+                    <Plus size={18} />
+                    Create
+                  </button>
+                </div>
+              </form>
+
+              {loading ? (
+                <div className="text-center py-12">Loading...</div>
+              ) : (
+                <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {lists.map((list) => (
+                    <Link
+                      key={list._id}
+                      to={`/lists/${list._id}`}
+                      className="block bg-white/5 border border-white/10 rounded-lg p-4 hover:bg-white/10 transition-colors"
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <h3 className="font-semibold truncate flex items-center gap-2">
+                          {list.isWatchlist && <Bookmark size={16} className="text-red-500" />}
+                          {list.name}
+                        </h3>
+                        {list.isPublic ? (
+                          <Globe size={16} className="text-white/50 shrink-0" />
+                        ) : (
+                          <Lock size={16} className="text-white/50 shrink-0" />
+                        )}
+                      </div>
+                      {list.description && (
+                        <p className="text-sm text-white/60 mt-1 line-clamp-2">{list.description}</p>
+                      )}
+                      <p className="text-xs text-white/40 mt-3">
+                        {list.count} {list.count === 1 ? 'movie' : 'movies'}
+                      </p>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
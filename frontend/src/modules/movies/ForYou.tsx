@@ -0,0 +1,212 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Navbar } from '@/components/global/Navbar';
+import { Sidebar } from '@/components/global/Sidebar';
+import { MovieCard } from '@/components/ui/MovieCard';
+import { useAuth } from '@/contexts/AuthContext';
+import { moviesApi } from '../Home/api/movies';
+import type { FeedMovie, Movie, RecommendationReason } from '@/types';
+
+const PAGE_SIZE = 20;
+const HIDE_VIEWED_KEY = 'feed.hideViewed';
+
+const FALLBACK_REASON: RecommendationReason = {
+  type: 'top-picks',
+  label: 'Top picks for you',
+  key: 'top-picks',
+};
+
+interface FeedRow {
+  reason: RecommendationReason;
+  movies: FeedMovie[];
+}
+
+// Rows of movies recommended for the same reason, in order of first appearance
+const groupByReason = (movies: FeedMovie[]): FeedRow[] => {
+  const rows = new Map<string, FeedRow>();
+  for (const movie of movies) {
+    const reason = movie.recommendation?.reason ?? FALLBACK_REASON;
+    const row = rows.get(reason.key);
+    if (row) {
+      row.movies.push(movie);
+    } else {
+      rows.set(reason.key, { reason, movies: [movie] });
+    }
+  }
+  return [...rows.values()];
+};
+
+const formatScore = (value: number) => value.toFixed(3);
+
+const ScoreDebug: React.FC<{ movie: FeedMovie }> = ({ movie }) => {
+  const { score, breakdown } = movie.recommendation ?? {};
+  if (score === undefined || !breakdown) return null;
+
+  return (
+    <dl className="mt-2 grid grid-cols-2 gap-x-2 text-xs font-mono text-white/60">
+      <dt className="text-white">score</dt>
+      <dd className="text-right text-white">{formatScore(score)}</dd>
+      {Object.entries(breakdown).map(([component, value]) => (
+        <React.Fragment key={component}>
+          <dt>{component}</dt>
+          <dd className="text-right">{formatScore(value)}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+};
+
+export const ForYou: React.FC = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated, isAdmin, isLoading } = useAuth();
+  const [movies, setMovies] = useState<FeedMovie[]>([]);
+  const [cursor, setCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [debug, setDebug] = useState(false);
+  const [hideViewed, setHideViewed] = useState(() => localStorage.getItem(HIDE_VIEWED_KEY) === 'true');
+  const loadingRef = useRef(false);
+  const sentinelRef = useRef<HTMLDivElement>(null);
+
+  const loadMore = useCallback(async () => {
+    if (loadingRef.current || !hasMore) return;
+
+    try {
+      loadingRef.current = true;
+      setLoading(true);
+      const response = await moviesApi.getFeed(cursor, PAGE_SIZE, {
+        explain: true,
+        debug,
+        hideViewed,
+      });
+      // A feed rebuilt while scrolling can repeat a few movies
+      setMovies((current) => {
+        const seen = new Set(current.map((movie) => movie._id));
+        return [...current, ...response.data.filter((movie) => !seen.has(movie._id))];
+      });
+      setCursor(response.nextCursor);
+      setHasMore(response.nextCursor !== null);
+    } catch (error) {
+      console.error('Error fetching feed:', error);
+      setHasMore(false);
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, [cursor, hasMore, debug, hideViewed]);
+
+  // Load the next page whenever the end of the grid scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!isAuthenticated || !sentinel) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [isAuthenticated, loadMore]);
+
+  const rows = useMemo(() => groupByReason(movies), [movies]);
+
+  // Reload the feed from the start, e.g. after changing what it shows
+  const resetFeed = () => {
+    setMovies([]);
+    setCursor(null);
+    setHasMore(true);
+  };
+
+  const handleToggleDebug = () => {
+    setDebug((current) => !current);
+    resetFeed();
+  };
+
+  const handleToggleHideViewed = () => {
+    localStorage.setItem(HIDE_VIEWED_KEY, String(!hideViewed));
+    setHideViewed(!hideViewed);
+    resetFeed();
+  };
+
+  const handleNotInterested = (dismissed: Movie) => {
+    setMovies((current) => current.filter((movie) => movie._id !== dismissed._id));
+  };
+
+  const handleSearch = (query: string) => {
+    navigate(`/movies?search=${encodeURIComponent(query)}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white overflow-x-hidden">
+      <Navbar onSearch={handleSearch} />
+      <Sidebar />
+
+      <main className="pt-20 p-4 md:p-8 ml-0 md:ml-64">
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="text-2xl md:text-3xl font-bold">For You</h1>
+          {isAuthenticated && (
+            <div className="flex items-center gap-4">
+              <label className="flex items-center gap-2 text-sm text-white/70">
+                <input
+                  type="checkbox"
+                  checked={hideViewed}
+                  onChange={handleToggleHideViewed}
+                  disabled={loading}
+                />
+                Hide viewed
+              </label>
+              {isAdmin && (
+                <label className="flex items-center gap-2 text-sm text-white/70">
+                  <input
+                    type="checkbox"
+                    checked={debug}
+                    onChange={handleToggleDebug}
+                    disabled={loading}
+                  />
+                  Debug ranking
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+
+        {!isAuthenticated ? (
+          <div className="text-center py-12 text-white/60">
+            {isLoading ? 'Loading...' : 'Sign in to get recommendations based on what you watch and like.'}
+          </div>
+        ) : (
+          <>
+            {rows.map((row) => (
+              <section key={row.reason.key} className="mb-10">
+                <h2 className="text-lg md:text-xl font-semibold mb-4">{row.reason.label}</h2>
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 xl:grid-cols-5 gap-4 md:gap-6">
+                  {row.movies.map((movie) => (
+                    <div key={movie._id}>
+                      <MovieCard movie={movie} onNotInterested={handleNotInterested} />
+                      {debug && <ScoreDebug movie={movie} />}
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
+
+            <div ref={sentinelRef} />
+
+            {loading ? (
+              <div className="text-center py-12">Loading...</div>
+            ) : (
+              !hasMore && (
+                <div className="text-center py-12 text-white/60">
+                  {movies.length === 0 ? 'No recommendations yet' : "You're all caught up"}
+                </div>
+              )
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
@@ -4,24 +4,23 @@ import { Navbar } from '@/components/global/Navbar';
 import { Sidebar } from '@/components/global/Sidebar';
 import { MovieCard } from '@/components/ui/MovieCard';
 import { moviesApi } from '../Home/api/movies';
+import { applyMovieEvent, isMovieEvent, useEventStream } from '@/hooks/useEventStream';
 import type { Movie } from '@/types';
 
+const byReleaseDate = (a: Movie, b: Movie) =>
+  new Date(b.releaseDate).getTime() - new Date(a.releaseDate).getTime();
+
 export const Latest: React.FC = () => {
   const [movies, setMovies] = useState<Movie[]>([]);
   const [loading, setLoading] = useState(true);
+  const [reload, setReload] = useState(0);
   const navigate = useNavigate();
 
   useEffect(() => {
     const fetchLatest = async () => {
       try {
-        setLoading(true);
         const response = await moviesApi.getMovies(1, 50);
-        const sortedMovies = [...(response.data || [])].sort(
-          (a, b) =>
-            new Date(b.releaseDate).getTime() -
-            new Date(a.releaseDate).getTime()
-        );
-        setMovies(sortedMovies);
+        setMovies([...(response.data || [])].sort(byReleaseDate));
       } catch (error) {
         console.error('Error fetching latest movies:', error);
         setMovies([]);
@@ -31,7 +30,15 @@ export const Latest: React.FC = () => {
     };
 
     fetchLatest();
-  }, []);
+  }, [reload]);
+
+  useEventStream(['movies'], (event) => {
+    if (isMovieEvent(event)) {
+      setMovies((current) => [...applyMovieEvent(current, event)].sort(byReleaseDate));
+    } else if (event.type === 'movies.imported' || event.type === 'stream.reset') {
+      setReload((count) => count + 1);
+    }
+  });
 
   const handleSearch = (query: string) => {
     navigate(`/movies?search=${encodeURIComponent(query)}`);
@@ -1,17 +1,22 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useCallback, useEffect, useState, useRef } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { Navbar } from "@/components/global/Navbar";
 import { Sidebar } from "@/components/global/Sidebar";
 import { moviesApi } from "../Home/api/movies";
 import { useAuth } from "@/contexts/AuthContext";
-import { Heart, Share2, Play } from "lucide-react";
-import type { Movie } from "@/types";
+import { Heart, Share2 } from "lucide-react";
+import { AddToListButton } from "@/components/ui/AddToListButton";
+import { MovieCard } from "@/components/ui/MovieCard";
+import { ReviewSection } from "./components/ReviewSection";
+import { posterFallback, posterImageProps } from "@/lib/images";
+import type { Movie, UserRating } from "@/types";
 
 export const MovieDetails: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { isAuthenticated } = useAuth();
   const [movie, setMovie] = useState<Movie | null>(null);
+  const [similarMovies, setSimilarMovies] = useState<Movie[]>([]);
   const [loading, setLoading] = useState(true);
   const [isLiked, setIsLiked] = useState(false);
   const [interactionTracked, setInteractionTracked] = useState(false);
@@ -45,6 +50,34 @@ export const MovieDetails: React.FC = () => {
     fetchMovie();
   }, [id, isAuthenticated, interactionTracked]);
 
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchSimilar = async () => {
+      try {
+        const response = await moviesApi.getSimilar(id, 10);
+        setSimilarMovies(response.data || []);
+      } catch (error) {
+        console.error("Error fetching similar movies:", error);
+        setSimilarMovies([]);
+      }
+    };
+
+    fetchSimilar();
+  }, [id]);
+
+  // Report how long the movie was looked at when leaving it; a quick bounce
+  // counts against the movie's genres and people
+  useEffect(() => {
+    if (!id || !isAuthenticated) return;
+
+    const openedAt = Date.now();
+    return () => {
+      const watchTime = Math.round((Date.now() - openedAt) / 1000);
+      moviesApi.trackInteraction(id, "view", { watchTime }).catch(console.error);
+    };
+  }, [id, isAuthenticated]);
+
   // Track scroll depth
   useEffect(() => {
     if (!movie || !isAuthenticated) return;
@@ -113,6 +146,10 @@ export const MovieDetails: React.FC = () => {
     }
   };
 
+  const handleRatingChange = useCallback((userRating: UserRating) => {
+    setMovie((current) => (current ? { ...current, userRating } : current));
+  }, []);
+
   const handleSearch = (query: string) => {
     navigate(`/movies?search=${encodeURIComponent(query)}`);
   };
@@ -155,14 +192,10 @@ export const MovieDetails: React.FC = () => {
               {/* Main poster as large image */}
               <div className="col-span-2 md:col-span-2 md:row-span-2 aspect-[2/3] md:aspect-auto">
                 <img
-                  src={movie.posterUrl}
+                  {...posterImageProps(movie, "(min-width: 768px) 50vw, 100vw")}
                   alt={movie.title}
                   className="w-full h-full object-cover rounded-lg"
-                  onError={(e) => {
-                    (e.target as HTMLImageElement).src =
-                      "https://via.placeholder.com/800x1200/1a1a1a/ffffff?text=" +
-                      movie.title;
-                  }}
+                  onError={posterFallback(movie.title, "800x1200")}
                 />
               </div>
 
@@ -173,14 +206,11 @@ export const MovieDetails: React.FC = () => {
                   className="aspect-[3/4] rounded-lg overflow-hidden bg-black/40"
                 >
                   <img
-                    src={movie.posterUrl}
+                    {...posterImageProps(movie, "(min-width: 1024px) 25vw, (min-width: 640px) 33vw, 50vw")}
                     alt={`${movie.title} - Image ${i}`}
+                    loading="lazy"
                     className="w-full h-full object-cover"
-                    onError={(e) => {
-                      (e.target as HTMLImageElement).src =
-                        "https://via.placeholder.com/400x600/1a1a1a/ffffff?text=" +
-                        movie.title;
-                    }}
+                    onError={posterFallback(movie.title, "400x600")}
                   />
                 </div>
               ))}
@@ -211,6 +241,7 @@ export const MovieDetails: React.FC = () => {
                   >
                     <Share2 size={24} />
                   </button>
+                  <AddToListButton movieId={movie._id} iconSize={24} className="p-3" align="right" />
                 </div>
               </div>
               <div className="flex flex-wrap gap-4 mb-6 text-white/80">
@@ -221,6 +252,15 @@ export const MovieDetails: React.FC = () => {
                 </span>
                 <span>•</span>
                 <span>⭐ {movie.rating.toFixed(1)}</span>
+                {movie.userRating && movie.userRating.count > 0 && (
+                  <>
+                    <span>•</span>
+                    <span>
+                      Users: {movie.userRating.average.toFixed(1)} ({movie.userRating.count}{" "}
+                      {movie.userRating.count === 1 ? "vote" : "votes"})
+                    </span>
+                  </>
+                )}
               </div>
 
               <div className="mb-6">
@@ -245,15 +285,32 @@ export const MovieDetails: React.FC = () => {
                 <div className="space-y-4">
                   <div>
                     <span className="text-white/60">Director: </span>
-                    <span className="text-white">{movie.director}</span>
+                    <span
+                      onClick={() =>
+                        navigate(`/movies?director=${encodeURIComponent(movie.director)}`)
+                      }
+                      className="text-white cursor-pointer hover:text-red-500 transition-colors"
+                    >
+                      {movie.director}
+                    </span>
                   </div>
 
                   {movie.cast && movie.cast.length > 0 && (
                     <div>
                       <span className="text-white/60">Cast: </span>
-                      <span className="text-white">
-                        {movie.cast.join(", ")}
-                      </span>
+                      {movie.cast.map((member, index) => (
+                        <React.Fragment key={member}>
+                          {index > 0 && ", "}
+                          <span
+                            onClick={() =>
+                              navigate(`/movies?cast=${encodeURIComponent(member)}`)
+                            }
+                            className="text-white cursor-pointer hover:text-red-500 transition-colors"
+                          >
+                            {member}
+                          </span>
+                        </React.Fragment>
+                      ))}
                     </div>
                   )}
                 </div>
@@ -264,19 +321,29 @@ export const MovieDetails: React.FC = () => {
               <div className="sticky top-24">
                 <div className="aspect-[2/3] rounded-lg overflow-hidden mb-4">
                   <img
-                    src={movie.posterUrl}
+                    {...posterImageProps(movie, "(min-width: 768px) 33vw, 100vw")}
                     alt={movie.title}
+                    loading="lazy"
                     className="w-full h-full object-cover"
-                    onError={(e) => {
-                      (e.target as HTMLImageElement).src =
-                        "https://via.placeholder.com/300x450/1a1a1a/ffffff?text=" +
-                        movie.title;
-                    }}
+                    onError={posterFallback(movie.title)}
                   />
                 </div>
               </div>
             </div>
           </div>
+
+          {similarMovies.length > 0 && (
+            <section className="mt-12 space-y-4">
+              <h2 className="text-2xl font-bold">More like this</h2>
+              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 xl:grid-cols-5 gap-4 md:gap-6">
+                {similarMovies.map((similar) => (
+                  <MovieCard key={similar._id} movie={similar} />
+                ))}
+              </div>
+            </section>
+          )}
+
+          <ReviewSection movieId={movie._id} onRatingChange={handleRatingChange} />
         </div>
       </main>
     </div>
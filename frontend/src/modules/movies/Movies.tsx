@@ -1,14 +1,37 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { Navbar } from '@/components/global/Navbar';
 import { Sidebar } from '@/components/global/Sidebar';
 import { MovieCard } from '@/components/ui/MovieCard';
 import { moviesApi } from '../Home/api/movies';
-import type { Movie } from '@/types';
+import { FilterSidebar, type FilterPatch } from './components/FilterSidebar';
+import type { DurationBucket, Movie, MovieFacets, MovieFilters } from '@/types';
 import { ArrowUpDown, Filter } from 'lucide-react';
 
+const toNumber = (value: string | null) => {
+  if (value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const toList = (value: string | null) =>
+  value ? value.split(',').map((v) => v.trim()).filter(Boolean) : undefined;
+
+// Read the server-side filters from the URL so filtered views are shareable
+const parseFilters = (searchParams: URLSearchParams): MovieFilters => ({
+  genre: toList(searchParams.get('genre')),
+  genreMode: searchParams.get('genreMode') === 'all' ? 'all' : undefined,
+  yearFrom: toNumber(searchParams.get('yearFrom')),
+  yearTo: toNumber(searchParams.get('yearTo')),
+  minRating: toNumber(searchParams.get('minRating')),
+  maxRating: toNumber(searchParams.get('maxRating')),
+  duration: toList(searchParams.get('duration')) as DurationBucket[] | undefined,
+  director: searchParams.get('director') || undefined,
+  cast: searchParams.get('cast') || undefined,
+});
+
 export const Movies: React.FC = () => {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const [movies, setMovies] = useState<Movie[]>([]);
   const [loading, setLoading] = useState(true);
@@ -16,26 +39,31 @@ export const Movies: React.FC = () => {
   const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
-  
-  const genre = searchParams.get('genre');
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState<MovieFacets | undefined>();
+  const [showFilters, setShowFilters] = useState(false);
+
   const search = searchParams.get('search');
+  const label = searchParams.get('label');
+  const filterKey = searchParams.toString();
+  const filters = useMemo(() => parseFilters(new URLSearchParams(filterKey)), [filterKey]);
+
+  useEffect(() => {
+    setPage(1);
+  }, [filterKey]);
 
   useEffect(() => {
     const fetchMovies = async () => {
       try {
         setLoading(true);
-        let response;
-        
-        if (search) {
-          response = await moviesApi.searchMovies(search);
-        } else if (genre) {
-          response = await moviesApi.getMoviesByGenre(genre);
-        } else {
-          response = await moviesApi.getSortedMovies(sortBy, sortOrder, page, 50);
-        }
-        
+        const response = search
+          ? await moviesApi.searchMovies(search, page, 50, filters, true)
+          : await moviesApi.getSortedMovies(sortBy, sortOrder, page, 50, filters, true);
+
         setMovies(response.data || []);
         setTotalPages(response.pagination?.pages || 1);
+        setTotal(response.pagination?.total ?? response.count ?? 0);
+        setFacets(response.facets);
       } catch (error) {
         console.error('Error fetching movies:', error);
         setMovies([]);
@@ -45,7 +73,7 @@ export const Movies: React.FC = () => {
     };
 
     fetchMovies();
-  }, [genre, search, sortBy, sortOrder, page]);
+  }, [search, filters, sortBy, sortOrder, page]);
 
   const handleSearch = (query: string) => {
     navigate(`/movies?search=${encodeURIComponent(query)}`);
@@ -61,6 +89,33 @@ export const Movies: React.FC = () => {
     setPage(1);
   };
 
+  const applyFilters = (patch: FilterPatch) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  // Keep the search term when clearing, only the filters are reset
+  const clearFilters = () => {
+    setSearchParams(search ? new URLSearchParams({ search }) : new URLSearchParams());
+  };
+
+  const title = search
+    ? `Search Results: "${search}"`
+    : filters.director
+      ? `Director: ${filters.director}`
+      : filters.cast
+        ? `Starring: ${filters.cast}`
+        : filters.genre
+          ? `Genre: ${label || filters.genre.join(', ')}`
+          : 'All Movies';
+
   return (
     <div className="min-h-screen bg-black text-white">
       <Navbar onSearch={handleSearch} />
@@ -72,11 +127,14 @@ export const Movies: React.FC = () => {
                    md:ml-64" // only add left margin on medium+ screens
       >
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
-          <h1 className="text-3xl font-bold">
-            {search ? `Search Results: "${search}"` : genre ? `Genre: ${genre}` : 'All Movies'}
-          </h1>
+          <div>
+            <h1 className="text-3xl font-bold">{title}</h1>
+            {!loading && (
+              <p className="text-sm text-white/60 mt-1">{total} movies</p>
+            )}
+          </div>
 
-          {!search && !genre && (
+          {!search && (
             <div className="flex items-center gap-4 flex-wrap">
               <div className="flex items-center gap-2 bg-white/10 px-4 py-2 rounded-lg">
                 <Filter size={18} />
@@ -111,43 +169,64 @@ export const Movies: React.FC = () => {
           )}
         </div>
 
-        {loading ? (
-          <div className="text-center py-12">
-            <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className="lg:hidden flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-sm transition-colors"
+        >
+          <Filter size={16} />
+          {showFilters ? 'Hide Filters' : 'Show Filters'}
+        </button>
+
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className={`${showFilters ? 'block' : 'hidden'} lg:block lg:w-64 shrink-0`}>
+            <FilterSidebar
+              facets={facets}
+              filters={filters}
+              onChange={applyFilters}
+              onClear={clearFilters}
+            />
           </div>
-        ) : movies.length === 0 ? (
-          <div className="text-center py-12 text-white/60">No movies found</div>
-        ) : (
-          <>
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6">
-              {movies.map((movie) => (
-                <MovieCard key={movie._id} movie={movie} />
-              ))}
-            </div>
 
-            {!search && !genre && totalPages > 1 && (
-              <div className="flex justify-center gap-2 mt-8 flex-wrap">
-                <button
-                  onClick={() => setPage(p => Math.max(1, p - 1))}
-                  disabled={page === 1}
-                  className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  Previous
-                </button>
-                <span className="px-4 py-2 text-white/60">
-                  Page {page} of {totalPages}
-                </span>
-                <button
-                  onClick={() => setPage(p => Math.min(totalPages, p + 1))}
-                  disabled={page === totalPages}
-                  className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  Next
-                </button>
+          <div className="flex-1 min-w-0">
+            {loading ? (
+              <div className="text-center py-12">
+                <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
               </div>
+            ) : movies.length === 0 ? (
+              <div className="text-center py-12 text-white/60">No movies found</div>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-6">
+                  {movies.map((movie) => (
+                    <MovieCard key={movie._id} movie={movie} />
+                  ))}
+                </div>
+
+                {totalPages > 1 && (
+                  <div className="flex justify-center gap-2 mt-8 flex-wrap">
+                    <button
+                      onClick={() => setPage(p => Math.max(1, p - 1))}
+                      disabled={page === 1}
+                      className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Previous
+                    </button>
+                    <span className="px-4 py-2 text-white/60">
+                      Page {page} of {totalPages}
+                    </span>
+                    <button
+                      onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+                      disabled={page === totalPages}
+                      className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
             )}
-          </>
-        )}
+          </div>
+        </div>
       </main>
     </div>
   );
@@ -0,0 +1,168 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import type { DurationBucket, MovieFacets, MovieFilters } from '@/types';
+
+export type FilterPatch = Record<string, string | undefined>;
+
+interface FilterSidebarProps {
+  facets?: MovieFacets;
+  filters: MovieFilters;
+  onChange: (patch: FilterPatch) => void;
+  onClear: () => void;
+}
+
+const durationLabels: Record<DurationBucket, string> = {
+  short: 'Under 90 min',
+  medium: '90 - 150 min',
+  long: 'Over 150 min',
+};
+
+const ratingThresholds = [9, 8, 7, 6, 5];
+
+const toggle = (list: string[] = [], value: string) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+const joinOrUndefined = (list: string[]) => (list.length > 0 ? list.join(',') : undefined);
+
+const Section: React.FC<{ title: string; children: React.ReactNode }> = ({ title, children }) => (
+  <div className="space-y-2">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-white/50">{title}</h3>
+    <ul className="space-y-1">{children}</ul>
+  </div>
+);
+
+const Option: React.FC<{
+  label: React.ReactNode;
+  count?: number;
+  active: boolean;
+  onClick: () => void;
+}> = ({ label, count, active, onClick }) => (
+  <li>
+    <button
+      onClick={onClick}
+      className={`w-full flex items-center justify-between gap-2 px-2 py-1 rounded text-sm text-left transition-colors ${
+        active ? 'bg-red-600 text-white' : 'text-white/80 hover:bg-white/10'
+      }`}
+    >
+      <span className="truncate">{label}</span>
+      {count !== undefined && (
+        <span className={`text-xs ${active ? 'text-white' : 'text-white/40'}`}>{count}</span>
+      )}
+    </button>
+  </li>
+);
+
+export const FilterSidebar: React.FC<FilterSidebarProps> = ({ facets, filters, onChange, onClear }) => {
+  const hasFilters = Object.values(filters).some((value) => value !== undefined);
+
+  // Rating bands are exclusive ranges; the sidebar offers "N+" thresholds instead
+  const ratingCount = (threshold: number) =>
+    facets?.ratingBands
+      .filter((band) => band.min >= threshold)
+      .reduce((sum, band) => sum + band.count, 0);
+
+  const selectedDecade =
+    filters.yearFrom !== undefined && filters.yearTo === filters.yearFrom + 9 && filters.yearFrom % 10 === 0
+      ? filters.yearFrom
+      : undefined;
+
+  return (
+    <aside className="space-y-6 bg-white/5 border border-white/10 rounded-lg p-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold">Filters</h2>
+        {hasFilters && (
+          <button
+            onClick={onClear}
+            className="flex items-center gap-1 text-xs text-white/60 hover:text-white transition-colors"
+          >
+            <X size={12} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {facets && facets.genres.length > 0 && (
+        <Section title="Genre">
+          {facets.genres.map((bucket) => (
+            <Option
+              key={bucket.value}
+              label={bucket.value}
+              count={bucket.count}
+              active={!!filters.genre?.includes(bucket.value)}
+              onClick={() => onChange({ genre: joinOrUndefined(toggle(filters.genre, bucket.value)), label: undefined })}
+            />
+          ))}
+        </Section>
+      )}
+
+      {facets && facets.decades.length > 0 && (
+        <Section title="Decade">
+          {facets.decades.map((bucket) => {
+            const active = selectedDecade === bucket.value;
+            return (
+              <Option
+                key={bucket.value}
+                label={`${bucket.value}s`}
+                count={bucket.count}
+                active={active}
+                onClick={() =>
+                  onChange(
+                    active
+                      ? { yearFrom: undefined, yearTo: undefined }
+                      : { yearFrom: String(bucket.value), yearTo: String(bucket.value + 9) }
+                  )
+                }
+              />
+            );
+          })}
+        </Section>
+      )}
+
+      <Section title="Rating">
+        {ratingThresholds.map((threshold) => {
+          const active = filters.minRating === threshold && filters.maxRating === undefined;
+          return (
+            <Option
+              key={threshold}
+              label={`⭐ ${threshold}+`}
+              count={ratingCount(threshold)}
+              active={active}
+              onClick={() =>
+                onChange({ minRating: active ? undefined : String(threshold), maxRating: undefined })
+              }
+            />
+          );
+        })}
+      </Section>
+
+      <Section title="Length">
+        {(Object.keys(durationLabels) as DurationBucket[]).map((bucket) => (
+          <Option
+            key={bucket}
+            label={durationLabels[bucket]}
+            count={facets?.durations.find((d) => d.value === bucket)?.count ?? (facets ? 0 : undefined)}
+            active={!!filters.duration?.includes(bucket)}
+            onClick={() => onChange({ duration: joinOrUndefined(toggle(filters.duration, bucket)) })}
+          />
+        ))}
+      </Section>
+
+      {facets && facets.directors.length > 0 && (
+        <Section title="Director">
+          {facets.directors.map((bucket) => {
+            const active = filters.director === bucket.value;
+            return (
+              <Option
+                key={bucket.value}
+                label={bucket.value}
+                count={bucket.count}
+                active={active}
+                onClick={() => onChange({ director: active ? undefined : bucket.value })}
+              />
+            );
+          })}
+        </Section>
+      )}
+    </aside>
+  );
+};
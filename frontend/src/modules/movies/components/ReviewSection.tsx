@@ -0,0 +1,303 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Edit2, ThumbsUp, Trash2 } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+import { reviewsApi } from '@/modules/Home/api/reviews';
+import type { Review, ReviewSort, UserRating } from '@/types';
+
+interface ReviewSectionProps {
+  movieId: string;
+  onRatingChange?: (rating: UserRating) => void;
+}
+
+const PAGE_SIZE = 10;
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  axios.isAxiosError(error) ? error.response?.data?.error || fallback : fallback;
+
+export const ReviewSection: React.FC<ReviewSectionProps> = ({ movieId, onRatingChange }) => {
+  const { user, isAuthenticated } = useAuth();
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [sort, setSort] = useState<ReviewSort>('newest');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  // Form state
+  const [score, setScore] = useState(8);
+  const [text, setText] = useState('');
+  const [spoiler, setSpoiler] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [formError, setFormError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [revealed, setRevealed] = useState<Set<string>>(new Set());
+
+  const userId = user?.id || user?._id;
+
+  const fetchReviews = useCallback(
+    async (nextPage: number) => {
+      try {
+        setLoading(true);
+        const response = await reviewsApi.getReviews(movieId, sort, nextPage, PAGE_SIZE);
+        setReviews((current) => (nextPage === 1 ? response.data : [...current, ...response.data]));
+        setPage(nextPage);
+        setPages(response.pagination.pages || 1);
+        setTotal(response.pagination.total);
+        onRatingChange?.(response.userRating);
+      } catch (error) {
+        console.error('Error fetching reviews:', error);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [movieId, sort, onRatingChange]
+  );
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [fetchReviews]);
+
+  const resetForm = () => {
+    setScore(8);
+    setText('');
+    setSpoiler(false);
+    setEditingId(null);
+    setFormError('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setFormError('');
+    setSubmitting(true);
+
+    try {
+      if (editingId) {
+        await reviewsApi.updateReview(movieId, editingId, { score, text, spoiler });
+      } else {
+        await reviewsApi.createReview(movieId, { score, text, spoiler });
+      }
+      resetForm();
+      await fetchReviews(1);
+    } catch (error) {
+      setFormError(getErrorMessage(error, 'Failed to save review'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEdit = (review: Review) => {
+    setEditingId(review._id);
+    setScore(review.score);
+    setText(review.text);
+    setSpoiler(review.spoiler);
+    setFormError('');
+  };
+
+  const handleDelete = async (review: Review) => {
+    if (!confirm('Are you sure you want to delete this review?')) return;
+
+    try {
+      await reviewsApi.deleteReview(movieId, review._id);
+      if (editingId === review._id) resetForm();
+      await fetchReviews(1);
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to delete review'));
+    }
+  };
+
+  const handleHelpful = async (review: Review) => {
+    if (!isAuthenticated) {
+      alert('Please login to vote on reviews');
+      return;
+    }
+
+    try {
+      const response = await reviewsApi.toggleHelpful(movieId, review._id);
+      setReviews((current) =>
+        current.map((item) =>
+          item._id === review._id
+            ? { ...item, votedHelpful: response.data.helpful, helpfulCount: response.data.helpfulCount }
+            : item
+        )
+      );
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to register vote'));
+    }
+  };
+
+  const ownReview = reviews.find((review) => review.user?._id === userId);
+  const showForm = isAuthenticated && (!ownReview || editingId);
+
+  return (
+    <section className="mt-12 space-y-6">
+      <div className="flex items-center justify-between gap-4 flex-wrap">
+        <h2 className="text-2xl font-bold">
+          User Reviews <span className="text-white/50 text-lg">({total})</span>
+        </h2>
+        <div className="flex gap-2">
+          {(['newest', 'helpful'] as const).map((option) => (
+            <button
+              key={option}
+              onClick={() => setSort(option)}
+              className={`px-3 py-1 rounded text-sm transition-colors ${
+                sort === option ? 'bg-red-600 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'
+              }`}
+            >
+              {option === 'newest' ? 'Newest' : 'Most Helpful'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white/5 border border-white/10 rounded-lg p-4 space-y-3">
+          <h3 className="font-semibold">{editingId ? 'Edit your review' : 'Write a review'}</h3>
+
+          {formError && (
+            <div className="rounded-md bg-red-500/10 border border-red-500/30 px-4 py-2 text-sm text-red-400">
+              {formError}
+            </div>
+          )}
+
+          <div className="flex items-center gap-3">
+            <label className="text-sm text-white/60">Score</label>
+            <select
+              value={score}
+              onChange={(e) => setScore(parseInt(e.target.value))}
+              className="bg-white/10 border border-white/20 rounded px-3 py-1.5 text-white focus:outline-none focus:border-red-500"
+            >
+              {Array.from({ length: 10 }, (_, i) => 10 - i).map((value) => (
+                <option key={value} value={value} className="bg-black">
+                  {value} / 10
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <textarea
+            rows={4}
+            maxLength={2000}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="What did you think? (optional)"
+            className="w-full bg-white/10 border border-white/20 rounded px-4 py-2 text-white focus:outline-none focus:border-red-500"
+          />
+
+          <label className="flex items-center gap-2 text-sm text-white/80">
+            <input type="checkbox" checked={spoiler} onChange={(e) => setSpoiler(e.target.checked)} />
+            Contains spoilers
+          </label>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-6 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors disabled:opacity-50"
+            >
+              {submitting ? 'Saving…' : editingId ? 'Update Review' : 'Post Review'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-6 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {!isAuthenticated && (
+        <p className="text-sm text-white/60">Sign in to rate and review this movie.</p>
+      )}
+
+      {reviews.length === 0 && !loading ? (
+        <p className="text-white/60">No reviews yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {reviews.map((review) => {
+            const isOwn = review.user?._id === userId;
+            const hidden = review.spoiler && !revealed.has(review._id);
+
+            return (
+              <li key={review._id} className="bg-white/5 border border-white/10 rounded-lg p-4 space-y-2">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-3">
+                    <span className="font-semibold">{review.user?.username || 'Deleted user'}</span>
+                    <span className="text-sm">⭐ {review.score}/10</span>
+                    {review.spoiler && (
+                      <span className="text-[10px] uppercase tracking-wide text-red-400 border border-red-400/40 rounded px-1.5 py-0.5">
+                        Spoiler
+                      </span>
+                    )}
+                  </div>
+                  <span className="text-xs text-white/40">
+                    {new Date(review.createdAt).toLocaleDateString()}
+                  </span>
+                </div>
+
+                {review.text &&
+                  (hidden ? (
+                    <button
+                      onClick={() => setRevealed(new Set(revealed).add(review._id))}
+                      className="text-sm text-white/60 hover:text-white underline"
+                    >
+                      Show review (contains spoilers)
+                    </button>
+                  ) : (
+                    <p className="text-white/90 whitespace-pre-line">{review.text}</p>
+                  ))}
+
+                <div className="flex items-center gap-2">
+                  {!isOwn && (
+                    <button
+                      onClick={() => handleHelpful(review)}
+                      className={`flex items-center gap-1 px-2 py-1 rounded text-xs transition-colors ${
+                        review.votedHelpful ? 'bg-red-600 text-white' : 'bg-white/10 text-white/70 hover:bg-white/20'
+                      }`}
+                    >
+                      <ThumbsUp size={12} />
+                      Helpful ({review.helpfulCount})
+                    </button>
+                  )}
+                  {isOwn && (
+                    <>
+                      <span className="text-xs text-white/50">Helpful ({review.helpfulCount})</span>
+                      <button
+                        onClick={() => handleEdit(review)}
+                        className="p-1.5 bg-blue-600/20 hover:bg-blue-600/40 rounded transition-colors"
+                        title="Edit"
+                      >
+                        <Edit2 size={14} className="text-blue-400" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(review)}
+                        className="p-1.5 bg-red-600/20 hover:bg-red-600/40 rounded transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 size={14} className="text-red-400" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {page < pages && (
+        <button
+          onClick={() => fetchReviews(page + 1)}
+          disabled={loading}
+          className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Loading…' : 'Load more reviews'}
+        </button>
+      )}
+    </section>
+  );
+};
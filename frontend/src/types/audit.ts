@@ -0,0 +1,50 @@
+export type AuditAction =
+  | 'create'
+  | 'update'
+  | 'delete'
+  | 'restore'
+  | 'purge'
+  | 'merge'
+  | 'revert';
+
+export interface AuditChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditEntry {
+  _id: string;
+  action: AuditAction;
+  movie: string;
+  movieTitle?: string;
+  user?: { _id: string; username: string } | null;
+  job?: string;
+  changes: AuditChange[];
+  details?: {
+    merged?: { _id: string; title: string }[];
+    into?: { _id: string; title: string };
+    revertedTo?: string;
+    skipped?: string[];
+  };
+  createdAt: string;
+}
+
+export interface AuditQuery {
+  movie?: string;
+  user?: string;
+  action?: AuditAction;
+  from?: string;
+  to?: string;
+}
+
+export interface AuditLogResponse {
+  success: boolean;
+  count: number;
+  pagination: {
+    page: number;
+    pages: number;
+    total: number;
+  };
+  data: AuditEntry[];
+}
@@ -0,0 +1,20 @@
+import type { BatchJobStatus, BatchRowStatus, Movie, TrendingWindow } from './movie';
+
+// "jobs" is for admins only
+export type EventTopic = 'movies' | 'trending' | 'jobs';
+
+// Events of the live stream (GET /api/events), by type
+export type StreamEvent =
+  | { type: 'movie.created' | 'movie.updated'; data: { movie: Movie } }
+  | { type: 'movie.deleted'; data: { movieId: string } }
+  // Sent once an import job is done, instead of an event per movie
+  | { type: 'movies.imported'; data: { jobId: string } & Record<BatchRowStatus, number> }
+  | { type: 'trending.updated'; data: { windows: TrendingWindow[] } }
+  | {
+      type: 'job.updated';
+      data: { jobId: string; type: string; status: BatchJobStatus; attempts: number };
+    }
+  // Events were missed while disconnected; reload what is shown
+  | { type: 'stream.reset'; data: Record<string, never> };
+
+export type MovieEvent = Extract<StreamEvent, { type: 'movie.created' | 'movie.updated' | 'movie.deleted' }>;
@@ -1 +1,7 @@
-export * from './movie';
\ No newline at end of file
+export * from './movie';
+export * from './review';
+export * from './list';
+export * from './user';
+export * from './audit';
+export * from './ranking';
+export * from './events';
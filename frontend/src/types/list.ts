@@ -0,0 +1,58 @@
+import type { Movie } from './movie';
+
+export interface MovieListSummary {
+  _id: string;
+  name: string;
+  description: string;
+  isPublic: boolean;
+  isWatchlist: boolean;
+  count: number;
+  movieIds: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MovieListEntry {
+  movie: Movie;
+  note: string;
+  addedAt: string;
+}
+
+export interface MovieListDetails {
+  _id: string;
+  // null once the owner's account is deleted
+  owner: {
+    _id: string;
+    username: string;
+  } | null;
+  name: string;
+  description: string;
+  isPublic: boolean;
+  isWatchlist: boolean;
+  isOwner: boolean;
+  entries: MovieListEntry[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MovieListInput {
+  name?: string;
+  description?: string;
+  isPublic?: boolean;
+}
+
+export interface ListsResponse {
+  success: boolean;
+  count: number;
+  data: MovieListSummary[];
+}
+
+export interface ListSummaryResponse {
+  success: boolean;
+  data: MovieListSummary;
+}
+
+export interface ListDetailsResponse {
+  success: boolean;
+  data: MovieListDetails;
+}
@@ -1,3 +1,10 @@
+// A stored copy of an uploaded poster
+export interface PosterImage {
+  width: number;
+  height: number;
+  url: string;
+}
+
 export interface Movie {
   _id: string;
   title: string;
@@ -5,13 +12,53 @@ export interface Movie {
   releaseDate: string;
   duration: number;
   rating: number;
+  userRating?: {
+    average: number;
+    count: number;
+  };
   genre: string[];
   director: string;
   cast: string[];
   posterUrl: string;
+  // Present when the poster was uploaded, smallest first
+  posterImages?: PosterImage[];
   imdbId?: string;
   createdAt?: string;
   updatedAt?: string;
+  // Set while the movie is in the trash
+  deletedAt?: string | null;
+}
+
+export type DurationBucket = 'short' | 'medium' | 'long';
+
+export interface MovieFilters {
+  genre?: string[];
+  genreMode?: 'any' | 'all';
+  yearFrom?: number;
+  yearTo?: number;
+  minRating?: number;
+  maxRating?: number;
+  duration?: DurationBucket[];
+  director?: string;
+  cast?: string;
+}
+
+export interface FacetBucket<T = string> {
+  value: T;
+  count: number;
+}
+
+export interface RatingBandBucket extends FacetBucket {
+  min: number;
+  max: number;
+}
+
+export interface MovieFacets {
+  genres: FacetBucket[];
+  decades: FacetBucket<number>[];
+  directors: FacetBucket[];
+  ratingBands: RatingBandBucket[];
+  durations: FacetBucket<DurationBucket>[];
 }
 
 export interface MoviesResponse {
@@ -22,24 +69,281 @@ export interface MoviesResponse {
     pages: number;
     total: number;
   };
+  facets?: MovieFacets;
   data: Movie[];
 }
 
+export type RecommendationReasonType =
+  | 'similar'
+  | 'director'
+  | 'genre'
+  | 'cast'
+  | 'trending'
+  | 'new'
+  | 'top-picks'
+  // Exploration slot: genres the user has not tried yet
+  | 'explore';
+
+// Movies recommended for the same reason share a key
+export interface RecommendationReason {
+  type: RecommendationReasonType;
+  label: string;
+  key: string;
+}
+
+// Weighted score components; they add up to the score
+export interface ScoreBreakdown {
+  genre: number;
+  director: number;
+  cast: number;
+  collaborative: number;
+  rating: number;
+  popularity: number;
+  recency: number;
+  history: number;
+  // Demotion for being shown in earlier visits and ignored; negative
+  ignored?: number;
+}
+
+// score and breakdown are only sent in debug mode
+export interface FeedMovie extends Movie {
+  recommendation?: {
+    reason: RecommendationReason;
+    score?: number;
+    breakdown?: ScoreBreakdown;
+  };
+}
+
+export interface FeedOptions {
+  explain?: boolean;
+  debug?: boolean;
+  hideViewed?: boolean;
+}
+
+export type TrendingWindow = '24h' | '7d' | '30d';
+
+export interface TrendingQuery {
+  window?: TrendingWindow;
+  genre?: string;
+  // Country code, e.g. 'DE'
+  region?: string;
+}
+
+// Missing on top rated movies filling up a short trending list
+export interface TrendingMovie extends Movie {
+  trending?: {
+    score: number;
+    // Recent interaction rate over the earlier one; above 1 is rising
+    velocity: number;
+    rising: boolean;
+  };
+}
+
+export interface TrendingResponse {
+  success: boolean;
+  count: number;
+  data: TrendingMovie[];
+}
+
+// A page of the personalized feed; pass nextCursor to get the next one
+export interface FeedResponse {
+  success: boolean;
+  count: number;
+  nextCursor: string | null;
+  data: FeedMovie[];
+}
+
+export type SuggestionType = 'title' | 'director' | 'cast';
+
+export interface Suggestion {
+  type: SuggestionType;
+  label: string;
+  score: number;
+  movieId?: string;
+  year?: number;
+  posterUrl?: string;
+  movieCount?: number;
+}
+
+export interface SuggestionsResponse {
+  success: boolean;
+  count: number;
+  query: string;
+  data: Suggestion[];
+}
+
 export interface MovieResponse {
   success: boolean;
   data: Movie;
 }
 
+export type BatchJobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'dead';
+
+// What happens to a row matching an existing movie (by imdbId, then title + year)
+export type ImportMode = 'skip' | 'update' | 'replace';
+
+export type BatchRowStatus =
+  | 'inserted'
+  | 'updated'
+  | 'replaced'
+  | 'skipped'
+  | 'duplicate'
+  // Matches a movie in the trash
+  | 'trashed'
+  | 'invalid';
+
+export interface BatchRow {
+  index: number;
+  status: BatchRowStatus;
+  movieId?: string;
+  message?: string;
+  // Submitted data, present on failed rows
+  movie?: Partial<Movie>;
+}
+
+export interface BatchStatus {
+  jobId: string;
+  status: BatchJobStatus;
+  mode: ImportMode;
+  attempts: number;
+  maxAttempts: number;
+  lastError: string | null;
+  retryOf: string | null;
+  total: number;
+  processed: number;
+  summary: Record<BatchRowStatus, number>;
+  rows: BatchRow[];
+  createdAt: string;
+  finishedAt: string | null;
+}
+
+export interface BatchStatusResponse {
+  success: boolean;
+  data: BatchStatus;
+}
+
+export interface BatchQueuedResponse extends BatchStatusResponse {
+  message: string;
+  jobId: string;
+}
+
+export type MovieImportField =
+  | 'title'
+  | 'description'
+  | 'releaseDate'
+  | 'duration'
+  | 'rating'
+  | 'genre'
+  | 'director'
+  | 'cast'
+  | 'posterUrl'
+  | 'imdbId';
+
+export type ImportDateFormat = 'auto' | 'ymd' | 'dmy' | 'mdy';
+
+export interface MovieImportOptions {
+  format: 'csv' | 'tsv';
+  mode: ImportMode;
+  // Movie field -> column header; omitted fields are matched by header name
+  mapping?: Partial<Record<MovieImportField, string>>;
+  listSeparator: string;
+  dateFormat: ImportDateFormat;
+}
+
+export interface ImportPreview {
+  headers: string[];
+  mapping: Partial<Record<MovieImportField, string>>;
+  total: number;
+  valid: number;
+  invalid: number;
+  errors: { row: number; message: string }[];
+  preview: Partial<Movie>[];
+}
+
+export interface ImportPreviewResponse {
+  success: boolean;
+  dryRun: true;
+  data: ImportPreview;
+}
+
+export type MovieExportFormat = 'csv' | 'json';
+
+export interface DuplicateMovie
+  extends Pick<Movie, '_id' | 'title' | 'releaseDate' | 'director' | 'posterUrl' | 'imdbId' | 'createdAt' | 'userRating'> {
+  interactionCount: number;
+  reviewCount: number;
+}
+
+export interface DuplicateGroup {
+  normalizedTitle: string;
+  releaseYear: number;
+  movies: DuplicateMovie[];
+}
+
+export interface DuplicatesResponse {
+  success: boolean;
+  count: number;
+  pagination: {
+    page: number;
+    pages: number;
+    total: number;
+  };
+  data: DuplicateGroup[];
+}
+
+export interface MergeResponse {
+  success: boolean;
+  message: string;
+  moved: {
+    merged: number;
+    interactions: number;
+    reviews: { moved: number; dropped: number };
+    lists: number;
+  };
+  data: Movie;
+}
+
+export interface TrashedMovie extends Movie {
+  deletedAt: string;
+  deletedBy?: { _id: string; username: string } | null;
+}
+
+export interface TrashResponse {
+  success: boolean;
+  count: number;
+  pagination: {
+    page: number;
+    pages: number;
+    total: number;
+  };
+  data: TrashedMovie[];
+}
+
+export interface PurgeResponse {
+  success: boolean;
+  message: string;
+  removed: {
+    interactions: number;
+    reviews: number;
+    lists: number;
+    users: number;
+  };
+}
+
 export interface User {
   id?: string;
   _id?: string;
   username: string;
   email: string;
   role?: 'user' | 'admin';
+  isEmailVerified?: boolean;
 }
 
+// not_interested hides a movie from the feed and counts against its genres and people
+export type InteractionType = 'view' | 'like' | 'share' | 'click' | 'not_interested';
+
 export interface InteractionRequest {
-  interactionType: 'view' | 'like' | 'share' | 'click';
+  interactionType: InteractionType;
   metadata?: {
     watchTime?: number;
     scrollDepth?: number;
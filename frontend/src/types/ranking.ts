@@ -0,0 +1,107 @@
+export type RankingComponent =
+  | 'genre'
+  | 'director'
+  | 'cast'
+  | 'collaborative'
+  | 'rating'
+  | 'popularity'
+  | 'recency'
+  | 'history';
+
+// 0 to 1 per score component
+export type RankingWeights = Record<RankingComponent, number>;
+
+export interface RankingStrategyInput {
+  name: string;
+  description?: string;
+  weights: RankingWeights;
+  // Days of interactions the popularity score counts
+  popularityDays: number;
+}
+
+// Version 0 is the built-in default, used until a "default" strategy is saved
+export interface RankingStrategy extends RankingStrategyInput {
+  _id?: string;
+  version: number;
+  // Number of saved versions; only in the strategy list
+  versions?: number;
+  createdBy?: { _id: string; username: string } | string | null;
+  createdAt?: string;
+}
+
+export interface RankingStrategiesResponse {
+  success: boolean;
+  count: number;
+  data: RankingStrategy[];
+}
+
+export interface RankingStrategyResponse {
+  success: boolean;
+  data: RankingStrategy;
+}
+
+export type ExperimentStatus = 'draft' | 'running' | 'stopped';
+
+export interface ExperimentVariantInput {
+  name: string;
+  strategy: string;
+  // Share of the users, relative to the other variants
+  traffic: number;
+}
+
+export interface ExperimentVariant extends ExperimentVariantInput {
+  impressions: number;
+}
+
+export interface ExperimentInput {
+  name: string;
+  description?: string;
+  variants: ExperimentVariantInput[];
+}
+
+export interface Experiment {
+  _id: string;
+  name: string;
+  description?: string;
+  status: ExperimentStatus;
+  variants: ExperimentVariant[];
+  startedAt?: string;
+  stoppedAt?: string;
+  createdBy?: { _id: string; username: string } | string | null;
+  createdAt: string;
+}
+
+export interface ExperimentsResponse {
+  success: boolean;
+  count: number;
+  data: Experiment[];
+}
+
+export interface ExperimentResponse {
+  success: boolean;
+  data: Experiment;
+}
+
+// Rates are per movie served in the variant's feeds
+export interface VariantReport {
+  variant: string;
+  strategy: string;
+  versions: number[];
+  traffic: number;
+  impressions: number;
+  users: number;
+  interactions: number;
+  views: number;
+  clicks: number;
+  likes: number;
+  clickRate: number;
+  likeRate: number;
+}
+
+export interface ExperimentReportResponse {
+  success: boolean;
+  data: {
+    experiment: Experiment;
+    variants: VariantReport[];
+  };
+}
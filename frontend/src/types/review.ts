@@ -0,0 +1,45 @@
+export type ReviewSort = 'newest' | 'helpful';
+
+export interface Review {
+  _id: string;
+  user: {
+    _id: string;
+    username: string;
+  };
+  movie: string;
+  score: number;
+  text: string;
+  spoiler: boolean;
+  helpfulCount: number;
+  votedHelpful?: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UserRating {
+  average: number;
+  count: number;
+}
+
+export interface ReviewInput {
+  score: number;
+  text?: string;
+  spoiler?: boolean;
+}
+
+export interface ReviewsResponse {
+  success: boolean;
+  count: number;
+  pagination: {
+    page: number;
+    pages: number;
+    total: number;
+  };
+  userRating: UserRating;
+  data: Review[];
+}
+
+export interface ReviewResponse {
+  success: boolean;
+  data: Review;
+}
@@ -0,0 +1,35 @@
+import type { User } from './movie';
+
+export type UserRole = NonNullable<User['role']>;
+
+export interface AdminUser {
+  _id: string;
+  username: string;
+  email: string;
+  role: UserRole;
+  isDisabled: boolean;
+  disabledAt?: string | null;
+  createdAt: string;
+}
+
+export interface UsersResponse {
+  success: boolean;
+  count: number;
+  pagination: {
+    page: number;
+    pages: number;
+    total: number;
+  };
+  data: AdminUser[];
+}
+
+export interface UserResponse {
+  success: boolean;
+  data: AdminUser;
+}
+
+export interface UserQuery {
+  q?: string;
+  role?: UserRole;
+  status?: 'active' | 'disabled';
+}
@@ -1,14 +1,50 @@
-import axios from 'axios';
+import axios, { type AxiosError, type InternalAxiosRequestConfig } from 'axios';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 const api = axios.create({
   baseURL: API_URL,
   headers: {
     'Content-Type': 'application/json',
   },
+  // Send the httpOnly refresh cookie
+  withCredentials: true,
 });
 
+// Auth endpoints whose 401s must not trigger a refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshPromise: Promise<string> | null = null;
+let sessionExpiredHandler: (() => void) | null = null;
+
+/**
+ * Register a callback for when the session can no longer be refreshed
+ */
+export const onSessionExpired = (handler: (() => void) | null) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Exchange the refresh cookie for a new access token. Concurrent callers share
+ * one request, so a burst of 401s results in a single rotation.
+ */
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    // Uses bare axios so this request never passes through the interceptors below
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, {}, { withCredentials: true })
+      .then((response) => {
+        const token: string = response.data.token;
+        localStorage.setItem('token', token);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Add token to requests if available
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
@@ -18,4 +54,35 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-export default api;
\ No newline at end of file
+// On 401, refresh once and replay the request; requests failing while a
+// refresh is in flight wait for it and are replayed with the new token
+api.interceptors.response.use(
+  (response) => response,
+  async (error: AxiosError) => {
+    const original = error.config as (InternalAxiosRequestConfig & { _retry?: boolean }) | undefined;
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retry ||
+      !localStorage.getItem('token') ||
+      NO_REFRESH_URLS.some((url) => original.url?.startsWith(url))
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+
+    try {
+      const token = await refreshAccessToken();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch {
+      localStorage.removeItem('token');
+      sessionExpiredHandler?.();
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default api;
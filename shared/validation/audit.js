@@ -0,0 +1,33 @@
+/**
+ * Catalog changes recorded in the audit log (see backend/model/AuditLog.js)
+ */
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge", "merge", "revert"];
+
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createAuditSchemas = (z, { objectId, pagination, optionalText }) => {
+  const date = (label) => optionalText(z.coerce.date({ error: `${label} must be a valid date` }));
+  // A date without a time parses as midnight UTC; as an upper bound it means the whole day
+  const endOfDay = (value) =>
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? `${value.trim()}T23:59:59.999Z` : value;
+
+  return {
+    query: z
+      .object({
+        ...pagination(20, 100),
+        movie: optionalText(objectId),
+        user: optionalText(objectId),
+        action: optionalText(
+          z.enum(AUDIT_ACTIONS, { error: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` })
+        ),
+        from: date("from"),
+        to: z.preprocess(endOfDay, date("to"))
+      })
+      .refine(({ from, to }) => !from || !to || from <= to, {
+        message: "from must be before to",
+        path: ["from"]
+      })
+  };
+};
@@ -0,0 +1,36 @@
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createAuthSchemas = (z, { email }) => {
+  const password = z
+    .string({ error: "Password is required" })
+    .min(6, "Password must be at least 6 characters")
+    .max(128, "Password cannot exceed 128 characters");
+
+  return {
+    register: z.object({
+      username: z
+        .string({ error: "Username is required" })
+        .trim()
+        .min(3, "Username must be at least 3 characters")
+        .max(30, "Username cannot exceed 30 characters"),
+      email,
+      password
+    }),
+
+    login: z.object({
+      email,
+      password: z.string({ error: "Password is required" }).min(1, "Password is required")
+    }),
+
+    forgotPassword: z.object({ email }),
+
+    resetPassword: z.object({ password }),
+
+    // Tokens sent by email are 32 random bytes, hex encoded
+    tokenParams: z.object({
+      token: z.string().regex(/^[a-f0-9]{64}$/, "Invalid or malformed link")
+    })
+  };
+};
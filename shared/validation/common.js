@@ -0,0 +1,31 @@
+/**
+ * Building blocks shared by the domain schemas
+ * @param {typeof import("zod").z} z
+ */
+export const createCommonSchemas = (z) => {
+  const objectId = z.string({ error: "Invalid id" }).regex(/^[0-9a-fA-F]{24}$/, "Invalid id");
+
+  /**
+   * page/limit query params: coerced from strings, limit clamped to `max`
+   */
+  const pagination = (defaultLimit = 10, max = 100) => ({
+    page: z.coerce.number().int("page must be an integer").min(1, "page must be at least 1").default(1),
+    limit: z.coerce
+      .number()
+      .int("limit must be an integer")
+      .min(1, "limit must be at least 1")
+      .default(defaultLimit)
+      .transform(limit => Math.min(limit, max))
+  });
+
+  // Empty form fields mean "not provided"
+  const optionalText = (schema) => z.preprocess(value => (value === "" ? undefined : value), schema.optional());
+
+  return {
+    objectId,
+    pagination,
+    optionalText,
+    idParams: z.object({ id: objectId }),
+    email: z.string({ error: "Email is required" }).trim().toLowerCase().pipe(z.email("Please provide a valid email"))
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * Topics of the live event stream (see backend/utils/eventStream.js).
+ * "jobs" is for admins only.
+ */
+export const EVENT_TOPICS = ["movies", "trending", "jobs"];
+
+export const PUBLIC_EVENT_TOPICS = ["movies", "trending"];
+
+/**
+ * @param {typeof import("zod").z} z
+ */
+export const createEventSchemas = (z) => ({
+  // ?topics=movies,trending; all public topics when left out
+  stream: z.object({
+    topics: z
+      .string()
+      .optional()
+      .transform(value =>
+        value ? [...new Set(value.split(",").map(topic => topic.trim()).filter(Boolean))] : PUBLIC_EVENT_TOPICS
+      )
+      .pipe(
+        z
+          .array(z.enum(EVENT_TOPICS, { error: `topics must be among: ${EVENT_TOPICS.join(", ")}` }))
+          .min(1, "At least one topic is required")
+      ),
+    // For clients that cannot send the Last-Event-ID header
+    lastEventId: z.string().max(100).optional()
+  })
+});
@@ -0,0 +1,44 @@
+/**
+ * Shared Validation Schemas
+ * Used by the API's validation middleware and by the client's forms, so both
+ * sides enforce the same rules. This folder has no dependencies of its own:
+ * each side passes in its own zod instance.
+ *
+ * @example
+ *   import { z } from "zod";
+ *   const schemas = createSchemas(z);
+ *   schemas.auth.login.parse(body);
+ */
+import { createCommonSchemas } from "./common.js";
+import { createAuthSchemas } from "./auth.js";
+import { createMovieSchemas } from "./movie.js";
+import { createReviewSchemas } from "./review.js";
+import { createListSchemas } from "./list.js";
+import { createUserSchemas } from "./user.js";
+import { createAuditSchemas } from "./audit.js";
+import { createRankingSchemas } from "./ranking.js";
+import { createEventSchemas } from "./events.js";
+
+export { MOVIE_IMPORT_FIELDS, MAX_BATCH_MOVIES, POSTER_UPLOAD, TRENDING_WINDOWS } from "./movie.js";
+export { AUDIT_ACTIONS } from "./audit.js";
+export { RANKING_COMPONENTS, EXPERIMENT_STATUSES } from "./ranking.js";
+export { EVENT_TOPICS, PUBLIC_EVENT_TOPICS } from "./events.js";
+
+/**
+ * @param {typeof import("zod").z} z
+ */
+export const createSchemas = (z) => {
+  const common = createCommonSchemas(z);
+
+  return {
+    common,
+    auth: createAuthSchemas(z, common),
+    movies: createMovieSchemas(z, common),
+    reviews: createReviewSchemas(z, common),
+    lists: createListSchemas(z, common),
+    users: createUserSchemas(z, common),
+    audit: createAuditSchemas(z, common),
+    ranking: createRankingSchemas(z, common),
+    events: createEventSchemas(z, common)
+  };
+};
@@ -0,0 +1,31 @@
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createListSchemas = (z, { objectId }) => {
+  const note = z.string().trim().max(500, "Note cannot exceed 500 characters");
+
+  const list = z.object({
+    name: z.string({ error: "List name is required" }).trim().min(1, "List name is required").max(100, "List name cannot exceed 100 characters"),
+    description: z.string().trim().max(500, "Description cannot exceed 500 characters").optional(),
+    isPublic: z.boolean().optional()
+  });
+
+  return {
+    list,
+    listUpdate: list.partial(),
+
+    addEntry: z.object({
+      movieId: objectId,
+      note: note.optional()
+    }),
+
+    updateEntry: z.object({ note: note.optional() }),
+
+    reorder: z.object({
+      movieIds: z.array(objectId).max(1000)
+    }),
+
+    entryParams: z.object({ id: objectId, movieId: objectId })
+  };
+};
@@ -0,0 +1,206 @@
+/**
+ * Movie fields that can be filled from a CSV/TSV column, in export column order
+ */
+export const MOVIE_IMPORT_FIELDS = [
+  "title",
+  "description",
+  "releaseDate",
+  "duration",
+  "rating",
+  "genre",
+  "director",
+  "cast",
+  "posterUrl",
+  "imdbId"
+];
+
+/**
+ * Movies per import job, from JSON or a file. A job stores its rows in one
+ * document, which MongoDB caps at 16MB.
+ */
+export const MAX_BATCH_MOVIES = 1000;
+
+/**
+ * Windows trending movies are ranked over (see backend/utils/trending.js)
+ */
+export const TRENDING_WINDOWS = ["24h", "7d", "30d"];
+
+/**
+ * Poster uploads accepted on movie create/update
+ */
+export const POSTER_UPLOAD = {
+  types: ["image/jpeg", "image/png", "image/webp"],
+  maxBytes: 5 * 1024 * 1024
+};
+
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createMovieSchemas = (z, { objectId, pagination, optionalText }) => {
+  const text = (label, max) =>
+    z.string({ error: `${label} is required` }).trim().min(1, `${label} is required`).max(max, `${label} cannot exceed ${max} characters`);
+
+  // Create fields only: no defaults, so the partial update schema never fills in missing fields
+  const movie = z.object({
+    title: text("Title", 200),
+    description: text("Description", 5000),
+    releaseDate: z.coerce.date({ error: "Release date must be a valid date" }),
+    duration: z.coerce
+      .number({ error: "Duration must be a number" })
+      .int("Duration must be a whole number of minutes")
+      .positive("Duration must be a positive number")
+      .max(1000, "Duration cannot exceed 1000 minutes"),
+    rating: z.coerce
+      .number({ error: "Rating must be a number" })
+      .min(0, "Rating must be between 0 and 10")
+      .max(10, "Rating must be between 0 and 10")
+      .optional(),
+    genre: z
+      .array(text("Genre", 50), { error: "Genre must be an array" })
+      .min(1, "At least one genre is required")
+      .max(10, "A movie can have at most 10 genres"),
+    director: text("Director", 100),
+    cast: z.array(text("Cast member", 100), { error: "Cast must be an array" }).max(100, "Cast cannot exceed 100 people").optional(),
+    posterUrl: text("Poster URL", 2048),
+    imdbId: optionalText(z.string().trim().regex(/^tt\d{7,10}$/, "IMDB ID must look like tt1234567"))
+  });
+
+  // How rows matching an existing movie are handled (see backend/jobs/movieJobs.js)
+  const importMode = z
+    .enum(["skip", "update", "replace"], { error: "mode must be skip, update or replace" })
+    .default("skip");
+
+  // "true"/"1" query flags
+  const flag = z
+    .enum(["true", "false", "1", "0"])
+    .optional()
+    .transform(value => value === "true" || value === "1");
+
+  // Filter params (genre, yearFrom, ...) pass through to buildMovieFilter, which validates them
+  const listQuery = (defaultLimit = 10) =>
+    z.looseObject({
+      ...pagination(defaultLimit, 100),
+      facets: z.enum(["true", "false", "1", "0"]).optional()
+    });
+
+  return {
+    movie,
+    movieUpdate: movie.partial(),
+    // Multipart create with an uploaded poster, which stands in for posterUrl
+    movieWithPoster: movie.extend({ posterUrl: movie.shape.posterUrl.optional() }),
+
+    // Rows are validated one by one by the import job, so a bad row is
+    // reported in the batch status instead of rejecting the whole batch
+    batch: z.object({
+      movies: z
+        .array(z.looseObject({}), { error: "Please provide an array of movies" })
+        .min(1, "Please provide an array of movies")
+        .max(MAX_BATCH_MOVIES, `A batch cannot contain more than ${MAX_BATCH_MOVIES} movies`),
+      mode: importMode
+    }),
+
+    batchParams: z.object({ jobId: objectId }),
+
+    // CSV/TSV upload options (the file itself is the request body)
+    importQuery: z.object({
+      format: z.enum(["csv", "tsv"], { error: "format must be csv or tsv" }).default("csv"),
+      mode: importMode,
+      dryRun: flag,
+      // JSON object of movie field -> column header; defaults to headers named like the fields
+      mapping: z
+        .string()
+        .optional()
+        .transform((value, ctx) => {
+          if (!value) return undefined;
+          try {
+            return JSON.parse(value);
+          } catch {
+            ctx.addIssue({ code: "custom", message: "mapping must be a JSON object" });
+            return z.NEVER;
+          }
+        })
+        .pipe(z.partialRecord(z.enum(MOVIE_IMPORT_FIELDS), z.string().max(200)).optional()),
+      // Separator inside list cells (genre, cast)
+      listSeparator: z.string().min(1).max(3).default("|"),
+      dateFormat: z.enum(["auto", "ymd", "dmy", "mdy"], { error: "Invalid date format" }).default("auto")
+    }),
+
+    duplicatesQuery: z.object(pagination(20, 50)),
+
+    trashQuery: z.object(pagination(20, 100)),
+
+    merge: z.object({
+      duplicateIds: z
+        .array(objectId, { error: "duplicateIds must be an array of movie ids" })
+        .min(1, "Select at least one duplicate to merge")
+        .max(20, "Merge at most 20 movies at once")
+    }),
+
+    exportQuery: z.looseObject({
+      format: z.enum(["csv", "json"], { error: "format must be csv or json" }).default("csv")
+    }),
+
+    interaction: z.object({
+      interactionType: z.enum(["view", "like", "share", "click", "not_interested"], {
+        error: "Invalid interaction type. Allowed: view, like, share, click, not_interested"
+      }),
+      metadata: z
+        .object({
+          watchTime: z.number().min(0).optional(),
+          scrollDepth: z.number().min(0).max(100).optional(),
+          deviceType: z.string().trim().max(50).optional()
+        })
+        .optional()
+    }),
+
+    listQuery: listQuery(),
+
+    sortedQuery: listQuery().extend({
+      sortBy: z.enum(["title", "rating", "releaseDate", "duration"]).default("rating"),
+      order: z.enum(["asc", "desc"]).default("desc")
+    }),
+
+    searchQuery: listQuery().extend({
+      q: text("Search query", 100)
+    }),
+
+    suggestQuery: z.object({
+      q: z.string().trim().max(100, "Search query cannot exceed 100 characters").default(""),
+      limit: z.coerce.number().int().min(1).default(8).transform(limit => Math.min(limit, 20))
+    }),
+
+    // Endpoints that return a single ranked page
+    topQuery: z.object({
+      limit: z.coerce.number().int().min(1).default(20).transform(limit => Math.min(limit, 50))
+    }),
+
+    trendingQuery: z.object({
+      limit: z.coerce.number().int().min(1).default(20).transform(limit => Math.min(limit, 50)),
+      genre: optionalText(z.string().trim().max(50)),
+      // Country code, e.g. DE
+      region: z
+        .string()
+        .trim()
+        .regex(/^[A-Za-z]{2}$/, "region must be a two-letter country code")
+        .transform(region => region.toUpperCase())
+        .optional(),
+      window: z
+        .enum(TRENDING_WINDOWS, { error: `window must be one of: ${TRENDING_WINDOWS.join(", ")}` })
+        .default("7d")
+    }),
+
+    // `cursor` is the nextCursor of the previous page; `explain` adds why each
+    // movie is recommended and `debug` (admins only) the score breakdown too;
+    // `hideViewed` leaves out movies the user has viewed
+    feedQuery: z.object({
+      cursor: z.string().trim().min(1).max(200).optional(),
+      limit: z.coerce.number().int().min(1).default(20).transform(limit => Math.min(limit, 50)),
+      explain: flag,
+      debug: flag,
+      hideViewed: flag
+    }),
+
+    movieIdParams: z.object({ id: objectId })
+  };
+};
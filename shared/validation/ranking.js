@@ -0,0 +1,85 @@
+/**
+ * Score components a ranking strategy weights (see backend/utils/recommendationEngine.js)
+ */
+export const RANKING_COMPONENTS = [
+  "genre",
+  "director",
+  "cast",
+  "collaborative",
+  "rating",
+  "popularity",
+  "recency",
+  "history"
+];
+
+export const EXPERIMENT_STATUSES = ["draft", "running", "stopped"];
+
+/**
+ * @param {typeof import("zod").z} z
+ */
+export const createRankingSchemas = (z) => {
+  // Lowercase words joined by dashes, so names read well in reports and URLs
+  const name = (label) =>
+    z
+      .string({ error: `${label} is required` })
+      .trim()
+      .toLowerCase()
+      .min(1, `${label} is required`)
+      .max(50, `${label} must be at most 50 characters`)
+      .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, `${label} may only contain letters, digits and dashes`);
+
+  const description = z.string().trim().max(500, "Description must be at most 500 characters").optional();
+
+  const weight = (component) =>
+    z
+      .number({ error: `${component} weight must be a number` })
+      .min(0, `${component} weight must be between 0 and 1`)
+      .max(1, `${component} weight must be between 0 and 1`);
+
+  const variant = z.object({
+    name: name("Variant name"),
+    strategy: name("Strategy"),
+    // Share of the experiment's users, relative to the other variants
+    traffic: z
+      .number({ error: "traffic must be a number" })
+      .int("traffic must be an integer")
+      .min(1, "traffic must be at least 1")
+      .max(100, "traffic must be at most 100")
+  });
+
+  return {
+    strategyParams: z.object({ name: name("Strategy name") }),
+
+    // Saving a strategy under an existing name adds a version
+    strategy: z.object({
+      name: name("Strategy name"),
+      description,
+      weights: z
+        .object(Object.fromEntries(RANKING_COMPONENTS.map(component => [component, weight(component)])))
+        .refine(weights => Object.values(weights).some(value => value > 0), {
+          message: "At least one weight must be above 0"
+        }),
+      popularityDays: z
+        .number({ error: "popularityDays must be a number" })
+        .int("popularityDays must be an integer")
+        .min(1, "popularityDays must be at least 1")
+        .max(90, "popularityDays must be at most 90")
+    }),
+
+    experiment: z.object({
+      name: name("Experiment name"),
+      description,
+      variants: z
+        .array(variant)
+        .min(2, "An experiment needs at least 2 variants")
+        .max(5, "An experiment can have at most 5 variants")
+        .refine(variants => new Set(variants.map(item => item.name)).size === variants.length, {
+          message: "Variant names must be unique"
+        })
+    }),
+
+    experimentStatus: z.object({
+      status: z.enum(["running", "stopped"], { error: "status must be one of: running, stopped" })
+    })
+  };
+};
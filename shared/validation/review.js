@@ -0,0 +1,27 @@
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createReviewSchemas = (z, { objectId, pagination }) => {
+  const review = z.object({
+    score: z.coerce
+      .number({ error: "Score must be a number" })
+      .int("Score must be a whole number")
+      .min(1, "Score must be between 1 and 10")
+      .max(10, "Score must be between 1 and 10"),
+    text: z.string().trim().max(2000, "Review cannot exceed 2000 characters").optional(),
+    spoiler: z.boolean().optional()
+  });
+
+  return {
+    review,
+    reviewUpdate: review.partial(),
+
+    query: z.object({
+      ...pagination(10, 50),
+      sort: z.enum(["newest", "helpful"]).default("newest")
+    }),
+
+    params: z.object({ id: objectId, reviewId: objectId })
+  };
+};
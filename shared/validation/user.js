@@ -0,0 +1,22 @@
+/**
+ * @param {typeof import("zod").z} z
+ * @param {ReturnType<typeof import("./common.js").createCommonSchemas>} common
+ */
+export const createUserSchemas = (z, { pagination }) => {
+  const role = z.enum(["user", "admin"], { error: "role must be one of: user, admin" });
+
+  return {
+    query: z.object({
+      ...pagination(20, 100),
+      q: z.string().trim().max(100).optional(),
+      role: role.optional(),
+      status: z.enum(["active", "disabled"]).optional()
+    }),
+
+    role: z.object({ role }),
+
+    status: z.object({
+      isDisabled: z.boolean({ error: "isDisabled must be a boolean" })
+    })
+  };
+};